@@ -9,6 +9,7 @@
 const fs = require('fs');
 const path = require('path');
 const { safeWriteStdout } = require('../utils/checkpoint-writer');
+const DecisionTrace = require('../core/trace');
 
 // Parse arguments
 const args = process.argv.slice(2);
@@ -93,9 +94,23 @@ const options = {
   specialty: null,
   state: path.join(__dirname, '../data'),
   json: true, // JSON is default for contract compliance
-  debug: false
+  debug: false,
+  trace: false,
+  saveTrace: false,
+  limit: null,
+  policy: null,
+  last: 20,
+  config: null,
+  answer: null,
+  format: null,
+  out: null,
+  scale: null,
+  compare: false
 };
 
+// Arguments that are not options (e.g. the task text of `run`)
+const positional = [];
+
 // Parse options
 for (let i = 1; i < args.length; i++) {
   if (args[i] === '--bot' && args[i + 1]) {
@@ -113,6 +128,39 @@ for (let i = 1; i < args.length; i++) {
     options.json = false;
   } else if (args[i] === '--debug') {
     options.debug = true;
+  } else if (args[i] === '--trace') {
+    options.trace = true;
+  } else if (args[i] === '--save-trace') {
+    options.trace = true;
+    options.saveTrace = true;
+  } else if (args[i] === '--limit' && args[i + 1]) {
+    options.limit = parseInt(args[i + 1], 10) || null;
+    i++;
+  } else if (args[i] === '--policy' && args[i + 1]) {
+    options.policy = args[i + 1];
+    i++;
+  } else if (args[i] === '--last' && args[i + 1]) {
+    options.last = parseInt(args[i + 1], 10) || 20;
+    i++;
+  } else if (args[i] === '--config' && args[i + 1]) {
+    options.config = args[i + 1];
+    i++;
+  } else if (args[i] === '--answer' && args[i + 1]) {
+    options.answer = args[i + 1];
+    i++;
+  } else if (args[i] === '--format' && args[i + 1]) {
+    options.format = args[i + 1];
+    i++;
+  } else if (args[i] === '--out' && args[i + 1]) {
+    options.out = args[i + 1];
+    i++;
+  } else if (args[i] === '--scale' && args[i + 1]) {
+    options.scale = args[i + 1];
+    i++;
+  } else if (args[i] === '--compare') {
+    options.compare = true;
+  } else if (!args[i].startsWith('--')) {
+    positional.push(args[i]);
   }
 }
 
@@ -153,12 +201,66 @@ function saveState(state, statePath) {
   fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
 }
 
+// How often a run checks for a cancel request, and how long `stop` waits for the run to take it
+const CANCEL_POLL_MS = 100;
+const CANCEL_ACK_MS = 3000;
+
+/**
+ * Drop this run's marker (and a cancel request it took), keeping whatever `stop` wrote meanwhile
+ */
+function clearActiveRun(statePath, nonce) {
+  const { state } = getState();
+  let changed = false;
+  if (state.activeRun && state.activeRun.nonce === nonce) {
+    delete state.activeRun;
+    changed = true;
+  }
+  if (state.cancelRequest && state.cancelRequest.nonce === nonce) {
+    delete state.cancelRequest;
+    changed = true;
+  }
+  if (changed) saveState(state, statePath);
+}
+
+/**
+ * Abort the run when `alive stop` leaves a cancel request for its nonce in
+ * the state file; the request is removed to tell `stop` it was taken
+ * Returns a function that stops watching
+ */
+function watchCancelRequest(statePath, nonce, controller) {
+  const timer = setInterval(() => {
+    const { state } = getState();
+    if (state.cancelRequest && state.cancelRequest.nonce === nonce) {
+      clearInterval(timer);
+      delete state.cancelRequest;
+      saveState(state, statePath);
+      controller.abort();
+    }
+  }, CANCEL_POLL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Whether a process id belongs to a running process (it may be another
+ * program that reused the id, so runs are cancelled through the state file)
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
 /**
  * Run a task through ALIVE kernel (REAL IMPLEMENTATION)
  */
 async function runTask(taskText) {
   const startTime = Date.now();
-  const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  // An answer continues the task that asked for clarification
+  const taskId = options.answer || `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   const { state, statePath } = getState();
   
   let output;
@@ -184,8 +286,18 @@ async function runTask(taskText) {
       state.sessionCount += 1;
       state.totalInteractions += 1;
       state.lastActivity = new Date().toISOString();
+      // The nonce identifies this run to `alive stop` (process ids get reused)
+      const nonce = require('crypto').randomBytes(8).toString('hex');
+      state.activeRun = { pid: process.pid, taskId, startedAt: state.lastActivity, nonce };
       saveState(state, statePath);
       
+      // `alive stop` (a cancel request in the state file), SIGTERM or Ctrl+C cancels the run in progress
+      const controller = new AbortController();
+      const cancel = () => controller.abort();
+      process.once('SIGTERM', cancel);
+      process.once('SIGINT', cancel);
+      const stopWatching = watchCancelRequest(statePath, nonce, controller);
+      
       // Load kernel and execute
       const kernel = require('../core/kernel');
       
@@ -193,22 +305,66 @@ async function runTask(taskText) {
       let response = "";
       let confidence = 0.5;
       let errors = [];
+      let trace = null;
+      let domain = null;
+      let cutShort = false;
+      let cancelled = false;
+      let diagnostics = [];
+      let resets = [];
+      let resumed = [];
+      let escalation = null;
+      let needsClarification = null;
+      let answered = null;
+      let followUp = null;
+      let playbook = null;
       
       try {
         // Simple kernel invocation - may need to be adapted based on actual kernel API
         const result = await kernel.activate({
           taskInput: taskText,
           specialty: options.specialty,
-          debug: options.debug
+          debug: options.debug,
+          statePath: options.state,
+          botId: options.bot,
+          trace: options.trace,
+          taskId,
+          signal: controller.signal,
+          policy: options.config ? loadPolicy() : null,
+          answer: options.answer,
+          format: options.format
         });
         
         response = result?.response || result?.output || JSON.stringify(result);
-        confidence = result?.confidence || 0.8;
+        confidence = result?.confidence ?? 0.8;
+        trace = result?.trace || null;
+        domain = result?.meta?.domain || null;
+        cutShort = Boolean(result?.meta?.cutShort);
+        diagnostics = result?.meta?.diagnostics || [];
+        resets = result?.meta?.resets || [];
+        resumed = result?.meta?.resumed || [];
+        escalation = result?.meta?.escalation || null;
+        needsClarification = result?.needsClarification || null;
+        answered = result?.meta?.answered || null;
+        followUp = result?.meta?.followUp || null;
+        playbook = result?.meta?.playbook || null;
+        
+        if (result?.cancelled) {
+          cancelled = true;
+          errors.push(...(result.errors || ['Run cancelled']));
+        } else if (result?.ok === false) {
+          // e.g. no pending clarification for that task id, or an unknown --format (activate() checks it)
+          errors.push(...(result.errors || ['Task failed']));
+        }
         
       } catch (kernelError) {
         response = `Kernel error: ${kernelError.message}`;
         confidence = 0;
         errors.push(kernelError.message);
+      } finally {
+        process.removeListener('SIGTERM', cancel);
+        process.removeListener('SIGINT', cancel);
+        stopWatching();
+        clearActiveRun(statePath, nonce);
       }
       
       const timingMs = Date.now() - startTime;
@@ -222,11 +378,97 @@ async function runTask(taskText) {
         confidence: confidence,
         timingMs: timingMs,
         statePath: statePath,
-        errors: errors
+        errors: errors,
+        domain: domain
       };
       
+      // Cancelled runs get their own status and exit code
+      if (cancelled) {
+        output.cancelled = true;
+      }
+      
+      // Budget stopped the run early: response holds the partial result
+      if (cutShort) {
+        output.cutShort = true;
+      }
+      
+      // Executor diagnostics (e.g. tasks with no registered handler)
+      if (diagnostics.length > 0) {
+        output.diagnostics = diagnostics;
+      }
+      
+      // Coherence resets during the run, with their diagnosis
+      if (resets.length > 0) {
+        output.resets = resets.map(r => ({
+          depth: r.depth,
+          reasons: r.reasons,
+          recommendation: r.diagnosis.recommendation,
+          suggestions: r.suggestions,
+          limited: r.limited
+        }));
+      }
+      
+      // Heuristic validation failed and the run was retried in PRECISION
+      if (escalation) {
+        output.escalation = {
+          from: escalation.from,
+          to: escalation.to,
+          task: escalation.task,
+          reason: escalation.reason
+        };
+      }
+      
+      // Underspecified request: questions to answer with `run --answer <taskId>`
+      if (needsClarification) {
+        output.needsClarification = needsClarification;
+      }
+      
+      // This run answered an earlier clarification
+      if (answered) {
+        output.answered = {
+          input: answered.input,
+          answer: answered.answer,
+          resolvedInput: answered.resolvedInput
+        };
+      }
+      
+      // Follow-up turn rewritten against the bot's previous result
+      if (followUp) {
+        output.followUp = {
+          resolvedInput: followUp.input,
+          subject: followUp.subject,
+          references: followUp.references
+        };
+      }
+      
+      // Active playbook whose outline the response follows (with --format)
+      if (playbook && options.format) {
+        output.playbook = playbook;
+      }
+      
+      // Deferred tasks from earlier runs that this run picked up
+      if (resumed.length > 0) {
+        output.resumed = resumed.map(r => ({
+          id: r.id,
+          action: r.action,
+          input: r.input,
+          ageMs: r.ageMs,
+          success: r.success
+        }));
+      }
+      
+      // Decision trace (opt-in, additive key)
+      if (options.trace) {
+        output.trace = trace;
+        
+        if (options.saveTrace && trace) {
+          // Written to <state>/traces/<taskId>.json
+          output.tracePath = DecisionTrace.save(trace, path.join(options.state, 'traces'));
+        }
+      }
+      
       // Exit code based on ok status
-      exitCode = output.ok ? 0 : 1;
+      exitCode = cancelled ? 3 : (output.ok ? 0 : 1);
     }
     
   } catch (error) {
@@ -293,16 +535,45 @@ async function stopOrganism() {
     const { state, statePath } = getState();
     
     // Idempotent: always returns ok:true
+    const activeRun = state.activeRun;
+    delete state.activeRun;
     state.isActive = false;
     state.lastActivity = new Date().toISOString();
+    // Cancel a run in progress: it polls the state file for a request with
+    // its nonce. A marker left by a run that crashed names no live process
+    const live = activeRun && activeRun.nonce && activeRun.pid !== process.pid && isRunning(activeRun.pid);
+    if (live) {
+      state.cancelRequest = { nonce: activeRun.nonce, taskId: activeRun.taskId, requestedAt: state.lastActivity };
+    }
     saveState(state, statePath);
     
+    // The run removes the request when it takes it; one nobody takes was for
+    // a process that only reused the marker's pid
+    let cancelledTaskId = null;
+    if (live) {
+      const deadline = Date.now() + CANCEL_ACK_MS;
+      let pending = true;
+      while (pending && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, CANCEL_POLL_MS));
+        const { state: current } = getState();
+        pending = Boolean(current.cancelRequest && current.cancelRequest.nonce === activeRun.nonce);
+      }
+      if (pending) {
+        const { state: current } = getState();
+        delete current.cancelRequest;
+        saveState(current, statePath);
+      } else {
+        cancelledTaskId = activeRun.taskId;
+      }
+    }
+    
     const output = {
       ok: true,
       botId: state.botId,
       stopped: true,
       statePath: statePath,
-      errors: []
+      errors: [],
+      cancelledTaskId
     };
     
     safeWriteStdout(output, { taskName: 'stop', validateResponse: false });
@@ -322,6 +593,401 @@ async function stopOrganism() {
   }
 }
 
+/**
+ * Read an inbox batch file: a JSON array (strings or { id, input }),
+ * or plain text with one request per line (blank lines and # comments skipped)
+ */
+function readInbox(filePath) {
+  const text = filePath === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(filePath, 'utf8');
+  if (/^\s*[\[{]/.test(text)) {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : data.requests;
+  }
+  return text.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Triage several pending requests together (`alive inbox <file>`)
+ */
+async function runInbox(filePath) {
+  const startTime = Date.now();
+  const { statePath } = getState();
+  
+  let output;
+  let exitCode;
+  
+  try {
+    if (!filePath) {
+      throw new Error('Inbox file is required (use - for stdin)');
+    }
+    const inputs = readInbox(filePath);
+    
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    process.once('SIGTERM', cancel);
+    process.once('SIGINT', cancel);
+    
+    let result;
+    try {
+      const kernel = require('../core/kernel');
+      result = await kernel.activateInbox({
+        inputs,
+        specialty: options.specialty,
+        debug: options.debug,
+        statePath: options.state,
+        botId: options.bot,
+        signal: controller.signal,
+        limit: options.limit
+      });
+    } finally {
+      process.removeListener('SIGTERM', cancel);
+      process.removeListener('SIGINT', cancel);
+    }
+    
+    output = {
+      ok: result.ok,
+      botId: options.bot,
+      count: result.requests.length,
+      requests: result.requests.map(r => ({
+        id: r.id,
+        input: r.input,
+        ok: r.ok,
+        status: r.status,
+        domain: r.domain,
+        response: r.response,
+        tasks: r.tasks,
+        reused: r.reused,
+        deferred: r.deferred
+      })),
+      priorities: result.priorities || [],
+      merged: result.merged || [],
+      timingMs: Date.now() - startTime,
+      statePath,
+      errors: result.errors
+    };
+    if (result.cancelled) {
+      output.cancelled = true;
+    }
+    
+    exitCode = result.cancelled ? 3 : (result.ok ? 0 : 1);
+    
+  } catch (error) {
+    output = {
+      ok: false,
+      botId: options.bot,
+      count: 0,
+      requests: [],
+      timingMs: Date.now() - startTime,
+      statePath,
+      errors: [error.message]
+    };
+    exitCode = 2;
+  }
+  
+  safeWriteStdout(output, { taskName: 'inbox', validateResponse: false });
+  process.exit(exitCode);
+}
+
+/**
+ * Adopted policy (from --config, default <repo>/config), or the --policy file when asked
+ */
+function loadPolicy(useFile = false) {
+  const { PolicyEngine } = require('../meta/policy');
+  if (useFile && options.policy) return PolicyEngine.fromFile(options.policy);
+  return options.config ? PolicyEngine.load(options.config) : PolicyEngine.load();
+}
+
+/**
+ * Step-skipping policies (`alive policy [show|explain|dry-run|adopt]`)
+ */
+async function managePolicy(action = 'show', arg = null) {
+  try {
+    const { PolicyEngine } = require('../meta/policy');
+    const ALIVEKernel = require('../core/kernel');
+    let output;
+    
+    // Kernel only plans steps here; keep its logs off stdout
+    const originalLog = console.log;
+    if (!options.debug) console.log = () => {};
+    try {
+      if (action === 'show') {
+        const policy = loadPolicy(true);
+        output = { ok: true, botId: options.bot, policy: policy.summary(), document: policy.policy, errors: [] };
+        
+      } else if (action === 'explain') {
+        if (!arg) throw new Error('Query is required: alive policy explain "<query>"');
+        const kernel = new ALIVEKernel();
+        await kernel.loadDomains();
+        const explained = await kernel.explainPolicy(arg, {
+          policy: loadPolicy(true),
+          context: { specialty: options.specialty }
+        });
+        output = { ok: true, botId: options.bot, ...explained, errors: [] };
+        
+      } else if (action === 'dry-run') {
+        const file = arg || options.policy;
+        if (!file) throw new Error('Policy file is required: alive policy dry-run <file> [--last N]');
+        // Runs logged under the --state directory
+        const kernel = new ALIVEKernel({ statePath: options.state });
+        await kernel.loadDomains();
+        const report = await kernel.dryRunPolicy(PolicyEngine.fromFile(file), {
+          current: loadPolicy(),
+          last: options.last
+        });
+        output = { ok: true, botId: options.bot, last: options.last, ...report, errors: [] };
+        
+      } else if (action === 'adopt') {
+        const file = arg || options.policy;
+        if (!file) throw new Error('Policy file is required: alive policy adopt <file>');
+        const adopted = options.config
+          ? PolicyEngine.adopt(PolicyEngine.fromFile(file), options.config)
+          : PolicyEngine.adopt(PolicyEngine.fromFile(file));
+        output = { ok: true, botId: options.bot, ...adopted, errors: [] };
+        
+      } else {
+        throw new Error(`Unknown policy action: ${action} (expected show, explain, dry-run or adopt)`);
+      }
+    } finally {
+      console.log = originalLog;
+    }
+    
+    safeWriteStdout(output, { taskName: 'policy', validateResponse: false });
+    process.exit(0);
+    
+  } catch (error) {
+    const output = {
+      ok: false,
+      botId: options.bot,
+      errors: error.problems && error.problems.length ? error.problems : [error.message]
+    };
+    
+    safeWriteStdout(output, { taskName: 'policy-error', validateResponse: false });
+    process.exit(2);
+  }
+}
+
+/**
+ * List or clear deferred tasks (`alive deferred [list|clear [id]]`)
+ */
+async function manageDeferred(action = 'list', id = null) {
+  try {
+    const DeferredQueue = require('../memory/deferred');
+    const queue = new DeferredQueue(options.state, options.bot);
+    queue.load();
+    
+    let output;
+    if (action === 'list') {
+      output = {
+        ok: true,
+        botId: options.bot,
+        count: queue.size(),
+        deferred: queue.list().map(entry => ({
+          id: entry.id,
+          action: entry.task.action,
+          type: entry.task.type,
+          input: entry.input,
+          assessment: entry.assessment,
+          deferredAt: entry.deferredAt,
+          ageMs: entry.ageMs,
+          attempts: entry.attempts
+        })),
+        errors: []
+      };
+    } else if (action === 'clear') {
+      const cleared = id ? (queue.remove(id) ? 1 : 0) : queue.clear();
+      queue.save();
+      output = {
+        ok: true,
+        botId: options.bot,
+        cleared,
+        remaining: queue.size(),
+        errors: []
+      };
+    } else {
+      output = {
+        ok: false,
+        botId: options.bot,
+        errors: [`Unknown deferred action: ${action} (expected list or clear)`]
+      };
+      safeWriteStdout(output, { taskName: 'deferred-error', validateResponse: false });
+      process.exit(2);
+    }
+    
+    safeWriteStdout(output, { taskName: 'deferred', validateResponse: false });
+    process.exit(0);
+    
+  } catch (error) {
+    const output = {
+      ok: false,
+      botId: options.bot,
+      errors: [error.message]
+    };
+    
+    safeWriteStdout(output, { taskName: 'deferred-error', validateResponse: false });
+    process.exit(2);
+  }
+}
+
+/**
+ * Import recipe files into the bot's long-term memory, list its recipes, or
+ * export one (or a comparison) to a file
+ * (`alive recipes import <path>` / `alive recipes [list]` / `alive recipes export <name>`)
+ */
+async function manageRecipes(action = 'list', target = null) {
+  try {
+    const MemoryPersistence = require('../memory/persistence');
+    const StreamMemory = require('../memory/stream');
+    const WorkingMemory = require('../memory/working');
+    const LongTermMemory = require('../memory/longterm');
+    const persistence = new MemoryPersistence(options.state, options.bot);
+    const tiers = { stream: new StreamMemory(), working: new WorkingMemory(), longTerm: new LongTermMemory() };
+    persistence.load(tiers);
+    
+    let output;
+    if (action === 'import') {
+      if (!target) {
+        output = { ok: false, botId: options.bot, errors: ['Usage: alive recipes import <path>'] };
+        safeWriteStdout(output, { taskName: 'recipes-error', validateResponse: false });
+        process.exit(1);
+      }
+      const RecipeImporter = require('../core/recipe-import');
+      let summary;
+      try {
+        summary = new RecipeImporter().importPath(path.resolve(target), tiers.longTerm);
+      } catch (error) {
+        output = { ok: false, botId: options.bot, path: target, errors: [error.message] };
+        safeWriteStdout(output, { taskName: 'recipes-error', validateResponse: false });
+        process.exit(1);
+      }
+      if (summary.imported.length > 0 || summary.updated.length > 0) {
+        persistence.save(tiers);
+      }
+      output = {
+        ok: true,
+        botId: options.bot,
+        path: target,
+        ...summary,
+        errors: []
+      };
+    } else if (action === 'export') {
+      const RecipeExporter = require('../core/recipe-export');
+      const format = options.format || 'markdown';
+      const fail = (message) => {
+        output = { ok: false, botId: options.bot, errors: [message] };
+        safeWriteStdout(output, { taskName: 'recipes-error', validateResponse: false });
+        process.exit(1);
+      };
+      if (!RecipeExporter.FORMATS.includes(format)) {
+        fail(`Unknown export format: ${format} (expected ${RecipeExporter.FORMATS.join(', ')})`);
+      }
+      
+      const exporter = new RecipeExporter();
+      const recipes = tiers.longTerm.getRecipes();
+      let document;
+      if (options.compare) {
+        // Recipes named like the target (all of them without one), at most 5 as in a comparison run
+        const words = target ? target.toLowerCase().split(/\s+/).map(w => w.replace(/s$/, '')) : [];
+        const compared = recipes
+          .filter(r => words.length === 0 || words.some(w => String(r.name || '').toLowerCase().includes(w)))
+          .slice(0, 5);
+        if (compared.length < 2) {
+          fail(`Need at least 2 stored recipes to compare${target ? ` matching "${target}"` : ''} (found ${compared.length})`);
+        }
+        document = exporter.comparison(compared);
+      } else {
+        if (!target) fail('Usage: alive recipes export <name|id> [--scale <factor|"to 12 servings">] [--format jsonld|markdown|html] [--out <file>]');
+        const recipe = recipes.find(r => r.id === target) || exporter.scaler.find(target, recipes);
+        if (!recipe) fail(`No stored recipe named "${target}"`);
+        try {
+          document = exporter.recipe(recipe, { scale: options.scale });
+        } catch (error) {
+          fail(error.message);
+        }
+      }
+      
+      const file = path.resolve(options.out || path.join(options.state, 'exports', RecipeExporter.fileName(document, format)));
+      output = {
+        ok: true,
+        botId: options.bot,
+        kind: document.kind,
+        title: document.title,
+        ...exporter.write(document, format, file),
+        errors: []
+      };
+    } else if (action === 'list') {
+      const recipes = tiers.longTerm.getRecipes();
+      output = {
+        ok: true,
+        botId: options.bot,
+        count: recipes.length,
+        recipes: recipes.map(recipe => ({
+          id: recipe.id,
+          name: recipe.name || null,
+          servings: recipe.servings || null,
+          ingredients: (recipe.ingredients || []).length,
+          source: recipe.source || null
+        })),
+        errors: []
+      };
+    } else {
+      output = {
+        ok: false,
+        botId: options.bot,
+        errors: [`Unknown recipes action: ${action} (expected list, import or export)`]
+      };
+      safeWriteStdout(output, { taskName: 'recipes-error', validateResponse: false });
+      process.exit(2);
+    }
+    
+    safeWriteStdout(output, { taskName: 'recipes', validateResponse: false });
+    process.exit(0);
+    
+  } catch (error) {
+    const output = {
+      ok: false,
+      botId: options.bot,
+      errors: [error.message]
+    };
+    
+    safeWriteStdout(output, { taskName: 'recipes-error', validateResponse: false });
+    process.exit(2);
+  }
+}
+
+/**
+ * Calibration report: predicted confidence vs observed success in the runlog
+ */
+async function showCalibration() {
+  try {
+    const { MetaLoop } = require('../meta/MetaLoop');
+    const { ConfidenceModel } = require('../meta/calibration');
+    // The runlog the runs wrote: next to the --state directory
+    const meta = new MetaLoop({ dataDir: options.state });
+    const report = new ConfidenceModel(meta).report();
+    
+    const output = {
+      ok: true,
+      botId: options.bot,
+      runlogPath: meta.runlogPath,
+      ...report,
+      errors: []
+    };
+    
+    safeWriteStdout(output, { taskName: 'calibration', validateResponse: false });
+    process.exit(0);
+    
+  } catch (error) {
+    const output = {
+      ok: false,
+      botId: options.bot,
+      errors: [error.message]
+    };
+    
+    safeWriteStdout(output, { taskName: 'calibration-error', validateResponse: false });
+    process.exit(2);
+  }
+}
+
 /**
  * Show help
  */
@@ -333,8 +999,20 @@ Usage: alive <command> [options]
 
 Commands:
   run "<taskText>"    Execute a task through ALIVE kernel
+  run --answer <taskId> "<answer>"  Answer a run's clarification questions and continue it
+  inbox <file>        Triage a batch of requests together (JSON array or one per line; - for stdin)
   status              Show organism status
-  stop                Stop the organism (idempotent)
+  stop                Stop the organism and cancel a run in progress (idempotent)
+  calibration         Compare predicted confidence with observed success
+  deferred [list]     List tasks deferred for a later run, with their age
+  deferred clear [id] Clear all deferred tasks (or one by id)
+  recipes [list]      List the recipes in long-term memory
+  recipes import <path> Import recipes from a file or directory (JSON-LD, Markdown, text)
+  recipes export <name> Export a recipe, scaled (--scale) or compared (--compare)
+  policy [show]       Show the adopted step-skipping policy (or --policy <file>)
+  policy explain "<q>" Which steps the policy would skip for a query, and why
+  policy dry-run <file> Compare a policy with the adopted one over the last --last N runs
+  policy adopt <file> Adopt a newer policy version (the old one is archived)
   help                Show this help message
 
 Options:
@@ -344,6 +1022,19 @@ Options:
   --json              Force JSON output (default)
   --no-json           Disable JSON output
   --debug             Enable debug output
+  --trace             Include structured decision trace in run output
+  --save-trace        Also write trace to <state>/traces/<taskId>.json
+  --limit <n>         Task slots shared by an inbox batch (default: 6)
+  --policy <file>     Policy document for policy show/explain
+  --last <n>          Runlog entries for policy dry-run (default: 20)
+  --config <path>     Policy directory (default: <repo>/config)
+  --answer <taskId>   Answer the clarification a run asked for (with run)
+  --format <name>     Compose the run response as markdown, plain or json
+                      (playbook outline when one matches; default: raw result)
+                      With recipes export: jsonld, markdown or html (default: markdown)
+  --out <file>        File recipes export writes (default: <state>/exports/<name>)
+  --scale <request>   Scale the exported recipe ("2", "to 12 servings", "to a 9x13 pan")
+  --compare           Export a comparison of the recipes named (or all, at most 5)
 
 Contract JSON Output:
   All commands return JSON with exact contract-compliant keys.
@@ -414,10 +1105,14 @@ async function handleLegacyCommands() {
     // Handle contract commands
     switch (command) {
       case 'run':
-        const taskText = args[1];
+        const taskText = positional[0];
         await runTask(taskText);
         break;
         
+      case 'inbox':
+        await runInbox(args[1]);
+        break;
+        
       case 'status':
         await showStatus();
         break;
@@ -426,6 +1121,25 @@ async function handleLegacyCommands() {
         await stopOrganism();
         break;
         
+      case 'calibration':
+        await showCalibration();
+        break;
+        
+      case 'policy':
+        await managePolicy(args[1] && !args[1].startsWith('--') ? args[1] : 'show',
+          args[2] && !args[2].startsWith('--') ? args[2] : null);
+        break;
+        
+      case 'deferred':
+        await manageDeferred(args[1] && !args[1].startsWith('--') ? args[1] : 'list',
+          args[2] && !args[2].startsWith('--') ? args[2] : null);
+        break;
+        
+      case 'recipes':
+        // Recipe names may be several words: "alive recipes export Fudgy Brownies"
+        await manageRecipes(positional[0] || 'list', positional.slice(1).join(' ') || null);
+        break;
+        
       case 'help':
       case '--help':
       case '-h':
@@ -437,7 +1151,7 @@ async function handleLegacyCommands() {
           ok: false,
           botId: options.bot,
           error: `Unknown command: ${command || '(none)'}`,
-          available_commands: ['run', 'status', 'stop', 'help'],
+          available_commands: ['run', 'inbox', 'status', 'stop', 'calibration', 'deferred', 'recipes', 'policy', 'help'],
           errors: [`Unknown command: ${command || '(none)'}`]
         };
         safeWriteStdout(output, { taskName: 'unknown-command', validateResponse: false });
@@ -1,52 +1,65 @@
 // Assessor - Evaluate urgency, stakes, difficulty, precision
 // Outputs: urgency (NOW/SOON/LATER), stakes (low/medium/high), 
 //          difficulty (easy/moderate/hard/critical), precision (strict/flexible)
+// Urgency and stakes are scored with the routed domain's lexicon (core/lexicon.js)
+// in the input's language (core/language.js: English, Spanish, German)
+
+const Lexicons = require('./lexicon');
+const Languages = require('./language');
+const ConversionEngine = require('./conversion');
 
 class Assessor {
-    constructor() {
-        this.urgencyKeywords = {
-            NOW: ['urgent', 'immediately', 'now', 'asap', 'emergency', 'critical', 'burning'],
-            SOON: ['soon', 'shortly', 'quick', 'fast', 'today', 'need'],
-            LATER: ['later', 'eventually', 'sometime', 'when', 'maybe', 'consider']
-        };
-        
-        this.stakesKeywords = {
-            high: ['important', 'critical', 'must', 'essential', 'crucial', 'vital', 'safety', 'health'],
-            medium: ['should', 'would', 'prefer', 'better', 'want'],
-            low: ['optional', 'nice', 'could', 'might', 'curious']
-        };
+    /**
+     * options.lexicons: Lexicons registry (default: the ones in core/lexicons/)
+     * options.languages: Languages registry (default: the packs in core/languages/)
+     */
+    constructor(options = {}) {
+        // Urgency / stakes / time-sensitive wording per domain (core/lexicon.js)
+        this.lexicons = options.lexicons || Lexicons.withDefaults();
+        // Language detection and classification keywords (core/language.js)
+        this.languages = options.languages || Languages.shared();
+        // Whether a request names an amount and a target unit (core/conversion.js)
+        this.conversions = options.conversions || new ConversionEngine();
     }
 
     /**
      * Main assessment function
+     * options: { signal, domain (lexicon to score with; default the built-in cooking domain) }
      */
-    async evaluate(streamEntry, memory) {
+    async evaluate(streamEntry, memory, options = {}) {
+        options.signal?.throwIfAborted();
+        
         const input = streamEntry.input;
         const context = streamEntry.context || {};
+        const language = this.languages.detect(input).language;
+        const match = this.lexicons.match(input, options.domain || 'cooking', language);
         
         const assessment = {
-            urgency: this.assessUrgency(input, context, memory),
-            stakes: this.assessStakes(input, context, memory),
+            urgency: this.assessUrgency(input, context, memory, match),
+            stakes: this.assessStakes(input, context, memory, match),
             difficulty: this.assessDifficulty(input, context, memory),
             precision: this.assessPrecision(input, context, memory),
-            inputType: this.classifyInput(input),
+            inputType: this.classifyInput(input, language),
+            language,
+            lexicon: { domain: match.domain, matched: match.matched, negated: match.negated },
             timestamp: Date.now()
         };
         
         // Add reasoning
-        assessment.reasoning = this.generateReasoning(assessment, input);
+        assessment.reasoning = this.generateReasoning(assessment, input, match);
         
         return assessment;
     }
 
     /**
      * Assess urgency: NOW / SOON / LATER
+     * match: lexicon match for the input (see Lexicons.match)
      */
-    assessUrgency(input, context, memory) {
-        const inputStr = String(input).toLowerCase();
+    assessUrgency(input, context, memory, match = this.lexicons.match(input, 'cooking')) {
+        const urgency = match.scores.urgency;
         
         // Check for explicit urgency indicators
-        if (this.containsKeywords(inputStr, this.urgencyKeywords.NOW)) {
+        if (Lexicons.applies(urgency.NOW)) {
             return 'NOW';
         }
         
@@ -61,13 +74,13 @@ class Assessor {
             return 'NOW';
         }
         
-        // Check for time-sensitive cooking terms
-        if (this.isTimeSensitive(inputStr)) {
+        // Check for time-sensitive terms (e.g. food on the stove)
+        if (Lexicons.applies(match.scores.timeSensitive)) {
             return 'NOW';
         }
         
         // SOON indicators
-        if (this.containsKeywords(inputStr, this.urgencyKeywords.SOON)) {
+        if (Lexicons.applies(urgency.SOON)) {
             return 'SOON';
         }
         
@@ -77,38 +90,23 @@ class Assessor {
 
     /**
      * Assess stakes: low / medium / high
+     * Safety, allergy and comparison wording for cooking lives in core/lexicons/cooking.json
      */
-    assessStakes(input, context, memory) {
-        const inputStr = String(input).toLowerCase();
+    assessStakes(input, context, memory, match = this.lexicons.match(input, 'cooking')) {
+        const stakes = match.scores.stakes;
         
         // High stakes indicators
-        if (this.containsKeywords(inputStr, this.stakesKeywords.high)) {
-            return 'high';
-        }
-        
-        // Safety-related is high stakes
-        if (inputStr.includes('safe') || inputStr.includes('temperature') || 
-            inputStr.includes('food safety') || inputStr.includes('poison')) {
-            return 'high';
-        }
-        
-        // Substitutions can be high stakes (allergies, etc.)
-        if (inputStr.includes('allerg') || inputStr.includes('intolerance')) {
+        if (Lexicons.applies(stakes.high)) {
             return 'high';
         }
         
         // Medium stakes indicators
-        if (this.containsKeywords(inputStr, this.stakesKeywords.medium)) {
-            return 'medium';
-        }
-        
-        // Recipe comparison is medium stakes
-        if (inputStr.includes('compare')) {
+        if (Lexicons.applies(stakes.medium)) {
             return 'medium';
         }
         
         // Low stakes (exploration, curiosity)
-        if (this.containsKeywords(inputStr, this.stakesKeywords.low)) {
+        if (Lexicons.applies(stakes.low)) {
             return 'low';
         }
         
@@ -165,13 +163,13 @@ class Assessor {
         const inputStr = String(input).toLowerCase();
         
         // Strict mode for:
-        // - Conversions (exact math)
         // - Safety/temperature queries
         // - Schema/form filling
         // - Explicit "exact" requests
+        // (a plain conversion is not: a cook measures the rounded amount)
         
         if (inputStr.includes('exact') || inputStr.includes('precise') || 
-            inputStr.includes('convert') || inputStr.includes('temperature') ||
+            inputStr.includes('temperature') ||
             inputStr.includes('safe') || inputStr.includes('must')) {
             return 'strict';
         }
@@ -199,38 +197,37 @@ class Assessor {
 
     /**
      * Classify input type
+     * Keywords come from the language pack (English keywords always apply)
      */
-    classifyInput(input) {
-        const inputStr = String(input).toLowerCase();
-        
-        if (inputStr.includes('recipe')) {
-            if (inputStr.includes('add') || inputStr.includes('save')) return 'recipe_add';
-            if (inputStr.includes('search') || inputStr.includes('find')) return 'recipe_search';
-            if (inputStr.includes('compare')) return 'recipe_compare';
+    classifyInput(input, language = this.languages.detect(input).language) {
+        const has = (concept) => this.languages.hasKeyword(input, concept, language);
+        
+        // "scale the brownie recipe to 12 servings" is about scaling, not the recipe;
+        // "convert 100 g flour to cups with a kitchen scale" names an amount and a
+        // target unit, so it is classified like any other conversion below
+        if (has('scale') && !this.conversions.parse(input)) return 'scale';
+        
+        if (has('recipe')) {
+            if (has('add')) return 'recipe_add';
+            if (has('search')) return 'recipe_search';
+            if (has('compare')) return 'recipe_compare';
             return 'recipe';
         }
         
-        if (inputStr.includes('compare')) return 'compare';
-        if (inputStr.includes('substitute') || inputStr.includes('replace')) return 'substitute';
-        if (inputStr.includes('convert')) return 'conversion';
-        if (inputStr.includes('shop') || inputStr.includes('list')) return 'shopping';
-        if (inputStr.includes('plan')) return 'planning';
+        if (has('compare')) return 'compare';
+        if (has('substitute')) return 'substitute';
+        if (has('convert')) return 'conversion';
+        if (has('shopping')) return 'shopping';
+        if (has('plan')) return 'planning';
         
         return 'general';
     }
 
     /**
-     * Check if input is time-sensitive (cooking in progress)
+     * Check if input is time-sensitive (work in progress, e.g. cooking)
      */
-    isTimeSensitive(inputStr) {
-        const timeWords = ['boiling', 'cooking', 'burning', 'timing', 'timer', 
-                          'done', 'ready', 'overcook', 'undercook'];
-        
-        for (const word of timeWords) {
-            if (inputStr.includes(word)) return true;
-        }
-        
-        return false;
+    isTimeSensitive(inputStr, domain = 'cooking') {
+        return Lexicons.applies(this.lexicons.match(inputStr, domain).scores.timeSensitive);
     }
 
     /**
@@ -245,26 +242,40 @@ class Assessor {
 
     /**
      * Generate human-readable reasoning for assessment
+     * With a lexicon match, names the entries behind urgency and stakes
+     * and the ones a negation cancelled
      */
-    generateReasoning(assessment, input) {
+    generateReasoning(assessment, input, match = null) {
         const reasons = [];
+        const matched = (...keys) => {
+            if (!match) return '';
+            const terms = match.matched
+                .filter(m => keys.includes(m.level ? `${m.dimension}.${m.level}` : m.dimension))
+                .map(m => `"${m.term}"`);
+            return terms.length > 0 ? ` (matched ${terms.join(', ')})` : '';
+        };
         
         // Urgency reasoning
         if (assessment.urgency === 'NOW') {
-            reasons.push('Requires immediate attention');
+            reasons.push('Requires immediate attention' + matched('urgency.NOW', 'timeSensitive'));
         } else if (assessment.urgency === 'SOON') {
-            reasons.push('Should be handled promptly');
+            reasons.push('Should be handled promptly' + matched('urgency.SOON'));
         } else {
-            reasons.push('Can be planned/deferred');
+            reasons.push('Can be planned/deferred' + matched('urgency.LATER'));
         }
         
         // Stakes reasoning
         if (assessment.stakes === 'high') {
-            reasons.push('High importance - critical outcome');
+            reasons.push('High importance - critical outcome' + matched('stakes.high'));
         } else if (assessment.stakes === 'medium') {
-            reasons.push('Moderate importance');
+            reasons.push('Moderate importance' + matched('stakes.medium'));
         } else {
-            reasons.push('Low stakes - exploratory');
+            reasons.push('Low stakes - exploratory' + matched('stakes.low'));
+        }
+        
+        // Entries cancelled by a negation ("not urgent")
+        if (match && match.negated.length > 0) {
+            reasons.push('Negated: ' + match.negated.map(m => `"${m.negatedBy} ${m.term}"`).join(', '));
         }
         
         // Difficulty reasoning
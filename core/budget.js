@@ -3,6 +3,19 @@
 // Stops "research loops" when marginal value stops changing the decision
 // If time expires: choose best reversible action and proceed
 
+/**
+ * Raised when a task is cancelled for running past its time ceiling
+ */
+class BudgetExceededError extends Error {
+    constructor(task, limit, reason = 'max_time') {
+        super(`Task ${task} cancelled after ${limit}ms (${reason})`);
+        this.name = 'BudgetExceededError';
+        this.task = task;
+        this.limit = limit;
+        this.reason = reason;
+    }
+}
+
 class BudgetGovernor {
     constructor() {
         this.defaultTimeBudget = 30000; // 30 seconds
@@ -203,6 +216,11 @@ class BudgetGovernor {
                 description: 'Use standard conversion table',
                 reversible: true
             },
+            scale: {
+                action: 'scale_linearly',
+                description: 'Multiply every quantity by the same factor',
+                reversible: true
+            },
             default: {
                 action: 'acknowledge_timeout',
                 description: 'Acknowledge request and defer to working memory',
@@ -233,6 +251,40 @@ class BudgetGovernor {
         };
     }
 
+    /**
+     * Milliseconds a task may run: its own maxTime, capped by what is left of the cutoff
+     * Returns { limit, reason } where reason names the ceiling that applies
+     */
+    getTimeLimit(taskBudget, deadline, now = Date.now()) {
+        const remaining = deadline - now;
+        if (remaining < taskBudget.maxTime) {
+            return { limit: Math.max(0, remaining), reason: 'cutoff_time' };
+        }
+        return { limit: taskBudget.maxTime, reason: 'max_time' };
+    }
+
+    /**
+     * Race a task against its time ceiling; rejects with BudgetExceededError on timeout
+     * An aborted signal rejects immediately with the signal's reason
+     */
+    enforce(taskName, work, limit, reason = 'max_time', signal = null) {
+        let timer;
+        let onAbort;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new BudgetExceededError(taskName, limit, reason)), limit);
+            if (signal) {
+                onAbort = () => reject(signal.reason);
+                if (signal.aborted) onAbort();
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+
+        return Promise.race([work, timeout]).finally(() => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        });
+    }
+
     /**
      * Track task start
      */
@@ -327,3 +379,4 @@ class BudgetGovernor {
 }
 
 module.exports = BudgetGovernor;
+module.exports.BudgetExceededError = BudgetExceededError;
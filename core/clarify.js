@@ -0,0 +1,231 @@
+// Clarifier - Ask for what an underspecified request is missing
+// Runs after assessment for built-in (cooking) inputs. A substitution with no
+// ingredient, a conversion with no amount or unit, a bare quantity with no
+// request ("2 cups flour") or a follow-up the previous subject cannot answer
+// ("make it vegan" after a substitution) gets questions instead of an answer. The kernel keeps
+// the pending clarification in working memory until an answer fills the
+// missing slots (resolve) and the completed request runs.
+//
+// Clarification: { taskId, inputType, reason, input, slots, missing: [slot],
+//                  questions: [{ slot, question, options }] }
+
+const Executor = require('./executor');
+const Languages = require('./language');
+
+// Words that introduce the target unit ("2 cups to ml", "2 tazas a ml")
+const TARGET_CONNECTORS = ['to', 'in', 'into', 'a', 'en', 'auf', 'nach', 'zu'];
+
+// Requests a bare quantity can be turned into
+const ACTIONS = {
+    convert: 'convert',
+    substitute: 'substitute for',
+    search: 'find recipes with',
+    shopping: 'shopping list for'
+};
+
+class Clarifier {
+    constructor(options = {}) {
+        this.languages = options.languages || Languages.shared();
+    }
+
+    /**
+     * Clarification needed for a request, or null when it can run
+     * memory: { working, followUp } - slots already known (e.g. the ingredient) count;
+     * followUp: the FollowUpResolver result for the turn
+     */
+    check(input, assessment, memory = {}) {
+        const working = memory.working || null;
+        if (memory.followUp && memory.followUp.unresolved) {
+            return this.checkFollowUp(input, memory.followUp);
+        }
+
+        switch (assessment.inputType) {
+            case 'substitute':
+                return this.checkSubstitution(input, working);
+            case 'conversion':
+                return this.checkConversion(input);
+            case 'general':
+                return this.checkQuantity(input);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Substitution needs the ingredient to replace
+     */
+    checkSubstitution(input, working) {
+        const ingredient = (working && working.get('ingredient')) || Executor.ingredientFromInput(input);
+        if (ingredient) return null;
+
+        return this.build('substitute', 'missing_ingredient', input, {}, [
+            { slot: 'ingredient', question: 'Which ingredient do you want to substitute?', options: [] }
+        ]);
+    }
+
+    /**
+     * A diet follow-up about a subject without ingredients ("make it vegan"
+     * after "substitute for butter"): ask which ingredient to replace
+     * (answered like a substitution)
+     */
+    checkFollowUp(input, followUp) {
+        const { diet } = followUp.unresolved;
+        const subject = followUp.subject;
+        return this.build('substitute', 'no_ingredients_to_change', input, {}, [{
+            slot: 'ingredient',
+            question: `${subject.name} has no ingredient list to make ${diet}. Which ingredient do you want to replace?`,
+            options: subject.type === 'substitution' ? [subject.name] : []
+        }]);
+    }
+
+    /**
+     * Conversion needs an amount, the unit it is in and the unit to convert to
+     */
+    checkConversion(input) {
+        if (Executor.parseConversion(input)) return null;
+
+        const slots = this.conversionSlots(input);
+        const questions = this.conversionQuestions(slots);
+        if (questions.length === 0) return null;
+
+        const reason = questions.some(q => q.slot !== 'value') ? 'missing_unit' : 'missing_amount';
+        return this.build('conversion', reason, input, slots, questions);
+    }
+
+    /**
+     * A quantity with no request ("2 cups flour"): ask what to do with it
+     */
+    checkQuantity(input) {
+        const slots = this.conversionSlots(input);
+        if (slots.value === undefined || !slots.fromUnit) return null;
+
+        return this.build('general', 'missing_request', input, {}, [{
+            slot: 'action',
+            question: `What would you like to do with "${String(input).trim()}"?`,
+            options: Object.keys(ACTIONS)
+        }]);
+    }
+
+    /**
+     * Amount and units named in a conversion request (those found only)
+     */
+    conversionSlots(input) {
+        const words = String(input).toLowerCase().match(/\d+(?:[.,]\d+)?|[\p{L}]+/gu) || [];
+        const slots = {};
+
+        words.forEach((word, i) => {
+            if (/^\d/.test(word)) {
+                if (slots.value === undefined) slots.value = parseFloat(word.replace(',', '.'));
+                return;
+            }
+            const unit = Executor.unitFromWord(word, slots.fromUnit ? Executor.unitType(slots.fromUnit) : null);
+            // Single letters ('c', 'l', 'g') only count right after an amount
+            if (!unit || (word.length === 1 && !/^\d/.test(words[i - 1] || ''))) return;
+
+            // "to ml" names the target; otherwise the first unit is the one converted from
+            // ('a' is also the English article: it connects only after an amount)
+            const connector = words[i - 1];
+            const connects = TARGET_CONNECTORS.includes(connector) && (connector !== 'a' || slots.value !== undefined);
+            if (connects || slots.fromUnit) {
+                slots.targetUnit = slots.targetUnit || unit;
+            } else {
+                slots.fromUnit = unit;
+            }
+        });
+
+        return slots;
+    }
+
+    /**
+     * Questions for the conversion slots still missing
+     */
+    conversionQuestions(slots) {
+        const questions = [];
+        const from = slots.fromUnit;
+
+        if (slots.value === undefined) {
+            questions.push({ slot: 'value', question: from ? `What amount (in ${from}) do you want to convert?` : 'What amount do you want to convert?', options: [] });
+        }
+        if (!from) {
+            questions.push({ slot: 'fromUnit', question: 'Which unit is the amount in?', options: Executor.conversionUnits() });
+        }
+        if (!slots.targetUnit) {
+            const type = from ? Executor.unitType(from) : null;
+            const amount = slots.value !== undefined ? `${slots.value} ${from || ''}`.trim() : from || 'it';
+            questions.push({
+                slot: 'targetUnit',
+                question: `Which unit should ${amount} be converted to?`,
+                options: Executor.conversionUnits(type).filter(unit => unit !== from)
+            });
+        }
+
+        return questions;
+    }
+
+    /**
+     * Fill a pending clarification's slots from an answer
+     * Returns { input (the completed request), slots, missing }
+     * missing lists slots the answer did not fill; input is then the best
+     * request so far and running it asks again
+     */
+    resolve(pending, answer) {
+        const text = String(answer || '').trim().replace(/[?!.]+$/, '');
+
+        switch (pending.inputType) {
+            case 'substitute': {
+                const ingredient = Executor.ingredientFromInput(`substitute ${text}`) ||
+                    text.toLowerCase().replace(/^(?:(?:for|the)\s+)+/, '').trim();
+                return ingredient
+                    ? { input: `substitute for ${ingredient}`, slots: { ingredient }, missing: [] }
+                    : { input: pending.input, slots: {}, missing: ['ingredient'] };
+            }
+
+            case 'conversion': {
+                const slots = { ...pending.slots };
+                const answered = this.conversionSlots(text);
+                const bareUnit = Executor.unitFromWord(text, Executor.unitType(slots.fromUnit));
+
+                for (const slot of pending.missing) {
+                    if (slot === 'value' && answered.value !== undefined) slots.value = answered.value;
+                    if (slot === 'fromUnit' && answered.fromUnit) slots.fromUnit = answered.fromUnit;
+                    if (slot === 'targetUnit') {
+                        const unit = pending.missing.includes('fromUnit') ? answered.targetUnit : (answered.targetUnit || answered.fromUnit || bareUnit);
+                        if (unit) slots.targetUnit = unit;
+                    }
+                }
+                const missing = ['value', 'fromUnit', 'targetUnit'].filter(slot => slots[slot] === undefined);
+                const input = missing.length === 0
+                    ? `convert ${slots.value} ${slots.fromUnit} to ${slots.targetUnit}`
+                    : pending.input;
+                return { input, slots, missing };
+            }
+
+            case 'general': {
+                const language = this.languages.detect(text).language;
+                const action = Object.keys(ACTIONS).find(a => this.languages.hasKeyword(text, a, language));
+                return action
+                    ? { input: `${ACTIONS[action]} ${pending.input}`, slots: { action }, missing: [] }
+                    : { input: pending.input, slots: {}, missing: ['action'] };
+            }
+
+            default:
+                return { input: pending.input, slots: {}, missing: [] };
+        }
+    }
+
+    /**
+     * Clarification record (the kernel adds taskId)
+     */
+    build(inputType, reason, input, slots, questions) {
+        return {
+            inputType,
+            reason,
+            input: String(input),
+            slots,
+            missing: questions.map(q => q.slot),
+            questions
+        };
+    }
+}
+
+module.exports = Clarifier;
@@ -0,0 +1,278 @@
+// ResponseComposer - Render executor results as a response
+// An active playbook's outline (MetaLoop playbookMatch.responseOutline) names
+// the sections; each section is filled from the task results it is about
+// (SECTION_SOURCES matches the section title). With no playbook every
+// response gets the same fallback layout: Summary, Details, Notes.
+// Rendered as markdown, plain text or a JSON document.
+//
+// Document: { title, layout: 'playbook' | 'fallback', playbook: { id, prefix } | null,
+//             summary, sections: [{ title, items: [string], tasks: [action] }] }
+
+const IngredientParser = require('./ingredients');
+
+const FORMATS = ['markdown', 'plain', 'json'];
+const FALLBACK_OUTLINE = ['Summary', 'Details'];
+
+// Section title keywords → the task results that fill the section (first match wins)
+// summary: the section also shows the summary line
+const SECTION_SOURCES = [
+    { match: /recommend|choice|verdict|answer|summary|conclusion/, tasks: ['rank_by_risk', 'calculate', 'generate_list'], summary: true },
+    { match: /scal|serving|batch|yield/, tasks: ['scale_quantities', 'find_recipe'] },
+    { match: /bake|oven|time|pan/, tasks: ['adjust_bake_time'] },
+    { match: /candidate|recipe|result|found|option/, tasks: ['rank_results', 'gather_recipes', 'search_local'] },
+    { match: /ingredient|core|common|role|function/, tasks: ['extract_core', 'identify_function', 'extract_ingredients'] },
+    { match: /method|difference|variation|style/, tasks: ['identify_variations', 'detect_bloat', 'format_comparison'] },
+    { match: /bloat|step|simplif|trim/, tasks: ['detect_bloat'] },
+    { match: /substitut|alternative|swap/, tasks: ['rank_by_risk', 'find_substitutes'] },
+    { match: /conversion|amount|unit|measure/, tasks: ['calculate', 'parse_conversion', 'lookup_table'] },
+    { match: /shopping|buy|list|pantry/, tasks: ['generate_list', 'check_pantry', 'extract_ingredients'] },
+    { match: /valid|check|safety/, tasks: ['validate_recipe', 'validate'] }
+];
+
+/**
+ * Short text for a value (names of records, key: value for small objects)
+ */
+function textOf(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object') return String(value);
+    if (Array.isArray(value)) return value.map(textOf).filter(Boolean).join(', ');
+    if (value.name) return String(value.name);
+    return Object.entries(value)
+        .filter(([, v]) => v !== null && v !== undefined && typeof v !== 'function')
+        .map(([k, v]) => `${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`)
+        .join(', ');
+}
+
+/**
+ * Round for display (at most 2 decimals)
+ */
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+// Items shown for a task's result, by action (others use textOf)
+const TASK_ITEMS = {
+    gather_recipes: (r) => r.map(recipe => recipe.ingredients ? `${recipe.name || 'Recipe'} (${recipe.ingredients.join(', ')})` : textOf(recipe)),
+    rank_results: (r) => TASK_ITEMS.gather_recipes(r),
+    search_local: (r) => TASK_ITEMS.gather_recipes(r),
+    extract_core: (r) => r.ingredients && r.ingredients.length > 0
+        ? [`Common to all ${r.count} recipes: ${r.ingredients.join(', ')}`]
+        : [],
+    identify_variations: (r) => r.map(v => `${v.recipe}: adds ${v.uniqueIngredients.join(', ')}`),
+    detect_bloat: (r) => r.map(b => `${b.recipe}: ${b.bloatSteps.length} optional step(s) (${b.severity})`),
+    format_comparison: (r) => r.document
+        ? r.document.rows.map(row => `${row.ingredient}: ${row.amounts.map(a => a === null ? '—' : a).join(' / ')}`)
+        : [],
+    find_substitutes: (r) => r.map(s => `${s.name} - ratio ${s.ratio}, ${s.risk} risk`),
+    rank_by_risk: (r) => r.ranked.map((s, i) => `${s.name} - ratio ${s.ratio}, ${s.risk} risk${i === 0 ? ' (recommended)' : ''}`),
+    identify_function: (r) => [`Role: ${r.join(', ')}`],
+    parse_conversion: (r) => r.value !== undefined ? [`${r.value} ${r.fromUnit} → ${r.targetUnit}`] : [],
+    lookup_table: (r) => Object.entries(r).filter(([, v]) => typeof v !== 'function').map(([k, v]) => `${k} = ${v}`),
+    calculate: (r) => r.result !== undefined
+        ? [`${round(r.result)} ${r.unit}${r.tolerance && r.tolerance.absolute > 0 ? ` (± ${round(r.tolerance.absolute)} ${r.unit})` : ''}`]
+        : [],
+    extract_ingredients: (r) => r.items ? r.items.map(IngredientParser.format) : r.ingredients,
+    check_pantry: (r) => r.map(textOf),
+    find_recipe: (r) => r.recipe
+        ? [`${r.recipe.name || 'Recipe'}${r.recipe.servings ? ` (serves ${r.recipe.servings})` : ''}`]
+        : [`No stored recipe named "${r.request.name}"`],
+    scale_quantities: (r) => r.scaled
+        ? [
+            ...r.lines,
+            ...r.nonLinear.filter(n => n.suggested).map(n => `${n.ingredient} does not scale evenly: start with ${n.suggested} and adjust`)
+        ]
+        : [`Not scaled: ${r.reason}`],
+    adjust_bake_time: (r) => r.hints,
+    generate_list: (r) => [
+        ...r.list.map(name => {
+            const amounts = (r.items || []).filter(item => item.ingredient === name && item.quantity !== null);
+            return amounts.length > 0 ? amounts.map(item => IngredientParser.format({ ...item, notes: [] })).join(' + ') : name;
+        }),
+        ...(r.alreadyHave.length > 0 ? [`Already have: ${r.alreadyHave.join(', ')}`] : [])
+    ],
+    process_general: () => []
+};
+
+class ResponseComposer {
+    /**
+     * Whether a format name is supported
+     */
+    static isFormat(format) {
+        return FORMATS.includes(format);
+    }
+
+    /**
+     * Compose and render in one step
+     * options: { input, executed (Executor.run result), playbook (MetaLoop playbookMatch) }
+     */
+    render(options, format = 'markdown') {
+        return this.format(this.compose(options), format);
+    }
+
+    /**
+     * Document for a run: outline sections filled from task results
+     */
+    compose({ input, executed, playbook = null }) {
+        const results = executed && Array.isArray(executed.results) ? executed.results : [];
+        const done = results.filter(r => r.success && !r.skipped);
+        const summary = this.summarize(input, done, executed);
+        const outline = playbook && Array.isArray(playbook.responseOutline) && playbook.responseOutline.length > 0
+            ? playbook.responseOutline
+            : null;
+
+        const used = new Set();
+        const sections = [];
+        if (outline) {
+            for (const title of outline) {
+                const source = SECTION_SOURCES.find(s => s.match.test(String(title).toLowerCase()));
+                const tasks = source ? done.filter(r => source.tasks.includes(r.task) && !used.has(r.task)) : [];
+                tasks.forEach(r => used.add(r.task));
+                const items = tasks.flatMap(r => this.itemsFor(r));
+                sections.push({
+                    title: String(title),
+                    items: source && source.summary && items.length === 0 ? [summary] : items,
+                    tasks: tasks.map(r => r.task)
+                });
+            }
+        } else {
+            sections.push({ title: FALLBACK_OUTLINE[0], items: [summary], tasks: [] });
+        }
+
+        // Results no outline section took
+        const rest = done.filter(r => !used.has(r.task));
+        const details = rest.map(r => ({ task: r.task, items: this.itemsFor(r) })).filter(d => d.items.length > 0);
+        if (!outline || details.length > 0) {
+            sections.push({
+                title: FALLBACK_OUTLINE[1],
+                items: details.flatMap(d => d.items),
+                tasks: details.map(d => d.task)
+            });
+        }
+
+        const notes = this.notes(results, executed);
+        if (notes.length > 0) {
+            sections.push({ title: 'Notes', items: notes, tasks: [] });
+        }
+
+        return {
+            title: String(input || ''),
+            layout: outline ? 'playbook' : 'fallback',
+            playbook: playbook ? { id: playbook.playbookId || null, prefix: playbook.responsePrefix || null } : null,
+            summary,
+            sections
+        };
+    }
+
+    /**
+     * Display items for one task result
+     */
+    itemsFor(taskResult) {
+        const value = taskResult.result;
+        if (value === null || value === undefined) return [];
+
+        const items = TASK_ITEMS[taskResult.task];
+        try {
+            if (items) return items(value).filter(Boolean).map(String);
+        } catch (error) {
+            // Unexpected shape (e.g. a domain handler for a core action): show it as text
+        }
+        if (Array.isArray(value)) return value.map(textOf).filter(Boolean);
+        const text = textOf(value);
+        return text ? [text] : [];
+    }
+
+    /**
+     * One-line answer for the run
+     */
+    summarize(input, done, executed) {
+        const output = (task) => {
+            const r = done.find(x => x.task === task);
+            return r ? r.result : null;
+        };
+
+        const calculated = output('calculate');
+        const parsed = output('parse_conversion');
+        if (calculated && calculated.result !== undefined && parsed && parsed.value !== undefined) {
+            const amount = [parsed.value, parsed.fromUnit, parsed.ingredient].filter(x => x !== undefined).join(' ');
+            return `${amount} = ${round(calculated.result)} ${calculated.unit}`;
+        }
+
+        const ranked = output('rank_by_risk');
+        if (ranked) {
+            return ranked.recommended
+                ? `Use ${ranked.recommended.name} (ratio ${ranked.recommended.ratio}, ${ranked.recommended.risk} risk)`
+                : 'No known substitute';
+        }
+
+        const scaled = output('scale_quantities');
+        if (scaled && scaled.scaled) {
+            const change = scaled.servings ? ` (${scaled.servings.from} → ${scaled.servings.to} servings)`
+                : scaled.basis === 'pan' ? ` (${scaled.pan.from} → ${scaled.pan.to} pan)` : '';
+            return `${scaled.recipe || 'Recipe'} scaled ×${round(scaled.factor)}${change}`;
+        }
+
+        const list = output('generate_list');
+        if (list) return `${list.count} item(s) to buy`;
+
+        const gathered = output('gather_recipes');
+        if (Array.isArray(gathered)) return `${gathered.length} recipe(s) compared`;
+
+        const found = output('rank_results');
+        if (Array.isArray(found)) return `${found.length} recipe(s) found`;
+
+        if (executed && executed.cutShort) return `Partial result for: ${input}`;
+        return `Processed: ${input}`;
+    }
+
+    /**
+     * Notes on how the run went (cut short, skipped, failed, diagnostics)
+     */
+    notes(results, executed) {
+        const notes = [];
+        if (executed && executed.cutShort) {
+            notes.push(`Time budget ran out (${executed.cutShortReason || 'cutoff'}): partial result`);
+        }
+        for (const r of results) {
+            if (r.skipped) notes.push(`${r.task} skipped by policy${r.policy && r.policy.rule ? ` (${r.policy.rule})` : ''}`);
+            if (!r.success) notes.push(`${r.task} failed: ${r.error}`);
+        }
+        for (const d of (executed && executed.diagnostics) || []) {
+            notes.push(d.message);
+        }
+        return notes;
+    }
+
+    /**
+     * Render a document
+     */
+    format(doc, format = 'markdown') {
+        if (!ResponseComposer.isFormat(format)) {
+            throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+        }
+        if (format === 'json') return JSON.stringify(doc);
+
+        // Playbook layouts lead with the prefix and summary; the fallback's Summary section has it
+        const markdown = format === 'markdown';
+        const prefix = doc.playbook && doc.playbook.prefix ? doc.playbook.prefix : '';
+        const lines = [];
+        if (doc.layout === 'playbook') {
+            lines.push(markdown ? `${prefix}**${doc.summary}**` : `${prefix}${doc.summary}`);
+        } else if (prefix) {
+            lines.push(prefix.trim());
+        }
+        for (const section of doc.sections) {
+            if (lines.length > 0) lines.push('');
+            lines.push(markdown ? `## ${section.title}` : `${section.title}:`);
+            if (section.items.length === 0) {
+                lines.push(markdown ? '_Nothing to show_' : '  (none)');
+            } else {
+                lines.push(...section.items.map(item => markdown ? `- ${item}` : `  - ${item}`));
+            }
+        }
+        return lines.join('\n');
+    }
+}
+
+module.exports = ResponseComposer;
+module.exports.FORMATS = FORMATS;
+module.exports.SECTION_SOURCES = SECTION_SOURCES;
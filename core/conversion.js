@@ -0,0 +1,360 @@
+// ConversionEngine - Convert cooking amounts and temperatures
+// Volume ↔ volume and weight ↔ weight by unit definitions, volume ↔ weight
+// through the ingredient's density (DENSITIES), temperatures between °C, °F
+// and oven gas marks. HEURISTIC results are rounded to what a cook would
+// measure (ROUNDING), volume ↔ weight through the same rounded cup weights the
+// reference table shows; PRECISION results are exact, with the tolerance of the
+// conversion (density spread, gas mark width).
+//
+// Conversion: { value, fromUnit, targetUnit, type, factor, ingredient?, density? }
+// Result:     { result, unit, exact, rounded, basis: 'definition' | 'density' | 'temperature' | 'gas_mark',
+//               tolerance?: { relative, absolute }, range?: [min, max], density? }
+
+const IngredientParser = require('./ingredients');
+
+// Size in the base unit (ml for volume, g for weight); common units are offered in questions
+const UNITS = {
+    cup: { type: 'volume', value: 240, common: true },
+    tbsp: { type: 'volume', value: 15, common: true },
+    tsp: { type: 'volume', value: 5, common: true },
+    ml: { type: 'volume', value: 1, common: true },
+    l: { type: 'volume', value: 1000, common: true },
+    'fl oz': { type: 'volume', value: 29.5735295625 },
+    pt: { type: 'volume', value: 473.176473 },
+    qt: { type: 'volume', value: 946.352946 },
+    gal: { type: 'volume', value: 3785.411784 },
+    g: { type: 'weight', value: 1, common: true },
+    kg: { type: 'weight', value: 1000, common: true },
+    oz: { type: 'weight', value: 28.349523125, common: true },
+    lb: { type: 'weight', value: 453.59237, common: true },
+    C: { type: 'temperature', common: true },
+    F: { type: 'temperature', common: true },
+    'gas mark': { type: 'temperature', common: true }
+};
+
+// Temperature spellings ('c' alone is a cup unless the other side is a temperature)
+const TEMPERATURE_WORDS = {
+    C: ['°c', 'celsius', 'centigrade'],
+    F: ['f', '°f', 'fahrenheit'],
+    'gas mark': ['gas mark', 'gasmark', 'gas']
+};
+
+// Oven gas marks in °C; a mark covers about ±5 °C
+const GAS_MARKS = [
+    [0.25, 110], [0.5, 120], [1, 140], [2, 150], [3, 170], [4, 180],
+    [5, 190], [6, 200], [7, 220], [8, 230], [9, 240], [10, 260]
+];
+const GAS_MARK_TOLERANCE = 5;
+
+// Grams per ml, and how far real measures stray from it (scooped vs spooned flour,
+// packed sugar, kosher vs table salt). Longest name contained in the ingredient wins
+const DENSITIES = {
+    water: { gPerMl: 1, tolerance: 0.01 },
+    milk: { gPerMl: 1.03, tolerance: 0.02 },
+    cream: { gPerMl: 1.0, tolerance: 0.03 },
+    buttermilk: { gPerMl: 1.03, tolerance: 0.02 },
+    yogurt: { gPerMl: 1.03, tolerance: 0.05 },
+    oil: { gPerMl: 0.92, tolerance: 0.02 },
+    butter: { gPerMl: 0.96, tolerance: 0.03 },
+    honey: { gPerMl: 1.42, tolerance: 0.03 },
+    'maple syrup': { gPerMl: 1.32, tolerance: 0.03 },
+    'peanut butter': { gPerMl: 1.08, tolerance: 0.05 },
+    flour: { gPerMl: 0.53, tolerance: 0.1 },
+    'bread flour': { gPerMl: 0.55, tolerance: 0.1 },
+    'whole wheat flour': { gPerMl: 0.5, tolerance: 0.1 },
+    'almond flour': { gPerMl: 0.4, tolerance: 0.1 },
+    cornstarch: { gPerMl: 0.53, tolerance: 0.08 },
+    sugar: { gPerMl: 0.84, tolerance: 0.03 },
+    'brown sugar': { gPerMl: 0.9, tolerance: 0.08 },
+    'powdered sugar': { gPerMl: 0.5, tolerance: 0.1 },
+    'icing sugar': { gPerMl: 0.5, tolerance: 0.1 },
+    "confectioners' sugar": { gPerMl: 0.5, tolerance: 0.1 },
+    'cocoa powder': { gPerMl: 0.42, tolerance: 0.1 },
+    cocoa: { gPerMl: 0.42, tolerance: 0.1 },
+    'chocolate chips': { gPerMl: 0.71, tolerance: 0.05 },
+    oats: { gPerMl: 0.38, tolerance: 0.1 },
+    rice: { gPerMl: 0.78, tolerance: 0.05 },
+    salt: { gPerMl: 1.2, tolerance: 0.25 },
+    'baking powder': { gPerMl: 0.96, tolerance: 0.05 },
+    'baking soda': { gPerMl: 1.1, tolerance: 0.05 }
+};
+
+// Sensible rounding per unit: [below this amount, round to this step]; last entry applies above
+const ROUNDING = {
+    ml: [[10, 0.1], [100, 1], [1000, 5], [Infinity, 10]],
+    g: [[10, 0.1], [100, 1], [1000, 5], [Infinity, 10]],
+    l: [[Infinity, 0.01]],
+    kg: [[Infinity, 0.01]],
+    cup: [[0.25, 0.01], [Infinity, 0.25]],
+    tbsp: [[0.5, 0.125], [Infinity, 0.5]],
+    tsp: [[0.5, 0.125], [Infinity, 0.25]],
+    'fl oz': [[1, 0.01], [Infinity, 0.1]],
+    oz: [[1, 0.01], [Infinity, 0.1]],
+    lb: [[Infinity, 0.01]],
+    pt: [[Infinity, 0.01]],
+    qt: [[Infinity, 0.01]],
+    gal: [[Infinity, 0.01]],
+    C: [[100, 1], [Infinity, 5]],
+    F: [[212, 1], [Infinity, 5]]
+};
+
+// Temperature request: amount, from-unit, connector, target unit ("350°F to C", "gas mark 4 in celsius")
+const TEMPERATURE_UNIT = '°?(?:celsius|centigrade|fahrenheit)|°[cf]|gas ?mark|gas|[cf]';
+const TEMPERATURE_REQUEST = new RegExp(
+    `(-?(?:${IngredientParser.AMOUNT}))\\s*(${TEMPERATURE_UNIT})\\b.*?\\s(?:to|in|into)\\s+(${TEMPERATURE_UNIT})\\b`
+);
+
+class ConversionEngine {
+    constructor(options = {}) {
+        this.parser = options.parser || new IngredientParser();
+    }
+
+    /**
+     * Canonical unit for a word ('cups' → 'cup', 'fahrenheit' → 'F'), or null
+     * type: the type expected, e.g. 'temperature' makes a bare 'c' Celsius
+     */
+    static unitFromWord(word, type = null) {
+        const lower = String(word).trim().toLowerCase();
+        if (type === 'temperature' && lower === 'c') return 'C';
+        const temperature = Object.keys(TEMPERATURE_WORDS).find(unit => TEMPERATURE_WORDS[unit].includes(lower));
+        if (temperature) return temperature;
+
+        const unit = IngredientParser.unitFromWord(word);
+        return unit && UNITS[unit] ? unit : null;
+    }
+
+    /**
+     * Measurement type of a canonical unit ('volume' / 'weight' / 'temperature'), or null
+     */
+    static unitType(unit) {
+        return UNITS[unit] ? UNITS[unit].type : null;
+    }
+
+    /**
+     * Canonical units of one type, or of all types
+     * common: only the units offered in questions
+     */
+    static units(type = null, { common = false } = {}) {
+        return Object.keys(UNITS).filter(unit =>
+            (!type || UNITS[unit].type === type) && (!common || UNITS[unit].common)
+        );
+    }
+
+    /**
+     * Conversion named in a request ("convert 1 1/2 cups flour to grams"), or null
+     * Volume ↔ weight needs an ingredient with a known density
+     */
+    parse(input) {
+        const text = IngredientParser.normalize(input);
+        return this.parseTemperature(text) || this.parseMeasure(text);
+    }
+
+    /**
+     * Temperature request ("350°F to C", "180 degrees celsius in fahrenheit", "gas mark 4 to C")
+     */
+    parseTemperature(text) {
+        const folded = text.toLowerCase()
+            .replace(/\s*[°º]\s*/g, ' °')
+            .replace(/\bdegrees?\s+/g, '°')
+            .replace(/gas\s*mark\s*(\d+(?:[./]\d+)?)/, '$1 gas mark');
+        const match = folded.match(TEMPERATURE_REQUEST);
+        if (!match) return null;
+
+        const unit = (word) => ConversionEngine.unitFromWord(word.replace(/^°/, '').replace(/\s+/g, ' '), 'temperature');
+        const fromUnit = unit(match[2]);
+        const targetUnit = unit(match[3]);
+        if (!fromUnit || !targetUnit ||
+            ConversionEngine.unitType(fromUnit) !== 'temperature' || ConversionEngine.unitType(targetUnit) !== 'temperature') {
+            return null;
+        }
+
+        const value = (match[1].startsWith('-') ? -1 : 1) * IngredientParser.amount(match[1].replace(/^-/, ''));
+        return { value, fromUnit, targetUnit, type: 'temperature', factor: null };
+    }
+
+    /**
+     * Volume or weight request ("2 cups to ml", "250 g butter in cups")
+     */
+    parseMeasure(text) {
+        const match = text.match(new RegExp(`(?:^|\\s)((?:${IngredientParser.AMOUNT})\\s*[a-zA-Z].*?)\\s+(?:to|in|into)\\s+([a-zA-Z]+(?: oz)?)`));
+        if (!match) return null;
+
+        const line = this.parser.parse(match[1]);
+        const fromUnit = line.unit && UNITS[line.unit] ? line.unit : null;
+        const targetUnit = ConversionEngine.unitFromWord(match[2]) || ConversionEngine.unitFromWord(match[2].split(' ')[0]);
+        if (!fromUnit || !targetUnit) return null;
+
+        const from = UNITS[fromUnit];
+        const to = UNITS[targetUnit];
+        if (from.type === 'temperature' || to.type === 'temperature') return null;
+
+        const conversion = {
+            value: line.quantity,
+            fromUnit,
+            targetUnit,
+            type: from.type,
+            factor: from.value / to.value,
+            ...(line.ingredient ? { ingredient: line.ingredient } : {})
+        };
+        if (from.type === to.type) return conversion;
+
+        // Volume ↔ weight: through the ingredient's density
+        const density = this.density(line.ingredient);
+        if (!density) return null;
+        const gPerMl = from.type === 'volume' ? density.gPerMl : 1 / density.gPerMl;
+        return { ...conversion, factor: from.value * gPerMl / to.value, density };
+    }
+
+    /**
+     * Density for an ingredient name, or null
+     * Returns { ingredient (the table's name), gPerMl, tolerance }
+     */
+    density(ingredient) {
+        if (!ingredient) return null;
+        const words = ` ${String(ingredient).toLowerCase().replace(/[^a-z' ]+/g, ' ').replace(/\s+/g, ' ').trim()} `;
+        const name = Object.keys(DENSITIES)
+            .filter(key => words.includes(` ${key} `) || words.includes(` ${key}s `))
+            .sort((a, b) => b.length - a.length)[0];
+        return name ? { ingredient: name, ...DENSITIES[name] } : null;
+    }
+
+    /**
+     * Result of a parsed conversion
+     * precision: exact value with its tolerance; otherwise rounded for measuring
+     */
+    convert(conversion, { precision = false } = {}) {
+        if (!conversion || conversion.value === null || conversion.value === undefined) {
+            return { error: 'no_conversion_data' };
+        }
+
+        const { value, targetUnit } = conversion;
+        let exact;
+        let basis;
+        let absolute = 0;
+        let relative = 0;
+
+        if (conversion.type === 'temperature') {
+            const celsius = this.toCelsius(value, conversion.fromUnit);
+            if (celsius === null) return { error: 'unknown_gas_mark', value };
+            exact = this.fromCelsius(celsius, targetUnit);
+            const gas = conversion.fromUnit === 'gas mark' || targetUnit === 'gas mark';
+            basis = gas ? 'gas_mark' : 'temperature';
+            if (gas) {
+                absolute = targetUnit === 'F' ? GAS_MARK_TOLERANCE * 9 / 5 : targetUnit === 'C' ? GAS_MARK_TOLERANCE : 0.5;
+            }
+        } else {
+            exact = value * conversion.factor;
+            basis = conversion.density ? 'density' : 'definition';
+            relative = conversion.density ? conversion.density.tolerance : 0;
+            absolute = Math.abs(exact) * relative;
+        }
+
+        // HEURISTIC density conversions go through the table's rounded cup weight,
+        // so 2 cups of flour weigh twice what the table says 1 cup does
+        const measured = !precision && conversion.density
+            ? exact * this.cupRatio(conversion.density) ** (UNITS[conversion.fromUnit].type === 'volume' ? 1 : -1)
+            : exact;
+        const result = {
+            result: precision ? this.precise(exact) : this.round(measured, targetUnit),
+            unit: targetUnit,
+            exact: this.precise(exact),
+            rounded: !precision,
+            basis,
+            ...(conversion.density ? { density: conversion.density } : {})
+        };
+        if (precision) {
+            result.tolerance = { relative, absolute: this.precise(absolute) };
+            result.range = [this.precise(exact - absolute), this.precise(exact + absolute)];
+        }
+        return result;
+    }
+
+    /**
+     * Reference table for a type ('1 cup': '240 ml'); a density row for the ingredient
+     */
+    table(type, ingredient = null) {
+        if (type === 'temperature') {
+            return Object.fromEntries(GAS_MARKS.map(([mark, celsius]) =>
+                [`gas mark ${mark}`, `${celsius} C / ${this.round(this.fromCelsius(celsius, 'F'), 'F')} F`]));
+        }
+
+        const units = ConversionEngine.units(type);
+        const base = units.find(unit => UNITS[unit].value === 1);
+        if (!base) return {};
+        const table = Object.fromEntries(units
+            .filter(unit => unit !== base)
+            .map(unit => [`1 ${unit}`, `${Math.round(UNITS[unit].value * 100) / 100} ${base}`]));
+
+        const density = this.density(ingredient);
+        if (density) {
+            table[`1 cup ${density.ingredient}`] = `${this.cupWeight(density)} g`;
+        }
+        return table;
+    }
+
+    /**
+     * Grams in a cup of an ingredient, rounded as the reference table shows it
+     */
+    cupWeight(density) {
+        return this.round(UNITS.cup.value * density.gPerMl, 'g');
+    }
+
+    /**
+     * Rounded cup weight over the exact one (HEURISTIC density conversions scale by it)
+     */
+    cupRatio(density) {
+        return this.cupWeight(density) / (UNITS.cup.value * density.gPerMl);
+    }
+
+    /**
+     * °C for a temperature (gas marks between table entries are not marks: null)
+     */
+    toCelsius(value, unit) {
+        if (unit === 'C') return value;
+        if (unit === 'F') return (value - 32) * 5 / 9;
+        const mark = GAS_MARKS.find(([m]) => m === value);
+        return mark ? mark[1] : null;
+    }
+
+    /**
+     * Temperature in a unit from °C (gas marks interpolated between the table's)
+     */
+    fromCelsius(celsius, unit) {
+        if (unit === 'C') return celsius;
+        if (unit === 'F') return celsius * 9 / 5 + 32;
+
+        const [first] = GAS_MARKS;
+        const last = GAS_MARKS[GAS_MARKS.length - 1];
+        if (celsius <= first[1]) return first[0];
+        if (celsius >= last[1]) return last[0];
+        const upper = GAS_MARKS.findIndex(([, c]) => c >= celsius);
+        const [lowMark, lowC] = GAS_MARKS[upper - 1];
+        const [highMark, highC] = GAS_MARKS[upper];
+        return lowMark + (highMark - lowMark) * (celsius - lowC) / (highC - lowC);
+    }
+
+    /**
+     * Value rounded to what can be measured in the unit (gas marks to the nearest mark)
+     */
+    round(value, unit) {
+        if (unit === 'gas mark') {
+            return GAS_MARKS.map(([mark]) => mark)
+                .reduce((best, mark) => Math.abs(mark - value) < Math.abs(best - value) ? mark : best);
+        }
+        const steps = ROUNDING[unit] || [[Infinity, 0.01]];
+        const [, step] = steps.find(([below]) => Math.abs(value) < below);
+        return this.precise(Math.round(value / step) * step);
+    }
+
+    /**
+     * Exact value without floating point noise (4 decimals)
+     */
+    precise(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+}
+
+module.exports = ConversionEngine;
+module.exports.UNITS = UNITS;
+module.exports.DENSITIES = DENSITIES;
+module.exports.GAS_MARKS = GAS_MARKS;
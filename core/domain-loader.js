@@ -100,6 +100,7 @@ class DomainLoader {
         config,
         agent,
         seedMemory,
+        path: domainPath,
         loadedAt: Date.now(),
         memoryPrefix: config.memoryPrefix || `${name}_`
       });
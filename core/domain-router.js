@@ -0,0 +1,134 @@
+/**
+ * Domain Router
+ *
+ * Classifies each input to a loaded domain agent, or to the built-in
+ * cooking pipeline when no domain claims it.
+ * Domains opt in by declaring `routing` in their domain.config.js:
+ *   keywords, actions ({ action: [keyword] }), defaultAction,
+ *   params ({ name: RegExp (first group) | (input) => value }) read from the input,
+ *   requires ({ action: [param] }) - checked before the agent runs the action
+ */
+
+const BUILT_IN_DOMAIN = 'cooking';
+
+class DomainRouter {
+  /**
+   * @param {DomainLoader} domainLoader - Loader holding the registered domains
+   */
+  constructor(domainLoader) {
+    this.domainLoader = domainLoader;
+  }
+
+  /**
+   * Resolve the domain for an input
+   * @param {string} input - Raw user input
+   * @param {Object} options - { specialty } forces a domain when it matches
+   * @returns {Object} Route: { domain, builtIn, action, matched, reason, params, missing }
+   */
+  route(input, options = {}) {
+    const text = String(input).toLowerCase();
+
+    // Specialty filter wins when it names a known domain
+    const forced = this._resolveSpecialty(options.specialty);
+    if (forced) {
+      return this._buildRoute(forced, input, [], 'specialty');
+    }
+
+    // Keyword classification across loaded domains
+    let best = null;
+    for (const name of this.domainLoader.getLoadedDomains()) {
+      const routing = this.domainLoader.getDomain(name).config.routing;
+      if (!routing || !Array.isArray(routing.keywords)) continue;
+
+      const matched = routing.keywords.filter(keyword => this._matches(text, keyword));
+      if (matched.length > 0 && (!best || matched.length > best.matched.length)) {
+        best = { name, matched };
+      }
+    }
+
+    if (best) {
+      return this._buildRoute(best.name, input, best.matched, 'keywords');
+    }
+
+    return this._buildRoute(BUILT_IN_DOMAIN, input, [], 'default');
+  }
+
+  /**
+   * Map a specialty to a domain name (by name or declared specialty)
+   * @param {string} specialty
+   * @returns {string|null} Domain name
+   */
+  _resolveSpecialty(specialty) {
+    if (!specialty) return null;
+
+    const wanted = String(specialty).toLowerCase();
+    if (wanted === BUILT_IN_DOMAIN) return BUILT_IN_DOMAIN;
+
+    for (const name of this.domainLoader.getLoadedDomains()) {
+      const { config } = this.domainLoader.getDomain(name);
+      if (name === wanted || String(config.specialty).toLowerCase() === wanted) {
+        return name;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build route object, resolving the domain action from its routing table
+   * and the action's parameters from the input
+   */
+  _buildRoute(domain, input, matched, reason) {
+    if (domain === BUILT_IN_DOMAIN) {
+      return { domain, builtIn: true, action: null, matched, reason, params: {}, missing: [] };
+    }
+
+    const text = String(input).toLowerCase();
+    const routing = this.domainLoader.getDomain(domain).config.routing || {};
+    let action = routing.defaultAction || 'status';
+
+    for (const [candidate, keywords] of Object.entries(routing.actions || {})) {
+      if (keywords.some(keyword => this._matches(text, keyword))) {
+        action = candidate;
+        break;
+      }
+    }
+
+    const params = { query: text, ...DomainRouter.params(input, routing.params) };
+    const missing = DomainRouter.missing(routing, action, params);
+    return { domain, builtIn: false, action, matched, reason, params, missing };
+  }
+
+  /**
+   * Parameters named in the input (routing.params), without the ones not found
+   */
+  static params(input, extractors = {}) {
+    const params = {};
+    for (const [name, extract] of Object.entries(extractors)) {
+      const value = extract instanceof RegExp
+        ? (String(input).match(extract) || [])[1]
+        : extract(String(input));
+      if (value !== undefined && value !== null) params[name] = value;
+    }
+    return params;
+  }
+
+  /**
+   * Parameters an action requires (routing.requires) that are not in params
+   */
+  static missing(routing, action, params) {
+    const required = (routing && routing.requires && routing.requires[action]) || [];
+    return required.filter(name => params[name] === undefined);
+  }
+
+  /**
+   * Whole-word (or whole-phrase) match
+   */
+  _matches(text, keyword) {
+    const escaped = String(keyword).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}\\b`).test(text);
+  }
+}
+
+module.exports = DomainRouter;
+module.exports.BUILT_IN_DOMAIN = BUILT_IN_DOMAIN;
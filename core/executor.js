@@ -1,114 +1,320 @@
 // Executor - Run prioritized tasks with budget constraints
-// Routes tasks to appropriate domain handlers
+// Routes tasks to handlers registered by action or type (see HandlerRegistry)
+// Independent tasks run concurrently; dependents wait for their dependencies
+// Tasks past their maxTime (or the run cutoff) are cancelled and the
+// governor's emergency action returns a partial result
+// An aborted context.signal cancels the run; handlers receive a per-task signal
+
+const BudgetGovernor = require('./budget');
+const DagScheduler = require('./scheduler');
+const HandlerRegistry = require('./handlers');
+const IngredientParser = require('./ingredients');
+const ConversionEngine = require('./conversion');
+const RecipeScaler = require('./scaling');
+const RecipeImporter = require('./recipe-import');
+const DomainRouter = require('./domain-router');
+const { BudgetExceededError } = BudgetGovernor;
+
+const ingredientParser = new IngredientParser();
+const conversions = new ConversionEngine({ parser: ingredientParser });
+const scaler = new RecipeScaler({ parser: ingredientParser, conversions });
 
 class Executor {
     /**
      * Main execution function
+     * Priority tasks run as a dependency graph (see DagScheduler)
      */
     static async run(triage, budget, assessment, context) {
-        const { mode, memory } = context;
-        const results = [];
-        const completedTasks = [];
+        const { mode, trace, signal } = context;
+        const scheduler = new DagScheduler({ concurrency: context.concurrency });
+        const run = {
+            ...context,
+            budget,
+            assessment,
+            governor: context.governor || new BudgetGovernor(),
+            deadline: Date.now() + budget.cutoffTime,
+            results: [],
+            completedTasks: [],
+            diagnostics: [],
+            cutShort: null
+        };
+        
+        // What every handler sees; resultOf exposes finished dependencies
+        run.handlerContext = {
+            assessment,
+            mode,
+            memory: context.memory,
+            domains: context.domains,
+            policy: context.policy || null,
+            input: context.input || '',
+            handlers: context.handlers || this.createHandlers(),
+            resultOf: (action) => {
+                const done = run.results.find(r => r.task === action && r.success);
+                return done ? done.result : undefined;
+            }
+        };
+        const startedAt = Date.now();
         
-        console.log(`🚀 Executing ${triage.priorities.length} priority tasks in ${mode} mode`);
+        console.log(`🚀 Executing ${triage.priorities.length} priority tasks in ${mode} mode (concurrency ${scheduler.concurrency})`);
         
-        // Execute tasks in priority order, respecting dependencies
-        for (const task of triage.priorities) {
-            // Check dependencies
-            if (!this.areDependenciesSatisfied(task, completedTasks)) {
+        const { order, waves } = await scheduler.run(triage.priorities, {
+            execute: (task) => this.runTask(task, run),
+            canStart: () => {
+                // Cancelled from outside: surface it instead of starting more work
+                signal?.throwIfAborted();
+                if (!run.cutShort && Date.now() >= run.deadline) {
+                    run.cutShort = { reason: 'cutoff_time', task: null };
+                }
+                return !run.cutShort;
+            },
+            onBlocked: (task, missing) => {
                 console.log(`⏸️  Skipping ${task.action} - dependencies not satisfied`);
-                continue;
+                trace?.recordDecision(task.action, 'blocked', {
+                    reason: 'dependencies_not_satisfied',
+                    missing
+                });
+            },
+            onHalted: (task) => {
+                trace?.recordDecision(task.action, 'skipped', { reason: 'cut_short' });
             }
+        });
+        
+        // Results in priority order, whatever order they finished in
+        const rank = new Map(triage.priorities.map((t, i) => [t.action, i]));
+        run.results.sort((a, b) => rank.get(a.task) - rank.get(b.task));
+        
+        const durations = Object.fromEntries(run.results.map(r => [r.task, r.elapsed || 0]));
+        const schedule = {
+            concurrency: scheduler.concurrency,
+            order,
+            waves,
+            wallTimeMs: Date.now() - startedAt,
+            criticalPath: scheduler.criticalPath(triage.priorities, durations)
+        };
+        trace?.recordSchedule(schedule);
+        
+        if (run.cutShort) {
+            return this.cutShort(run, schedule);
+        }
+        
+        return {
+            type: assessment.inputType,
+            results: run.results,
+            completedTasks: run.completedTasks,
+            success: run.results.some(r => r.success),
+            schedule,
+            diagnostics: run.diagnostics,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Run one scheduled task within its time ceiling
+     * Returns the outcome: completed | failed | cancelled | skipped
+     */
+    static async runTask(task, run) {
+        const { budget, signal, trace, governor } = run;
+        
+        // Get task budget
+        const taskBudget = budget.tasks.find(t => t.task === task.action);
+        if (!taskBudget) {
+            console.log(`⚠️  No budget for ${task.action}`);
+            trace?.recordDecision(task.action, 'skipped', { reason: 'no_budget' });
+            return 'skipped';
+        }
+        
+        // The task signal fires on run cancellation or when the ceiling cancels this task
+        // (combined by hand: AbortSignal.any needs Node 18.17)
+        const ceiling = governor.getTimeLimit(taskBudget, run.deadline);
+        const taskController = new AbortController();
+        const taskSignal = taskController.signal;
+        const forwardAbort = () => taskController.abort(signal.reason);
+        if (signal?.aborted) {
+            forwardAbort();
+        } else {
+            signal?.addEventListener('abort', forwardAbort, { once: true });
+        }
+        
+        try {
+            const result = await governor.enforce(
+                task.action,
+                this.executeTask(task, taskBudget, { ...run.handlerContext, signal: taskSignal }),
+                ceiling.limit,
+                ceiling.reason,
+                signal
+            );
+            run.results.push(result);
+            run.completedTasks.push(task.action);
             
-            // Get task budget
-            const taskBudget = budget.tasks.find(t => t.task === task.action);
-            if (!taskBudget) {
-                console.log(`⚠️  No budget for ${task.action}`);
-                continue;
+            if (!result.skipped && !result.handler) {
+                run.diagnostics.push({
+                    code: 'unknown_handler',
+                    task: task.action,
+                    type: task.type || null,
+                    message: `No handler registered for action "${task.action}" or type "${task.type}"`
+                });
             }
             
-            // Execute task
-            try {
-                const result = await this.executeTask(task, taskBudget, assessment, mode, memory);
-                results.push(result);
-                completedTasks.push(task.action);
-            } catch (error) {
-                console.error(`❌ Task ${task.action} failed:`, error.message);
-                results.push({
-                    task: task.action,
-                    success: false,
-                    error: error.message
+            if (result.skipped) {
+                trace?.recordDecision(task.action, 'skipped', { reason: 'metaloop_policy', policy: result.policy });
+            } else {
+                trace?.recordDecision(task.action, 'executed', {
+                    type: task.type,
+                    handler: result.handler,
+                    elapsed: result.elapsed,
+                    maxTime: taskBudget.maxTime,
+                    withinBudget: result.withinBudget
                 });
             }
+            return 'completed';
+            
+        } catch (error) {
+            if (signal?.aborted) {
+                taskBudget.completedAt = Date.now();
+                trace?.recordDecision(task.action, 'cancelled', { reason: 'aborted' });
+                throw signal.reason;
+            }
+            
+            if (error instanceof BudgetExceededError) {
+                taskController.abort(error);
+                console.log(`    ⏰ ${task.action} cancelled after ${error.limit}ms (${error.reason})`);
+                taskBudget.completedAt = Date.now();
+                taskBudget.exceeded = true;
+                run.cutShort = run.cutShort || { reason: error.reason, task: task.action };
+                trace?.recordDecision(task.action, 'cancelled', {
+                    reason: error.reason,
+                    limit: error.limit
+                });
+                return 'cancelled';
+            }
+            
+            console.error(`❌ Task ${task.action} failed:`, error.message);
+            run.results.push({
+                task: task.action,
+                success: false,
+                error: error.message
+            });
+            trace?.recordDecision(task.action, 'failed', { error: error.message });
+            return 'failed';
+        } finally {
+            signal?.removeEventListener('abort', forwardAbort);
         }
+    }
+
+    /**
+     * Build the partial result for a run stopped by its budget
+     * Runs the governor's emergency action over whatever completed
+     */
+    static cutShort(run, schedule) {
+        const { governor, budget, assessment, results, completedTasks, cutShort, trace } = run;
+        const partial = results.filter(r => r.success);
+        const emergency = governor.executeEmergencyAction(budget, partial.length > 0 ? partial : null);
+        
+        trace?.recordCutShort({
+            reason: cutShort.reason,
+            task: cutShort.task,
+            emergencyAction: emergency.action
+        });
         
         return {
             type: assessment.inputType,
             results,
             completedTasks,
-            success: results.some(r => r.success),
+            success: emergency.success,
+            cutShort: true,
+            cutShortReason: cutShort.reason,
+            cancelledTask: cutShort.task,
+            emergency,
+            schedule,
+            diagnostics: run.diagnostics,
             timestamp: Date.now()
         };
     }
 
+    /**
+     * Core handlers: one per task type emitted by the Triager
+     * Wrappers resolve Executor methods at call time so they can be swapped
+     */
+    static createHandlers() {
+        const registry = new HandlerRegistry();
+        const types = {
+            retrieval: 'handleRetrieval',
+            analysis: 'handleAnalysis',
+            validation: 'handleValidation',
+            storage: 'handleStorage',
+            computation: 'handleComputation',
+            generation: 'handleGeneration',
+            presentation: 'handlePresentation',
+            processing: 'handleProcessing',
+            parsing: 'handleParsing',
+            extraction: 'handleExtraction',
+            indexing: 'handleIndexing',
+            domain: 'handleDomain',
+            general: 'handleGeneral'
+        };
+        
+        for (const [type, method] of Object.entries(types)) {
+            registry.forType(type, (task, ctx) => this[method](task, ctx));
+        }
+        
+        return registry;
+    }
+
     /**
      * Execute individual task
+     * ctx: { assessment, mode, memory, domains, policy, signal, input, handlers, resultOf }
      */
-    static async executeTask(task, taskBudget, assessment, mode, memory) {
+    static async executeTask(task, taskBudget, ctx) {
+        const { assessment } = ctx;
+        
+        // Shared step another inbox request already ran: reuse its result
+        if (task.reuse) {
+            console.log(`  ♻️  ${task.action} reused from ${task.reuse.requestId}`);
+            return {
+                task: task.action,
+                success: true,
+                result: task.reuse.result,
+                elapsed: 0,
+                withinBudget: true,
+                handler: `reused:${task.reuse.requestId}`,
+                reused: task.reuse.requestId
+            };
+        }
+        
         // POLICY CONSULTATION: Check if we should skip this step based on MetaLoop learning
-        if (this.shouldSkipBasedOnPolicy(task.action, taskBudget, assessment)) {
-            console.log(`  ⏭️  ${task.action} SKIPPED (MetaLoop policy: low priority + tight budget/low stakes)`);
+        const policyDecision = this.policyDecision(task.action, taskBudget, assessment, { policy: ctx.policy, mode: ctx.mode });
+        if (policyDecision.decision === 'skip') {
+            console.log(`  ⏭️  ${task.action} SKIPPED (MetaLoop policy rule ${policyDecision.rule.id}: ${policyDecision.because.join(', ')})`);
             return {
                 task: task.action,
                 success: true,
                 skipped: true,
+                policy: { ...policyDecision.policy, rule: policyDecision.rule.id, because: policyDecision.because },
                 result: { note: 'Skipped based on learned policy' },
                 elapsed: 0,
                 withinBudget: true
             };
         }
         
+        ctx.signal?.throwIfAborted();
+        
         console.log(`  🔧 ${task.action}...`);
         
         // Start timing
         const startTime = Date.now();
         taskBudget.startedAt = startTime;
         
-        // Route to appropriate handler
-        let result;
+        // Route to the registered handler (action first, then type)
+        const handler = (ctx.handlers || this.createHandlers()).resolve(task);
         
         try {
-            switch (task.type) {
-                case 'retrieval':
-                    result = await this.handleRetrieval(task, assessment, memory, mode);
-                    break;
-                    
-                case 'analysis':
-                    result = await this.handleAnalysis(task, assessment, memory, mode);
-                    break;
-                    
-                case 'validation':
-                    result = await this.handleValidation(task, assessment, memory, mode);
-                    break;
-                    
-                case 'storage':
-                    result = await this.handleStorage(task, assessment, memory, mode);
-                    break;
-                    
-                case 'computation':
-                    result = await this.handleComputation(task, assessment, memory, mode);
-                    break;
-                    
-                case 'generation':
-                    result = await this.handleGeneration(task, assessment, memory, mode);
-                    break;
-                    
-                case 'presentation':
-                    result = await this.handlePresentation(task, assessment, memory, mode);
-                    break;
-                    
-                default:
-                    result = await this.handleGeneral(task, assessment, memory, mode);
+            let result;
+            
+            if (handler) {
+                result = await handler.fn(task, ctx);
+            } else {
+                console.log(`    ⚠️  No handler for ${task.action} (${task.type}) - using general handler`);
+                result = await this.handleGeneral(task, ctx);
             }
             
             // Check if within budget
@@ -127,7 +333,8 @@ class Executor {
                 success: true,
                 result,
                 elapsed,
-                withinBudget: !taskBudget.exceeded
+                withinBudget: !taskBudget.exceeded,
+                handler: handler ? `${handler.kind}:${handler.name}` : null
             };
             
         } catch (error) {
@@ -139,12 +346,12 @@ class Executor {
     /**
      * Handle retrieval tasks (search, fetch, lookup)
      */
-    static async handleRetrieval(task, assessment, memory, mode) {
-        const { longTerm, working } = memory;
+    static async handleRetrieval(task, ctx) {
+        const { longTerm, working } = ctx.memory;
         
         switch (task.action) {
             case 'search_local':
-                const query = working.get('query') || assessment.input;
+                const query = working.get('query') || ctx.input || '';
                 return longTerm.search(query);
                 
             case 'gather_recipes':
@@ -152,16 +359,21 @@ class Executor {
                 return longTerm.getRecipes().slice(0, 5); // Top 5
                 
             case 'find_substitutes':
-                const ingredient = working.get('ingredient');
+                const ingredient = working.get('ingredient') || this.ingredientFromInput(ctx.input);
                 return this.findSubstitutes(ingredient, longTerm);
                 
             case 'lookup_table':
-                const conversionType = working.get('conversionType');
-                return this.lookupConversion(conversionType);
+                // Runs alongside parse_conversion, so it reads the request itself
+                const requested = this.parseConversion(ctx.input || '');
+                const conversionType = requested ? requested.type : working.get('conversionType');
+                return this.lookupConversion(conversionType, requested && requested.ingredient);
                 
             case 'check_pantry':
                 return working.get('pantry') || [];
                 
+            case 'find_recipe':
+                return this.findRecipe(ctx.input || '', longTerm);
+                
             default:
                 return { action: task.action, status: 'completed' };
         }
@@ -170,27 +382,32 @@ class Executor {
     /**
      * Handle analysis tasks
      */
-    static async handleAnalysis(task, assessment, memory, mode) {
-        const { longTerm, working } = memory;
+    static async handleAnalysis(task, ctx) {
+        const { working } = ctx.memory;
+        
+        // Recipes gather_recipes found for this run
+        const gathered = () => ctx.resultOf('gather_recipes') || working.get('gathered_recipes') || [];
         
         switch (task.action) {
             case 'extract_core':
-                const recipes = working.get('gathered_recipes') || [];
-                return this.extractCore(recipes);
+                return this.extractCore(gathered());
                 
             case 'identify_variations':
-                const core = working.get('core') || {};
-                const allRecipes = working.get('gathered_recipes') || [];
+                // Runs alongside extract_core, so it finds the core itself when there is none yet
+                const allRecipes = gathered();
+                const core = ctx.resultOf('extract_core') || working.get('core') || this.extractCore(allRecipes);
                 return this.identifyVariations(core, allRecipes);
                 
             case 'detect_bloat':
-                const recipesToCheck = working.get('gathered_recipes') || [];
-                return this.detectBloat(recipesToCheck);
+                return this.detectBloat(gathered());
                 
             case 'identify_function':
-                const ingredientToAnalyze = working.get('ingredient');
+                const ingredientToAnalyze = working.get('ingredient') || this.ingredientFromInput(ctx.input);
                 return this.identifyFunction(ingredientToAnalyze);
                 
+            case 'adjust_bake_time':
+                return this.bakeTimeHints(ctx.resultOf('find_recipe'), ctx.resultOf('scale_quantities'));
+                
             default:
                 return { analysis: 'completed', task: task.action };
         }
@@ -199,26 +416,32 @@ class Executor {
     /**
      * Handle validation tasks
      */
-    static async handleValidation(task, assessment, memory, mode) {
-        const { working } = memory;
+    static async handleValidation(task, ctx) {
+        const { working } = ctx.memory;
         
-        if (mode === 'PRECISION') {
-            // Strict validation
-            const data = working.get('dataToValidate');
-            return this.strictValidate(data);
-        } else {
-            // Heuristic validation (good enough)
-            return { valid: true, mode: 'heuristic' };
-        }
+        // What the run was asked to add: staged data, else the recipe in the input, else the raw input
+        const data = working.get('dataToValidate') || this.recipeFromInput(ctx.input) || ctx.input;
+        const validation = ctx.mode === 'PRECISION'
+            ? this.strictValidate(data)
+            // Heuristic validation (good enough): only reject data that is clearly unusable
+            : this.heuristicValidate(data);
+        
+        return validation.valid && data && typeof data === 'object' ? { ...validation, recipe: data } : validation;
     }
 
     /**
      * Handle storage tasks
      */
-    static async handleStorage(task, assessment, memory, mode) {
-        const { longTerm, working } = memory;
+    static async handleStorage(task, ctx) {
+        const { longTerm, working } = ctx.memory;
         
-        const dataToStore = working.get('dataToStore');
+        // Never store what validation rejected
+        const validation = ctx.resultOf('validate_recipe');
+        if (validation && !validation.valid) {
+            return { stored: false, reason: 'invalid' };
+        }
+        
+        const dataToStore = (validation && validation.recipe) || working.get('dataToStore');
         if (!dataToStore) {
             return { stored: false, reason: 'no_data' };
         }
@@ -230,13 +453,22 @@ class Executor {
     /**
      * Handle computation tasks
      */
-    static async handleComputation(task, assessment, memory, mode) {
-        const { working } = memory;
+    static async handleComputation(task, ctx) {
+        const { working } = ctx.memory;
         
         switch (task.action) {
             case 'calculate':
-                const conversion = working.get('conversion');
-                return this.calculate(conversion);
+                // This run's parse_conversion result; an unparsed request has nothing to convert
+                const parsed = ctx.resultOf('parse_conversion');
+                return this.calculate(parsed && parsed.parsed !== false ? parsed : null, ctx.mode);
+                
+            case 'scale_quantities':
+                const scaled = this.scaleRecipe(ctx.resultOf('find_recipe'), ctx.mode);
+                if (scaled.scaled) {
+                    // The scaled recipe, for follow-ups ("add it to my shopping list")
+                    working.set('scaledRecipe', { id: scaled.id, name: scaled.recipe, ingredients: scaled.lines, factor: scaled.factor });
+                }
+                return scaled;
                 
             default:
                 return { computed: true, task: task.action };
@@ -246,14 +478,14 @@ class Executor {
     /**
      * Handle generation tasks
      */
-    static async handleGeneration(task, assessment, memory, mode) {
-        const { working } = memory;
+    static async handleGeneration(task, ctx) {
+        const { working } = ctx.memory;
         
         switch (task.action) {
             case 'generate_list':
-                const ingredients = working.get('ingredients') || [];
+                const needed = working.get('ingredients') || [];
                 const pantry = working.get('pantry') || [];
-                return this.generateShoppingList(ingredients, pantry);
+                return this.generateShoppingList(needed, pantry, working.get('ingredientItems') || []);
                 
             default:
                 return { generated: true, task: task.action };
@@ -263,17 +495,155 @@ class Executor {
     /**
      * Handle presentation tasks
      */
-    static async handlePresentation(task, assessment, memory, mode) {
-        const { working } = memory;
+    static async handlePresentation(task, ctx) {
+        const { working } = ctx.memory;
+        
+        switch (task.action) {
+            case 'format_comparison':
+                return this.formatComparison(ctx);
+                
+            default:
+                return this.formatForDisplay(working.get('presentationData'));
+        }
+    }
+
+    /**
+     * The comparison document of a recipe_compare run, with its Markdown table
+     */
+    static formatComparison(ctx) {
+        const gathered = ctx.resultOf('gather_recipes');
+        const recipes = Array.isArray(gathered) ? gathered.filter(r => r && Array.isArray(r.ingredients)) : [];
+        if (recipes.length === 0) return this.formatForDisplay(null);
+        
+        // Required here: recipe-export builds on the executor
+        const RecipeExporter = require('./recipe-export');
+        const exporter = new RecipeExporter();
+        const document = exporter.comparison(recipes, {
+            core: ctx.resultOf('extract_core') || undefined,
+            variations: ctx.resultOf('identify_variations') || undefined,
+            bloat: ctx.resultOf('detect_bloat') || undefined
+        });
+        return {
+            formatted: exporter.render(document, 'markdown'),
+            document,
+            timestamp: new Date().toLocaleString()
+        };
+    }
+
+    /**
+     * Handle processing tasks (ranking results of an earlier task)
+     */
+    static async handleProcessing(task, ctx) {
+        switch (task.action) {
+            case 'rank_results':
+                return this.rankResults(ctx.resultOf('search_local') || [], ctx.input || '');
+                
+            case 'rank_by_risk':
+                return this.rankByRisk(ctx.resultOf('find_substitutes') || []);
+                
+            default:
+                return { processed: true, task: task.action };
+        }
+    }
+
+    /**
+     * Handle parsing tasks
+     */
+    static async handleParsing(task, ctx) {
+        const { working } = ctx.memory;
+        
+        switch (task.action) {
+            case 'parse_conversion':
+                const conversion = this.parseConversion(ctx.input || '');
+                if (conversion) {
+                    // Shared with lookup_table (calculate reads this run's result)
+                    working.set('conversionType', conversion.type);
+                }
+                return conversion || { parsed: false, reason: 'no_conversion_found' };
+                
+            default:
+                return { parsed: true, task: task.action };
+        }
+    }
+
+    /**
+     * Handle extraction tasks
+     */
+    static async handleExtraction(task, ctx) {
+        const { working } = ctx.memory;
+        
+        switch (task.action) {
+            case 'extract_ingredients':
+                const recipe = working.get('recipe');
+                const lines = recipe && Array.isArray(recipe.ingredients)
+                    ? recipe.ingredients
+                    : this.extractIngredientList(ctx.input || '');
+                // Parsed lines ("2 cups flour") for generate_list; names for the pantry check
+                const items = ingredientParser.parseAll(lines.map(String));
+                const names = items.map(item => item.ingredient);
+                working.set('ingredients', names);
+                working.set('ingredientItems', items);
+                return { ingredients: names, items, count: names.length };
+                
+            default:
+                return { extracted: true, task: task.action };
+        }
+    }
+
+    /**
+     * Handle indexing tasks
+     */
+    static async handleIndexing(task, ctx) {
+        const { longTerm } = ctx.memory;
+        
+        switch (task.action) {
+            case 'index_recipe':
+                const stored = ctx.resultOf('store_recipe');
+                const item = stored && stored.id ? longTerm.get(stored.id) : null;
+                if (!item) {
+                    return { indexed: false, reason: 'nothing_stored' };
+                }
+                longTerm.indexItem(item);
+                return { indexed: true, id: stored.id };
+                
+            default:
+                return { indexed: true, task: task.action };
+        }
+    }
+
+    /**
+     * Handle tasks delegated to a loaded domain agent
+     */
+    static async handleDomain(task, ctx) {
+        const { domains, signal } = ctx;
+        const domain = domains && domains.getDomain(task.domain);
+        if (!domain) {
+            throw new Error(`Domain ${task.domain} is not loaded`);
+        }
+        
+        // Parameters the request did not name fail here, not deep in the agent
+        const missing = DomainRouter.missing((domain.config || {}).routing, task.domainAction, task.params || {});
+        if (missing.length > 0) {
+            throw new Error(`Domain ${task.domain} task ${task.domainAction} needs ${missing.join(', ')}`);
+        }
+        
+        const result = await domain.agent.processTask({
+            action: task.domainAction,
+            params: task.params || {},
+            signal
+        });
         
-        const data = working.get('presentationData');
-        return this.formatForDisplay(data);
+        if (result && result.success === false) {
+            throw new Error(result.error || `Domain ${task.domain} task ${task.domainAction} failed`);
+        }
+        
+        return result;
     }
 
     /**
      * Handle general tasks
      */
-    static async handleGeneral(task, assessment, memory, mode) {
+    static async handleGeneral(task, ctx) {
         return {
             task: task.action,
             status: 'completed',
@@ -285,55 +655,34 @@ class Executor {
      * POLICY CONSULTATION: Check if we should skip step based on MetaLoop learned policy
      * Executor decides, using policy as input (MetaLoop doesn't control directly)
      */
-    static shouldSkipBasedOnPolicy(stepName, taskBudget, assessment) {
+    static shouldSkipBasedOnPolicy(stepName, taskBudget, assessment, policy = null) {
+        return this.policyDecision(stepName, taskBudget, assessment, { policy }).decision === 'skip';
+    }
+
+    /**
+     * Policy decision for a step, with the rule that made it (see meta/policy.js)
+     * options: { policy (PolicyEngine; default: the adopted policy), mode, taskType }
+     * Fail-safe: if the policy cannot be read, nothing is skipped
+     */
+    static policyDecision(stepName, taskBudget, assessment, options = {}) {
         try {
-            const fs = require('fs');
-            const path = require('path');
-            const configPath = path.join(__dirname, '../config/meta-config.json');
-            
-            // If no policy file exists yet, don't skip anything
-            if (!fs.existsSync(configPath)) {
-                return false;
-            }
+            const { PolicyEngine } = require('../meta/policy');
+            const policy = options.policy || PolicyEngine.load();
             
-            // Read policy
-            const configContent = fs.readFileSync(configPath, 'utf8');
-            const config = JSON.parse(configContent);
-            
-            const stepPolicy = config.stepValues?.[stepName];
-            if (!stepPolicy) {
-                return false; // No policy for this step yet
-            }
-            
-            // DECISION LOGIC: Executor decides based on policy + context
-            const isLowPriority = stepPolicy.priority <= 2;
-            const isLowValue = stepPolicy.valueScore < 0.3;
-            
-            // RELATIVE BUDGET PRESSURE: Compare remaining budget to estimated step cost
-            const estimatedStepCost = stepPolicy.avgCostMs || 100;
+            // RELATIVE BUDGET PRESSURE: remaining budget vs the step's estimated cost
             const remainingBudget = taskBudget.maxTime - (Date.now() - (taskBudget.startedAt || Date.now()));
-            const budgetPressure = remainingBudget / estimatedStepCost;
             
-            const budgetTight = budgetPressure < 1.0; // Tight if can't afford this step
-            
-            // Stakes check: HIGH stakes override skip (safety critical)
-            const isHighStakes = assessment.stakes === 'high';
-            
-            if (isHighStakes) {
-                // HIGH STAKES: Allow even if low priority (safety first)
-                return false;
-            }
-            
-            // LOW STAKES OR TIGHT BUDGET: Skip if low priority/value
-            if ((isLowPriority && isLowValue) && (budgetTight || assessment.stakes === 'low')) {
-                return true; // SKIP
-            }
-            
-            return false;
+            const decision = policy.evaluate(stepName, {
+                assessment,
+                mode: options.mode,
+                taskType: options.taskType || assessment.inputType,
+                budgetMs: remainingBudget
+            });
+            decision.policy = { id: policy.policy.id, version: policy.policy.version };
+            return decision;
             
         } catch (error) {
-            // Fail-safe: if policy read fails, don't skip
-            return false;
+            return { step: stepName, decision: 'run', rule: null, because: [`policy unavailable: ${error.message}`], policy: null };
         }
     }
 
@@ -370,16 +719,12 @@ class Executor {
     }
 
     /**
-     * Lookup conversion tables
+     * Lookup conversion tables (see ConversionEngine.table)
+     * Volume and weight: each unit in its base unit ('1 cup': '240 ml'), plus the
+     * ingredient's density; temperature: the gas marks
      */
-    static lookupConversion(type) {
-        const tables = {
-            volume: { '1 cup': '240ml', '1 tbsp': '15ml', '1 tsp': '5ml' },
-            weight: { '1 lb': '454g', '1 oz': '28g' },
-            temperature: { fahrenheit_to_celsius: (f) => (f - 32) * 5/9 }
-        };
-        
-        return tables[type] || {};
+    static lookupConversion(type, ingredient = null) {
+        return conversions.table(type, ingredient);
     }
 
     /**
@@ -388,10 +733,10 @@ class Executor {
     static extractCore(recipes) {
         if (recipes.length === 0) return {};
         
-        // Find common ingredients
-        const allIngredients = recipes.map(r => r.ingredients || []);
+        // Find common ingredients (by name: "2 cups flour" and "flour" are both flour)
+        const allIngredients = recipes.map(r => this.ingredientNames(r.ingredients));
         const core = allIngredients[0]?.filter(ing =>
-            allIngredients.every(list => list.some(i => i === ing))
+            allIngredients.every(list => list.some(i => this.sameIngredient(i, ing)))
         );
         
         return {
@@ -407,8 +752,8 @@ class Executor {
         const variations = [];
         
         for (const recipe of recipes) {
-            const unique = recipe.ingredients?.filter(ing =>
-                !core.ingredients.includes(ing)
+            const unique = recipe.ingredients && this.ingredientNames(recipe.ingredients).filter(ing =>
+                !(core.ingredients || []).some(c => this.sameIngredient(c, ing))
             );
             
             if (unique && unique.length > 0) {
@@ -466,33 +811,211 @@ class Executor {
     }
 
     /**
-     * Calculate conversion
+     * Calculate conversion (see ConversionEngine.convert)
+     * PRECISION: exact value with its tolerance; otherwise rounded for measuring
      */
-    static calculate(conversion) {
-        // Simple calculator (would be expanded)
-        if (!conversion) return { error: 'no_conversion_data' };
-        
-        return {
-            result: conversion.value * conversion.factor,
-            unit: conversion.targetUnit
-        };
+    static calculate(conversion, mode = 'HEURISTIC') {
+        return conversions.convert(conversion, { precision: mode === 'PRECISION' });
+    }
+
+    /**
+     * Recipe a scaling request names, from the recipe library (see RecipeScaler.parse)
+     * Returns { found, request, recipe } (recipe: null when no stored recipe matches)
+     */
+    static findRecipe(input, longTerm) {
+        const request = scaler.parse(input);
+        const recipe = scaler.find(request.name, longTerm.getRecipes());
+        return { found: Boolean(recipe), request, recipe: recipe || null };
+    }
+
+    /**
+     * Scale the recipe find_recipe found (see RecipeScaler.scale)
+     * PRECISION: exact amounts; otherwise rounded to measuring cups and spoons
+     */
+    static scaleRecipe(found, mode = 'HEURISTIC') {
+        if (!found || !found.recipe) {
+            return { scaled: false, reason: 'recipe_not_found', name: found ? found.request.name : null };
+        }
+        const scaling = scaler.factorFor(found.request, found.recipe);
+        if (scaling.error) {
+            return { scaled: false, reason: scaling.error, name: found.recipe.name || null };
+        }
+        return scaler.scale(found.recipe, scaling, { precision: mode === 'PRECISION' });
+    }
+
+    /**
+     * Bake-time hints for a scaled recipe (see RecipeScaler.bakeHints)
+     */
+    static bakeTimeHints(found, scaled) {
+        if (!found || !found.recipe || !scaled || !scaled.scaled) {
+            return { baked: false, depthRatio: null, bakeTime: null, hints: [] };
+        }
+        return scaler.bakeHints(found.recipe, scaled);
     }
 
     /**
      * Generate shopping list
+     * items: parsed lines (IngredientParser) for the amounts to buy; the same
+     * ingredient in the same unit is added up
      */
-    static generateShoppingList(ingredients, pantry) {
+    static generateShoppingList(ingredients, pantry, items = []) {
         const needed = ingredients.filter(ing =>
             !pantry.includes(ing)
         );
         
+        const amounts = [];
+        for (const item of items.filter(i => needed.includes(i.ingredient))) {
+            const same = amounts.find(a => a.ingredient === item.ingredient && a.unit === item.unit);
+            if (!same) {
+                amounts.push({ ingredient: item.ingredient, quantity: item.quantity, maxQuantity: item.maxQuantity, unit: item.unit });
+            } else if (same.quantity !== null && item.quantity !== null) {
+                same.maxQuantity = same.maxQuantity !== null || item.maxQuantity !== null
+                    ? (same.maxQuantity ?? same.quantity) + (item.maxQuantity ?? item.quantity)
+                    : null;
+                same.quantity = Math.round((same.quantity + item.quantity) * 1000) / 1000;
+            }
+        }
+        
         return {
-            list: needed,
-            count: needed.length,
-            alreadyHave: pantry.filter(ing => ingredients.includes(ing))
+            list: [...new Set(needed)],
+            count: new Set(needed).size,
+            alreadyHave: pantry.filter(ing => ingredients.includes(ing)),
+            items: amounts
         };
     }
 
+    /**
+     * Rank search results by how many query words they mention
+     */
+    static rankResults(results, query) {
+        const words = String(query).toLowerCase().split(/\s+/).filter(w => w.length > 2);
+        
+        return results
+            .map(item => {
+                const content = JSON.stringify(item).toLowerCase();
+                return { ...item, score: words.filter(w => content.includes(w)).length };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Order substitutes safest first; the first one is recommended
+     */
+    static rankByRisk(substitutes) {
+        const riskOrder = { low: 0, medium: 1, high: 2 };
+        const ranked = [...substitutes].sort((a, b) =>
+            (riskOrder[a.risk] ?? 3) - (riskOrder[b.risk] ?? 3)
+        );
+        
+        return {
+            ranked,
+            recommended: ranked[0] || null
+        };
+    }
+
+    /**
+     * Parse "convert 2 cups to ml" style requests (see ConversionEngine.parse)
+     * Amounts are ingredient lines ("1 1/2 cups flour"); temperatures and gas marks too
+     */
+    static parseConversion(input) {
+        return conversions.parse(input);
+    }
+
+    /**
+     * Canonical conversion unit for a word ('cups' → 'cup'), or null
+     * type: the type expected ('temperature' reads a bare 'c' as Celsius)
+     */
+    static unitFromWord(word, type = null) {
+        return ConversionEngine.unitFromWord(word, type);
+    }
+
+    /**
+     * Measurement type of a canonical unit ('volume' / 'weight' / 'temperature'), or null
+     */
+    static unitType(unit) {
+        return ConversionEngine.unitType(unit);
+    }
+
+    /**
+     * Common canonical units of one type ('volume' / 'weight' / 'temperature'), or all of them
+     */
+    static conversionUnits(type = null) {
+        return ConversionEngine.units(type, { common: true });
+    }
+
+    /**
+     * Ingredient named in a substitution request ("substitute for butter")
+     */
+    static ingredientFromInput(input) {
+        const match = String(input || '').toLowerCase()
+            .match(/(?:substitute|replace|replacement|instead of|swap)\s+(?:for\s+)?(?:the\s+)?([a-z ]+?)\s*(?:\?|$|\bin\b|\bwith\b)/);
+        return match ? match[1].trim() : null;
+    }
+
+    /**
+     * Ingredient names of a recipe's lines ("2 cups flour, sifted" → "flour")
+     */
+    static ingredientNames(lines) {
+        return ingredientParser.parseAll((lines || []).map(String)).map(item => item.ingredient);
+    }
+
+    /**
+     * Whether two ingredient names are the same ingredient, singular or plural ("egg" / "eggs")
+     */
+    static sameIngredient(a, b) {
+        return a === b || a === `${b}s` || b === `${a}s` || a === `${b}es` || b === `${a}es`;
+    }
+
+    /**
+     * Pull an ingredient list out of free text ("list for eggs, flour and milk")
+     */
+    static extractIngredientList(input) {
+        const text = String(input).toLowerCase();
+        const marker = text.match(/(?:for|:)\s+(.+)$/);
+        if (!marker) return [];
+        
+        return marker[1]
+            .split(/,|\band\b/)
+            .map(item => item.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Heuristic validation (HEURISTIC mode)
+     * Nothing to check passes; data must at least be a record with a name or ingredients
+     */
+    static heuristicValidate(data) {
+        if (data === undefined || data === null) return { valid: true, mode: 'heuristic' };
+        
+        if (typeof data !== 'object' || (!data.name && !data.ingredients)) {
+            return { valid: false, mode: 'heuristic', reason: 'unrecognised_data' };
+        }
+        
+        return { valid: true, mode: 'heuristic' };
+    }
+
+    /**
+     * Recipe named in an "add recipe" input, or null
+     * "save this recipe: Brownies - 2 cups sugar, 1 cup flour" (or "Name: a, b");
+     * several lines read like a plain-text recipe file
+     */
+    static recipeFromInput(input) {
+        const body = String(input || '')
+            .replace(/^\s*(?:please\s+)?(?:add|save|store)\s+(?:this\s+|a\s+|my\s+|the\s+)?(?:new\s+)?recipe\b\s*:?\s*/i, '')
+            .trim();
+        
+        if (/\n/.test(body)) {
+            const [raw] = new RecipeImporter().parseText(body);
+            return raw ? { type: 'recipe', name: raw.name, ingredients: raw.ingredients, steps: raw.steps } : null;
+        }
+        
+        const match = body.match(/^(.+?)\s+[-–—]\s+(.+)$/) || body.match(/^([^:,]+):\s*(.+)$/);
+        if (!match) return null;
+        
+        const ingredients = match[2].split(/\s*[,;]\s*/).map(line => line.trim()).filter(Boolean);
+        return { type: 'recipe', name: match[1].trim(), ingredients };
+    }
+
     /**
      * Strict validation (PRECISION mode)
      */
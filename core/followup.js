@@ -0,0 +1,336 @@
+// FollowUpResolver - Resolve follow-up turns against the previous result
+// After each built-in run the kernel keeps what it was about (the subject: a
+// recipe, a comparison, a conversion, a substitution or a shopping list) in
+// working memory. A later turn that points back at it - "make it vegan",
+// "double that", "that recipe", "in grams?" - is rewritten into a request
+// that stands on its own before it is assessed. A reference has to fit the
+// subject ("the recipe" needs a recipe) and is left alone when the input names
+// its own object ("the recipe for brownies"). Wording comes from the
+// language packs' `references` (core/languages/).
+//
+// Subject:  { type, name, input, conversion?, ingredient?, recipe?, recipes?, ingredients?, scale? }
+// (scale: the factor a scaled recipe's ingredients were multiplied by)
+// FollowUp: { original, input, language, subject: { type, name },
+//             references: [{ kind: 'subject' | 'pronoun' | 'scale' | 'diet' | 'unit' | 'shopping', text, resolvedTo }],
+//             unresolved?: { kind: 'diet', diet } }
+// unresolved: the turn refers back but the subject cannot answer it ("make it
+// vegan" after a substitution has no ingredient list); the kernel asks instead
+
+const Executor = require('./executor');
+const Languages = require('./language');
+
+const SUBJECT_KEY = 'subject';
+const MAX_PRONOUN_WORDS = 6; // a bare "it" only refers back in a short turn ("what does it do?")
+const SHORT_WORDS = 3;       // "double", "in grams?" - short turns need no reference word
+
+// Diets and the ingredients that conflict with them (matched as whole words, plural allowed)
+const DIETS = {
+    vegan: {
+        match: /\bvegan/,
+        conflicts: ['butter', 'egg', 'milk', 'cream', 'cheese', 'honey', 'yogurt', 'gelatin', 'chicken', 'beef', 'pork', 'fish', 'bacon']
+    },
+    vegetarian: {
+        match: /\bvegetari/,
+        conflicts: ['gelatin', 'chicken', 'beef', 'pork', 'fish', 'bacon']
+    },
+    'dairy-free': {
+        match: /\bdairy[- ]?free\b|\bsin lacteos\b|\bmilchfrei\b|\blaktosefrei\b/,
+        conflicts: ['butter', 'milk', 'cream', 'cheese', 'yogurt']
+    },
+    'gluten-free': {
+        match: /\bgluten[- ]?free\b|\bsin gluten\b|\bglutenfrei\b/,
+        conflicts: ['flour', 'bread', 'pasta', 'breadcrumbs']
+    }
+};
+
+class FollowUpResolver {
+    constructor(options = {}) {
+        this.languages = options.languages || Languages.shared();
+    }
+
+    /**
+     * Rewrite a follow-up turn against the subject in working memory
+     * Returns the FollowUp, or null when the input stands on its own
+     */
+    resolve(input, working) {
+        const subject = working ? working.get(SUBJECT_KEY) : null;
+        if (!subject) return null;
+
+        const original = String(input).trim();
+        const language = this.languages.detect(original).language;
+        const wording = this.languages.references(language);
+        const tokens = this.tokenize(original, language);
+
+        // Words that point back at the subject
+        const phraseSpans = this.phraseSpans(tokens, wording.subjects);
+        const recipeLike = subject.type === 'recipe' || subject.type === 'comparison';
+        // "the recipe" points at a recipe only
+        const subjectSpans = phraseSpans.filter(s =>
+            recipeLike || !this.languages.hasKeyword(original.slice(s.start, s.end), 'recipe', language));
+        if (subjectSpans.length < phraseSpans.length) return null;
+        const pronounSpans = tokens.length <= MAX_PRONOUN_WORDS
+            ? tokens.filter(t => wording.pronouns.has(t.word) && !phraseSpans.some(s => t.start >= s.start && t.end <= s.end))
+            : [];
+        const spans = [...subjectSpans.map(s => ({ ...s, kind: 'subject' })), ...pronounSpans.map(s => ({ ...s, kind: 'pronoun' }))]
+            .sort((a, b) => a.start - b.start);
+        // "the recipe for brownies", "this recipe: Brownies - ...": the input names its own object
+        if (spans.some(s => this.namesOwnObject(original, tokens, s, s.kind === 'subject' ? wording.objects : new Set()))) return null;
+        if (spans.length === 0 && tokens.length > SHORT_WORDS) return null;
+
+        const rewritten = this.rewrite(original, tokens, subject, language, wording);
+        const references = spans.map(s => ({ kind: s.kind, text: original.slice(s.start, s.end), resolvedTo: subject.name }));
+        let resolved;
+        if (rewritten) {
+            resolved = rewritten.input;
+            references.push(rewritten.reference);
+        } else if (spans.length > 0 && this.dietOf(original, language) && (subject.ingredients || []).length === 0) {
+            // "make it vegan" about something without ingredients: "make butter vegan" is no request
+            return {
+                original,
+                input: original,
+                language,
+                subject: { type: subject.type, name: subject.name },
+                references,
+                unresolved: { kind: 'diet', diet: this.dietOf(original, language) }
+            };
+        } else if (spans.length > 0 && subject.type !== 'conversion') {
+            // Nothing to rewrite: name the subject in place of the reference
+            // (an amount is only picked up by a rewrite: "what does 1 cup do" is no request)
+            resolved = spans.reduceRight((text, s) => text.slice(0, s.start) + subject.name + text.slice(s.end), original);
+        } else {
+            return null;
+        }
+        if (resolved === original) return null;
+
+        return {
+            original,
+            input: resolved,
+            language,
+            subject: { type: subject.type, name: subject.name },
+            references
+        };
+    }
+
+    /**
+     * Request a modifier turns into, given the subject
+     * Returns { input, reference } or null
+     */
+    rewrite(text, tokens, subject, language, wording) {
+        const ingredients = subject.ingredients || [];
+
+        // "double that", "halve it"
+        const scale = this.scaleOf(tokens, wording);
+        if (scale) {
+            const reference = { kind: 'scale', text: scale.text, factor: scale.factor };
+            if (subject.type === 'conversion') {
+                const c = subject.conversion;
+                const value = Math.round(c.value * scale.factor * 1000) / 1000;
+                return { input: `convert ${value} ${c.fromUnit} to ${c.targetUnit}`, reference: { ...reference, resolvedTo: `${value} ${c.fromUnit}` } };
+            }
+            if (subject.type === 'recipe' || subject.type === 'comparison') {
+                // A scaled recipe is rescaled from the original ("double that" after "by 2" is by 4)
+                const factor = Math.round((subject.scale || 1) * scale.factor * 1000) / 1000;
+                return { input: `scale ${subject.name} by ${factor}`, reference: { ...reference, resolvedTo: subject.name } };
+            }
+        }
+
+        // "make it vegan": substitute the first ingredient that conflicts
+        const diet = this.dietOf(text, language);
+        if (diet && ingredients.length > 0) {
+            const conflicts = FollowUpResolver.conflicts(ingredients, diet);
+            if (conflicts.length > 0) {
+                return {
+                    input: `substitute for ${conflicts[0]} in ${subject.name}`,
+                    reference: { kind: 'diet', text: diet, diet, conflicts, resolvedTo: subject.name }
+                };
+            }
+        }
+
+        // "in grams?", "convert that to oz": same amount, another unit
+        if (subject.type === 'conversion' && !tokens.some(t => /^\d/.test(t.word))) {
+            const c = subject.conversion;
+            const unit = tokens.map(t => Executor.unitFromWord(t.word, Executor.unitType(c.fromUnit))).find(u => u && u !== c.fromUnit);
+            if (unit && Executor.unitType(unit) === Executor.unitType(c.fromUnit)) {
+                return {
+                    input: `convert ${c.value} ${c.fromUnit} to ${unit}`,
+                    reference: { kind: 'unit', text: unit, resolvedTo: `${c.value} ${c.fromUnit}` }
+                };
+            }
+        }
+
+        // "add that to my shopping list"
+        if (ingredients.length > 0 && subject.type !== 'shopping' && this.languages.hasKeyword(text, 'shopping', language)) {
+            return {
+                input: `shopping list for ${ingredients.join(', ')}`,
+                reference: { kind: 'shopping', text: 'shopping', resolvedTo: subject.name }
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Subject of a finished run, or null when it leaves nothing to refer back to
+     * (general and domain-routed runs keep the previous subject)
+     */
+    subjectOf(input, assessment, result) {
+        const output = (task) => {
+            const r = result && Array.isArray(result.results) ? result.results.find(x => x.task === task) : null;
+            return r && r.success ? r.result : null;
+        };
+        const isRecipe = (item) => item && typeof item === 'object' && Array.isArray(item.ingredients);
+
+        switch (assessment.inputType) {
+            case 'conversion': {
+                const conversion = output('parse_conversion');
+                if (!conversion || conversion.value === undefined) return null;
+                return { type: 'conversion', name: `${conversion.value} ${conversion.fromUnit}`, conversion };
+            }
+
+            case 'substitute': {
+                const ingredient = Executor.ingredientFromInput(input);
+                if (!ingredient) return null;
+                const ranked = output('rank_by_risk');
+                return {
+                    type: 'substitution',
+                    name: ingredient,
+                    ingredient,
+                    recommended: ranked && ranked.recommended ? ranked.recommended.name : null
+                };
+            }
+
+            case 'recipe':
+            case 'recipe_search': {
+                const ranked = output('rank_results');
+                const recipe = Array.isArray(ranked) ? ranked.find(isRecipe) : null;
+                if (!recipe) return null;
+                return {
+                    type: 'recipe',
+                    name: recipe.name || 'the recipe',
+                    recipe: { id: recipe.id || null, name: recipe.name || null, ingredients: recipe.ingredients },
+                    ingredients: recipe.ingredients
+                };
+            }
+
+            case 'recipe_compare':
+            case 'compare': {
+                const gathered = output('gather_recipes');
+                const recipes = Array.isArray(gathered) ? gathered.filter(isRecipe) : [];
+                if (recipes.length === 0) return null;
+                return {
+                    type: 'comparison',
+                    name: recipes.map(r => r.name || 'recipe').join(' and '),
+                    recipes: recipes.map(r => r.name || null),
+                    ingredients: [...new Set(recipes.flatMap(r => r.ingredients))]
+                };
+            }
+
+            case 'scale': {
+                const found = output('find_recipe');
+                const scaled = output('scale_quantities');
+                if (!found || !found.recipe || !scaled || !scaled.scaled) return null;
+                const recipe = found.recipe;
+                return {
+                    type: 'recipe',
+                    name: recipe.name || 'the recipe',
+                    recipe: { id: recipe.id || null, name: recipe.name || null, ingredients: recipe.ingredients },
+                    ingredients: scaled.lines,
+                    scale: scaled.factor
+                };
+            }
+
+            case 'shopping': {
+                const extracted = output('extract_ingredients');
+                if (!extracted || extracted.ingredients.length === 0) return null;
+                return { type: 'shopping', name: 'the shopping list', ingredients: extracted.ingredients };
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Remember a run's subject in working memory (decays with it)
+     * Returns the subject stored, or null
+     */
+    remember(working, input, assessment, result) {
+        const subject = this.subjectOf(input, assessment, result);
+        if (!subject) return null;
+
+        const entry = { ...subject, input: String(input), timestamp: Date.now() };
+        working.set(SUBJECT_KEY, entry);
+        return entry;
+    }
+
+    /**
+     * Words of a text with their position, folded for the language
+     */
+    tokenize(text, language) {
+        return [...text.matchAll(/[\p{L}\p{N}']+/gu)].map(m => ({
+            word: this.languages.fold(m[0], language),
+            start: m.index,
+            end: m.index + m[0].length
+        }));
+    }
+
+    /**
+     * Spans of the text where one of the phrases occurs (whole words)
+     */
+    phraseSpans(tokens, phrases) {
+        const spans = [];
+        for (const phrase of phrases) {
+            const words = phrase.split(' ');
+            for (let i = 0; i + words.length <= tokens.length; i++) {
+                if (!words.every((word, k) => tokens[i + k].word === word)) continue;
+                const span = { start: tokens[i].start, end: tokens[i + words.length - 1].end };
+                if (!spans.some(s => span.start < s.end && s.start < span.end)) spans.push(span);
+            }
+        }
+        return spans;
+    }
+
+    /**
+     * Whether a reference is followed by the object it stands for: a word
+     * from the pack's `references.objects` ("the recipe for brownies") or a colon
+     */
+    namesOwnObject(text, tokens, span, objects) {
+        if (/^\s*:\s*\S/.test(text.slice(span.end))) return true;
+        const next = tokens.find(t => t.start >= span.end);
+        return Boolean(next) && objects.has(next.word);
+    }
+
+    /**
+     * First scaling word in the tokens
+     * Returns { text, factor } or null
+     */
+    scaleOf(tokens, wording) {
+        for (const token of tokens) {
+            const entry = wording.scale.find(([term]) => token.word.startsWith(term));
+            if (entry) return { text: token.word, factor: entry[1] };
+        }
+        return null;
+    }
+
+    /**
+     * Diet a turn asks for ("make it vegan" → 'vegan'), or null
+     */
+    dietOf(text, language) {
+        const folded = this.languages.fold(text, language);
+        return Object.keys(DIETS).find(name => DIETS[name].match.test(folded)) || null;
+    }
+
+    /**
+     * Ingredients that conflict with a diet, as the diet table names them
+     */
+    static conflicts(ingredients, diet) {
+        const words = ingredients.map(i => String(i).toLowerCase().split(/[^a-z]+/));
+        return DIETS[diet].conflicts.filter(term =>
+            words.some(list => list.some(word => Executor.sameIngredient(word, term)))
+        );
+    }
+}
+
+module.exports = FollowUpResolver;
+module.exports.SUBJECT_KEY = SUBJECT_KEY;
+module.exports.DIETS = DIETS;
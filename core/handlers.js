@@ -0,0 +1,66 @@
+// HandlerRegistry - Executor handlers keyed by task action or task type
+// Action handlers win over type handlers; core registers the type defaults,
+// domains add their own through agent.registerHandlers(registry, { source })
+// Handler signature: async (task, ctx) => result
+
+class HandlerRegistry {
+    constructor() {
+        this.byAction = new Map();
+        this.byType = new Map();
+    }
+
+    /**
+     * Register a handler for { action } or { type }
+     * Returns an unregister function
+     */
+    register(key, fn, options = {}) {
+        const kind = key.action ? 'action' : key.type ? 'type' : null;
+        if (!kind) {
+            throw new Error('Handler key needs an action or a type');
+        }
+        if (typeof fn !== 'function') {
+            throw new Error('Handler must be a function');
+        }
+
+        const name = key[kind];
+        const map = kind === 'action' ? this.byAction : this.byType;
+        const entry = { kind, name, fn, source: options.source || 'core' };
+        map.set(name, entry);
+
+        return () => {
+            if (map.get(name) === entry) map.delete(name);
+        };
+    }
+
+    /**
+     * Register a handler for one action
+     */
+    forAction(action, fn, options) {
+        return this.register({ action }, fn, options);
+    }
+
+    /**
+     * Register a handler for every task of a type
+     */
+    forType(type, fn, options) {
+        return this.register({ type }, fn, options);
+    }
+
+    /**
+     * Find the handler for a task (action first, then type)
+     * Returns { fn, kind, name, source } or null
+     */
+    resolve(task) {
+        return this.byAction.get(task.action) || this.byType.get(task.type) || null;
+    }
+
+    /**
+     * Registered handlers, for status and diagnostics
+     */
+    list() {
+        return [...this.byAction.values(), ...this.byType.values()]
+            .map(({ kind, name, source }) => ({ kind, name, source }));
+    }
+}
+
+module.exports = HandlerRegistry;
@@ -0,0 +1,134 @@
+// HookRegistry - Before/after hooks around kernel pipeline stages
+// Stages: stream → route → assess → triage → budget → execute → remember
+// Hooks run in priority order (lower first), failures are isolated and recorded
+
+const STAGES = ['stream', 'route', 'assess', 'triage', 'budget', 'execute', 'remember'];
+const PHASES = ['before', 'after'];
+
+class HookRegistry {
+    constructor() {
+        this.hooks = [];
+        this.sequence = 0;
+    }
+
+    /**
+     * Register a hook
+     * Hook signature: async (payload, ctx) => replacement | undefined
+     * Returning undefined keeps the payload; ctx.veto(reason) halts the pipeline
+     * Returns an unregister function
+     */
+    register(stage, phase, fn, options = {}) {
+        if (!STAGES.includes(stage)) {
+            throw new Error(`Invalid stage: ${stage}`);
+        }
+        if (!PHASES.includes(phase)) {
+            throw new Error(`Invalid phase: ${phase}`);
+        }
+        if (typeof fn !== 'function') {
+            throw new Error('Hook must be a function');
+        }
+
+        const hook = {
+            id: ++this.sequence,
+            stage,
+            phase,
+            fn,
+            name: options.name || fn.name || `${stage}:${phase}#${this.sequence}`,
+            priority: Number.isFinite(options.priority) ? options.priority : 100
+        };
+
+        this.hooks.push(hook);
+
+        return () => this.unregister(hook.id);
+    }
+
+    /**
+     * Register a before-stage hook
+     */
+    before(stage, fn, options) {
+        return this.register(stage, 'before', fn, options);
+    }
+
+    /**
+     * Register an after-stage hook
+     */
+    after(stage, fn, options) {
+        return this.register(stage, 'after', fn, options);
+    }
+
+    /**
+     * Remove a hook by id
+     */
+    unregister(id) {
+        const before = this.hooks.length;
+        this.hooks = this.hooks.filter(h => h.id !== id);
+        return this.hooks.length < before;
+    }
+
+    /**
+     * Get hooks for a stage/phase in execution order
+     */
+    getHooks(stage, phase) {
+        return this.hooks
+            .filter(h => h.stage === stage && h.phase === phase)
+            .sort((a, b) => a.priority - b.priority || a.id - b.id);
+    }
+
+    /**
+     * Run all hooks for a stage/phase
+     * Returns { value, failures, veto }
+     */
+    async run(stage, phase, payload, pipeline = {}) {
+        let value = payload;
+        const failures = [];
+        let veto = null;
+
+        for (const hook of this.getHooks(stage, phase)) {
+            const ctx = {
+                stage,
+                phase,
+                pipeline,
+                veto: (reason) => {
+                    veto = { stage, phase, hook: hook.name, reason: reason || 'vetoed' };
+                }
+            };
+
+            try {
+                const replacement = await hook.fn(value, ctx);
+                if (replacement !== undefined) {
+                    value = replacement;
+                }
+            } catch (error) {
+                // Isolate failure: keep the last good payload and continue
+                failures.push({
+                    stage,
+                    phase,
+                    hook: hook.name,
+                    error: error.message
+                });
+            }
+
+            if (veto) break;
+        }
+
+        return { value, failures, veto };
+    }
+
+    /**
+     * Get number of registered hooks
+     */
+    size() {
+        return this.hooks.length;
+    }
+
+    /**
+     * Remove all hooks
+     */
+    clear() {
+        this.hooks = [];
+    }
+}
+
+module.exports = HookRegistry;
+module.exports.STAGES = STAGES;
+module.exports.PHASES = PHASES;
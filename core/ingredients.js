@@ -0,0 +1,236 @@
+// IngredientParser - Parse ingredient lines into structured records
+// "1 1/2 cups flour, sifted", "½ tsp salt", "2-3 large eggs", "200g butter
+// (softened)", "a pinch of salt" → { quantity, unit, ingredient, notes }.
+// Quantities may be whole, decimal ("1.5", "1,5"), fractions, mixed numbers,
+// unicode fractions or number words; ranges ("2-3", "2 to 3") keep both ends.
+// Units are canonical names (UNITS): measures (cup, g, ...) and counts
+// (clove, can, pinch, ...). Sizes, preparation words, parentheses and
+// whatever follows a comma become notes.
+//
+// Ingredient: { text, quantity: number | null, maxQuantity: number | null,
+//               unit: string | null, ingredient, notes: [string] }
+
+// Canonical unit → spellings (lower case, without a trailing period)
+const UNITS = {
+    cup: ['cup', 'cups', 'c'],
+    tbsp: ['tbsp', 'tbsps', 'tbs', 'tbl', 'tablespoon', 'tablespoons'],
+    tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons'],
+    'fl oz': ['fl oz', 'floz', 'fluid ounce', 'fluid ounces'],
+    pt: ['pt', 'pint', 'pints'],
+    qt: ['qt', 'quart', 'quarts'],
+    gal: ['gal', 'gallon', 'gallons'],
+    ml: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+    l: ['l', 'liter', 'liters', 'litre', 'litres'],
+    g: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'],
+    kg: ['kg', 'kgs', 'kilogram', 'kilograms'],
+    oz: ['oz', 'ounce', 'ounces'],
+    lb: ['lb', 'lbs', 'pound', 'pounds'],
+    pinch: ['pinch', 'pinches'],
+    dash: ['dash', 'dashes'],
+    clove: ['clove', 'cloves'],
+    can: ['can', 'cans', 'tin', 'tins'],
+    stick: ['stick', 'sticks'],
+    slice: ['slice', 'slices'],
+    package: ['package', 'packages', 'pkg', 'packet', 'packets'],
+    bunch: ['bunch', 'bunches'],
+    sprig: ['sprig', 'sprigs'],
+    handful: ['handful', 'handfuls'],
+    piece: ['piece', 'pieces', 'pc', 'pcs']
+};
+
+// Recipe shorthand where case matters: "1 T sugar" vs "1 t salt"
+const CASED_UNITS = { T: 'tbsp', t: 'tsp' };
+
+const FRACTIONS = {
+    '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4', '⅕': '1/5', '⅖': '2/5',
+    '⅗': '3/5', '⅘': '4/5', '⅙': '1/6', '⅚': '5/6', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8'
+};
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+    half: 0.5, couple: 2, dozen: 12
+};
+
+// "a few eggs", "a little milk": an article, not an amount
+const VAGUE_WORDS = ['few', 'little', 'bit', 'splash', 'drizzle'];
+
+// Words in front of the ingredient that describe it rather than name it
+const SIZE_WORDS = ['small', 'medium', 'large', 'extra-large', 'jumbo', 'heaping', 'heaped', 'level', 'scant', 'generous'];
+const PREP_WORDS = [
+    'chopped', 'diced', 'minced', 'sliced', 'melted', 'softened', 'sifted', 'grated', 'shredded',
+    'crushed', 'beaten', 'packed', 'peeled', 'cubed', 'toasted', 'cooked', 'drained', 'rinsed',
+    'finely', 'roughly', 'coarsely', 'thinly', 'freshly', 'lightly', 'firmly', 'loosely'
+];
+
+// Trailing phrases that are notes even without a comma ("salt to taste")
+const TRAILING_NOTES = /\s+(to taste|optional|divided|for garnish|for serving|as needed)$/;
+
+// Amount: mixed number ("1 1/2", "1-1/2", "1 and 1/2"), fraction or decimal
+const AMOUNT = '\\d+(?:\\s+and\\s+|\\s+|-)\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?';
+const QUANTITY = new RegExp(`^(${AMOUNT})(?:\\s*(?:-|to|or)\\s*(${AMOUNT}))?`);
+
+class IngredientParser {
+    /**
+     * Parse one ingredient line
+     * Returns the Ingredient, or null for a blank line
+     */
+    parse(line) {
+        const text = String(line || '').trim();
+        let rest = IngredientParser.normalize(text).replace(/^[-*•]\s*/, '');
+        if (!rest) return null;
+
+        const { quantity, maxQuantity, remainder, note } = this.quantityOf(rest);
+        const notes = note ? [note] : [];
+        rest = remainder;
+
+        // "(14 oz)", ", softened", "to taste"
+        rest = rest.replace(/\(([^)]*)\)/g, (match, inner) => {
+            if (inner.trim()) notes.push(inner.trim());
+            return ' ';
+        });
+        const comma = rest.indexOf(',');
+        if (comma >= 0) {
+            notes.push(...rest.slice(comma + 1).split(',').map(n => n.trim()).filter(Boolean));
+            rest = rest.slice(0, comma);
+        }
+        rest = rest.replace(/\s+/g, ' ').trim();
+        const trailing = rest.match(TRAILING_NOTES);
+        if (trailing) {
+            notes.unshift(trailing[1]);
+            rest = rest.slice(0, trailing.index);
+        }
+
+        const { unit, remainder: named } = this.unitOf(rest, quantity !== null);
+        rest = named.replace(/^of\s+/i, '');
+
+        // Leading size and preparation words
+        const words = rest.split(' ');
+        let described = 0;
+        while (described < words.length - 1 && IngredientParser.describes(words[described])) described++;
+        if (described > 0) notes.unshift(words.slice(0, described).join(' ').toLowerCase());
+
+        return {
+            text,
+            quantity,
+            maxQuantity,
+            unit,
+            ingredient: words.slice(described).join(' ').toLowerCase().replace(/[.;:]+$/, '').trim(),
+            notes
+        };
+    }
+
+    /**
+     * Parse several lines (an array, or text with one ingredient per line)
+     */
+    parseAll(lines) {
+        const list = Array.isArray(lines) ? lines : String(lines || '').split(/\r?\n/);
+        return list.map(line => this.parse(line)).filter(item => item && item.ingredient);
+    }
+
+    /**
+     * Leading quantity of a normalized line
+     * Returns { quantity, maxQuantity, remainder, note? } (note: a vague amount, "a few")
+     */
+    quantityOf(text) {
+        const match = text.match(QUANTITY);
+        if (match) {
+            const quantity = IngredientParser.amount(match[1]);
+            const maxQuantity = match[2] ? IngredientParser.amount(match[2]) : null;
+            return { quantity, maxQuantity, remainder: text.slice(match[0].length).trim() };
+        }
+
+        // Number words: "a dozen", "half a", "one and a half", "two"
+        const words = text.split(/\s+/);
+        const [first, second, third, fourth] = words.map(w => w.toLowerCase());
+        const value = NUMBER_WORDS[first];
+        if (value === undefined) {
+            return { quantity: null, maxQuantity: null, remainder: text };
+        }
+        if (VAGUE_WORDS.includes(second) && words.length > 2) {
+            return { quantity: null, maxQuantity: null, remainder: words.slice(2).join(' '), note: `${first} ${second}` };
+        }
+        const take = (count, quantity) => ({ quantity, maxQuantity: null, remainder: words.slice(count).join(' ') });
+
+        if (second === 'and' && third === 'a' && fourth === 'half') return take(4, value + 0.5);
+        if (first === 'half' && (second === 'a' || second === 'an')) return take(2, 0.5);
+        if ((first === 'a' || first === 'an') && NUMBER_WORDS[second] !== undefined && !['a', 'an'].includes(second)) {
+            return take(2, NUMBER_WORDS[second]);
+        }
+        return take(1, value);
+    }
+
+    /**
+     * Leading unit of what follows the quantity
+     * Single letters only count after a quantity ("2 c flour", not "c")
+     * Returns { unit, remainder }
+     */
+    unitOf(text, afterQuantity) {
+        const words = text.split(' ');
+        const two = IngredientParser.unitFromWord(words.slice(0, 2).join(' '));
+        if (two && words.length > 1) return { unit: two, remainder: words.slice(2).join(' ') };
+
+        const word = words[0].replace(/\.$/, '');
+        const unit = IngredientParser.unitFromWord(word);
+        if (!unit || (word.length === 1 && !afterQuantity)) {
+            return { unit: null, remainder: text };
+        }
+        return { unit, remainder: words.slice(1).join(' ') };
+    }
+
+    /**
+     * Canonical unit for a word or two ('Tbsp.' → 'tbsp', 'fl oz' → 'fl oz'), or null
+     */
+    static unitFromWord(word) {
+        const text = String(word).trim().replace(/\.$/, '');
+        if (CASED_UNITS[text]) return CASED_UNITS[text];
+        const lower = text.toLowerCase();
+        return Object.keys(UNITS).find(unit => UNITS[unit].includes(lower)) || null;
+    }
+
+    /**
+     * Number for an amount ("1 1/2", "3/4", "1,5", "2")
+     */
+    static amount(text) {
+        const parts = String(text).trim().split(/\s+and\s+|\s+|-(?=\d+\/)/);
+        const value = parts.reduce((sum, part) => {
+            const [numerator, denominator] = part.split('/');
+            return sum + (denominator ? Number(numerator) / Number(denominator) : Number(part.replace(',', '.')));
+        }, 0);
+        return Math.round(value * 1000) / 1000;
+    }
+
+    /**
+     * Plain ASCII fractions and dashes ("1½" → "1 1/2", "2–3" → "2-3")
+     */
+    static normalize(text) {
+        return String(text)
+            .replace(/(\d)?\s*([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, (match, whole, fraction) =>
+                `${whole ? `${whole} ` : ''}${FRACTIONS[fraction]}`)
+            .replace(/⁄/g, '/')
+            .replace(/[–—]/g, '-')
+            .trim();
+    }
+
+    /**
+     * Whether a word describes the ingredient (size or preparation)
+     */
+    static describes(word) {
+        const lower = String(word).toLowerCase().replace(/,$/, '');
+        return SIZE_WORDS.includes(lower) || PREP_WORDS.includes(lower);
+    }
+
+    /**
+     * Display text for a record ("1.5 cup flour (sifted)")
+     */
+    static format(item) {
+        const quantity = item.quantity === null ? '' :
+            item.maxQuantity !== null ? `${item.quantity}-${item.maxQuantity}` : `${item.quantity}`;
+        const notes = item.notes.length > 0 ? ` (${item.notes.join(', ')})` : '';
+        return `${[quantity, item.unit, item.ingredient].filter(Boolean).join(' ')}${notes}`;
+    }
+}
+
+module.exports = IngredientParser;
+module.exports.UNITS = UNITS;
+module.exports.AMOUNT = AMOUNT;
@@ -1,29 +1,79 @@
 // ALIVE Kernel - Core Organism Loop
-// Stream → Assess → Triage → Budget → Execute → Remember → Reset
+// Stream → Route → Assess → Triage → Budget → Execute → Remember → Reset
 
+const fs = require('fs');
+const path = require('path');
 const StreamMemory = require('../memory/stream');
 const WorkingMemory = require('../memory/working');
 const LongTermMemory = require('../memory/longterm');
+const MemoryPersistence = require('../memory/persistence');
+const DeferredQueue = require('../memory/deferred');
 const Assessor = require('./assess');
+const Lexicons = require('./lexicon');
 const Triager = require('./triage');
+const TaskTemplates = require('./task-templates');
+const ModeSelector = require('./mode');
+const Clarifier = require('./clarify');
+const FollowUpResolver = require('./followup');
 const BudgetGovernor = require('./budget');
 const ResetController = require('./reset');
+const HookRegistry = require('./hooks');
+const DecisionTrace = require('./trace');
+const DomainLoader = require('./domain-loader');
+const DomainRouter = require('./domain-router');
+const Executor = require('./executor');
+const ResponseComposer = require('./compose');
 
 class ALIVEKernel {
-    constructor() {
+    constructor(options = {}) {
         // Memory tiers
         this.streamMemory = new StreamMemory();
         this.workingMemory = new WorkingMemory();
         this.longTermMemory = new LongTermMemory();
         
+        // State directory: tier persistence, deferred tasks and the runlog live there
+        this.statePath = options.statePath || null;
+        
+        // Tier persistence (only when a state directory is given)
+        this.persistence = options.statePath
+            ? new MemoryPersistence(options.statePath, options.botId)
+            : null;
+        
+        // Deferred tasks, resumed by a later run or when idle (persisted with a state directory)
+        this.deferred = new DeferredQueue(options.statePath || null, options.botId);
+        
         // Core components
-        this.assessor = new Assessor();
-        this.triager = new Triager();
+        this.lexicons = Lexicons.withDefaults();
+        this.assessor = new Assessor({ lexicons: this.lexicons });
+        this.templates = options.templates || TaskTemplates.withDefaults();
+        this.triager = new Triager({ templates: this.templates });
         this.budgetGovernor = new BudgetGovernor();
-        this.resetController = new ResetController();
+        this.concurrency = options.concurrency || 2; // parallel independent tasks
+        this.resetController = new ResetController({ maxResetDepth: options.maxResetDepth });
+        
+        // Stage hooks (before/after each pipeline stage)
+        this.hooks = options.hooks || new HookRegistry();
+        
+        // Executor handlers by task action/type (domains add theirs on load)
+        this.handlers = options.handlers || Executor.createHandlers();
+        
+        // Domain agents (empty until loadDomains) and input router
+        this.domainLoader = new DomainLoader(this);
+        this.router = new DomainRouter(this.domainLoader);
         
         // Execution modes
-        this.mode = 'HEURISTIC'; // PRECISION | HEURISTIC
+        this.mode = 'HEURISTIC'; // PRECISION | HEURISTIC (this run's, see selectMode)
+        this.pinnedMode = ModeSelector.isMode(options.mode) ? options.mode : null; // null = chosen per run
+        this.modeSelector = new ModeSelector();
+        
+        // Questions for underspecified requests (pending ones kept in working memory)
+        this.clarifier = new Clarifier();
+        
+        // Follow-up turns resolved against the previous run's subject in working memory
+        this.followUps = new FollowUpResolver();
+        
+        // Step-skipping policy (meta/policy.js); null = the adopted policy, read per task
+        this.policy = options.policy || null;
         
         // State
         this.loopCount = 0;
@@ -32,46 +82,164 @@ class ALIVEKernel {
 
     /**
      * Main organism loop - processes user input through full pipeline
+     * options.trace: DecisionTrace to record decisions into (kept out of context,
+     * which is stored in stream memory)
+     * options.resets / options.resetDepth: carried into the retry after a reset
+     * options.taskId: names the clarification asked when the input is underspecified
+     * options.followUps: false to take the input as it is (no reference resolution)
      */
-    async process(userInput, context = {}) {
+    async process(userInput, context = {}, options = {}) {
         this.loopCount++;
         const startTime = Date.now();
+        const trace = options.trace || null;
+        const signal = options.signal || null;
+        const resets = options.resets || [];
+        const resetDepth = options.resetDepth || 0;
+        
+        // (a.0) Follow-up - "make it vegan", "double that": rewrite against the previous subject
+        const followUp = options.followUps === false ? null : this.followUps.resolve(userInput, this.workingMemory);
+        if (followUp) {
+            userInput = followUp.input;
+            context = { ...context, followUp: { original: followUp.original, subject: followUp.subject } };
+            trace?.recordFollowUp(followUp);
+            process.stderr.write(followUp.unresolved
+                ? `🔗 Follow-up: "${followUp.original}" cannot use ${followUp.subject.name}\n`
+                : `🔗 Follow-up: "${followUp.original}" → "${followUp.input}"\n`);
+        }
+        
+        // Shared view of the run for hooks; collects hook failures
+        const pipeline = { input: userInput, context, trace, signal, hookFailures: [] };
         
         try {
             // (a) Stream Capture
-            const streamEntry = await this.captureStream(userInput, context);
+            const streamEntry = await this.runStage('stream', pipeline, { input: userInput, context },
+                (payload) => this.captureStream(payload.input, payload.context));
+            pipeline.streamEntry = streamEntry;
+            
+            // (a.1) Route - Resolve domain (loaded agent or built-in cooking)
+            const route = await this.runStage('route', pipeline, streamEntry,
+                (entry) => this.route(entry));
+            pipeline.route = route;
+            trace?.recordRoute(route);
             
             // (b) Assess
-            const assessment = await this.assess(streamEntry);
+            const assessment = await this.runStage('assess', pipeline, streamEntry,
+                (entry) => this.assess(entry, route, signal));
+            pipeline.assessment = assessment;
+            trace?.recordAssessment(assessment);
             
             // Check for reset condition
-            if (this.resetController.shouldReset(assessment, this.workingMemory)) {
-                process.stderr.write('🔄 Reset triggered - coherence break detected\n');
-                await this.reset();
-                return this.process(userInput, { ...context, resetTriggered: true });
+            const resetCheck = this.resetController.evaluate(assessment, this.workingMemory);
+            trace?.recordResetCheck(resetCheck);
+            
+            if (resetCheck.shouldReset) {
+                // Diagnose before reset() clears working memory
+                const record = this.resetController.explain(resetCheck, this.workingMemory, resetDepth);
+                resets.push(record);
+                trace?.recordReset(record);
+                
+                if (record.limited) {
+                    process.stderr.write(`⚠️ Reset limit reached (${this.resetController.maxResetDepth}) - continuing without reset\n`);
+                } else {
+                    process.stderr.write('🔄 Reset triggered - coherence break detected\n');
+                    await this.reset();
+                    const retried = await this.process(userInput, { ...context, resetTriggered: true },
+                        { ...options, resets, resetDepth: resetDepth + 1, followUps: false });
+                    retried.hookFailures = [...pipeline.hookFailures, ...(retried.hookFailures || [])];
+                    retried.followUp = followUp || retried.followUp;
+                    return retried;
+                }
             }
             
-            // (c) Triage
-            const triage = await this.triage(assessment);
+            // (b.1) Mode - PRECISION or HEURISTIC for this run
+            const modeSelection = this.selectMode(assessment, route, context);
+            trace?.recordMode(modeSelection);
             
-            // (d) Budget Plan
-            const budget = await this.budgetPlan(triage, assessment);
+            // (b.2) Clarify - Ask instead of guessing when the request is underspecified
+            const clarification = route.builtIn ? this.clarify(userInput, assessment, options.taskId, followUp) : null;
+            if (clarification) {
+                trace?.recordClarification(clarification);
+                trace?.complete(this.mode);
+                return {
+                    success: true,
+                    needsClarification: clarification,
+                    result: null,
+                    assessment,
+                    triage: null,
+                    budget: null,
+                    elapsed: Date.now() - startTime,
+                    loopCount: this.loopCount,
+                    domain: route.domain,
+                    route,
+                    deferred: [],
+                    mode: this.mode,
+                    modeSelection,
+                    escalation: null,
+                    calibration: null,
+                    resets,
+                    followUp,
+                    hookFailures: pipeline.hookFailures
+                };
+            }
             
-            // (e) Execute
-            const result = await this.execute(triage, budget, assessment);
+            let triage, budget, result;
+            let escalation = null;
+            let firstAttempt = null;
+            for (;;) {
+                // (c) Triage
+                triage = await this.runStage('triage', pipeline, assessment,
+                    (a) => this.triage(a, signal));
+                if (firstAttempt) {
+                    // Escalated retry: steps outside validation keep what they already did
+                    triage = { ...triage, priorities: triage.priorities.map(task => this.reuseFirstAttempt(task, firstAttempt)) };
+                }
+                pipeline.triage = triage;
+                trace?.recordTriage(triage);
+                
+                // (d) Budget Plan
+                budget = await this.runStage('budget', pipeline, triage,
+                    (t) => this.budgetPlan(t, assessment));
+                pipeline.budget = budget;
+                trace?.recordBudget(budget);
+                
+                // (e) Execute
+                result = await this.runStage('execute', pipeline, triage,
+                    (t) => this.execute(t, budget, assessment, { trace, signal, input: userInput }));
+                pipeline.result = result;
+                
+                // (e.1) Heuristic validation failed: escalate once and retry in PRECISION
+                const failure = this.mode === 'HEURISTIC' && !escalation
+                    ? this.modeSelector.validationFailure(triage, result)
+                    : null;
+                if (!failure) break;
+                
+                escalation = { from: 'HEURISTIC', to: 'PRECISION', ...failure, at: Date.now() };
+                firstAttempt = { rerun: this.modeSelector.rerun(triage), results: result.results || [] };
+                trace?.recordEscalation(escalation);
+                process.stderr.write(`⬆️ Validation failed in HEURISTIC mode (${failure.task}) - retrying in PRECISION\n`);
+                this.mode = 'PRECISION';
+            }
             
             // (f) Remember
-            await this.remember(streamEntry, assessment, triage, result);
+            await this.runStage('remember', pipeline, result, async (r) => {
+                await this.remember(streamEntry, assessment, triage, r);
+                return r;
+            });
+            
+            // (f.0) Queue what triage deferred for a later run
+            const deferred = this.deferred.enqueue(triage, assessment, userInput);
             
             const elapsed = Date.now() - startTime;
             
-            // (f.1) MetaLoop - Record and Review (Observer only)
+            // (f.1) MetaLoop - Calibrate confidence, then Record and Review (Observer only)
+            let calibration = null;
+            let playbook = null;
             try {
-                const { MetaLoop } = require('../meta/MetaLoop');
-                const meta = new MetaLoop();
+                const { ConfidenceModel } = require('../meta/calibration');
+                const meta = this.metaLoop();
                 
-                meta.recordAndReview({
-                    domain: 'cooking',
+                const run = {
+                    domain: route.domain,
                     taskType: assessment.inputType || 'general',
                     assessment: {
                         urgency: assessment.urgency,
@@ -81,21 +249,26 @@ class ALIVEKernel {
                     },
                     metrics: {
                         timeMs: elapsed,
-                        stepCount: result.result?.results?.length || 0,
-                        lookupUsed: result.result?.results?.some(r => 
+                        stepCount: result.results?.length || 0,
+                        lookupUsed: result.results?.some(r => 
                             r.task?.includes('lookup') || r.task?.includes('search') || r.task?.includes('gather')
                         ) || false,
                         lookupChangedOutcome: false, // Could enhance later
-                        resetTriggered: false
-                    },
-                    outcome: {
-                        status: result.success ? 'success' : 'fail',
-                        userCorrections: 0
+                        resetTriggered: resets.some(r => !r.limited),
+                        escalated: Boolean(escalation)
                     },
+                    outcome: this.runOutcome(triage, result, context),
+                    mode: this.mode,
+                    language: assessment.language,
                     inputs: {
                         querySummary: String(userInput).substring(0, 100)
                     }
-                });
+                };
+                
+                // Estimated from earlier runs only, so this one is not counted
+                calibration = new ConfidenceModel(meta).estimate(run);
+                const review = meta.recordAndReview({ ...run, confidence: calibration.confidence });
+                playbook = review.playbookMatch || null;
             } catch (metaError) {
                 // MetaLoop recording is optional, continue if it fails
                 if (context.debug) {
@@ -105,6 +278,8 @@ class ALIVEKernel {
             
             // (g) Reset if needed (already handled above)
             
+            trace?.complete(this.mode);
+            
             return {
                 success: true,
                 result,
@@ -112,19 +287,81 @@ class ALIVEKernel {
                 triage,
                 budget,
                 elapsed,
-                loopCount: this.loopCount
+                loopCount: this.loopCount,
+                domain: route.domain,
+                route,
+                deferred: deferred.map(entry => entry.id),
+                mode: this.mode,
+                modeSelection,
+                escalation,
+                calibration,
+                playbook,
+                resets,
+                followUp,
+                hookFailures: pipeline.hookFailures
             };
             
         } catch (error) {
+            // Cancelled runs are not failures of the kernel
+            if (signal?.aborted) {
+                trace?.recordCancelled(pipeline.currentStage);
+                trace?.complete(this.mode);
+                return {
+                    success: false,
+                    cancelled: true,
+                    error: 'Run cancelled',
+                    domain: pipeline.route ? pipeline.route.domain : null,
+                    elapsed: Date.now() - startTime,
+                    resets,
+                    hookFailures: pipeline.hookFailures
+                };
+            }
+            
             process.stderr.write(`Kernel error: ${error.message}\n`);
+            trace?.complete(this.mode);
             return {
                 success: false,
                 error: error.message,
-                elapsed: Date.now() - startTime
+                vetoed: error.veto || null,
+                domain: pipeline.route ? pipeline.route.domain : null,
+                elapsed: Date.now() - startTime,
+                resets,
+                hookFailures: pipeline.hookFailures
             };
         }
     }
 
+    /**
+     * Run a pipeline stage wrapped in its before/after hooks
+     * Before hooks see the stage input, after hooks see the stage output
+     */
+    async runStage(stage, pipeline, input, fn) {
+        pipeline.currentStage = stage;
+        pipeline.signal?.throwIfAborted();
+        
+        const before = await this.hooks.run(stage, 'before', input, pipeline);
+        pipeline.hookFailures.push(...before.failures);
+        
+        if (before.veto) {
+            const error = new Error(`Stage ${stage} vetoed by hook ${before.veto.hook}: ${before.veto.reason}`);
+            error.veto = before.veto;
+            throw error;
+        }
+        
+        const output = await fn(before.value);
+        
+        const after = await this.hooks.run(stage, 'after', output, pipeline);
+        pipeline.hookFailures.push(...after.failures);
+        
+        if (after.veto) {
+            const error = new Error(`Stage ${stage} vetoed by hook ${after.veto.hook}: ${after.veto.reason}`);
+            error.veto = after.veto;
+            throw error;
+        }
+        
+        return after.value;
+    }
+
     /**
      * (a) Stream Capture - Add to consciousness buffer
      */
@@ -140,24 +377,92 @@ class ALIVEKernel {
         return entry;
     }
 
+    /**
+     * (a.1) Route - Classify input to a loaded domain or built-in cooking
+     */
+    async route(streamEntry) {
+        const context = streamEntry.context || {};
+        return this.router.route(streamEntry.input, { specialty: context.specialty });
+    }
+
     /**
      * (b) Assess - Evaluate urgency, stakes, difficulty, precision
      */
-    async assess(streamEntry) {
-        return this.assessor.evaluate(streamEntry, {
+    async assess(streamEntry, route = null, signal = null) {
+        const assessment = await this.assessor.evaluate(streamEntry, {
             stream: this.streamMemory,
             working: this.workingMemory,
             longTerm: this.longTermMemory
-        });
+        }, { signal, domain: route ? route.domain : 'cooking' });
+        
+        assessment.domain = route ? route.domain : 'cooking';
+        
+        // Domain-routed inputs are typed by the domain action
+        if (route && !route.builtIn) {
+            assessment.inputType = route.action;
+            assessment.domainAction = route.action;
+            assessment.domainParams = route.params;
+        }
+        
+        return assessment;
+    }
+
+    /**
+     * (b.2) Clarify - Questions for an underspecified request, or null
+     * The pending clarification is kept in working memory under its task id
+     */
+    clarify(userInput, assessment, taskId = null, followUp = null) {
+        const clarification = this.clarifier.check(userInput, assessment, { working: this.workingMemory, followUp });
+        if (!clarification) return null;
+        
+        const id = taskId || `task_${Date.now()}`;
+        const pending = { taskId: id, ...clarification, askedAt: Date.now(), timestamp: Date.now() };
+        this.workingMemory.set(`clarification:${id}`, pending);
+        process.stderr.write(`❓ Needs clarification (${clarification.reason}) for ${id}\n`);
+        return pending;
+    }
+
+    /**
+     * Clarifications waiting for an answer (oldest first)
+     */
+    pendingClarifications() {
+        const state = this.workingMemory.get();
+        return Object.keys(state)
+            .filter(key => key.startsWith('clarification:'))
+            .map(key => state[key])
+            .sort((a, b) => a.askedAt - b.askedAt);
+    }
+
+    /**
+     * Answer a pending clarification and run the completed request
+     * The request runs under the same task id, so an answer that still leaves
+     * slots missing asks again
+     * Returns the process() result with answered: { taskId, input, answer, resolvedInput }
+     */
+    async answerClarification(taskId, answer, context = {}, options = {}) {
+        const key = `clarification:${taskId}`;
+        const pending = this.workingMemory.get(key);
+        if (!pending) {
+            return { success: false, error: `No pending clarification for ${taskId}`, domain: null, resets: [], hookFailures: [] };
+        }
+        
+        const resolved = this.clarifier.resolve(pending, answer);
+        this.workingMemory.remove(key);
+        
+        const result = await this.process(resolved.input, { ...context, clarification: { taskId, answer } },
+            { ...options, taskId });
+        result.answered = { taskId, input: pending.input, answer, resolvedInput: resolved.input };
+        return result;
     }
 
     /**
      * (c) Triage - Prioritize, identify dependencies, defer/discard
      */
-    async triage(assessment) {
+    async triage(assessment, signal = null) {
         return this.triager.prioritize(assessment, {
             working: this.workingMemory,
-            mode: this.mode
+            mode: this.mode,
+            signal
         });
     }
 
@@ -168,13 +473,31 @@ class ALIVEKernel {
         return this.budgetGovernor.allocate(triage, assessment);
     }
 
+    /**
+     * A task of an escalated retry, marked to reuse its first-attempt result
+     * when it succeeded and does not depend on the failed validation
+     */
+    reuseFirstAttempt(task, firstAttempt) {
+        if (firstAttempt.rerun.has(task.action)) return task;
+        const previous = firstAttempt.results.find(r => r.task === task.action);
+        if (!previous || !previous.success || previous.skipped) return task;
+        return { ...task, reuse: { requestId: 'HEURISTIC attempt', result: previous.result } };
+    }
+
     /**
      * (e) Execute - Run the planned actions
      */
-    async execute(triage, budget, assessment) {
-        const executor = require('./executor');
-        return executor.run(triage, budget, assessment, {
+    async execute(triage, budget, assessment, options = {}) {
+        return Executor.run(triage, budget, assessment, {
             mode: this.mode,
+            trace: options.trace || null,
+            signal: options.signal || null,
+            concurrency: this.concurrency,
+            handlers: this.handlers,
+            policy: this.policy,
+            input: options.input || '',
+            domains: this.domainLoader,
+            governor: this.budgetGovernor,
             memory: {
                 stream: this.streamMemory,
                 working: this.workingMemory,
@@ -196,13 +519,15 @@ class ALIVEKernel {
             timestamp: Date.now()
         });
         
-        // Promote to long-term if criteria met
+        // What the run was about, for follow-up turns
+        this.followUps.remember(this.workingMemory, streamEntry.input, assessment, result);
+        
+        // Track pattern use, promote to long-term if criteria met
+        const pattern = this.extractPattern(streamEntry, result);
+        this.longTermMemory.recordUse(pattern);
+        
         if (this.shouldPromoteToLongTerm(streamEntry, result)) {
-            this.longTermMemory.store({
-                pattern: this.extractPattern(streamEntry, result),
-                timestamp: Date.now(),
-                useCount: 1
-            });
+            this.longTermMemory.promote(pattern);
         }
         
         // Decay old working memory
@@ -239,29 +564,389 @@ class ALIVEKernel {
     }
 
     /**
-     * Set execution mode (PRECISION | HEURISTIC)
+     * Load domain agents (domain/<name>/) so inputs can be routed to them
+     */
+    async loadDomains(domainsDir = path.join(__dirname, '../domain')) {
+        if (!fs.existsSync(domainsDir)) return [];
+        
+        await this.domainLoader.loadDomains(domainsDir);
+        this.registerDomainHandlers();
+        this.registerDomainTemplates();
+        this.registerDomainLexicons();
+        return this.domainLoader.getLoadedDomains();
+    }
+
+    /**
+     * Let each loaded domain agent add executor handlers
+     * Agents opt in with registerHandlers(registry, { source })
+     */
+    registerDomainHandlers() {
+        for (const name of this.domainLoader.getLoadedDomains()) {
+            const { agent } = this.domainLoader.getDomain(name);
+            if (agent && typeof agent.registerHandlers === 'function') {
+                agent.registerHandlers(this.handlers, { source: name });
+            }
+        }
+    }
+
+    /**
+     * Add each loaded domain's task-graph templates (<domain>/templates/)
+     * An invalid template skips that domain's templates, not the domain
+     */
+    registerDomainTemplates() {
+        for (const name of this.domainLoader.getLoadedDomains()) {
+            const domain = this.domainLoader.getDomain(name);
+            if (!domain.path) continue;
+            try {
+                this.templates.loadDirectory(path.join(domain.path, 'templates'), { source: name });
+            } catch (error) {
+                process.stderr.write(`⚠️ Skipping ${name} templates: ${error.message}\n`);
+            }
+        }
+    }
+
+    /**
+     * Add each loaded domain's assessment lexicon (`lexicon` in domain.config.js)
+     * An invalid lexicon is skipped; the domain is assessed with core wording
+     */
+    registerDomainLexicons() {
+        for (const name of this.domainLoader.getLoadedDomains()) {
+            const { config } = this.domainLoader.getDomain(name);
+            if (!config.lexicon) continue;
+            try {
+                this.lexicons.register({ domain: name, ...config.lexicon }, { source: name });
+            } catch (error) {
+                process.stderr.write(`⚠️ Skipping ${name} lexicon: ${error.message}\n`);
+            }
+        }
+    }
+
+    /**
+     * Inbox mode - several pending inputs assessed and triaged together
+     * requests: strings or { id, input, context }
+     * Triage picks the top tasks across all requests (see Triager.prioritizeInbox);
+     * requests then run in the order of their best task, and shared retrievals
+     * run in the first request that needs them and are reused by the others
+     * options: { limit (task slots), signal }
+     * Each request runs in its own mode (see selectMode)
+     * Returns { success, inbox, requests: [{ id, input, domain, mode, status, assessment, triage, result, deferred }], elapsed }
+     */
+    async processInbox(requests, context = {}, options = {}) {
+        this.loopCount++;
+        const startTime = Date.now();
+        const signal = options.signal || null;
+        
+        try {
+            // (a, a.1, b) Stream, route and assess every request
+            const items = [];
+            for (const [index, request] of requests.entries()) {
+                const { id = `req_${index + 1}`, input, context: own = {} } =
+                    typeof request === 'string' ? { input: request } : request;
+                const streamEntry = await this.captureStream(input, { ...context, ...own, inbox: true });
+                const route = await this.route(streamEntry);
+                const assessment = await this.assess(streamEntry, route, signal);
+                const { mode } = this.selectMode(assessment, route, { ...context, ...own });
+                items.push({ id, input, streamEntry, route, assessment, mode });
+            }
+            
+            // (c) Inbox triage - global top tasks, shared retrievals merged
+            const inbox = await this.triager.prioritizeInbox(items, {
+                working: this.workingMemory,
+                mode: this.mode,
+                signal,
+                limit: options.limit
+            });
+            
+            // (d, e, f) Budget, execute and remember each request with selected tasks
+            const shared = new Map(); // slot → { requestId, result }
+            const outcomes = new Map();
+            const order = inbox.requests
+                .filter(triage => triage.priorities.length > 0)
+                .sort((a, b) => b.priorities[0].score - a.priorities[0].score);
+            
+            for (const triage of order) {
+                const item = items.find(i => i.id === triage.id);
+                triage.priorities = triage.priorities.map(task =>
+                    shared.has(task.slot) ? { ...task, reuse: shared.get(task.slot) } : task
+                );
+                
+                this.mode = item.mode;
+                const budget = await this.budgetPlan(triage, item.assessment);
+                const result = await this.execute(triage, budget, item.assessment, { signal, input: item.input });
+                
+                for (const r of result.results) {
+                    const task = triage.priorities.find(t => t.action === r.task);
+                    if (r.success && !r.reused && task.slot.startsWith('shared:') && !shared.has(task.slot)) {
+                        shared.set(task.slot, { requestId: triage.id, result: r.result });
+                    }
+                }
+                
+                await this.remember(item.streamEntry, item.assessment, triage, result);
+                outcomes.set(triage.id, result);
+            }
+            
+            // (f.0) Queue what inbox triage deferred, per request
+            const results = inbox.requests.map(triage => {
+                const item = items.find(i => i.id === triage.id);
+                const result = outcomes.get(triage.id) || null;
+                const deferred = this.deferred.enqueue(triage, item.assessment, item.input);
+                return {
+                    id: item.id,
+                    input: item.input,
+                    domain: item.route.domain,
+                    mode: item.mode,
+                    status: !result ? 'deferred' : (result.success ? 'completed' : 'failed'),
+                    assessment: item.assessment,
+                    triage,
+                    result,
+                    deferred: deferred.map(entry => entry.id)
+                };
+            });
+            
+            return {
+                success: results.every(r => r.status !== 'failed'),
+                inbox,
+                requests: results,
+                elapsed: Date.now() - startTime,
+                loopCount: this.loopCount
+            };
+            
+        } catch (error) {
+            if (signal?.aborted) {
+                return { success: false, cancelled: true, error: 'Run cancelled', elapsed: Date.now() - startTime };
+            }
+            
+            process.stderr.write(`Inbox error: ${error.message}\n`);
+            return { success: false, error: error.message, elapsed: Date.now() - startTime };
+        }
+    }
+
+    /**
+     * Steps a run would execute, with their time budgets (nothing is executed)
+     * Returns [{ action, type, budgetMs }]
+     */
+    async plannedSteps(assessment, mode = this.mode) {
+        const triage = await this.triager.prioritize(assessment, { working: this.workingMemory, mode });
+        const budget = await this.budgetPlan(triage, assessment);
+        return triage.priorities.map(task => {
+            const taskBudget = budget.tasks.find(b => b.task === task.action);
+            return { action: task.action, type: task.type, budgetMs: taskBudget ? taskBudget.maxTime : null };
+        });
+    }
+
+    /**
+     * Which steps a policy would skip for a query, and why (nothing is executed)
+     * options: { policy (PolicyEngine; default: the adopted policy), context }
+     */
+    async explainPolicy(query, options = {}) {
+        const { PolicyEngine } = require('../meta/policy');
+        const policy = options.policy || this.policy || PolicyEngine.load();
+        
+        // Assessed like a run, without entering stream memory
+        const context = options.context || {};
+        const streamEntry = { timestamp: Date.now(), input: query, context, loopCount: this.loopCount };
+        const route = await this.route(streamEntry);
+        const assessment = await this.assess(streamEntry, route);
+        const { mode } = this.selectMode(assessment, route, context);
+        const steps = await this.plannedSteps(assessment, mode);
+        
+        return policy.explain(steps, { assessment, mode, taskType: assessment.inputType, query });
+    }
+
+    /**
+     * A candidate policy's effect over logged runs, compared with the adopted policy
+     * options: { current (PolicyEngine), last (number of most recent runs, default 20), runs }
+     */
+    async dryRunPolicy(candidate, options = {}) {
+        const { PolicyEngine } = require('../meta/policy');
+        const current = options.current || this.policy || PolicyEngine.load();
+        const runs = (options.runs || this.metaLoop()._readRecentRuns()).slice(-(options.last || 20));
+        
+        // Steps are re-planned from the logged task type and assessment
+        const stepsFor = (run) => {
+            const routed = run.domain && run.domain !== 'cooking';
+            return this.plannedSteps({
+                ...run.assessment,
+                inputType: run.taskType,
+                domain: run.domain || 'cooking',
+                ...(routed ? { domainAction: run.taskType } : {})
+            }, run.mode || 'HEURISTIC');
+        };
+        
+        return candidate.dryRun(runs, stepsFor, current);
+    }
+
+    /**
+     * MetaLoop over this kernel's runlog: in the state directory when one is given,
+     * the repository's data/ otherwise
+     */
+    metaLoop() {
+        const { MetaLoop } = require('../meta/MetaLoop');
+        return new MetaLoop(this.statePath ? { dataDir: this.statePath } : {});
+    }
+
+    /**
+     * Outcome logged for a finished run
+     * status: 'fail' when nothing succeeded or validation still failed (after any
+     * escalation), 'partial' when some task failed, 'success' otherwise
+     * userCorrectionsCount: clarification answers the user gave before the run could answer
+     * validation: 'passed' | 'failed', null when the run had no validation task
+     */
+    runOutcome(triage, result, context = {}) {
+        const validated = (result.results || []).some(r => !r.skipped &&
+            triage.priorities.some(task => task.type === 'validation' && task.action === r.task));
+        const validation = validated
+            ? (this.modeSelector.validationFailure(triage, result) ? 'failed' : 'passed')
+            : null;
+        const failed = (result.results || []).some(r => !r.success && !r.skipped);
+        
+        return {
+            status: !result.success || validation === 'failed' ? 'fail' : failed ? 'partial' : 'success',
+            userCorrectionsCount: context.clarification ? 1 : 0,
+            validation
+        };
+    }
+
+    /**
+     * Run deferred tasks from earlier runs (oldest run first)
+     * Each run's entries execute together with the tasks they depend on
+     * options: { limit (runs, default 1), before (ms: skip entries deferred later), signal }
+     * Returns [{ id, action, input, ageMs, success, result, error }]
+     */
+    async resumeDeferred(options = {}) {
+        const resumed = [];
+        const groups = this.deferred.nextGroups(options.limit || 1, { before: options.before });
+        
+        for (const group of groups) {
+            if (options.signal?.aborted) break;
+            
+            const priorities = [];
+            for (const entry of group.entries) {
+                for (const task of entry.graph) {
+                    if (!priorities.some(t => t.action === task.action)) priorities.push({ ...task });
+                }
+            }
+            const triage = {
+                priorities,
+                deferred: [],
+                discarded: [],
+                dependencies: this.triager.consolidateDependencies(priorities),
+                timestamp: Date.now()
+            };
+            
+            let result = null;
+            let error = null;
+            try {
+                const budget = await this.budgetPlan(triage, group.assessment);
+                result = await this.execute(triage, budget, group.assessment, {
+                    signal: options.signal,
+                    input: group.input
+                });
+            } catch (err) {
+                // Cancelled: leave the entries as they were
+                if (options.signal?.aborted) break;
+                error = err.message;
+            }
+            
+            for (const entry of group.entries) {
+                const done = Boolean(result && result.completedTasks.includes(entry.task.action));
+                const taskResult = done ? result.results.find(r => r.task === entry.task.action) : null;
+                if (done) {
+                    this.deferred.complete(entry.id);
+                } else {
+                    this.deferred.fail(entry.id);
+                }
+                resumed.push({
+                    id: entry.id,
+                    action: entry.task.action,
+                    input: entry.input,
+                    ageMs: entry.ageMs,
+                    success: done,
+                    result: taskResult ? taskResult.result : null,
+                    error: done ? null : (error || 'Task did not complete')
+                });
+            }
+        }
+        
+        return resumed;
+    }
+
+    /**
+     * Load memory tiers saved by a previous run
+     */
+    loadMemory() {
+        this.deferred.load();
+        if (!this.persistence) return false;
+        
+        return this.persistence.load({
+            stream: this.streamMemory,
+            working: this.workingMemory,
+            longTerm: this.longTermMemory
+        });
+    }
+
+    /**
+     * Save memory tiers for the next run
+     */
+    saveMemory() {
+        this.deferred.save();
+        if (!this.persistence) return null;
+        
+        return this.persistence.save({
+            stream: this.streamMemory,
+            working: this.workingMemory,
+            longTerm: this.longTermMemory
+        });
+    }
+
+    /**
+     * Set execution mode (PRECISION | HEURISTIC), pinned for every run;
+     * AUTO goes back to choosing it per run
      */
     setMode(mode) {
-        if (!['PRECISION', 'HEURISTIC'].includes(mode)) {
+        if (mode === 'AUTO') {
+            this.pinnedMode = null;
+            process.stderr.write('🎯 Mode chosen per run\n');
+            return;
+        }
+        if (!ModeSelector.isMode(mode)) {
             throw new Error(`Invalid mode: ${mode}`);
         }
         this.mode = mode;
+        this.pinnedMode = mode;
         process.stderr.write(`🎯 Mode set to: ${mode}\n`);
     }
 
+    /**
+     * Mode for this run: the pinned mode, else from assessment, specialty and routed domain
+     * Returns { mode, reasons, pinned }
+     */
+    selectMode(assessment, route = null, context = {}) {
+        let selection;
+        if (this.pinnedMode) {
+            selection = { mode: this.pinnedMode, reasons: ['pinned'], pinned: true };
+        } else {
+            const domain = route && !route.builtIn ? this.domainLoader.getDomain(route.domain) : null;
+            selection = {
+                ...this.modeSelector.select(assessment, {
+                    specialty: context.specialty,
+                    domainConfig: domain ? domain.config : null
+                }),
+                pinned: false
+            };
+        }
+        
+        this.mode = selection.mode;
+        return selection;
+    }
+
     /**
      * Helper: Check if item should be promoted to long-term memory
      */
     shouldPromoteToLongTerm(streamEntry, result) {
         // Promotion rule: referenced 3+ times in 30 days
         const pattern = this.extractPattern(streamEntry, result);
-        const existing = this.longTermMemory.find(pattern);
-        
-        if (existing && existing.useCount >= 2) {
-            return true; // 3rd use, promote
-        }
-        
-        return false;
+        return this.longTermMemory.shouldPromote({ pattern });
     }
 
     /**
@@ -297,6 +982,9 @@ class ALIVEKernel {
         return {
             mode: this.mode,
             loopCount: this.loopCount,
+            domains: this.domainLoader.getLoadedDomains(),
+            handlers: this.handlers.list(),
+            templates: this.templates.list(),
             memory: {
                 stream: this.streamMemory.size(),
                 working: this.workingMemory.size(),
@@ -307,12 +995,62 @@ class ALIVEKernel {
     }
 }
 
+/**
+ * Response text from an executor result
+ */
+function responseFrom(executed, taskInput) {
+    // A presentation task (format_comparison) already wrote the answer
+    const presented = executed && Array.isArray(executed.results)
+        ? executed.results.find(r => r.success && r.result && r.result.document && typeof r.result.formatted === 'string')
+        : null;
+    if (presented) return presented.result.formatted;
+
+    let response = '';
+    if (executed && executed.result) {
+        // Handle executor output
+        const execResult = executed.result;
+        if (typeof execResult === 'string') {
+            response = execResult;
+        } else if (execResult.results && Array.isArray(execResult.results)) {
+            // Concatenate multi-step results
+            response = execResult.results
+                .map(r => r.result || r.output || '')
+                .filter(Boolean)
+                .join('\n');
+        } else {
+            response = JSON.stringify(execResult);
+        }
+    } else if (executed) {
+        response = typeof executed === 'string' 
+            ? executed 
+            : JSON.stringify(executed);
+    } else {
+        response = `Task processed: ${taskInput}`;
+    }
+    return response;
+}
+
+/**
+ * Tasks a routed domain agent failed, as error messages
+ * ("hardware_observe: Domain hardware task observe needs deviceId")
+ */
+function domainErrors(processed) {
+    if (!processed.route || processed.route.builtIn || !processed.result) return [];
+    return (processed.result.results || [])
+        .filter(r => !r.success && !r.skipped)
+        .map(r => `${r.task}: ${r.error}`);
+}
+
 /**
  * Standalone activate function for CLI integration
  * Contract-compliant wrapper around kernel.process()
+ * answer: task id of a pending clarification; taskInput is then the answer
+ * format: 'markdown' | 'plain' | 'json' renders the response with ResponseComposer
+ *         (playbook outline when one matched); without it the response is the raw result
  */
-async function activate({ taskInput, specialty, debug, statePath, botId }) {
+async function activate({ taskInput, specialty, debug, statePath, botId, hooks, trace, taskId, signal, concurrency, maxResetDepth, policy, answer, format }) {
     const startTime = Date.now();
+    const decisionTrace = trace ? new DecisionTrace(taskId, taskInput) : null;
     
     try {
         // Validate input
@@ -325,15 +1063,21 @@ async function activate({ taskInput, specialty, debug, statePath, botId }) {
                 meta: { timingMs: Date.now() - startTime }
             };
         }
-        
-        // Create kernel instance
-        const kernel = new ALIVEKernel();
-        
-        // Set mode based on specialty if provided
-        if (specialty) {
-            // Future: map specialty to mode
+        if (format && !ResponseComposer.isFormat(format)) {
+            const message = `Unknown format: ${format} (expected ${ResponseComposer.FORMATS.join(', ')})`;
+            return {
+                ok: false,
+                response: message,
+                confidence: 0,
+                errors: [message],
+                meta: { timingMs: Date.now() - startTime }
+            };
         }
         
+        // Create kernel instance, restoring memory from previous runs
+        const kernel = new ALIVEKernel({ statePath, botId, hooks, concurrency, maxResetDepth, policy });
+        kernel.loadMemory();
+        
         // Suppress console logs for clean JSON output
         const originalLog = console.log;
         const originalError = console.error;
@@ -343,15 +1087,25 @@ async function activate({ taskInput, specialty, debug, statePath, botId }) {
         }
         
         let result;
+        let resumed = [];
         try {
-            // Process task through full kernel pipeline
-            result = await kernel.process(taskInput, {
-                specialty,
-                debug,
-                statePath,
-                botId,
-                source: 'cli'
-            });
+            // Make domain agents available for routing
+            await kernel.loadDomains();
+            
+            // Process task through full kernel pipeline (an answer resumes its clarification)
+            const context = { specialty, debug, statePath, botId, source: 'cli' };
+            const options = { trace: decisionTrace, signal, taskId };
+            result = answer
+                ? await kernel.answerClarification(answer, taskInput, context, options)
+                : await kernel.process(taskInput, context, options);
+            
+            // Pick up tasks earlier runs deferred, unless this run ran out of time or asked a question
+            if (result.success && !result.needsClarification && !(result.result && result.result.cutShort)) {
+                resumed = await kernel.resumeDeferred({ signal, before: startTime });
+            }
+            
+            // Persist memory tiers (and the deferred queue) for the next run
+            kernel.saveMemory();
         } finally {
             // Restore console
             console.log = originalLog;
@@ -361,52 +1115,82 @@ async function activate({ taskInput, specialty, debug, statePath, botId }) {
         const timingMs = Date.now() - startTime;
         
         // Map kernel result to contract format
-        if (result.success) {
-            // Extract response from result
-            let response = '';
-            if (result.result && result.result.result) {
-                // Handle executor output
-                const execResult = result.result.result;
-                if (typeof execResult === 'string') {
-                    response = execResult;
-                } else if (execResult.results && Array.isArray(execResult.results)) {
-                    // Concatenate multi-step results
-                    response = execResult.results
-                        .map(r => r.result || r.output || '')
-                        .filter(Boolean)
-                        .join('\n');
-                } else {
-                    response = JSON.stringify(execResult);
-                }
-            } else if (result.result) {
-                response = typeof result.result === 'string' 
-                    ? result.result 
-                    : JSON.stringify(result.result);
-            } else {
-                response = `Task processed: ${taskInput}`;
-            }
+        if (result.success && result.needsClarification) {
+            // Underspecified: the questions are the response
+            const { taskId: pendingId, reason, missing, questions } = result.needsClarification;
+            return {
+                ok: true,
+                response: questions.map(q => q.question).join('\n'),
+                confidence: 0,
+                errors: [],
+                needsClarification: { taskId: pendingId, reason, missing, questions },
+                meta: {
+                    timingMs,
+                    loopCount: result.loopCount,
+                    assessment: result.assessment,
+                    mode: kernel.mode,
+                    modeSelection: result.modeSelection || null,
+                    domain: result.domain,
+                    needsClarification: true,
+                    answered: result.answered || null,
+                    followUp: result.followUp || null,
+                    resets: result.resets || [],
+                    hookFailures: result.hookFailures || []
+                },
+                trace: decisionTrace ? decisionTrace.toJSON() : null
+            };
+        } else if (result.success) {
+            // Extract response from result (composed from the playbook outline when a format is asked for)
+            const response = format
+                ? new ResponseComposer().render({ input: taskInput, executed: result.result, playbook: result.playbook }, format)
+                : responseFrom(result.result, taskInput);
             
-            // Calculate confidence based on assessment
-            let confidence = 0.5; // Default
-            if (result.assessment) {
-                // Higher confidence for lower difficulty and higher precision
-                const difficultyFactor = 1 - (result.assessment.difficulty || 0.5);
-                const precisionFactor = result.assessment.precision || 0.5;
-                confidence = (difficultyFactor + precisionFactor) / 2;
-                confidence = Math.max(0.3, Math.min(0.95, confidence)); // Clamp 0.3-0.95
-            }
+            // Confidence calibrated from earlier outcomes (default when the runlog is unavailable)
+            const confidence = result.calibration ? result.calibration.confidence : 0.5;
+            const errors = domainErrors(result);
             
             return {
-                ok: true,
+                ok: errors.length === 0,
                 response: response || `Processed: ${taskInput}`,
                 confidence,
-                errors: [],
+                errors,
                 meta: {
                     timingMs,
                     loopCount: result.loopCount,
                     assessment: result.assessment,
-                    mode: kernel.mode
-                }
+                    mode: kernel.mode,
+                    modeSelection: result.modeSelection || null,
+                    escalation: result.escalation || null,
+                    domain: result.domain,
+                    cutShort: Boolean(result.result && result.result.cutShort),
+                    diagnostics: (result.result && result.result.diagnostics) || [],
+                    calibration: result.calibration || null,
+                    playbook: result.playbook ? { id: result.playbook.playbookId, prefix: result.playbook.responsePrefix || null } : null,
+                    format: format || null,
+                    deferred: result.deferred || [],
+                    resumed,
+                    resets: result.resets || [],
+                    answered: result.answered || null,
+                    followUp: result.followUp || null,
+                    hookFailures: result.hookFailures || []
+                },
+                trace: decisionTrace ? decisionTrace.toJSON() : null
+            };
+        } else if (result.cancelled) {
+            // Run cancelled via signal (e.g. `alive stop`)
+            return {
+                ok: false,
+                cancelled: true,
+                response: 'Run cancelled',
+                confidence: 0,
+                errors: ['Run cancelled'],
+                meta: {
+                    timingMs,
+                    domain: result.domain,
+                    cancelled: true,
+                    hookFailures: result.hookFailures || []
+                },
+                trace: decisionTrace ? decisionTrace.toJSON() : null
             };
         } else {
             // Kernel processing failed
@@ -415,7 +1199,13 @@ async function activate({ taskInput, specialty, debug, statePath, botId }) {
                 response: result.error || 'Task processing failed',
                 confidence: 0,
                 errors: [result.error || 'Unknown kernel error'],
-                meta: { timingMs }
+                meta: {
+                    timingMs,
+                    domain: result.domain,
+                    vetoed: result.vetoed || null,
+                    hookFailures: result.hookFailures || []
+                },
+                trace: decisionTrace ? decisionTrace.toJSON() : null
             };
         }
         
@@ -431,5 +1221,106 @@ async function activate({ taskInput, specialty, debug, statePath, botId }) {
     }
 }
 
+/**
+ * Inbox counterpart of activate(): several inputs triaged together
+ * Contract-compliant wrapper around kernel.processInbox()
+ */
+async function activateInbox({ inputs, specialty, debug, statePath, botId, signal, concurrency, limit }) {
+    const startTime = Date.now();
+    
+    try {
+        const valid = Array.isArray(inputs) && inputs.length > 0 && inputs.every(request => {
+            const input = typeof request === 'string' ? request : request && request.input;
+            return typeof input === 'string' && input.trim() !== '';
+        });
+        if (!valid) {
+            return {
+                ok: false,
+                requests: [],
+                errors: ['Inbox needs at least one request, each a non-empty string'],
+                meta: { timingMs: Date.now() - startTime }
+            };
+        }
+        
+        const kernel = new ALIVEKernel({ statePath, botId, concurrency });
+        kernel.loadMemory();
+        
+        // Suppress console logs for clean JSON output
+        const originalLog = console.log;
+        const originalError = console.error;
+        if (!debug) {
+            console.log = () => {};
+            console.error = () => {};
+        }
+        
+        let result;
+        try {
+            await kernel.loadDomains();
+            result = await kernel.processInbox(inputs, {
+                specialty,
+                debug,
+                statePath,
+                botId,
+                source: 'cli'
+            }, { signal, limit });
+            kernel.saveMemory();
+        } finally {
+            console.log = originalLog;
+            console.error = originalError;
+        }
+        
+        const timingMs = Date.now() - startTime;
+        
+        if (!result.inbox) {
+            return {
+                ok: false,
+                cancelled: Boolean(result.cancelled),
+                requests: [],
+                errors: [result.error || 'Inbox processing failed'],
+                meta: { timingMs, cancelled: Boolean(result.cancelled) }
+            };
+        }
+        
+        return {
+            ok: result.success,
+            requests: result.requests.map(r => ({
+                id: r.id,
+                input: r.input,
+                ok: r.status !== 'failed',
+                status: r.status,
+                domain: r.domain,
+                response: r.result ? responseFrom(r.result, r.input) : '',
+                tasks: r.triage.priorities.map(t => t.action),
+                reused: r.result ? r.result.results.filter(x => x.reused).map(x => x.task) : [],
+                deferred: r.triage.deferred.map(t => t.action),
+                deferredIds: r.deferred,
+                assessment: r.assessment
+            })),
+            priorities: result.inbox.priorities.map(t => ({
+                action: t.action,
+                type: t.type,
+                score: t.score,
+                requests: t.requests
+            })),
+            merged: result.inbox.merged,
+            errors: result.requests.filter(r => r.status === 'failed').map(r => `${r.id}: request failed`),
+            meta: {
+                timingMs,
+                mode: kernel.mode,
+                limit: result.inbox.limit
+            }
+        };
+        
+    } catch (error) {
+        return {
+            ok: false,
+            requests: [],
+            errors: [error.message || 'Kernel activation failed'],
+            meta: { timingMs: Date.now() - startTime }
+        };
+    }
+}
+
 module.exports = ALIVEKernel;
 module.exports.activate = activate;
+module.exports.activateInbox = activateInbox;
@@ -0,0 +1,229 @@
+// Languages - Detect the input language and give its keyword and stopword pack
+// Packs live in core/languages/ (en, es, de). English is the default and its
+// keywords always apply, so mixed input ("convert 2 tazas") still classifies.
+//
+// Pack shape:
+// {
+//   language: 'es', name: 'Español',
+//   markers: ['el', 'la', 'receta'],     // common words that point to the language
+//   chars: 'ñ¿¡',                        // characters that point to the language
+//   fold: { 'ä': 'ae' },                 // spellings treated as equal, before accents are stripped
+//   stopwords: ['el', 'la'],             // ignored when extracting entities
+//   keywords: { recipe: ['receta'], compare: ['compar'] },  // classification concepts, substring match
+//   references: {                        // follow-up wording (see core/followup.js)
+//     pronouns: ['eso'],                 // whole words that point back to the previous result
+//     subjects: ['esa receta'],          // phrases that do the same
+//     objects: ['de', 'para'],           // words after a phrase that name its own object ("la receta de ...")
+//     scale: { doble: 2, mitad: 0.5 }    // scaling words (prefix match) and their factor
+//   }
+// }
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LANGUAGE = 'en';
+const CONCEPTS = ['recipe', 'add', 'search', 'compare', 'substitute', 'convert', 'shopping', 'plan', 'scale'];
+
+/**
+ * Lowercase, NFKD-decompose and drop combining marks ('Café' → 'cafe', 'ß' → 'ss')
+ * fold: pack spellings applied first ({ 'ä': 'ae' })
+ */
+function foldText(text, fold = {}) {
+    let s = String(text).normalize('NFKC').toLowerCase();
+    for (const [from, to] of Object.entries(fold)) {
+        s = s.split(from).join(to);
+    }
+    return s.normalize('NFKD').replace(/\p{M}/gu, '').replace(/ß/g, 'ss');
+}
+
+class Languages {
+    constructor() {
+        this.packs = new Map(); // language → pack (terms folded)
+    }
+
+    /**
+     * Registry with the core packs loaded
+     */
+    static withDefaults() {
+        const languages = new Languages();
+        languages.loadDirectory(path.join(__dirname, 'languages'));
+        return languages;
+    }
+
+    /**
+     * Shared registry with the core packs (loaded once)
+     */
+    static shared() {
+        if (!Languages._shared) {
+            Languages._shared = Languages.withDefaults();
+        }
+        return Languages._shared;
+    }
+
+    /**
+     * Load every *.json pack in a directory
+     * Returns the languages loaded
+     */
+    loadDirectory(dir) {
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir)
+            .filter(f => f.endsWith('.json'))
+            .sort()
+            .map(file => {
+                const pack = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                try {
+                    return this.register(pack);
+                } catch (error) {
+                    throw new Error(`${file}: ${error.message}`);
+                }
+            });
+    }
+
+    /**
+     * Validate and add a pack
+     * Returns the language code
+     */
+    register(pack) {
+        if (!pack || typeof pack.language !== 'string' || !/^[a-z]{2}$/.test(pack.language)) {
+            throw new Error('language must be a two-letter code');
+        }
+        for (const key of ['markers', 'stopwords']) {
+            if (pack[key] !== undefined && !(Array.isArray(pack[key]) && pack[key].every(w => typeof w === 'string'))) {
+                throw new Error(`${key} must be an array of words`);
+            }
+        }
+        for (const [concept, terms] of Object.entries(pack.keywords || {})) {
+            if (!CONCEPTS.includes(concept)) {
+                throw new Error(`unknown keyword concept "${concept}" (expected ${CONCEPTS.join(', ')})`);
+            }
+            if (!Array.isArray(terms) || !terms.every(t => typeof t === 'string' && t)) {
+                throw new Error(`keywords.${concept} must be an array of terms`);
+            }
+        }
+
+        const references = pack.references || {};
+        for (const key of ['pronouns', 'subjects', 'objects']) {
+            if (references[key] !== undefined && !(Array.isArray(references[key]) && references[key].every(w => typeof w === 'string' && w))) {
+                throw new Error(`references.${key} must be an array of words`);
+            }
+        }
+        for (const [term, factor] of Object.entries(references.scale || {})) {
+            if (!(Number.isFinite(factor) && factor > 0)) {
+                throw new Error(`references.scale.${term} must be a positive number`);
+            }
+        }
+        
+        const fold = pack.fold || {};
+        const folded = (list = []) => list.map(w => foldText(w, fold));
+        const keywords = {};
+        for (const concept of CONCEPTS) {
+            keywords[concept] = folded((pack.keywords || {})[concept]);
+        }
+
+        this.packs.set(pack.language, {
+            language: pack.language,
+            name: pack.name || pack.language,
+            markers: new Set(folded(pack.markers)),
+            chars: [...String(pack.chars || '').toLowerCase()],
+            fold,
+            stopwords: new Set(folded(pack.stopwords)),
+            keywords,
+            references: {
+                pronouns: new Set(folded(references.pronouns)),
+                subjects: folded(references.subjects),
+                objects: new Set(folded(references.objects)),
+                scale: Object.entries(references.scale || {}).map(([term, factor]) => [foldText(term, fold), factor])
+            }
+        });
+        return pack.language;
+    }
+
+    /**
+     * Pack for a language (the default language's for unknown codes)
+     */
+    get(language) {
+        return this.packs.get(language) || this.packs.get(DEFAULT_LANGUAGE) || null;
+    }
+
+    /**
+     * Known language codes
+     */
+    languages() {
+        return [...this.packs.keys()];
+    }
+
+    /**
+     * Most likely language of a text
+     * Score: marker words + 2 per distinct telltale character; ties and
+     * texts with no evidence go to the default language
+     * Returns { language, scores }
+     */
+    detect(text) {
+        const raw = String(text || '').toLowerCase();
+        const scores = {};
+
+        for (const pack of this.packs.values()) {
+            const words = foldText(raw, pack.fold).match(/[\p{L}\p{N}']+/gu) || [];
+            const markers = words.filter(w => pack.markers.has(w)).length;
+            const chars = pack.chars.filter(c => raw.includes(c)).length;
+            scores[pack.language] = markers + 2 * chars;
+        }
+
+        let language = DEFAULT_LANGUAGE;
+        for (const [code, score] of Object.entries(scores)) {
+            if (score > (scores[language] || 0)) language = code;
+        }
+        return { language, scores };
+    }
+
+    /**
+     * Text folded with a language's spellings (see foldText)
+     */
+    fold(text, language = DEFAULT_LANGUAGE) {
+        const pack = this.get(language);
+        return foldText(text, pack ? pack.fold : {});
+    }
+
+    /**
+     * Stopwords for a language (the default language's included)
+     */
+    stopwords(language = DEFAULT_LANGUAGE) {
+        const own = this.get(language);
+        const base = this.get(DEFAULT_LANGUAGE);
+        return new Set([...(base ? base.stopwords : []), ...(own ? own.stopwords : [])]);
+    }
+
+    /**
+     * Follow-up wording for a language (the default language's included)
+     * Returns { pronouns: Set, subjects: [phrase], scale: [[term, factor]] }
+     */
+    references(language = DEFAULT_LANGUAGE) {
+        const packs = [this.get(DEFAULT_LANGUAGE), language !== DEFAULT_LANGUAGE ? this.packs.get(language) : null]
+            .filter(Boolean);
+        return {
+            pronouns: new Set(packs.flatMap(pack => [...pack.references.pronouns])),
+            subjects: packs.flatMap(pack => pack.references.subjects),
+            objects: new Set(packs.flatMap(pack => [...pack.references.objects])),
+            scale: packs.flatMap(pack => pack.references.scale)
+        };
+    }
+
+    /**
+     * Whether a text mentions a classification concept in its language or in
+     * the default language (substring match on folded text)
+     */
+    hasKeyword(text, concept, language = DEFAULT_LANGUAGE) {
+        const packs = [this.get(DEFAULT_LANGUAGE), language !== DEFAULT_LANGUAGE ? this.packs.get(language) : null];
+        return packs.some(pack => {
+            if (!pack) return false;
+            const folded = foldText(text, pack.fold);
+            return pack.keywords[concept].some(term => folded.includes(term));
+        });
+    }
+}
+
+module.exports = Languages;
+module.exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+module.exports.CONCEPTS = CONCEPTS;
+module.exports.foldText = foldText;
@@ -0,0 +1,352 @@
+// Lexicons - Keyword, phrase and weight lists the Assessor scores inputs with
+// Core ships core/lexicons/ (core.json for every input, cooking.json for the
+// built-in domain, <domain>.<language>.json for Spanish and German wording);
+// a loaded domain adds its own as `lexicon` in domain.config.js.
+// A domain's lexicon is merged over core: entries add up, the same term takes
+// the domain's weight, negation cues are combined. A lexicon with a `language`
+// only applies to input in that language (see core/language.js); one without
+// applies to every input.
+//
+// Lexicon shape:
+// {
+//   domain: 'cooking',
+//   language: 'es',                     // optional
+//   urgency: { NOW: [entries], SOON: [entries], LATER: [entries] },
+//   stakes: { high: [entries], medium: [entries], low: [entries] },
+//   timeSensitive: [entries],           // work in progress → NOW
+//   negations: ['not', "don't"]         // cue words that cancel the entry after them
+// }
+// entry: 'term' or { term, weight: 1, prefix: false }
+// Terms match whole words, case and accents ignored (a phrase: consecutive words); prefix: true also
+// matches longer words ('allerg' → 'allergy'). A level applies once the
+// weights of its matched entries add up to LEVEL_THRESHOLD. An entry preceded
+// by a negation cue (up to NEGATION_WINDOW words, same clause) does not count.
+
+const fs = require('fs');
+const path = require('path');
+const Languages = require('./language');
+
+const CORE = 'core';
+const DIMENSIONS = {
+    urgency: ['NOW', 'SOON', 'LATER'],
+    stakes: ['high', 'medium', 'low']
+};
+const LISTS = ['timeSensitive'];
+const KEYS = ['domain', 'language', 'description', 'negations', ...Object.keys(DIMENSIONS), ...LISTS];
+const LEVEL_THRESHOLD = 1;
+const NEGATION_WINDOW = 2;
+
+/**
+ * Invalid lexicon (reported at load time)
+ */
+class LexiconError extends Error {
+    constructor(message, source = CORE) {
+        super(message);
+        this.name = 'LexiconError';
+        this.source = source;
+    }
+}
+
+/**
+ * Words of a text or term (letters, digits, apostrophes), case and accents
+ * folded with the language's spellings (German 'ä' and 'ae' match)
+ */
+function words(text, language = null) {
+    const folded = language ? Languages.shared().fold(text, language) : Languages.foldText(text);
+    return folded.match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+/**
+ * Registry key for a domain's lexicon in one language (or in all)
+ */
+function keyOf(domain, language) {
+    return language ? `${domain}:${language}` : domain;
+}
+
+class Lexicons {
+    constructor() {
+        this.lexicons = new Map(); // domain or domain:language → normalized lexicon
+        this.merged = new Map();   // domain|language → core + domain (cache)
+    }
+
+    /**
+     * Registry with the core lexicons loaded
+     */
+    static withDefaults() {
+        const lexicons = new Lexicons();
+        lexicons.loadDirectory(path.join(__dirname, 'lexicons'));
+        return lexicons;
+    }
+
+    /**
+     * Load every *.json lexicon in a directory
+     * Throws LexiconError on the first invalid lexicon
+     * Returns the domains loaded
+     */
+    loadDirectory(dir, options = {}) {
+        if (!fs.existsSync(dir)) return [];
+
+        const loaded = [];
+        for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+            let content;
+            try {
+                content = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            } catch (error) {
+                throw new LexiconError(`${file}: ${error.message}`, options.source);
+            }
+            loaded.push(this.register(content, { source: options.source, file }));
+        }
+        return loaded;
+    }
+
+    /**
+     * Validate and add a lexicon; registering a domain again merges into it
+     * options: { source, file } for error messages
+     * Returns the domain
+     */
+    register(lexicon, options = {}) {
+        const source = options.source || CORE;
+        const problems = Lexicons.validate(lexicon);
+        if (problems.length > 0) {
+            const where = options.file ? `${options.file}: ` : '';
+            throw new LexiconError(`${where}${problems.join('; ')}`, source);
+        }
+
+        const domain = lexicon.domain || source;
+        const key = keyOf(domain, lexicon.language);
+        const normalized = Lexicons.normalize(lexicon, domain);
+        const existing = this.lexicons.get(key);
+        this.lexicons.set(key, existing ? Lexicons.merge(existing, normalized) : normalized);
+        this.merged.clear();
+        return domain;
+    }
+
+    /**
+     * Lexicon for a domain and language: core, core in that language, the
+     * domain's own, the domain's own in that language - merged in that order
+     */
+    for(domain = CORE, language = null) {
+        const cacheKey = `${domain}|${language || ''}`;
+        if (!this.merged.has(cacheKey)) {
+            const keys = [CORE, keyOf(CORE, language)];
+            if (domain !== CORE) keys.push(domain, keyOf(domain, language));
+
+            let lexicon = Lexicons.normalize({}, CORE);
+            for (const key of [...new Set(keys)]) {
+                if (this.lexicons.has(key)) lexicon = Lexicons.merge(lexicon, this.lexicons.get(key));
+            }
+            lexicon.domain = domain;
+            this.merged.set(cacheKey, lexicon);
+        }
+        return this.merged.get(cacheKey);
+    }
+
+    /**
+     * Domains with a lexicon of their own
+     */
+    domains() {
+        const domains = [...this.lexicons.keys()].map(key => key.split(':')[0]);
+        return [...new Set(domains)].filter(domain => domain !== CORE);
+    }
+
+    /**
+     * Score a text against a domain's lexicon (in the text's language, if given)
+     * Returns {
+     *   domain, language,
+     *   scores: { urgency: { NOW: n, ... }, stakes: { ... }, timeSensitive: n },
+     *   matched: [{ dimension, level, term, weight, source }],
+     *   negated: [{ dimension, level, term, weight, source, negatedBy }]
+     * }
+     */
+    match(text, domain = CORE, language = null) {
+        const lexicon = this.for(domain, language);
+        const clauses = String(text).split(/[.,;:!?¿¡]+/).map(clause => words(clause, language)).filter(c => c.length > 0);
+        const scores = {};
+        const matched = [];
+        const negated = [];
+
+        const scan = (entries, dimension, level) => {
+            for (const entry of entries) {
+                const found = Lexicons.find(clauses, entry, lexicon.negations);
+                if (!found) continue;
+
+                const hit = { dimension, level, term: entry.term, weight: entry.weight, source: entry.source };
+                if (found.negatedBy) {
+                    negated.push({ ...hit, negatedBy: found.negatedBy });
+                } else {
+                    matched.push(hit);
+                    if (level) {
+                        scores[dimension][level] += entry.weight;
+                    } else {
+                        scores[dimension] += entry.weight;
+                    }
+                }
+            }
+        };
+
+        for (const [dimension, levels] of Object.entries(DIMENSIONS)) {
+            scores[dimension] = {};
+            for (const level of levels) {
+                scores[dimension][level] = 0;
+                scan(lexicon[dimension][level], dimension, level);
+            }
+        }
+        for (const list of LISTS) {
+            scores[list] = 0;
+            scan(lexicon[list], list, null);
+        }
+
+        return { domain: lexicon.domain, language, scores, matched, negated };
+    }
+
+    /**
+     * Whether a score reaches a level
+     */
+    static applies(score) {
+        return score >= LEVEL_THRESHOLD;
+    }
+
+    /**
+     * First occurrence of an entry in the clauses
+     * Returns null, or { negatedBy } (null when not negated) for the first
+     * occurrence that counts - an un-negated one if there is any
+     */
+    static find(clauses, entry, negations) {
+        const termWords = entry.term.split(' ');
+        let found = null;
+
+        for (const clause of clauses) {
+            for (let i = 0; i + termWords.length <= clause.length; i++) {
+                const hit = termWords.every((word, k) => {
+                    const candidate = clause[i + k];
+                    const last = k === termWords.length - 1;
+                    return candidate === word || (last && entry.prefix && candidate.startsWith(word));
+                });
+                if (!hit) continue;
+
+                const before = clause.slice(Math.max(0, i - NEGATION_WINDOW), i);
+                const cue = before.find(word => negations.includes(word)) || null;
+                if (!cue) return { negatedBy: null };
+                found = found || { negatedBy: cue };
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Problems with a lexicon document ([] when valid)
+     */
+    static validate(lexicon) {
+        if (!lexicon || typeof lexicon !== 'object' || Array.isArray(lexicon)) {
+            return ['lexicon must be an object'];
+        }
+
+        const problems = [];
+        const checkEntries = (entries, where) => {
+            if (!Array.isArray(entries)) {
+                problems.push(`${where} must be an array`);
+                return;
+            }
+            entries.forEach((entry, i) => {
+                if (typeof entry === 'string') {
+                    if (words(entry).length === 0) problems.push(`${where}[${i}] has no words`);
+                    return;
+                }
+                if (!entry || typeof entry !== 'object' || typeof entry.term !== 'string' || words(entry.term).length === 0) {
+                    problems.push(`${where}[${i}] must be a term or { term, weight, prefix }`);
+                    return;
+                }
+                if (entry.weight !== undefined && !(Number.isFinite(entry.weight) && entry.weight > 0)) {
+                    problems.push(`${where}[${i}] weight must be a positive number`);
+                }
+                if (entry.prefix !== undefined && typeof entry.prefix !== 'boolean') {
+                    problems.push(`${where}[${i}] prefix must be a boolean`);
+                }
+            });
+        };
+
+        for (const key of Object.keys(lexicon)) {
+            if (!KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+        }
+        if (lexicon.domain !== undefined && (typeof lexicon.domain !== 'string' || !lexicon.domain)) {
+            problems.push('domain must be a non-empty string');
+        }
+        if (lexicon.language !== undefined && !(typeof lexicon.language === 'string' && /^[a-z]{2}$/.test(lexicon.language))) {
+            problems.push('language must be a two-letter code');
+        }
+        for (const [dimension, levels] of Object.entries(DIMENSIONS)) {
+            const value = lexicon[dimension];
+            if (value === undefined) continue;
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                problems.push(`${dimension} must map levels to entries`);
+                continue;
+            }
+            for (const [level, entries] of Object.entries(value)) {
+                if (!levels.includes(level)) {
+                    problems.push(`${dimension} level "${level}" is not one of ${levels.join(', ')}`);
+                } else {
+                    checkEntries(entries, `${dimension}.${level}`);
+                }
+            }
+        }
+        for (const list of LISTS) {
+            if (lexicon[list] !== undefined) checkEntries(lexicon[list], list);
+        }
+        if (lexicon.negations !== undefined &&
+            (!Array.isArray(lexicon.negations) || !lexicon.negations.every(n => typeof n === 'string' && n))) {
+            problems.push('negations must be an array of words');
+        }
+
+        return problems;
+    }
+
+    /**
+     * Lexicon with every dimension present and entries as { term, weight, prefix, source }
+     */
+    static normalize(lexicon, domain) {
+        const language = lexicon.language || null;
+        const entries = (list = []) => list.map(entry => {
+            const e = typeof entry === 'string' ? { term: entry } : entry;
+            return { term: words(e.term, language).join(' '), weight: e.weight ?? 1, prefix: e.prefix === true, source: domain };
+        });
+
+        const normalized = { domain, negations: (lexicon.negations || []).map(n => words(n, language).join(' ')) };
+        for (const [dimension, levels] of Object.entries(DIMENSIONS)) {
+            normalized[dimension] = {};
+            for (const level of levels) {
+                normalized[dimension][level] = entries((lexicon[dimension] || {})[level]);
+            }
+        }
+        for (const list of LISTS) {
+            normalized[list] = entries(lexicon[list]);
+        }
+        return normalized;
+    }
+
+    /**
+     * Overlay one normalized lexicon on another (same term: overlay wins)
+     */
+    static merge(base, overlay) {
+        const combine = (a, b) => {
+            const terms = new Set(b.map(e => e.term));
+            return [...a.filter(e => !terms.has(e.term)), ...b];
+        };
+
+        const merged = { domain: overlay.domain, negations: [...new Set([...base.negations, ...overlay.negations])] };
+        for (const [dimension, levels] of Object.entries(DIMENSIONS)) {
+            merged[dimension] = {};
+            for (const level of levels) {
+                merged[dimension][level] = combine(base[dimension][level], overlay[dimension][level]);
+            }
+        }
+        for (const list of LISTS) {
+            merged[list] = combine(base[list], overlay[list]);
+        }
+        return merged;
+    }
+}
+
+module.exports = Lexicons;
+module.exports.LexiconError = LexiconError;
+module.exports.CORE = CORE;
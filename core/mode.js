@@ -0,0 +1,104 @@
+// ModeSelector - Choose PRECISION or HEURISTIC per run
+// PRECISION when the stakes are high, the input needs exact answers
+// (assessment precision 'strict'), or the specialty / routed domain asks for it.
+// HEURISTIC otherwise. A heuristic run whose validation fails is escalated:
+// the validation tasks and their dependents run again in PRECISION.
+
+const MODES = ['PRECISION', 'HEURISTIC'];
+
+// Specialties where "good enough" is not good enough
+const SPECIALTY_MODES = {
+    baking: 'PRECISION',
+    pastry: 'PRECISION',
+    canning: 'PRECISION',
+    'food-safety': 'PRECISION',
+    'hardware-integration': 'PRECISION'
+};
+
+class ModeSelector {
+    constructor(options = {}) {
+        this.specialtyModes = { ...SPECIALTY_MODES, ...(options.specialtyModes || {}) };
+    }
+
+    /**
+     * Mode for one run
+     * context: { specialty, domainConfig (config of the routed domain, may declare `mode`) }
+     * Returns { mode, reasons }
+     */
+    select(assessment = {}, context = {}) {
+        const reasons = [];
+
+        if (assessment.stakes === 'high') {
+            reasons.push('high_stakes');
+        }
+        if (assessment.precision === 'strict') {
+            reasons.push('strict_precision');
+        }
+
+        const specialty = context.specialty ? String(context.specialty).toLowerCase() : null;
+        if (specialty && this.specialtyModes[specialty] === 'PRECISION') {
+            reasons.push(`specialty:${specialty}`);
+        }
+
+        const domainConfig = context.domainConfig || {};
+        if (domainConfig.mode === 'PRECISION') {
+            reasons.push(`domain:${domainConfig.name || assessment.domain}`);
+        }
+
+        return {
+            mode: reasons.length > 0 ? 'PRECISION' : 'HEURISTIC',
+            reasons: reasons.length > 0 ? reasons : ['default']
+        };
+    }
+
+    /**
+     * First validation task that failed in an execution result, or null
+     * Failed = the task errored, or its result reports valid: false
+     */
+    validationFailure(triage, result) {
+        const validations = new Set(triage.priorities
+            .filter(task => task.type === 'validation')
+            .map(task => task.action));
+
+        for (const r of (result && result.results) || []) {
+            if (!validations.has(r.task) || r.skipped) continue;
+            if (!r.success) {
+                return { task: r.task, reason: r.error || 'validation_error' };
+            }
+            if (r.result && r.result.valid === false) {
+                return { task: r.task, reason: r.result.reason || 'invalid', details: r.result };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Actions an escalated retry has to run again: the validation tasks and
+     * every task that depends on them. The rest keep their first results
+     */
+    rerun(triage) {
+        const tasks = triage.priorities || [];
+        const actions = new Set(tasks.filter(task => task.type === 'validation').map(task => task.action));
+
+        let grew = true;
+        while (grew) {
+            grew = false;
+            for (const task of tasks) {
+                if (actions.has(task.action)) continue;
+                if ((task.dependencies || []).some(dep => actions.has(dep))) {
+                    actions.add(task.action);
+                    grew = true;
+                }
+            }
+        }
+
+        return actions;
+    }
+
+    static isMode(mode) {
+        return MODES.includes(mode);
+    }
+}
+
+module.exports = ModeSelector;
@@ -0,0 +1,419 @@
+// RecipeExporter - Export recipes, scaled variants and comparisons to files
+// A stored recipe (optionally scaled with a RecipeScaler request: "by 2",
+// "to 12 servings", "to a 9x13 pan") or a comparison of recipes (ingredient
+// table, common core, variations, optional steps) becomes an export document,
+// rendered as schema.org JSON-LD, Markdown (readable by RecipeImporter) or a
+// self-contained printable HTML page (inline styles, JSON-LD embedded).
+// Documents can also be built from a scale or recipe_compare run's results.
+//
+// Document: { kind: 'recipe', title, recipe: Record, scaled: { factor, basis, servings, pan, notes, hints } | null }
+//         | { kind: 'comparison', title, recipes: [Record], columns: [name],
+//             rows: [{ ingredient, amounts: [text | null] }], core: [name],
+//             variations: [{ recipe, uniqueIngredients }], bloat: [{ recipe, bloatSteps, severity }] }
+// Written:  { file, format, bytes }
+
+const fs = require('fs');
+const path = require('path');
+const IngredientParser = require('./ingredients');
+const RecipeScaler = require('./scaling');
+const Executor = require('./executor');
+const Languages = require('./language');
+
+const FORMATS = ['jsonld', 'markdown', 'html'];
+const EXTENSIONS = { jsonld: '.jsonld', markdown: '.md', html: '.html' };
+
+// Why a recipe could not be scaled (RecipeScaler.factorFor errors)
+const SCALE_ERRORS = {
+    unknown_servings: 'the recipe has no servings to scale from',
+    unknown_pan: 'the recipe has no pan to scale from',
+    no_scale_factor: 'no factor, servings or pan size given'
+};
+
+const STYLE = `
+body { font: 16px/1.5 Georgia, serif; color: #222; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; }
+h1 { font-size: 1.8rem; margin-bottom: .25rem; }
+h2 { font-size: 1.2rem; border-bottom: 1px solid #ccc; margin-top: 1.5rem; }
+.meta { color: #555; margin: 0; padding: 0; list-style: none; }
+.meta li { display: inline; margin-right: 1.25rem; }
+.scaled { background: #f5f0e6; padding: .5rem .75rem; border-left: 3px solid #b58900; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ccc; padding: .3rem .5rem; text-align: left; vertical-align: top; }
+td.core { font-weight: bold; }
+td.missing { color: #aaa; }
+@media print {
+  body { margin: 0; max-width: none; font-size: 12pt; }
+  h2 { break-after: avoid; }
+  li, tr { break-inside: avoid; }
+}
+@page { margin: 1.5cm; }
+`.trim();
+
+class RecipeExporter {
+    constructor(options = {}) {
+        this.parser = options.parser || new IngredientParser();
+        this.scaler = options.scaler || new RecipeScaler({ parser: this.parser });
+    }
+
+    /**
+     * Document for a recipe; with scale (a scaling request without the name),
+     * its ingredients are the scaled lines
+     * Throws when the recipe cannot be scaled that way
+     */
+    recipe(recipe, { scale = null, precision = false } = {}) {
+        if (!scale) {
+            return { kind: 'recipe', title: recipe.name || 'Recipe', recipe, scaled: null };
+        }
+
+        let request = this.scaler.parse(String(scale));
+        if (!request.factor && !request.servings && request.pans.length === 0) {
+            // A bare number ("2", "1 1/2") is a factor
+            request = this.scaler.parse(`by ${scale}`);
+        }
+        const scaling = this.scaler.factorFor(request, recipe);
+        if (scaling.error) {
+            throw new Error(`Cannot scale ${recipe.name || 'recipe'}: ${SCALE_ERRORS[scaling.error] || scaling.error}`);
+        }
+        return this.scaledDocument(recipe, this.scaler.scale(recipe, scaling, { precision }));
+    }
+
+    /**
+     * Document for a recipe and its RecipeScaler.scale result
+     */
+    scaledDocument(recipe, scaled, hints = this.scaler.bakeHints(recipe, scaled)) {
+        const servings = scaled.servings
+            ? scaled.servings.to
+            : (RecipeScaler.count(recipe.servings) ? this.scaler.precise(RecipeScaler.count(recipe.servings) * scaled.factor) : null);
+        const bakeTime = hints.bakeTime ? `${[...new Set(hints.bakeTime.estimate)].join('-')} minutes` : recipe.bakeTime;
+        const factor = this.scaler.precise(scaled.factor);
+
+        return {
+            kind: 'recipe',
+            title: `${recipe.name || 'Recipe'} ×${factor}`,
+            recipe: {
+                ...recipe,
+                ingredients: scaled.lines,
+                servings,
+                yield: servings === null ? recipe.yield || null : String(servings),
+                pan: scaled.pan ? scaled.pan.to : recipe.pan || null,
+                bakeTime: bakeTime || null
+            },
+            scaled: {
+                factor,
+                basis: scaled.basis,
+                servings: scaled.servings,
+                pan: scaled.pan,
+                notes: scaled.nonLinear.filter(n => n.suggested).map(n => `${n.ingredient} does not scale evenly: start with ${n.suggested} and adjust`),
+                hints: hints.hints
+            }
+        };
+    }
+
+    /**
+     * Document comparing recipes: ingredient amounts side by side, the common
+     * core, what each recipe adds and its optional steps
+     * analysis: { core, variations, bloat } from a run (computed when missing)
+     */
+    comparison(recipes, analysis = {}) {
+        const core = analysis.core || Executor.extractCore(recipes);
+        const variations = analysis.variations || Executor.identifyVariations(core, recipes);
+        const bloat = analysis.bloat || Executor.detectBloat(recipes);
+        const parsed = recipes.map(recipe => this.parser.parseAll((recipe.ingredients || []).map(String)));
+
+        // One row per ingredient, singular or plural ("egg" and "eggs"), named as first seen
+        const names = [];
+        for (const item of parsed.flat()) {
+            if (!names.some(name => Executor.sameIngredient(name, item.ingredient))) names.push(item.ingredient);
+        }
+        const coreNames = core.ingredients || [];
+        const inCore = (name) => Number(coreNames.some(c => Executor.sameIngredient(c, name)));
+        // Common ingredients first, then in order of appearance
+        names.sort((a, b) => inCore(b) - inCore(a));
+
+        return {
+            kind: 'comparison',
+            title: `Comparison: ${recipes.map(r => r.name || 'Recipe').join(' vs ')}`,
+            recipes,
+            columns: recipes.map(r => r.name || 'Recipe'),
+            rows: names.map(name => ({
+                ingredient: name,
+                amounts: parsed.map(items => {
+                    const found = items.filter(item => Executor.sameIngredient(item.ingredient, name));
+                    if (found.length === 0) return null;
+                    return found.map(item => item.quantity === null ? '✓' : RecipeExporter.amountOf(item)).join(' + ');
+                })
+            })),
+            core: coreNames,
+            variations,
+            bloat
+        };
+    }
+
+    /**
+     * Document from a run's results (Executor.run): a scaled recipe from a
+     * scale run, a comparison from a recipe_compare run, or null
+     */
+    fromResults(executed) {
+        const results = executed && Array.isArray(executed.results) ? executed.results : [];
+        const output = (task) => {
+            const r = results.find(x => x.task === task && x.success && !x.skipped);
+            return r ? r.result : null;
+        };
+
+        const found = output('find_recipe');
+        const scaled = output('scale_quantities');
+        if (found && found.recipe) {
+            if (scaled && scaled.scaled) {
+                const hints = output('adjust_bake_time');
+                return this.scaledDocument(found.recipe, scaled, hints && hints.baked !== undefined ? hints : undefined);
+            }
+            return this.recipe(found.recipe);
+        }
+
+        const gathered = output('gather_recipes');
+        if (Array.isArray(gathered) && gathered.length > 0) {
+            return this.comparison(gathered, {
+                core: output('extract_core') || undefined,
+                variations: output('identify_variations') || undefined,
+                bloat: output('detect_bloat') || undefined
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Document as text in a format ('jsonld' / 'markdown' / 'html')
+     */
+    render(document, format = 'markdown') {
+        switch (format) {
+            case 'jsonld':
+                return JSON.stringify(this.jsonLd(document), null, 2) + '\n';
+            case 'markdown':
+                return this.markdown(document);
+            case 'html':
+                return this.html(document);
+            default:
+                throw new Error(`Unknown export format: ${format} (expected ${FORMATS.join(', ')})`);
+        }
+    }
+
+    /**
+     * Render a document and write it to a file (directories are created)
+     * Returns { file, format, bytes }
+     */
+    write(document, format, file) {
+        const content = this.render(document, format);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+        return { file, format, bytes: Buffer.byteLength(content) };
+    }
+
+    /**
+     * schema.org data: a Recipe, or an ItemList of the compared Recipes
+     */
+    jsonLd(document) {
+        if (document.kind === 'recipe') {
+            return { '@context': 'https://schema.org', ...this.recipeNode(document.recipe, document.scaled) };
+        }
+        return {
+            '@context': 'https://schema.org',
+            '@type': 'ItemList',
+            name: document.title,
+            description: document.core.length > 0 ? `Common to all: ${document.core.join(', ')}` : undefined,
+            numberOfItems: document.recipes.length,
+            itemListElement: document.recipes.map((recipe, i) => ({
+                '@type': 'ListItem',
+                position: i + 1,
+                item: this.recipeNode(recipe)
+            }))
+        };
+    }
+
+    /**
+     * schema.org Recipe for a record (undefined fields are left out of the JSON)
+     */
+    recipeNode(recipe, scaled = null) {
+        // A scaled recipe's bake time is the new estimate, so it wins over cookTime
+        const cookTime = (RecipeScaler.minutes(recipe.bakeTime) || [])[0] || recipe.cookTime;
+        const description = [recipe.description, scaled ? RecipeExporter.scaledText(scaled) : null].filter(Boolean).join(' ');
+        return {
+            '@type': 'Recipe',
+            name: recipe.name,
+            description: description || undefined,
+            author: recipe.author ? { '@type': 'Person', name: recipe.author } : undefined,
+            url: recipe.source && recipe.source.url ? recipe.source.url : undefined,
+            recipeYield: recipe.yield || (recipe.servings ? String(recipe.servings) : undefined),
+            prepTime: RecipeExporter.duration(recipe.prepTime),
+            cookTime: RecipeExporter.duration(cookTime),
+            totalTime: RecipeExporter.duration(recipe.totalTime),
+            keywords: recipe.tags && recipe.tags.length > 0 ? recipe.tags.join(', ') : undefined,
+            recipeIngredient: (recipe.ingredients || []).map(String),
+            recipeInstructions: (recipe.steps || []).map(text => ({ '@type': 'HowToStep', text }))
+        };
+    }
+
+    /**
+     * Markdown; a recipe uses the layout RecipeImporter reads back
+     */
+    markdown(document) {
+        const lines = [];
+        if (document.kind === 'recipe') {
+            const { recipe, scaled } = document;
+            lines.push(`# ${recipe.name || 'Recipe'}`, '');
+            if (scaled) lines.push(`_${RecipeExporter.scaledText(scaled)}_`, '');
+            if (recipe.description) lines.push(recipe.description, '');
+            const metadata = RecipeExporter.metadata(recipe);
+            if (metadata.length > 0) lines.push(...metadata.map(([key, value]) => `${key}: ${value}`), '');
+            lines.push('## Ingredients', ...(recipe.ingredients || []).map(line => `- ${line}`), '');
+            if ((recipe.steps || []).length > 0) {
+                lines.push('## Instructions', ...recipe.steps.map((step, i) => `${i + 1}. ${step}`), '');
+            }
+            if (scaled && scaled.notes.length + scaled.hints.length > 0) {
+                lines.push('## Notes', ...[...scaled.notes, ...scaled.hints].map(note => `- ${note}`), '');
+            }
+            return lines.join('\n');
+        }
+
+        const cell = (text) => String(text).replace(/\|/g, '\\|');
+        lines.push(`# ${document.title}`, '');
+        lines.push(`| Ingredient | ${document.columns.map(cell).join(' | ')} |`);
+        lines.push(`|${' --- |'.repeat(document.columns.length + 1)}`);
+        for (const row of document.rows) {
+            const name = document.core.includes(row.ingredient) ? `**${row.ingredient}**` : row.ingredient;
+            lines.push(`| ${cell(name)} | ${row.amounts.map(a => a === null ? '—' : cell(a)).join(' | ')} |`);
+        }
+        lines.push('');
+        lines.push(...RecipeExporter.comparisonSections(document).flatMap(([title, items]) => [
+            `## ${title}`, ...items.map(item => `- ${item}`), ''
+        ]));
+        return lines.join('\n');
+    }
+
+    /**
+     * Self-contained printable HTML page (no external resources)
+     */
+    html(document) {
+        const esc = RecipeExporter.escape;
+        const list = (tag, items) => `<${tag}>\n${items.map(item => `  <li>${esc(item)}</li>`).join('\n')}\n</${tag}>`;
+        const body = [`<h1>${esc(document.title)}</h1>`];
+
+        if (document.kind === 'recipe') {
+            const { recipe, scaled } = document;
+            if (scaled) body.push(`<p class="scaled">${esc(RecipeExporter.scaledText(scaled))}</p>`);
+            if (recipe.description) body.push(`<p>${esc(recipe.description)}</p>`);
+            const metadata = RecipeExporter.metadata(recipe);
+            if (metadata.length > 0) {
+                body.push(`<ul class="meta">\n${metadata.map(([key, value]) => `  <li><strong>${esc(key)}:</strong> ${esc(value)}</li>`).join('\n')}\n</ul>`);
+            }
+            body.push('<h2>Ingredients</h2>', list('ul', (recipe.ingredients || []).map(String)));
+            if ((recipe.steps || []).length > 0) body.push('<h2>Instructions</h2>', list('ol', recipe.steps));
+            if (scaled && scaled.notes.length + scaled.hints.length > 0) {
+                body.push('<h2>Notes</h2>', list('ul', [...scaled.notes, ...scaled.hints]));
+            }
+        } else {
+            const header = ['Ingredient', ...document.columns].map(c => `<th>${esc(c)}</th>`).join('');
+            const rows = document.rows.map(row => {
+                const core = document.core.includes(row.ingredient);
+                const cells = row.amounts.map(a => a === null ? '<td class="missing">—</td>' : `<td>${esc(a)}</td>`).join('');
+                return `  <tr><td${core ? ' class="core"' : ''}>${esc(row.ingredient)}</td>${cells}</tr>`;
+            });
+            body.push(`<table>\n  <tr>${header}</tr>\n${rows.join('\n')}\n</table>`);
+            for (const [title, items] of RecipeExporter.comparisonSections(document)) {
+                body.push(`<h2>${esc(title)}</h2>`, list('ul', items));
+            }
+        }
+
+        // JSON-LD for the page; "</" would end the script element early
+        const data = JSON.stringify(this.jsonLd(document), null, 2).replace(/<\//g, '<\\/');
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<meta name="viewport" content="width=device-width, initial-scale=1">',
+            `<title>${esc(document.title)}</title>`,
+            `<style>\n${STYLE}\n</style>`,
+            `<script type="application/ld+json">\n${data}\n</script>`,
+            '</head>',
+            '<body>',
+            ...body,
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Default file name for a document ("fudgy-brownies-x2.html")
+     */
+    static fileName(document, format) {
+        const slug = Languages.foldText(document.title).replace(/×/g, 'x').replace(/[^a-z0-9.]+/g, '-').replace(/^-+|-+$/g, '');
+        return `${slug || 'recipe'}${EXTENSIONS[format] || ''}`;
+    }
+
+    /**
+     * "Key: value" lines of a recipe, in the keys RecipeImporter reads
+     */
+    static metadata(recipe) {
+        const time = (value) => typeof value === 'number' ? `${value} minutes` : value;
+        return [
+            ['Serves', recipe.yield || recipe.servings],
+            ['Pan', recipe.pan],
+            ['Bake time', time(recipe.bakeTime)],
+            ['Prep time', time(recipe.prepTime)],
+            ['Cook time', recipe.bakeTime ? null : time(recipe.cookTime)],
+            ['Total time', time(recipe.totalTime)],
+            ['Author', recipe.author],
+            ['Source', recipe.source && recipe.source.url],
+            ['Tags', (recipe.tags || []).join(', ')]
+        ].filter(([, value]) => value !== null && value !== undefined && value !== '').map(([key, value]) => [key, String(value)]);
+    }
+
+    /**
+     * Core, variation and optional-step sections of a comparison (non-empty only)
+     */
+    static comparisonSections(document) {
+        return [
+            ['Common Core', document.core.length > 0 ? [`Common to all ${document.recipes.length} recipes: ${document.core.join(', ')}`] : []],
+            ['Variations', document.variations.map(v => `${v.recipe}: adds ${v.uniqueIngredients.join(', ')}`)],
+            ['Optional Steps', document.bloat.flatMap(b => b.bloatSteps.map(step => `${b.recipe}: ${step}`))]
+        ].filter(([, items]) => items.length > 0);
+    }
+
+    /**
+     * "Scaled ×2 (9 → 18 servings)"
+     */
+    static scaledText(scaled) {
+        const detail = scaled.servings
+            ? ` (${scaled.servings.from} → ${scaled.servings.to} servings)`
+            : scaled.pan ? ` (${scaled.pan.from} → ${scaled.pan.to} pan)` : '';
+        return `Scaled ×${scaled.factor}${detail}`;
+    }
+
+    /**
+     * Amount of a parsed line without its name ("1 1/2 cup", "2-3")
+     */
+    static amountOf(item) {
+        const quantity = item.maxQuantity !== null
+            ? `${RecipeScaler.quantityText(item.quantity, item.unit)}-${RecipeScaler.quantityText(item.maxQuantity, item.unit)}`
+            : RecipeScaler.quantityText(item.quantity, item.unit);
+        return [quantity, item.unit].filter(Boolean).join(' ');
+    }
+
+    /**
+     * ISO 8601 duration for minutes (90 → "PT1H30M"), or undefined
+     */
+    static duration(minutes) {
+        if (typeof minutes !== 'number' || !(minutes > 0)) return undefined;
+        const hours = Math.floor(minutes / 60);
+        const rest = Math.round(minutes % 60);
+        return `PT${hours ? `${hours}H` : ''}${rest ? `${rest}M` : ''}`;
+    }
+
+    static escape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = RecipeExporter;
+module.exports.FORMATS = FORMATS;
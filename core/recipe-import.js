@@ -0,0 +1,425 @@
+// RecipeImporter - Import recipe files into long-term memory
+// Reads schema.org Recipe JSON-LD (also inside @graph or arrays, and plain
+// JSON records with name + ingredients), Markdown (a `#` title per recipe with
+// Ingredients / Instructions sections) and plain text (title line, then
+// "Ingredients:" / "Instructions:" blocks, recipes separated by `---`).
+// Each recipe is normalized into a record and stored under index.recipes;
+// a recipe already stored with the same name and ingredients is a duplicate,
+// one with the same name from the same file is updated in place.
+//
+// Record: { type: 'recipe', name, description, ingredients: [line], steps: [text],
+//           servings, yield, pan, bakeTime, prepTime, cookTime, totalTime (minutes),
+//           tags, author, source: { file, format, url }, importedAt }
+// Import: { imported: [{ id, name, file }], updated: [...], duplicates: [{ name, file, existingId }],
+//           skipped: [{ file, name?, reason }] }
+
+const fs = require('fs');
+const path = require('path');
+const IngredientParser = require('./ingredients');
+const RecipeScaler = require('./scaling');
+const Languages = require('./language');
+
+const FORMATS = {
+    '.json': 'jsonld',
+    '.jsonld': 'jsonld',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.txt': 'text',
+    '.text': 'text'
+};
+
+// Section headings → record field
+const SECTIONS = [
+    { field: 'ingredients', match: /^(?:ingredients?|ingredientes|zutaten)\b/i },
+    { field: 'steps', match: /^(?:instructions?|directions?|method|steps?|preparation|procedure|preparaci[oó]n|zubereitung)\b/i },
+    { field: 'notes', match: /^(?:notes?|tips?)\b/i }
+];
+
+// "Serves: 8", "Pan: 8x8 inch", "Bake time: 25-30 minutes"
+const METADATA = /^\s*(?:[-*]\s*)?\**(serves|servings|yield|makes|pan|bake(?: time)?|prep(?: time)?|cook(?: time)?|total(?: time)?|source|author|tags?)\**\s*:\**\s*(.+)$/i;
+const METADATA_FIELDS = {
+    serves: 'yield', servings: 'yield', yield: 'yield', makes: 'yield',
+    pan: 'pan', bake: 'bakeTime', 'bake time': 'bakeTime',
+    prep: 'prepTime', 'prep time': 'prepTime', cook: 'cookTime', 'cook time': 'cookTime',
+    total: 'totalTime', 'total time': 'totalTime', source: 'url', author: 'author', tag: 'tags', tags: 'tags'
+};
+
+const LIST_ITEM = /^\s*(?:[-*•+]|\d+[.)])\s+/;
+
+// Named HTML entities recipe sites use (numeric ones are decoded by code point)
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    deg: '°', frac12: '½', frac14: '¼', frac34: '¾', times: '×', eacute: 'é', egrave: 'è', ntilde: 'ñ', uuml: 'ü'
+};
+
+class RecipeImporter {
+    constructor(options = {}) {
+        this.parser = options.parser || new IngredientParser();
+    }
+
+    /**
+     * Import a file or a directory of recipe files into long-term memory
+     * Returns the Import summary, plus { files, recipes } counts
+     */
+    importPath(target, longTerm) {
+        const files = this.files(target);
+        const summary = { imported: [], updated: [], duplicates: [], skipped: [] };
+
+        for (const file of files) {
+            let read;
+            try {
+                read = this.read(file);
+            } catch (error) {
+                summary.skipped.push({ file, reason: error.message });
+                continue;
+            }
+            if (read.recipes.length === 0) {
+                summary.skipped.push({ file, reason: 'no recipe found' });
+                continue;
+            }
+            for (const raw of read.recipes) {
+                let recipe;
+                try {
+                    recipe = this.normalize(raw, { file, format: read.format });
+                } catch (error) {
+                    summary.skipped.push({ file, name: RecipeImporter.text(raw.name) || null, reason: error.message });
+                    continue;
+                }
+                this.add(recipe, longTerm, summary);
+            }
+        }
+
+        return { ...summary, files: files.length, recipes: longTerm.getRecipes().length };
+    }
+
+    /**
+     * Recipe files at a path (a file, or the supported files of a directory, sorted)
+     * Throws when the path does not exist
+     */
+    files(target) {
+        if (!target || !fs.existsSync(target)) {
+            throw new Error(`No such file or directory: ${target}`);
+        }
+        if (!fs.statSync(target).isDirectory()) return [target];
+
+        return fs.readdirSync(target)
+            .filter(name => FORMATS[path.extname(name).toLowerCase()])
+            .sort()
+            .map(name => path.join(target, name))
+            .filter(file => fs.statSync(file).isFile());
+    }
+
+    /**
+     * Parsed (not yet normalized) recipes in one file
+     * Format from the extension, else from the content
+     * Returns { format, recipes }
+     */
+    read(file) {
+        const content = fs.readFileSync(file, 'utf8');
+        const format = FORMATS[path.extname(file).toLowerCase()] || RecipeImporter.detectFormat(content);
+        return { format, recipes: this.parse(content, format) };
+    }
+
+    /**
+     * Raw recipes in text of a format ('jsonld' / 'markdown' / 'text')
+     */
+    parse(content, format = RecipeImporter.detectFormat(content)) {
+        switch (format) {
+            case 'jsonld':
+                return this.parseJsonLd(JSON.parse(content));
+            case 'markdown':
+                return this.parseMarkdown(content);
+            case 'text':
+                return this.parseText(content);
+            default:
+                throw new Error(`Unknown recipe format: ${format} (expected jsonld, markdown, text)`);
+        }
+    }
+
+    /**
+     * schema.org Recipe objects anywhere in a JSON-LD document (arrays, @graph)
+     * Plain records with a name and ingredients are read the same way
+     */
+    parseJsonLd(data) {
+        const found = [];
+        const visit = (node) => {
+            if (Array.isArray(node)) return node.forEach(visit);
+            if (!node || typeof node !== 'object') return;
+            if (node['@graph']) visit(node['@graph']);
+
+            const types = [].concat(node['@type'] || []);
+            const plain = !node['@type'] && node.name && (node.ingredients || node.recipeIngredient);
+            if (!types.includes('Recipe') && !plain) return;
+
+            found.push({
+                name: node.name,
+                description: node.description,
+                ingredients: node.recipeIngredient || node.ingredients,
+                steps: RecipeImporter.instructions(node.recipeInstructions || node.steps || node.instructions),
+                yield: [].concat(node.recipeYield || node.yield || node.servings || [])[0],
+                pan: node.pan,
+                bakeTime: node.bakeTime,
+                prepTime: node.prepTime,
+                cookTime: node.cookTime,
+                totalTime: node.totalTime,
+                tags: [node.keywords, node.recipeCategory, node.recipeCuisine, node.tags],
+                author: node.author,
+                url: node.url
+            });
+        };
+        visit(data);
+        return found;
+    }
+
+    /**
+     * Markdown: each `#` heading starts a recipe; `##`/`###` headings (or bold
+     * lines) name its sections; "Key: value" lines before them are metadata
+     */
+    parseMarkdown(content) {
+        const blocks = [];
+        for (const line of String(content).split(/\r?\n/)) {
+            const title = line.match(/^#\s+(.+)$/);
+            if (title) {
+                blocks.push({ name: title[1].trim(), lines: [] });
+            } else if (blocks.length > 0) {
+                blocks[blocks.length - 1].lines.push(line);
+            } else if (line.trim()) {
+                blocks.push({ name: null, lines: [line] });
+            }
+        }
+
+        return blocks.map(block => {
+            const heading = (line) => {
+                const match = line.match(/^#{2,6}\s+(.+)$/) || line.match(/^\s*\*\*(.+?):?\*\*:?\s*$/) || line.match(/^\s*([^:]{3,30}):\s*$/);
+                return match ? match[1].trim() : null;
+            };
+            return this.sections(block.name, block.lines, heading);
+        });
+    }
+
+    /**
+     * Plain text: the first line is the title; "Ingredients:" / "Instructions:"
+     * lines start sections. Without them, lines with an amount are ingredients
+     * and the rest are steps. Recipes are separated by a line of dashes
+     */
+    parseText(content) {
+        return String(content).split(/\r?\n\s*(?:-{3,}|={3,})\s*(?:\r?\n|$)/)
+            .map(block => block.split(/\r?\n/))
+            .filter(lines => lines.some(line => line.trim()))
+            .map(lines => {
+                const start = lines.findIndex(line => line.trim());
+                const heading = (line) => {
+                    const match = line.match(/^\s*([^:]{3,30}):\s*$/) || line.match(/^\s*(ingredients|instructions|directions|method|steps)\s*$/i);
+                    return match ? match[1].trim() : null;
+                };
+                const raw = this.sections(lines[start].trim(), lines.slice(start + 1), heading);
+
+                if (raw.ingredients.length === 0) {
+                    // No section headings: amounts are ingredients, the rest are steps
+                    for (const line of raw.description) {
+                        const item = this.parser.parse(line);
+                        if (item && item.quantity !== null && line.length < 80) raw.ingredients.push(line);
+                        else raw.steps.push(line);
+                    }
+                    raw.description = [];
+                }
+                return raw;
+            });
+    }
+
+    /**
+     * Split a recipe's lines into metadata, description and sections
+     * heading(line): the section title a line starts, or null
+     */
+    sections(name, lines, heading) {
+        const raw = { name, description: [], ingredients: [], steps: [], notes: [], tags: [] };
+        let field = 'description';
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            const title = heading(line);
+            if (title) {
+                const section = SECTIONS.find(s => s.match.test(title));
+                // Sub-headings inside a section ("For the frosting") keep the section
+                if (section) field = section.field;
+                continue;
+            }
+            const metadata = field === 'description' && line.match(METADATA);
+            if (metadata) {
+                const key = METADATA_FIELDS[metadata[1].toLowerCase()];
+                if (key === 'tags') raw.tags.push(metadata[2]);
+                else raw[key] = metadata[2].trim();
+                continue;
+            }
+            raw[field].push(line.replace(LIST_ITEM, '').trim());
+        }
+
+        return raw;
+    }
+
+    /**
+     * Recipe record from a parsed recipe
+     * Throws when it has no name or no ingredients
+     */
+    normalize(raw, source = {}) {
+        const name = RecipeImporter.text(raw.name);
+        const ingredients = [].concat(raw.ingredients || [])
+            .map(line => RecipeImporter.text(line).replace(LIST_ITEM, ''))
+            .filter(Boolean);
+        if (!name) throw new Error('recipe has no name');
+        if (ingredients.length === 0) throw new Error(`${name}: no ingredients`);
+
+        const steps = [].concat(raw.steps || []).map(RecipeImporter.text).filter(Boolean);
+        const cookTime = RecipeImporter.minutes(raw.cookTime);
+        const bakes = steps.some(step => /\b(?:bake|oven)\b/i.test(step));
+        const yieldText = raw.yield === undefined || raw.yield === null ? null : RecipeImporter.text(raw.yield);
+
+        return {
+            type: 'recipe',
+            name,
+            description: RecipeImporter.text([].concat(raw.description || []).join(' ')) || null,
+            ingredients,
+            steps,
+            servings: RecipeScaler.count(yieldText),
+            yield: yieldText,
+            pan: RecipeImporter.text(raw.pan) || null,
+            // A cook time is a bake time when the steps use the oven
+            bakeTime: raw.bakeTime ? RecipeImporter.text(raw.bakeTime) : (bakes ? cookTime : null),
+            prepTime: RecipeImporter.minutes(raw.prepTime),
+            cookTime,
+            totalTime: RecipeImporter.minutes(raw.totalTime),
+            tags: [...new Set([].concat(...[].concat(raw.tags || []).map(RecipeImporter.tagList)))],
+            author: RecipeImporter.author(raw.author),
+            source: { file: source.file || null, format: source.format || null, url: RecipeImporter.text(raw.url) || null },
+            importedAt: Date.now()
+        };
+    }
+
+    /**
+     * Store a record unless it is a duplicate; records the outcome in the summary
+     */
+    add(recipe, longTerm, summary) {
+        const fingerprint = this.fingerprint(recipe);
+        const existing = longTerm.getRecipes();
+        const duplicate = existing.find(r => this.fingerprint(r) === fingerprint);
+        if (duplicate) {
+            summary.duplicates.push({ name: recipe.name, file: recipe.source.file, existingId: duplicate.id });
+            return null;
+        }
+
+        const nameKey = RecipeImporter.key(recipe.name);
+        const previous = existing.find(r => r.source && r.source.file === recipe.source.file && RecipeImporter.key(r.name) === nameKey);
+        if (previous && recipe.source.file) {
+            longTerm.update(previous.id, recipe);
+            summary.updated.push({ id: previous.id, name: recipe.name, file: recipe.source.file });
+            return previous.id;
+        }
+
+        const id = longTerm.store({ ...recipe, id: this.idFor(recipe.name, longTerm) });
+        summary.imported.push({ id, name: recipe.name, file: recipe.source.file });
+        return id;
+    }
+
+    /**
+     * Same recipe: same name and the same ingredient names (amounts and order aside)
+     */
+    fingerprint(recipe) {
+        const names = this.parser.parseAll((recipe.ingredients || []).map(String))
+            .map(item => RecipeImporter.key(item.ingredient));
+        return `${RecipeImporter.key(recipe.name)}|${[...new Set(names)].sort().join(',')}`;
+    }
+
+    /**
+     * Readable id from the name ("recipe_fudgy_brownies", "_2" when taken)
+     */
+    idFor(name, longTerm) {
+        const base = `recipe_${RecipeImporter.key(name).replace(/ /g, '_') || 'untitled'}`;
+        let id = base;
+        for (let n = 2; longTerm.items.has(id); n++) id = `${base}_${n}`;
+        return id;
+    }
+
+    /**
+     * Format of recipe text without a known extension
+     */
+    static detectFormat(content) {
+        const text = String(content).trim();
+        if (text.startsWith('{') || text.startsWith('[')) return 'jsonld';
+        if (/^#\s/m.test(text)) return 'markdown';
+        return 'text';
+    }
+
+    /**
+     * Steps from recipeInstructions: text, [text], HowToStep, HowToSection
+     */
+    static instructions(value) {
+        if (!value) return [];
+        if (typeof value === 'string') {
+            return value.split(/\r?\n|(?<=\.)\s+(?=\d+[.)]\s)/).map(s => s.replace(LIST_ITEM, '').trim()).filter(Boolean);
+        }
+        if (Array.isArray(value)) return value.flatMap(RecipeImporter.instructions);
+        if (value.itemListElement) return RecipeImporter.instructions(value.itemListElement);
+        return RecipeImporter.instructions(value.text || value.name || '');
+    }
+
+    /**
+     * Minutes in an ISO 8601 duration ("PT1H30M"), a number or "25 minutes", or null
+     */
+    static minutes(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value === 'number') return value;
+        const iso = String(value).match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/i);
+        if (iso) return (Number(iso[1] || 0) * 24 + Number(iso[2] || 0)) * 60 + Number(iso[3] || 0) || null;
+        const range = RecipeScaler.minutes(value);
+        return range ? range[0] : null;
+    }
+
+    /**
+     * Tags from a comma-separated string or a list
+     */
+    static tagList(value) {
+        if (!value) return [];
+        return [].concat(value).flatMap(v => String(v).split(',')).map(t => t.trim().toLowerCase()).filter(Boolean);
+    }
+
+    /**
+     * Author names from a string, a Person or a list of either, or null
+     */
+    static author(value) {
+        const names = [].concat(value || [])
+            .map(author => RecipeImporter.text(author && typeof author === 'object' ? author.name : author))
+            .filter(Boolean);
+        return names.length > 0 ? names.join(', ') : null;
+    }
+
+    /**
+     * Trimmed single-line text (JSON-LD values may be numbers or carry HTML and entities)
+     */
+    static text(value) {
+        if (value === undefined || value === null) return '';
+        return RecipeImporter.decodeEntities(String(value).replace(/<[^>]+>/g, ' '))
+            .replace(/\s+/g, ' ').replace(/ ([.,;:!?])/g, '$1').trim();
+    }
+
+    /**
+     * Text with HTML entities decoded ("&amp;", "&#189;", "&#x2019;"); unknown ones are kept
+     */
+    static decodeEntities(text) {
+        return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z][a-z0-9]*));/gi, (entity, decimal, hex, name) => {
+            if (name) return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : entity;
+            const code = decimal ? Number(decimal) : parseInt(hex, 16);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        });
+    }
+
+    /**
+     * Comparable form of a name ("Fudgy Brownies!" → "fudgy brownies")
+     */
+    static key(value) {
+        return Languages.foldText(value).replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+}
+
+module.exports = RecipeImporter;
+module.exports.FORMATS = FORMATS;
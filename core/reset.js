@@ -2,16 +2,24 @@
 // Triggers when: contradictions, repeated loops without progress, new info not changing plan
 
 class ResetController {
-    constructor() {
+    constructor(options = {}) {
         this.loopDetectionWindow = 5; // Check last 5 iterations
         this.contradictionThreshold = 2; // Max contradictions before reset
         this.stagnationThreshold = 3; // Iterations without progress
+        this.maxResetDepth = options.maxResetDepth ?? 2; // Resets allowed per input
     }
 
     /**
      * Main reset check - should we reset?
      */
     shouldReset(assessment, workingMemory) {
+        return this.evaluate(assessment, workingMemory).shouldReset;
+    }
+
+    /**
+     * Run all reset checks, returning the decision and its reasons
+     */
+    evaluate(assessment, workingMemory) {
         const reasons = [];
         
         // Check 1: Contradictions in assumptions
@@ -33,10 +41,31 @@ class ResetController {
         if (reasons.length > 0) {
             console.log('🔄 Reset condition triggered:');
             reasons.forEach(reason => console.log(`   - ${reason}`));
-            return true;
         }
         
-        return false;
+        return {
+            shouldReset: reasons.length > 0,
+            reasons
+        };
+    }
+
+    /**
+     * Explain a triggered reset before working memory is cleared
+     * depth: resets already performed for this input
+     * Returns { depth, reasons, diagnosis, suggestions, limited, at }
+     * limited: true when maxResetDepth is reached and the reset is skipped
+     */
+    explain(check, workingMemory, depth = 0) {
+        const diagnosis = this.diagnose(workingMemory);
+        
+        return {
+            depth,
+            reasons: [...(check.reasons || [])],
+            diagnosis,
+            suggestions: this.suggestCorrection(diagnosis),
+            limited: depth >= this.maxResetDepth,
+            at: Date.now()
+        };
     }
 
     /**
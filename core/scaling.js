@@ -0,0 +1,439 @@
+// RecipeScaler - Scale a recipe by a factor, a number of servings or a pan size
+// "scale Fudgy Brownies by 2", "scale the lasagna to 12 servings", "scale
+// brownies from an 8x8 to a 9x13 pan". Every ingredient line with a quantity
+// is multiplied and moved to the unit a cook would measure it in (16 tbsp →
+// 1 cup, 1500 g → 1.5 kg). Leavening, salt and spices do not scale linearly:
+// they are flagged with a smaller amount to start from. Bake-time hints follow
+// from how the batter depth changes (more batter in the same pan is deeper).
+//
+// Request: { name, factor, servings: { from, to } | null, pans: [Pan] }
+// Pan:     { text, shape: 'rectangle' | 'square' | 'round', area (square inches) }
+// Scaled:  { scaled: true, recipe, id, factor, basis: 'factor' | 'servings' | 'pan', servings, pan,
+//            ingredients: [Ingredient + { original, text, nonLinear?, suggested? }], lines, nonLinear }
+
+const IngredientParser = require('./ingredients');
+const ConversionEngine = require('./conversion');
+const Languages = require('./language');
+
+// Units a scaled amount may move between, smallest first, with the least amount
+// worth writing in each and the most a cook would still measure in it
+const LADDERS = [
+    [['tsp', 0, 6], ['tbsp', 1, 8], ['cup', 0.25, Infinity]],
+    [['ml', 0, Infinity], ['l', 1, Infinity]],
+    [['g', 0, Infinity], ['kg', 1, Infinity]],
+    [['oz', 0, Infinity], ['lb', 1, Infinity]]
+];
+const CLEAN_ROUNDING = 0.05; // a larger unit is only used when rounding in it changes the amount by 5% or less
+
+// Fractions measuring cups and spoons come in
+const MEASURES = {
+    cup: [0, 1 / 4, 1 / 3, 1 / 2, 2 / 3, 3 / 4, 1],
+    tbsp: [0, 1 / 2, 1],
+    tsp: [0, 1 / 8, 1 / 4, 1 / 2, 3 / 4, 1]
+};
+const FRACTION_TEXT = { 0.125: '1/8', 0.25: '1/4', 0.333: '1/3', 0.5: '1/2', 0.667: '2/3', 0.75: '3/4' };
+
+// Counted units that only come whole (null: the ingredient itself, "3 eggs")
+const WHOLE_UNITS = [null, 'piece', 'clove', 'can', 'slice', 'package'];
+
+// Units written in the plural for more than one ("2 cups"); abbreviations stay as they are
+const PLURAL_UNITS = {
+    cup: 'cups', pinch: 'pinches', dash: 'dashes', clove: 'cloves', can: 'cans', stick: 'sticks',
+    slice: 'slices', package: 'packages', bunch: 'bunches', sprig: 'sprigs', handful: 'handfuls', piece: 'pieces'
+};
+// Ingredients that do not scale linearly (whole words of the ingredient name)
+const NON_LINEAR = {
+    leavening: ['baking powder', 'baking soda', 'bicarbonate', 'yeast', 'cream of tartar'],
+    salt: ['salt'],
+    spice: [
+        'cinnamon', 'nutmeg', 'cloves', 'allspice', 'cardamom', 'ginger', 'cumin', 'paprika', 'cayenne',
+        'chili powder', 'chili flakes', 'pepper flakes', 'black pepper', 'curry powder', 'vanilla', 'extract'
+    ]
+};
+const NON_LINEAR_DAMPING = 0.75; // share of the extra amount to start from when scaling up
+
+const DEPTH_TOLERANCE = 0.1; // batter depth within ±10% bakes about as long
+const SERVING_WORDS = 'servings?|serves|people|persons?|portions?|guests?|personas|porciones|raciones|personen|portionen';
+const SERVINGS = new RegExp(
+    `(?:from\\s+(\\d+)(?:\\s+(?:${SERVING_WORDS}))?\\s+)?(?:to|for|into|para|fur|auf)\\s+(\\d+)\\s*(?:${SERVING_WORDS})\\b`
+);
+const FACTOR = new RegExp(`(?:\\bby|\\btimes|\\bx|×)\\s*(${IngredientParser.AMOUNT})\\b|\\b(\\d+(?:[.,]\\d+)?)\\s*(?:x|×)(?![\\w\\d])`);
+const PAN_UNIT = '(?:\\s*-?\\s*(inch(?:es)?|in\\b|"|cm))';
+const RECTANGULAR_PAN = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(?:x|×|by)\\s*(\\d+(?:\\.\\d+)?)${PAN_UNIT}?`, 'g');
+const ROUND_PAN = new RegExp(`(\\d+(?:\\.\\d+)?)${PAN_UNIT}?\\s*(round|square|pie|springform|skillet)`, 'g');
+const CM_PER_INCH = 2.54;
+
+class RecipeScaler {
+    constructor(options = {}) {
+        this.parser = options.parser || new IngredientParser();
+        this.conversions = options.conversions || new ConversionEngine({ parser: this.parser });
+        this.languages = options.languages || Languages.shared();
+    }
+
+    /**
+     * What a scaling request asks for
+     * Returns the Request (factor, servings and pans are missing when not named)
+     */
+    parse(input) {
+        const text = String(input || '').trim();
+        let folded = Languages.foldText(text);
+
+        const pans = RecipeScaler.pans(folded);
+        for (const pan of pans) folded = folded.replace(pan.match, ' ');
+
+        const servings = folded.match(SERVINGS);
+        if (servings) folded = folded.replace(servings[0], ' ');
+
+        const number = folded.match(FACTOR);
+        let factor = number ? IngredientParser.amount(number[1] || number[2]) : null;
+        if (!factor) {
+            // "double the brownies", "halve it"
+            const language = this.languages.detect(text).language;
+            const words = folded.split(/[^\p{L}]+/u);
+            const scale = this.languages.references(language).scale.find(([term]) => words.some(w => w.startsWith(term)));
+            factor = scale ? scale[1] : null;
+        }
+
+        return {
+            name: RecipeScaler.nameOf(text),
+            factor: factor > 0 ? factor : null,
+            servings: servings && Number(servings[2]) > 0 && !(servings[1] && Number(servings[1]) <= 0)
+                ? { from: servings[1] ? Number(servings[1]) : null, to: Number(servings[2]) }
+                : null,
+            pans: pans.map(({ match, ...pan }) => pan)
+        };
+    }
+
+    /**
+     * Best match for a recipe name among stored recipes, or null
+     * An exact name wins; otherwise the recipe sharing the most name words
+     */
+    find(name, recipes) {
+        const wanted = String(name || '').toLowerCase().trim();
+        if (!wanted) return null;
+        const exact = recipes.find(r => String(r.name || '').toLowerCase() === wanted);
+        if (exact) return exact;
+
+        const words = (s) => String(s || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 2 && w !== 'recipe');
+        const stem = (w) => w.replace(/s$/, '');
+        const wantedWords = words(wanted).map(stem);
+        let best = null;
+        let bestScore = 0;
+        for (const recipe of recipes) {
+            const score = words(recipe.name).filter(w => wantedWords.includes(stem(w))).length;
+            if (score > bestScore) {
+                best = recipe;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Scale factor for a request against a recipe
+     * An explicit factor wins, then servings, then pan area. Factors and
+     * servings must be positive. A servings ratio is kept exact (2/3, not
+     * 0.6667) so amounts only round once, when they are written
+     * Returns { factor, basis, servings, pan } or { error } when the recipe lacks what the ratio needs
+     */
+    factorFor(request, recipe) {
+        const pan = this.panChange(request, recipe);
+        const asked = request.servings;
+        const servings = asked && asked.to > 0 && (asked.from === null || asked.from === undefined || asked.from > 0)
+            ? { from: asked.from || RecipeScaler.count(recipe.servings), to: asked.to }
+            : null;
+
+        if (request.factor > 0) {
+            return { factor: request.factor, basis: 'factor', servings: null, pan };
+        }
+        if (servings) {
+            if (!servings.from) return { error: 'unknown_servings' };
+            return { factor: servings.to / servings.from, basis: 'servings', servings, pan };
+        }
+        if (request.pans.length > 0) {
+            if (!pan) return { error: 'unknown_pan' };
+            return { factor: pan.areaRatio, basis: 'pan', servings: null, pan };
+        }
+        return { error: 'no_scale_factor' };
+    }
+
+    /**
+     * Pan the recipe moves to, with the area ratio, or null
+     * Two pans named: from the first to the second; one: from the recipe's pan
+     */
+    panChange(request, recipe) {
+        if (request.pans.length === 0) return null;
+        const to = request.pans[request.pans.length - 1];
+        const from = request.pans.length > 1 ? request.pans[0] : RecipeScaler.pans(Languages.foldText(recipe.pan || ''))[0];
+        if (!from) return null;
+        return { from: from.text, to: to.text, areaRatio: this.precise(to.area / from.area) };
+    }
+
+    /**
+     * Scale a recipe's ingredient lines
+     * precision: keep exact amounts (no measuring-cup fractions)
+     */
+    scale(recipe, scaling, { precision = false } = {}) {
+        const { factor } = scaling;
+        const ingredients = (recipe.ingredients || []).map(line => {
+            const item = this.parser.parse(String(line));
+            if (!item || !item.ingredient) return null;
+
+            const kind = RecipeScaler.nonLinearKind(item.ingredient);
+            if (item.quantity === null) {
+                return { ...item, original: item.text, text: item.text, ...(kind ? { nonLinear: kind } : {}) };
+            }
+
+            const amount = this.friendly(item.quantity * factor, item.unit, { precision });
+            const scaled = {
+                ...item,
+                original: item.text,
+                quantity: amount.quantity,
+                maxQuantity: item.maxQuantity === null ? null : this.measure(item.maxQuantity * factor, item.unit, amount.unit, precision),
+                unit: amount.unit
+            };
+            if (item.unit === null) {
+                // Counted ingredients follow their count ("3 eggs" → "1 egg")
+                scaled.ingredient = RecipeScaler.countNoun(item.ingredient, item.maxQuantity ?? item.quantity, scaled.maxQuantity ?? scaled.quantity);
+            }
+            if (kind) {
+                scaled.nonLinear = kind;
+                if (factor > 1) {
+                    const start = this.friendly(item.quantity * (1 + (factor - 1) * NON_LINEAR_DAMPING), item.unit, { precision });
+                    scaled.suggested = { ...start, text: RecipeScaler.amountText(start.quantity, start.unit) };
+                }
+            }
+            scaled.text = RecipeScaler.format(scaled);
+            return scaled;
+        }).filter(Boolean);
+
+        return {
+            scaled: true,
+            recipe: recipe.name || null,
+            id: recipe.id || null,
+            factor,
+            basis: scaling.basis,
+            servings: scaling.servings,
+            pan: scaling.pan,
+            ingredients,
+            lines: ingredients.map(item => item.text),
+            nonLinear: ingredients.filter(item => item.nonLinear).map(item => ({
+                ingredient: item.ingredient,
+                kind: item.nonLinear,
+                suggested: item.suggested ? item.suggested.text : null
+            }))
+        };
+    }
+
+    /**
+     * Amount in the unit a cook would measure it in
+     * Returns { quantity, unit }
+     */
+    friendly(amount, unit, { precision = false } = {}) {
+        const ladder = LADDERS.find(steps => steps.some(([u]) => u === unit));
+        if (!ladder) {
+            // Counts and units without a size: whole pieces (eggs, cloves), or halves (sticks, pinches)
+            if (precision) return { quantity: this.precise(amount), unit };
+            if (WHOLE_UNITS.includes(unit)) return { quantity: Math.max(Math.round(amount), 1), unit };
+            const quantity = amount < 0.25 ? this.precise(amount) : Math.max(Math.round(amount * 2) / 2, 0.5);
+            return { quantity, unit };
+        }
+
+        const base = amount * ConversionEngine.UNITS[unit].value;
+        const candidates = [...ladder].reverse()
+            .map(([u, least, most]) => ({ unit: u, value: this.precise(base / ConversionEngine.UNITS[u].value), least, most }))
+            .filter(c => c.value >= c.least);
+        if (precision) {
+            return { quantity: candidates[0].value, unit: candidates[0].unit };
+        }
+        // Too much to measure in a smaller unit (14 1/2 tbsp): the larger one, rounded
+        const measurable = candidates.filter(c => c.value <= c.most);
+        const clean = measurable.find(c => Math.abs(this.snap(c.value, c.unit) - c.value) <= c.value * CLEAN_ROUNDING);
+        const chosen = clean || measurable[measurable.length - 1] || candidates[0];
+        return { quantity: this.snap(chosen.value, chosen.unit), unit: chosen.unit };
+    }
+
+    /**
+     * Amount converted to a given unit of the same ladder (the other end of a range)
+     */
+    measure(amount, fromUnit, toUnit, precision) {
+        const units = ConversionEngine.UNITS;
+        const value = units[fromUnit] && units[toUnit] ? amount * units[fromUnit].value / units[toUnit].value : amount;
+        if (precision) return this.precise(value);
+        return WHOLE_UNITS.includes(toUnit) ? Math.max(Math.round(value), 1) : this.snap(value, toUnit);
+    }
+
+    /**
+     * Value rounded to a measuring fraction (cups, spoons) or the unit's rounding step
+     */
+    snap(value, unit) {
+        const fractions = MEASURES[unit];
+        if (!fractions || value < 1 / 8) return this.conversions.round(value, unit);
+        const whole = Math.floor(value);
+        const fraction = fractions.reduce((best, f) => Math.abs(whole + f - value) < Math.abs(whole + best - value) ? f : best);
+        return Math.round((whole + fraction) * 1000) / 1000;
+    }
+
+    /**
+     * Bake-time hints for a scaled recipe
+     * Batter depth changes with the scale factor over the pan area ratio;
+     * deeper batter bakes longer (about the square root of the depth ratio)
+     * Returns { baked, depthRatio, bakeTime: { original, estimate } | null, hints: [string] }
+     */
+    bakeHints(recipe, scaled) {
+        const original = RecipeScaler.minutes(recipe.bakeTime);
+        const pan = scaled.pan;
+        if (!original && !recipe.pan && !pan) {
+            return { baked: false, depthRatio: null, bakeTime: null, hints: [] };
+        }
+
+        const depthRatio = this.precise(scaled.factor / (pan ? pan.areaRatio : 1));
+        const sameDepth = Math.abs(depthRatio - 1) <= DEPTH_TOLERANCE;
+        const estimate = original
+            ? original.map(m => sameDepth ? m : Math.round(m * Math.sqrt(depthRatio)))
+            : null;
+        const about = estimate ? ` (about ${[...new Set(estimate)].join('-')} min)` : '';
+
+        const hints = [];
+        if (sameDepth) {
+            hints.push(`${pan ? `Same batter depth in the ${pan.to} pan` : 'Same batter depth'}: bake about as long${about}, checking 5 minutes early`);
+        } else if (depthRatio > 1) {
+            if (!pan && recipe.pan) {
+                hints.push(`Use a pan about ${this.precise(scaled.factor)}× the area of the ${recipe.pan} pan, or bake in batches, to keep the same time`);
+            }
+            hints.push(`Deeper batter bakes longer${about}: lower the oven about 15 °C / 25 °F so the middle sets before the edges dry`);
+        } else {
+            const early = original && estimate ? Math.max(5, original[0] - estimate[0]) : 5;
+            hints.push(`Shallower batter bakes faster${about}: start checking ${early} minutes early`);
+        }
+
+        return {
+            baked: true,
+            depthRatio,
+            bakeTime: original ? { original, estimate } : null,
+            hints
+        };
+    }
+
+    precise(value) {
+        return this.conversions.precise(value);
+    }
+
+    /**
+     * Recipe name in a scaling request ("scale the Fudgy Brownies recipe by 2" → "Fudgy Brownies")
+     */
+    static nameOf(text) {
+        const rest = String(text).trim().replace(/^(?:please\s+)?(?:scale|resize|escal\w*|skalier\w*)\s*/i, '');
+        return rest
+            .split(/\s+(?:by|to|for|from|into|in|times|para|für|fur|auf)\s+|\s+(?:x|×)?\s*\d|[,?!]/i)[0]
+            .replace(/^(?:the|my|our|a|an|that|this)\s+/i, '')
+            .replace(/^recipes?\s+(?:for\s+)?/i, '')
+            .replace(/\s+recipes?$/i, '')
+            .trim();
+    }
+
+    /**
+     * Pans named in folded text, in order ("8x8", "9 x 13 inch", "23 cm round")
+     */
+    static pans(text) {
+        const found = [];
+        const add = (match, shape, width, length, unit) => {
+            const inches = (n) => unit === 'cm' ? n / CM_PER_INCH : n;
+            const area = shape === 'round' ? Math.PI * (inches(width) / 2) ** 2 : inches(width) * inches(length);
+            found.push({ match: match[0], index: match.index, text: match[0].trim(), shape, area });
+        };
+
+        for (const match of text.matchAll(RECTANGULAR_PAN)) {
+            const [width, length] = [Number(match[1]), Number(match[2])];
+            add(match, width === length ? 'square' : 'rectangle', width, length, match[3]);
+        }
+        for (const match of text.matchAll(ROUND_PAN)) {
+            if (found.some(pan => match.index < pan.index + pan.match.length && pan.index < match.index + match[0].length)) continue;
+            const size = Number(match[1]);
+            add(match, match[3] === 'square' ? 'square' : 'round', size, size, match[2]);
+        }
+        return found.sort((a, b) => a.index - b.index).map(({ index, ...pan }) => pan);
+    }
+
+    /**
+     * Number of servings in a recipe field (8, "8", "serves 8", "8-10 servings")
+     */
+    static count(value) {
+        const match = String(value === undefined || value === null ? '' : value).match(/\d+/);
+        return match ? Number(match[0]) : null;
+    }
+
+    /**
+     * Bake time in minutes as [min, max] (30, "25-30 minutes", "1 hour"), or null
+     */
+    static minutes(value) {
+        if (typeof value === 'number') return value > 0 ? [value, value] : null;
+        const text = String(value || '').toLowerCase();
+        const match = text.match(/(\d+)(?:\s*(?:-|to|–)\s*(\d+))?\s*(h|hours?|hr)?/);
+        if (!match) return null;
+        const per = match[3] ? 60 : 1;
+        return [Number(match[1]) * per, Number(match[2] || match[1]) * per];
+    }
+
+    /**
+     * Non-linear kind of an ingredient ('leavening' / 'salt' / 'spice'), or null
+     */
+    static nonLinearKind(ingredient) {
+        const name = ` ${String(ingredient).toLowerCase().replace(/[^a-z]+/g, ' ')} `;
+        return Object.keys(NON_LINEAR).find(kind => NON_LINEAR[kind].some(term => name.includes(` ${term} `))) || null;
+    }
+
+    /**
+     * "1 1/2 cups" for 1.5 cups; decimals for units without measuring fractions
+     */
+    static amountText(quantity, unit) {
+        return [RecipeScaler.quantityText(quantity, unit), RecipeScaler.unitText(unit, quantity)].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Unit as written after a quantity ("cup" for 1 or less, "cups" for more)
+     */
+    static unitText(unit, quantity) {
+        return quantity > 1 && PLURAL_UNITS[unit] ? PLURAL_UNITS[unit] : unit;
+    }
+
+    static quantityText(quantity, unit) {
+        if (!MEASURES[unit]) return String(quantity);
+        const whole = Math.floor(quantity);
+        const fraction = FRACTION_TEXT[Math.round((quantity - whole) * 1000) / 1000];
+        if (quantity === whole || !fraction) return String(quantity);
+        return whole > 0 ? `${whole} ${fraction}` : fraction;
+    }
+
+    /**
+     * Ingredient name for a new count: the last word singular for one, plural
+     * for more, when the count crosses 1 ("eggs" → "egg", "egg yolk" → "egg yolks")
+     */
+    static countNoun(ingredient, was, now) {
+        if ((was > 1) === (now > 1)) return ingredient;
+        const words = String(ingredient).split(' ');
+        const last = words.pop();
+        let word = last;
+        if (now > 1 && !/s$/.test(last)) {
+            word = /(?:ch|sh|x)$/.test(last) ? `${last}es` : /[^aeiou]y$/.test(last) ? `${last.slice(0, -1)}ies` : `${last}s`;
+        } else if (now <= 1 && /[^s]s$/.test(last) && !/sses$/.test(last)) {
+            word = /ies$/.test(last) ? `${last.slice(0, -3)}y` : /(?:ches|shes|xes|oes)$/.test(last) ? last.slice(0, -2) : last.slice(0, -1);
+        }
+        return [...words, word].join(' ');
+    }
+
+    /**
+     * Display text for a scaled line ("1 1/2 cups flour (sifted)")
+     */
+    static format(item) {
+        const quantity = item.maxQuantity !== null
+            ? `${RecipeScaler.quantityText(item.quantity, item.unit)}-${RecipeScaler.quantityText(item.maxQuantity, item.unit)}`
+            : RecipeScaler.quantityText(item.quantity, item.unit);
+        const notes = item.notes.length > 0 ? ` (${item.notes.join(', ')})` : '';
+        const unit = RecipeScaler.unitText(item.unit, item.maxQuantity !== null ? item.maxQuantity : item.quantity);
+        return `${[quantity, unit, item.ingredient].filter(Boolean).join(' ')}${notes}`;
+    }
+}
+
+module.exports = RecipeScaler;
+module.exports.NON_LINEAR = NON_LINEAR;
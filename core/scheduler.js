@@ -0,0 +1,166 @@
+// DagScheduler - Run triage tasks as a dependency graph
+// Independent tasks run concurrently (up to a limit), dependents start
+// once everything they depend on has completed, in priority order
+// Reports the critical path (longest chain of dependent work)
+
+class DagScheduler {
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, options.concurrency || 2);
+    }
+
+    /**
+     * Run tasks through the graph
+     * handlers: {
+     *   execute(task)          → async outcome ('completed' lets dependents start)
+     *   canStart()             → false stops new starts (cutoff, cut short)
+     *   onBlocked(task, missing) / onHalted(task)
+     * }
+     * Returns { order, outcomes, waves }
+     */
+    async run(tasks, handlers) {
+        const pending = [...tasks];
+        const running = new Map();
+        const outcomes = new Map();
+        const order = [];
+        let waves = 0;
+
+        try {
+            await this.loop(tasks, pending, running, outcomes, order, handlers, () => waves++);
+        } catch (error) {
+            // Tasks still in flight settle on their own; keep their rejections handled
+            for (const promise of running.values()) promise.catch(() => {});
+            throw error;
+        }
+
+        return { order, outcomes, waves };
+    }
+
+    /**
+     * Scheduling loop: block, start ready tasks, wait for one to settle
+     */
+    async loop(tasks, pending, running, outcomes, order, handlers, nextWave) {
+        const { execute, canStart = () => true, onBlocked = () => {}, onHalted = () => {} } = handlers;
+
+        while (pending.length > 0 || running.size > 0) {
+            // Anything depending on a task that cannot complete is blocked
+            for (const task of [...pending]) {
+                const missing = this.unreachableDependencies(task, tasks, outcomes);
+                if (missing.length > 0) {
+                    pending.splice(pending.indexOf(task), 1);
+                    outcomes.set(task.action, 'blocked');
+                    onBlocked(task, missing);
+                }
+            }
+
+            // Start ready tasks in priority order, up to the limit
+            let started = 0;
+            for (const task of [...pending]) {
+                if (running.size >= this.concurrency) break;
+                if (!canStart()) break;
+                if (!this.isReady(task, outcomes)) continue;
+
+                pending.splice(pending.indexOf(task), 1);
+                order.push(task.action);
+                started++;
+
+                const promise = Promise.resolve(execute(task)).then(outcome => {
+                    outcomes.set(task.action, outcome);
+                    running.delete(task.action);
+                });
+                running.set(task.action, promise);
+            }
+            if (started > 0) nextWave();
+
+            if (!canStart()) {
+                // No new work: let running tasks settle, halt the rest
+                for (const task of pending.splice(0)) {
+                    outcomes.set(task.action, 'halted');
+                    onHalted(task);
+                }
+            }
+
+            if (running.size === 0) {
+                // Nothing runnable left (e.g. circular dependencies)
+                for (const task of pending.splice(0)) {
+                    outcomes.set(task.action, 'blocked');
+                    onBlocked(task, [...(task.dependencies || [])]);
+                }
+                break;
+            }
+
+            await Promise.race(running.values());
+        }
+    }
+
+    /**
+     * All dependencies completed
+     */
+    isReady(task, outcomes) {
+        return (task.dependencies || []).every(dep => outcomes.get(dep) === 'completed');
+    }
+
+    /**
+     * Dependencies that will never complete: not in the graph, or settled without completing
+     */
+    unreachableDependencies(task, tasks, outcomes) {
+        return (task.dependencies || []).filter(dep => {
+            if (!tasks.some(t => t.action === dep)) return true;
+            return outcomes.has(dep) && outcomes.get(dep) !== 'completed';
+        });
+    }
+
+    /**
+     * Longest chain of dependent tasks, weighted by duration
+     * durations: { action: ms }; tasks missing a duration count as 0
+     * Ties go to the chain with more tasks
+     * Returns { tasks: [actions root → leaf], durationMs }
+     */
+    criticalPath(tasks, durations) {
+        const byAction = new Map(tasks.map(t => [t.action, t]));
+        const finish = new Map();   // action → { end, length }
+        const previous = new Map();
+
+        const longer = (a, b) => a.end > b.end || (a.end === b.end && a.length > b.length);
+
+        const visit = (action, stack = new Set()) => {
+            if (finish.has(action)) return finish.get(action);
+            if (stack.has(action)) return { end: 0, length: 0 }; // cycle guard
+            stack.add(action);
+
+            let start = { end: 0, length: 0 };
+            for (const dep of byAction.get(action).dependencies || []) {
+                if (!byAction.has(dep)) continue;
+                const depFinish = visit(dep, stack);
+                if (!previous.has(action) || longer(depFinish, start)) {
+                    start = depFinish;
+                    previous.set(action, dep);
+                }
+            }
+
+            stack.delete(action);
+            const result = { end: start.end + (durations[action] || 0), length: start.length + 1 };
+            finish.set(action, result);
+            return result;
+        };
+
+        let last = null;
+        for (const action of byAction.keys()) {
+            const result = visit(action);
+            if (last === null || longer(result, finish.get(last))) {
+                last = action;
+            }
+        }
+
+        const path = [];
+        for (let action = last; action && !path.includes(action); action = previous.get(action)) {
+            path.unshift(action);
+        }
+
+        return {
+            tasks: path,
+            durationMs: last === null ? 0 : finish.get(last).end
+        };
+    }
+}
+
+module.exports = DagScheduler;
@@ -0,0 +1,224 @@
+// TaskTemplates - Declarative task graphs per input type
+// Templates are JSON or JS files: core ships core/templates/, each domain may
+// add <domain>/templates/. Every template is validated when it is loaded.
+//
+// Template shape:
+// {
+//   inputType: 'substitute',            // or a routed domain's action
+//   domain: 'cooking',                  // defaults to the loading domain
+//   aliases: ['swap'],                  // other input types using this graph
+//   tasks: [{ action, type, dependencies: [], weight: 0, shared: false }],
+//   modes: { PRECISION: { add: [tasks], omit: [actions], weights: { action: n } } }
+// }
+// shared: a retrieval whose result does not depend on the input, so inbox
+// triage can run it once for every request that needs it
+
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['PRECISION', 'HEURISTIC'];
+
+/**
+ * Invalid template (reported at load time)
+ */
+class TemplateError extends Error {
+    constructor(message, source = 'core', file = null) {
+        super(file ? `${path.basename(file)}: ${message}` : message);
+        this.name = 'TemplateError';
+        this.source = source;
+        this.file = file;
+    }
+}
+
+class TaskTemplates {
+    constructor() {
+        this.templates = new Map(); // `${domain}:${inputType}` → entry
+    }
+
+    /**
+     * Registry with the core templates loaded
+     */
+    static withDefaults() {
+        const templates = new TaskTemplates();
+        templates.loadDirectory(path.join(__dirname, 'templates'));
+        return templates;
+    }
+
+    /**
+     * Load every *.json / *.js template in a directory
+     * All or nothing: throws TemplateError on the first invalid template
+     * Returns the input types loaded
+     */
+    loadDirectory(dir, options = {}) {
+        if (!fs.existsSync(dir)) return [];
+
+        const found = [];
+        const files = fs.readdirSync(dir).filter(f => /\.(json|js)$/.test(f)).sort();
+        for (const file of files) {
+            const filePath = path.join(dir, file);
+            let content;
+            try {
+                content = file.endsWith('.json')
+                    ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+                    : require(path.resolve(filePath));
+            } catch (error) {
+                throw new TemplateError(`cannot be read (${error.message})`, options.source, filePath);
+            }
+
+            for (const template of [].concat(content)) {
+                this.validate(template, options.source, filePath);
+                found.push({ template, file: filePath });
+            }
+        }
+
+        return found.map(({ template, file }) => this.register(template, { ...options, file }));
+    }
+
+    /**
+     * Validate and register one template
+     * Returns the input type; later registrations replace earlier ones
+     */
+    register(template, options = {}) {
+        const source = options.source || 'core';
+        this.validate(template, source, options.file);
+
+        const domain = template.domain || (source === 'core' ? 'cooking' : source);
+        const entry = { template, domain, source, file: options.file || null };
+        for (const inputType of [template.inputType, ...(template.aliases || [])]) {
+            this.templates.set(`${domain}:${inputType}`, entry);
+        }
+        return template.inputType;
+    }
+
+    /**
+     * Check shape, dependencies and cycles (base graph and every mode variant)
+     */
+    validate(template, source = 'core', file = null) {
+        const fail = (message) => {
+            throw new TemplateError(message, source, file);
+        };
+
+        if (!template || typeof template.inputType !== 'string' || !template.inputType) {
+            fail('template needs an inputType');
+        }
+        const name = template.inputType;
+        if (!Array.isArray(template.tasks) || template.tasks.length === 0) {
+            fail(`${name}: tasks must be a non-empty array`);
+        }
+        if (template.aliases && !Array.isArray(template.aliases)) {
+            fail(`${name}: aliases must be an array`);
+        }
+
+        const modes = Object.keys(template.modes || {});
+        const declared = [...template.tasks];
+        for (const mode of modes) {
+            if (!MODES.includes(mode)) {
+                fail(`${name}: unknown mode "${mode}" (expected ${MODES.join(' or ')})`);
+            }
+            declared.push(...((template.modes[mode] || {}).add || []));
+        }
+
+        for (const task of declared) {
+            if (!task || typeof task.action !== 'string' || typeof task.type !== 'string') {
+                fail(`${name}: every task needs an action and a type`);
+            }
+            if (task.dependencies !== undefined && !Array.isArray(task.dependencies)) {
+                fail(`${name}: dependencies of "${task.action}" must be an array`);
+            }
+            if (task.weight !== undefined && !Number.isFinite(task.weight)) {
+                fail(`${name}: weight of "${task.action}" must be a number`);
+            }
+            if (task.shared !== undefined && typeof task.shared !== 'boolean') {
+                fail(`${name}: shared of "${task.action}" must be true or false`);
+            }
+        }
+
+        for (const mode of [null, ...modes]) {
+            const label = mode ? `${name} (${mode})` : name;
+            const tasks = this.tasksFor(template, mode);
+            const actions = new Set();
+
+            for (const task of tasks) {
+                if (actions.has(task.action)) {
+                    fail(`${label}: duplicate task "${task.action}"`);
+                }
+                actions.add(task.action);
+                if (!Number.isFinite(task.weight)) {
+                    fail(`${label}: weight of "${task.action}" must be a number`);
+                }
+            }
+
+            for (const task of tasks) {
+                const unknown = task.dependencies.filter(dep => !actions.has(dep));
+                if (unknown.length > 0) {
+                    fail(`${label}: "${task.action}" depends on unknown task(s) ${unknown.join(', ')}`);
+                }
+            }
+
+            // Lazy require: triage.js requires this module
+            const Triager = require('./triage');
+            if (Triager.prototype.hasCircularDependencies({ priorities: tasks })) {
+                fail(`${label}: circular dependencies`);
+            }
+        }
+    }
+
+    /**
+     * Task list of a template in a mode (null = base graph)
+     * Tasks are copies with dependencies and weight filled in
+     */
+    tasksFor(template, mode = null) {
+        const variant = (mode && template.modes && template.modes[mode]) || {};
+        const omit = new Set(variant.omit || []);
+        const weights = variant.weights || {};
+
+        return [...template.tasks, ...(variant.add || [])]
+            .filter(task => !omit.has(task.action))
+            .map(task => ({
+                ...task,
+                dependencies: [...(task.dependencies || [])],
+                weight: weights[task.action] ?? task.weight ?? 0
+            }));
+    }
+
+    /**
+     * Template for an input type in a domain, or null
+     */
+    resolve(inputType, domain = 'cooking') {
+        return this.templates.get(`${domain}:${inputType}`) || null;
+    }
+
+    /**
+     * Tasks for an input type in a mode, or null when no template matches
+     */
+    expand(inputType, mode, domain = 'cooking') {
+        const entry = this.resolve(inputType, domain);
+        if (!entry) return null;
+        return {
+            tasks: this.tasksFor(entry.template, mode),
+            template: { inputType: entry.template.inputType, domain: entry.domain, source: entry.source, mode }
+        };
+    }
+
+    /**
+     * Registered templates, for status and diagnostics
+     */
+    list() {
+        const seen = new Set();
+        const list = [];
+        for (const entry of this.templates.values()) {
+            if (seen.has(entry)) continue;
+            seen.add(entry);
+            list.push({
+                inputType: entry.template.inputType,
+                domain: entry.domain,
+                source: entry.source,
+                tasks: entry.template.tasks.map(t => t.action)
+            });
+        }
+        return list;
+    }
+}
+
+module.exports = TaskTemplates;
+module.exports.TemplateError = TemplateError;
@@ -0,0 +1,263 @@
+// DecisionTrace - Machine-readable record of one run
+// Captures: domain route, reset checks and resets, assessment + reasoning, every scored triage task,
+//           task budgets, each executor decision (including MetaLoop skips), the task
+//           schedule with its critical path, budget cut-offs, how the mode was chosen
+//           any HEURISTIC → PRECISION escalation, the questions asked instead
+//           of running an underspecified request and how a follow-up was resolved
+
+const fs = require('fs');
+const path = require('path');
+
+const TRACE_VERSION = 1;
+
+class DecisionTrace {
+    constructor(taskId = null, input = '') {
+        this.taskId = taskId;
+        this.input = String(input);
+        this.startedAt = Date.now();
+        this.completedAt = null;
+        this.mode = null;
+        this.modeSelection = null;
+        this.escalation = null;
+        this.clarification = null;
+        this.followUp = null;
+        this.route = null;
+        this.resetChecks = [];
+        this.resets = [];
+        this.assessment = null;
+        this.triage = null;
+        this.budget = null;
+        this.decisions = [];
+        this.schedule = null;
+        this.cutShort = null;
+        this.cancelled = null;
+    }
+
+    /**
+     * Record the resolved domain route
+     */
+    recordRoute(route) {
+        this.route = {
+            domain: route.domain,
+            builtIn: route.builtIn,
+            action: route.action,
+            matched: [...(route.matched || [])],
+            reason: route.reason
+        };
+    }
+
+    /**
+     * Record a reset check (triggered or not)
+     */
+    recordResetCheck(check) {
+        this.resetChecks.push({
+            at: Date.now(),
+            triggered: Boolean(check.shouldReset),
+            reasons: [...(check.reasons || [])]
+        });
+    }
+
+    /**
+     * Record a triggered reset: diagnosis, suggested correction, whether it was skipped
+     */
+    recordReset(record) {
+        this.resets.push({
+            depth: record.depth,
+            reasons: [...record.reasons],
+            recommendation: record.diagnosis.recommendation,
+            suggestions: record.suggestions.map(s => ({ ...s })),
+            limited: record.limited
+        });
+    }
+
+    /**
+     * Record the assessment, its reasoning and the lexicon entries it matched
+     */
+    recordAssessment(assessment) {
+        this.assessment = {
+            urgency: assessment.urgency,
+            stakes: assessment.stakes,
+            difficulty: assessment.difficulty,
+            precision: assessment.precision,
+            inputType: assessment.inputType,
+            reasoning: assessment.reasoning || '',
+            lexicon: assessment.lexicon || null
+        };
+    }
+
+    /**
+     * Record every scored task with its triage outcome
+     */
+    recordTriage(triage) {
+        const tasks = [];
+        const seen = new Set();
+
+        const add = (list, status) => {
+            for (const task of list || []) {
+                if (seen.has(task.action)) continue;
+                seen.add(task.action);
+                tasks.push({
+                    action: task.action,
+                    type: task.type,
+                    score: task.score,
+                    dependencies: [...(task.dependencies || [])],
+                    status
+                });
+            }
+        };
+
+        add(triage.priorities, 'priority');
+        add(triage.deferred, 'deferred');
+        add(triage.discarded, 'discarded');
+
+        this.triage = {
+            template: triage.template ? { ...triage.template } : null,
+            tasks,
+            dependencies: [...(triage.dependencies || [])]
+        };
+    }
+
+    /**
+     * Record task budgets as allocated
+     */
+    recordBudget(budget) {
+        this.budget = {
+            cutoffTime: budget.cutoffTime,
+            totalTime: budget.totalTime,
+            emergencyAction: budget.emergencyAction ? budget.emergencyAction.action : null,
+            tasks: budget.tasks.map(t => ({
+                task: t.task,
+                maxTime: t.maxTime,
+                maxIterations: t.maxIterations
+            }))
+        };
+    }
+
+    /**
+     * Record an executor decision for a task
+     * decision: executed | skipped | blocked | failed | cancelled
+     */
+    recordDecision(task, decision, details = {}) {
+        this.decisions.push({
+            task,
+            decision,
+            ...details,
+            at: Date.now()
+        });
+    }
+
+    /**
+     * Record how the task graph was scheduled, including its critical path
+     */
+    recordSchedule(schedule) {
+        this.schedule = {
+            concurrency: schedule.concurrency,
+            order: [...schedule.order],
+            waves: schedule.waves,
+            wallTimeMs: schedule.wallTimeMs,
+            criticalPath: schedule.criticalPath
+        };
+    }
+
+    /**
+     * Record that the budget stopped the run and which emergency action ran
+     */
+    recordCutShort(details) {
+        this.cutShort = { ...details, at: Date.now() };
+    }
+
+    /**
+     * Record how the run's mode was chosen
+     */
+    recordMode(selection) {
+        this.modeSelection = { mode: selection.mode, reasons: selection.reasons, pinned: Boolean(selection.pinned) };
+    }
+
+    /**
+     * Record an escalation from HEURISTIC to PRECISION after a failed validation
+     */
+    recordEscalation(escalation) {
+        this.escalation = { from: escalation.from, to: escalation.to, task: escalation.task, reason: escalation.reason };
+    }
+
+    /**
+     * Record how a follow-up turn was rewritten against the previous subject
+     */
+    recordFollowUp(followUp) {
+        this.followUp = {
+            original: followUp.original,
+            resolved: followUp.input,
+            subject: followUp.subject,
+            references: followUp.references
+        };
+    }
+
+    /**
+     * Record the questions asked instead of running an underspecified request
+     */
+    recordClarification(clarification) {
+        this.clarification = {
+            reason: clarification.reason,
+            missing: clarification.missing,
+            questions: clarification.questions.map(q => q.question)
+        };
+    }
+
+    /**
+     * Record that the run was cancelled via its AbortSignal
+     */
+    recordCancelled(stage) {
+        this.cancelled = { stage: stage || null, at: Date.now() };
+    }
+
+    /**
+     * Mark the run complete
+     */
+    complete(mode) {
+        this.completedAt = Date.now();
+        this.mode = mode || this.mode;
+    }
+
+    /**
+     * Plain JSON form (emitted in contract output)
+     */
+    toJSON() {
+        return {
+            version: TRACE_VERSION,
+            taskId: this.taskId,
+            input: this.input,
+            startedAt: new Date(this.startedAt).toISOString(),
+            completedAt: this.completedAt ? new Date(this.completedAt).toISOString() : null,
+            timingMs: (this.completedAt || Date.now()) - this.startedAt,
+            mode: this.mode,
+            modeSelection: this.modeSelection,
+            escalation: this.escalation,
+            clarification: this.clarification,
+            followUp: this.followUp,
+            route: this.route,
+            resetChecks: this.resetChecks,
+            resets: this.resets,
+            assessment: this.assessment,
+            triage: this.triage,
+            budget: this.budget,
+            decisions: this.decisions,
+            schedule: this.schedule,
+            cutShort: this.cutShort,
+            cancelled: this.cancelled
+        };
+    }
+
+    /**
+     * Write a trace (a DecisionTrace or its JSON, e.g. activate()'s meta.trace)
+     * to <dir>/<taskId>.json; returns the file path
+     */
+    static save(trace, dir) {
+        const data = trace instanceof DecisionTrace ? trace.toJSON() : trace;
+        fs.mkdirSync(dir, { recursive: true });
+        const filePath = path.join(dir, `${data.taskId || `trace_${Date.parse(data.startedAt) || Date.now()}`}.json`);
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+        return filePath;
+    }
+}
+
+module.exports = DecisionTrace;
@@ -1,9 +1,15 @@
 // Triager - Prioritize tasks, identify dependencies, defer/discard
 // Outputs: priorities (max 3), dependencies, deferred, discarded
+// Task graphs per input type come from declarative templates (core/templates/)
+// Inbox triage picks the top tasks across several pending requests at once
+
+const TaskTemplates = require('./task-templates');
 
 class Triager {
-    constructor() {
+    constructor(options = {}) {
         this.maxPriorities = 3;
+        this.maxInboxPriorities = options.maxInboxPriorities || 6;
+        this.templates = options.templates || TaskTemplates.withDefaults();
     }
 
     /**
@@ -11,10 +17,12 @@ class Triager {
      */
     async prioritize(assessment, context) {
         const { urgency, stakes, difficulty, inputType } = assessment;
-        const { working, mode } = context;
+        const { working, mode, signal } = context;
+        signal?.throwIfAborted();
         
-        // Extract tasks from assessment
-        const tasks = this.extractTasks(assessment);
+        // Extract tasks from assessment (template graph for the input type)
+        const expanded = this.expandTemplate(assessment, mode);
+        const tasks = this.extractTasks(assessment, mode);
         
         // Score and sort tasks
         const scored = tasks.map(task => ({
@@ -41,77 +49,173 @@ class Triager {
             deferred,
             discarded,
             dependencies: this.consolidateDependencies(priorities),
+            template: expanded ? expanded.template : null,
             timestamp: Date.now()
         };
         
         return triage;
     }
 
+    /**
+     * Inbox triage: several pending requests, one set of top tasks
+     * items: [{ id, input, assessment, mode (defaults to context.mode) }]
+     * Tasks are scored by their own request's urgency and stakes; the best
+     * ones are picked across requests (each with the tasks it depends on)
+     * until context.limit task slots are used. Retrieval steps the requests
+     * share (template `shared: true`, or the same input) take a single slot
+     * and run once
+     * Returns { priorities, requests: [per-request triage], merged, limit }
+     */
+    async prioritizeInbox(items, context = {}) {
+        const { working, mode, signal } = context;
+        const limit = context.limit || this.maxInboxPriorities;
+        signal?.throwIfAborted();
+        
+        const requests = items.map((item, index) => {
+            const expanded = this.expandTemplate(item.assessment, item.mode || mode);
+            const tasks = this.extractTasks(item.assessment, item.mode || mode).map(task => ({
+                ...task,
+                requestId: item.id,
+                score: this.calculatePriority(task, item.assessment),
+                dependencies: this.identifyDependencies(task, working)
+            }));
+            for (const task of tasks) {
+                task.slot = this.inboxSlot(task, item);
+            }
+            return { id: item.id, input: item.input, index, tasks, template: expanded ? expanded.template : null };
+        });
+        
+        // Best first; ties keep request order, then template order
+        const candidates = requests
+            .flatMap(r => r.tasks.map((task, order) => ({ task, request: r, order })))
+            .filter(({ task }) => task.score > 0 && !task.noise)
+            .sort((a, b) => b.task.score - a.task.score ||
+                a.request.index - b.request.index || a.order - b.order);
+        
+        const selected = new Set();
+        const slots = new Set();
+        for (const { task, request } of candidates) {
+            if (selected.has(task)) continue;
+            
+            const unit = this.withDependencies(task, request.tasks).filter(t => !selected.has(t));
+            const newSlots = new Set(unit.map(t => t.slot).filter(slot => !slots.has(slot)));
+            if (slots.size + newSlots.size > limit) continue;
+            
+            unit.forEach(t => selected.add(t));
+            newSlots.forEach(slot => slots.add(slot));
+        }
+        
+        // Per-request triage, shaped like prioritize()
+        const timestamp = Date.now();
+        const perRequest = requests.map(r => {
+            const byScore = [...r.tasks].sort((a, b) => b.score - a.score);
+            const priorities = byScore.filter(t => selected.has(t));
+            return {
+                id: r.id,
+                input: r.input,
+                priorities,
+                deferred: byScore.filter(t => !selected.has(t) && t.score > 0 && !t.noise),
+                discarded: byScore.filter(t => t.noise || t.score <= 0),
+                dependencies: this.consolidateDependencies(priorities),
+                template: r.template,
+                timestamp
+            };
+        });
+        
+        // One entry per slot: shared retrievals list every request using them
+        const bySlot = new Map();
+        for (const task of [...selected].sort((a, b) => b.score - a.score)) {
+            if (!bySlot.has(task.slot)) {
+                bySlot.set(task.slot, { ...task, requests: [] });
+            }
+            const entry = bySlot.get(task.slot);
+            entry.requests.push(task.requestId);
+            entry.score = Math.max(entry.score, task.score);
+        }
+        const priorities = [...bySlot.values()].sort((a, b) => b.score - a.score);
+        
+        return {
+            priorities,
+            requests: perRequest,
+            merged: priorities
+                .filter(t => t.requests.length > 1)
+                .map(t => ({ action: t.action, requests: t.requests })),
+            limit,
+            timestamp
+        };
+    }
+
+    /**
+     * Inbox slot of a task: retrievals the requests can share get a common slot
+     */
+    inboxSlot(task, item) {
+        if (task.type !== 'retrieval') return `${item.id}:${task.action}`;
+        
+        const domain = task.domain || item.assessment.domain || 'cooking';
+        const scope = task.shared
+            ? JSON.stringify(task.params || {})
+            : String(item.input).trim().toLowerCase().replace(/\s+/g, ' ');
+        return `shared:${domain}:${task.action}:${scope}`;
+    }
+
+    /**
+     * Task plus what it (transitively) depends on within its request, dependencies first
+     */
+    withDependencies(task, tasks) {
+        const byAction = new Map(tasks.map(t => [t.action, t]));
+        const unit = [];
+        const visit = (t) => {
+            if (unit.includes(t)) return;
+            for (const dep of t.dependencies || []) {
+                if (byAction.has(dep)) visit(byAction.get(dep));
+            }
+            unit.push(t);
+        };
+        visit(task);
+        return unit;
+    }
+
+    /**
+     * Template graph for the assessment: the routed domain's action,
+     * else the cooking input type (falling back to 'general')
+     */
+    expandTemplate(assessment, mode = null) {
+        const routed = assessment.domain && assessment.domain !== 'cooking';
+        if (routed) {
+            return this.templates.expand(assessment.domainAction, mode, assessment.domain);
+        }
+        return this.templates.expand(assessment.inputType, mode) ||
+            this.templates.expand('general', mode);
+    }
+
     /**
      * Extract individual tasks from assessment
      */
-    extractTasks(assessment) {
-        const { inputType, urgency, stakes, difficulty } = assessment;
-        
-        const tasks = [];
-        
-        // Map input type to task list
-        switch (inputType) {
-            case 'recipe_add':
-                tasks.push(
-                    { action: 'validate_recipe', type: 'validation' },
-                    { action: 'store_recipe', type: 'storage' },
-                    { action: 'index_recipe', type: 'indexing' }
-                );
-                break;
-                
-            case 'recipe_search':
-                tasks.push(
-                    { action: 'search_local', type: 'retrieval' },
-                    { action: 'rank_results', type: 'processing' }
-                );
-                break;
-                
-            case 'recipe_compare':
-            case 'compare':
-                tasks.push(
-                    { action: 'gather_recipes', type: 'retrieval' },
-                    { action: 'extract_core', type: 'analysis' },
-                    { action: 'identify_variations', type: 'analysis' },
-                    { action: 'detect_bloat', type: 'analysis' },
-                    { action: 'format_comparison', type: 'presentation' }
-                );
-                break;
-                
-            case 'substitute':
-                tasks.push(
-                    { action: 'identify_function', type: 'analysis' },
-                    { action: 'find_substitutes', type: 'retrieval' },
-                    { action: 'rank_by_risk', type: 'processing' }
-                );
-                break;
-                
-            case 'conversion':
-                tasks.push(
-                    { action: 'parse_conversion', type: 'parsing' },
-                    { action: 'lookup_table', type: 'retrieval' },
-                    { action: 'calculate', type: 'computation' }
-                );
-                break;
-                
-            case 'shopping':
-                tasks.push(
-                    { action: 'extract_ingredients', type: 'extraction' },
-                    { action: 'check_pantry', type: 'retrieval' },
-                    { action: 'generate_list', type: 'generation' }
-                );
-                break;
-                
-            default:
-                tasks.push({ action: 'process_general', type: 'general' });
+    extractTasks(assessment, mode = null) {
+        const expanded = this.expandTemplate(assessment, mode);
+        
+        // Routed to a loaded domain agent: the domain's template, or delegate as a single task
+        if (assessment.domain && assessment.domain !== 'cooking') {
+            if (expanded) {
+                return expanded.tasks.map(task => ({
+                    domain: assessment.domain,
+                    params: assessment.domainParams || {},
+                    ...task
+                }));
+            }
+            return [{
+                action: `${assessment.domain}_${assessment.domainAction}`,
+                type: 'domain',
+                domain: assessment.domain,
+                domainAction: assessment.domainAction,
+                params: assessment.domainParams || {}
+            }];
         }
         
-        return tasks;
+        if (expanded) return expanded.tasks;
+        
+        // No templates loaded
+        return [{ action: 'process_general', type: 'general' }];
     }
 
     /**
@@ -137,6 +241,9 @@ class Triager {
             score -= 5; // Can be deferred
         }
         
+        // Template priority weight
+        score += task.weight || 0;
+        
         // Difficulty modifier (easier tasks prioritized in high-urgency situations)
         if (assessment.urgency === 'NOW') {
             const difficultyPenalty = { easy: 0, moderate: -5, hard: -10, critical: -15 };
@@ -156,6 +263,12 @@ class Triager {
      * Identify task dependencies
      */
     identifyDependencies(task, working) {
+        // Template tasks declare their own
+        if (Array.isArray(task.dependencies)) {
+            return [...task.dependencies];
+        }
+        
+        // Tasks not built from a template
         const dependencies = [];
         
         // Common dependency patterns
@@ -179,7 +292,7 @@ class Triager {
                 break;
                 
             case 'format_comparison':
-                dependencies.push('extract_core', 'identify_variations');
+                dependencies.push('gather_recipes', 'extract_core');
                 break;
                 
             case 'find_substitutes':
@@ -28,10 +28,12 @@ class HardwareAgent {
   
   /**
    * Process incoming task
-   * @param {Object} task - Task to process
+   * @param {Object} task - Task to process ({ action, params, signal })
    * @returns {Promise<Object>} Task result
    */
   async processTask(task) {
+    task.signal?.throwIfAborted();
+    
     const operation = {
       id: `op_${Date.now()}`,
       task,
@@ -79,6 +81,13 @@ class HardwareAgent {
       return result;
       
     } catch (error) {
+      // Cancellation propagates to the caller instead of becoming a failed result
+      if (task.signal?.aborted) {
+        operation.status = 'cancelled';
+        operation.endTime = Date.now();
+        throw task.signal.reason;
+      }
+      
       operation.status = 'failed';
       operation.error = error.message;
       operation.endTime = Date.now();
@@ -94,9 +103,11 @@ class HardwareAgent {
    * Handle device connection
    */
   async _handleConnect(task) {
-    const { bridgeType, config } = task.params;
+    // Routed requests name the device URL; the API bridge is the one that takes it
+    const { bridgeType = 'api', config = {}, baseUrl } = task.params;
     
-    await this.hardware.hal.loadPlugin(bridgeType, config);
+    await this.hardware.hal.loadPlugin(bridgeType, baseUrl ? { ...config, baseUrl } : config);
+    task.signal?.throwIfAborted();
     const devices = await this.hardware.detection.detectAndProfile();
     
     this.metrics.devicesConnected += devices.length;
@@ -119,14 +130,21 @@ class HardwareAgent {
       interval: interval || 1000
     });
     
-    // Wait for completion
-    await new Promise(resolve => {
+    // Wait for completion; cancelling stops the observation early
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearInterval(check);
+        this.hardware.observation.stopObservation(deviceId)
+          .finally(() => reject(task.signal.reason));
+      };
       const check = setInterval(() => {
         if (!this.hardware.observation.activeObservations.has(deviceId)) {
           clearInterval(check);
+          task.signal?.removeEventListener('abort', onAbort);
           resolve();
         }
       }, 1000);
+      task.signal?.addEventListener('abort', onAbort, { once: true });
     });
     
     const report = this.hardware.observation.getReport(deviceId);
@@ -148,6 +166,7 @@ class HardwareAgent {
     const twin = this.hardware.simulation.createDigitalTwin(deviceId, observationData);
     
     // Run simulation
+    task.signal?.throwIfAborted();
     const simulation = await this.hardware.simulation.simulate(deviceId, strategy);
     
     this.metrics.simulationsRun++;
@@ -172,7 +191,8 @@ class HardwareAgent {
     if (autoApprove) {
       this.hardware.execution.approveExecution(request.id);
       const execution = await this.hardware.execution.execute(request.id, {
-        stopAtShadow: true // Safety: stop at shadow mode
+        stopAtShadow: true, // Safety: stop at shadow mode
+        signal: task.signal
       });
       
       this.metrics.executionsApproved++;
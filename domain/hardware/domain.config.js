@@ -18,6 +18,7 @@ module.exports = {
   // Operational settings
   pollingInterval: 1000, // Check hardware status every second
   priority: 'high', // Hardware operations are high priority
+  mode: 'PRECISION', // Routed inputs always run in PRECISION mode
   
   // Safety settings
   safetyEnabled: true,
@@ -31,6 +32,47 @@ module.exports = {
     'staged_execution'
   ],
   
+  // Kernel routing (see core/domain-router.js)
+  // Only actions a request can fully describe are routed: simulate and execute
+  // need an observation report or a simulation from earlier steps, so they are
+  // run through the agent, not from text
+  routing: {
+    keywords: ['hardware', 'device', 'devices', 'sensor', 'sensors', 'vehicle', 'robot', 'actuator', 'iot', 'obd'],
+    actions: {
+      connect: ['connect', 'detect', 'pair'],
+      observe: ['observe', 'monitor', 'watch'],
+      status: ['status', 'health']
+    },
+    defaultAction: 'status',
+    params: {
+      baseUrl: /\b(https?:\/\/[^\s,]+)/i,
+      // Device ids carry a digit or an underscore ("device obd_1", "id 42")
+      deviceId: /\b(?:device|sensor|vehicle|robot|id)\s+([\w.:-]*[\d_][\w.:-]*)/i,
+      duration: (input) => {
+        const match = input.match(/\bfor\s+(\d+)\s*(s|sec|secs|seconds?|m|min|mins|minutes?)\b/i);
+        return match ? Number(match[1]) * (/^m/i.test(match[2]) ? 60000 : 1000) : undefined;
+      }
+    },
+    requires: {
+      connect: ['baseUrl'],
+      observe: ['deviceId']
+    }
+  },
+  
+  // Assessment wording, merged with core/lexicons/core.json (see core/lexicon.js)
+  lexicon: {
+    urgency: {
+      NOW: [{ term: 'overheat', prefix: true }, 'smoke', 'smoking', 'sparking', 'collision', 'e-stop', 'runaway'],
+      SOON: ['fault', 'warning light', { term: 'error', weight: 0.5 }, { term: 'intermittent', weight: 0.5 }]
+    },
+    stakes: {
+      high: [{ term: 'brake', prefix: true }, 'steering', 'battery', 'voltage', 'firmware', 'flash', 'deploy', 'execute'],
+      medium: ['calibrate', 'calibration', 'configure'],
+      low: ['simulate', 'simulation', 'read-only']
+    },
+    timeSensitive: ['driving', 'moving', 'in motion', 'engine running']
+  },
+  
   // Resource limits
   maxConcurrentDevices: 5,
   maxObservationDuration: 3600000, // 1 hour
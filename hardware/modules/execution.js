@@ -122,11 +122,16 @@ class ExecutionModule {
     this.executions.set(executionId, execution);
     
     try {
+      // Cancellation (options.signal) is checked between phases and
+      // ends in the same safe shutdown as a failure
+      options.signal?.throwIfAborted();
+      
       // Phase 1: Shadow mode
       execution.phase = 'shadow';
       this.hal.emit('execution:phase_change', { executionId, phase: 'shadow' });
       
       execution.results.shadow = await this._executeShadowMode(execution);
+      options.signal?.throwIfAborted();
       
       if (!execution.results.shadow.safe) {
         throw new Error('Shadow mode detected unsafe conditions');
@@ -145,6 +150,7 @@ class ExecutionModule {
       this.hal.emit('execution:phase_change', { executionId, phase: 'limited' });
       
       execution.results.limited = await this._executeLimitedMode(execution, options);
+      options.signal?.throwIfAborted();
       
       if (!execution.results.limited.safe) {
         throw new Error('Limited mode detected unsafe conditions');
@@ -175,7 +181,7 @@ class ExecutionModule {
       return execution;
       
     } catch (error) {
-      execution.status = 'failed';
+      execution.status = options.signal?.aborted ? 'cancelled' : 'failed';
       execution.error = error.message;
       execution.endTime = Date.now();
       
@@ -0,0 +1,204 @@
+// DeferredQueue - Tasks triage deferred, kept until a later run picks them up
+// One JSON file per bot: <stateDir>/deferred/<botId>.json (in memory only without a state dir)
+// Each entry keeps the original input, assessment and the task graph needed to run it
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT_VERSION = 1;
+
+class DeferredQueue {
+    constructor(stateDir = null, botId = 'alive-bot') {
+        this.botId = botId;
+        this.filePath = stateDir
+            ? path.join(stateDir, 'deferred', `${String(botId).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`)
+            : null;
+        this.entries = [];
+        this.maxAttempts = 3; // Resumes before an entry is dropped
+    }
+
+    /**
+     * Load saved entries; false if nothing was saved yet or the file is unreadable
+     */
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return false;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            if (!data || data.version !== FORMAT_VERSION || !Array.isArray(data.entries)) return false;
+            this.entries = data.entries;
+            return true;
+        } catch (error) {
+            // Corrupted file: start with an empty queue rather than fail the run
+            return false;
+        }
+    }
+
+    /**
+     * Save entries atomically (temp file + rename)
+     */
+    save() {
+        if (!this.filePath) return null;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp.${process.pid}.${Date.now()}`;
+        const data = {
+            version: FORMAT_VERSION,
+            botId: this.botId,
+            savedAt: new Date().toISOString(),
+            entries: this.entries
+        };
+
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            if (fs.existsSync(tempPath)) {
+                try {
+                    fs.unlinkSync(tempPath);
+                } catch {}
+            }
+            throw error;
+        }
+
+        return this.filePath;
+    }
+
+    /**
+     * Queue a run's deferred tasks
+     * Each entry carries the deferred task plus the tasks it depends on
+     * (transitively), so it can run on its own later
+     * Returns the new entries (tasks already queued for the same input are skipped)
+     */
+    enqueue(triage, assessment, input, now = Date.now()) {
+        const all = [...(triage.priorities || []), ...(triage.deferred || [])];
+        const byAction = new Map(all.map(task => [task.action, task]));
+        const runId = `run_${now}_${Math.random().toString(36).substr(2, 6)}`;
+        const added = [];
+
+        for (const task of triage.deferred || []) {
+            if (this.entries.some(e => e.input === input && e.task.action === task.action)) continue;
+
+            const entry = {
+                id: `def_${now}_${Math.random().toString(36).substr(2, 6)}`,
+                runId,
+                input,
+                task: this.compactTask(task),
+                graph: this.graphFor(task, byAction).map(t => this.compactTask(t)),
+                assessment: { ...assessment },
+                deferredAt: new Date(now).toISOString(),
+                attempts: 0
+            };
+            this.entries.push(entry);
+            added.push(entry);
+        }
+
+        return added;
+    }
+
+    /**
+     * Task plus its dependencies, dependencies first
+     */
+    graphFor(task, byAction) {
+        const graph = [];
+        const visited = new Set();
+        const visit = (t) => {
+            if (visited.has(t.action)) return;
+            visited.add(t.action);
+            for (const dep of t.dependencies || []) {
+                if (byAction.has(dep)) visit(byAction.get(dep));
+            }
+            graph.push(t);
+        };
+        visit(task);
+        return graph;
+    }
+
+    /**
+     * Entries with their age, oldest first
+     */
+    list(now = Date.now()) {
+        return [...this.entries]
+            .sort((a, b) => Date.parse(a.deferredAt) - Date.parse(b.deferredAt))
+            .map(entry => ({ ...entry, ageMs: Math.max(0, now - Date.parse(entry.deferredAt)) }));
+    }
+
+    /**
+     * Oldest runs' entries, grouped by run: [{ runId, input, assessment, entries }]
+     * options.before: only entries deferred before this time (ms)
+     */
+    nextGroups(limit = 1, options = {}) {
+        const groups = new Map();
+        for (const entry of this.list()) {
+            if (options.before && Date.parse(entry.deferredAt) >= options.before) continue;
+            if (!groups.has(entry.runId)) {
+                if (groups.size >= limit) continue;
+                groups.set(entry.runId, {
+                    runId: entry.runId,
+                    input: entry.input,
+                    assessment: entry.assessment,
+                    entries: []
+                });
+            }
+            groups.get(entry.runId).entries.push(entry);
+        }
+        return [...groups.values()];
+    }
+
+    /**
+     * Drop a completed entry
+     */
+    complete(id) {
+        return this.remove(id);
+    }
+
+    /**
+     * Count a failed attempt; the entry is dropped after maxAttempts
+     * Returns true if it was dropped
+     */
+    fail(id) {
+        const entry = this.entries.find(e => e.id === id);
+        if (!entry) return false;
+        entry.attempts++;
+        return entry.attempts >= this.maxAttempts ? this.remove(id) : false;
+    }
+
+    /**
+     * Remove one entry by id
+     */
+    remove(id) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(e => e.id !== id);
+        return this.entries.length < before;
+    }
+
+    /**
+     * Remove every entry; returns how many were removed
+     */
+    clear() {
+        const count = this.entries.length;
+        this.entries = [];
+        return count;
+    }
+
+    size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Helper: task fields needed to run it again (no scores or run state)
+     */
+    compactTask(task) {
+        const compact = {
+            action: task.action,
+            type: task.type,
+            dependencies: [...(task.dependencies || [])]
+        };
+        for (const key of ['weight', 'domain', 'domainAction', 'params']) {
+            if (task[key] !== undefined) compact[key] = task[key];
+        }
+        return compact;
+    }
+}
+
+module.exports = DeferredQueue;
@@ -5,7 +5,7 @@
 
 class LongTermMemory {
     constructor() {
-        this.store = new Map();
+        this.items = new Map(); // id -> entry (kept apart from store() method)
         this.index = {
             recipes: new Map(),
             preferences: new Map(),
@@ -32,7 +32,7 @@ class LongTermMemory {
             promoted: item.promoted || false
         };
         
-        this.store.set(id, entry);
+        this.items.set(id, entry);
         
         // Add to appropriate index
         this.indexItem(entry);
@@ -44,7 +44,7 @@ class LongTermMemory {
      * Retrieve item by ID
      */
     get(id) {
-        const item = this.store.get(id);
+        const item = this.items.get(id);
         if (item) {
             // Update access tracking
             item.lastAccessed = Date.now();
@@ -58,7 +58,7 @@ class LongTermMemory {
      * Find item by pattern
      */
     find(pattern) {
-        for (const [id, item] of this.store.entries()) {
+        for (const [id, item] of this.items.entries()) {
             if (this.matchesPattern(item, pattern)) {
                 // Update access tracking
                 item.lastAccessed = Date.now();
@@ -76,7 +76,7 @@ class LongTermMemory {
         const results = [];
         const lowerQuery = query.toLowerCase();
         
-        for (const [id, item] of this.store.entries()) {
+        for (const [id, item] of this.items.entries()) {
             if (type && item.type !== type) continue;
             
             // Search in item content
@@ -96,7 +96,12 @@ class LongTermMemory {
      */
     matchesPattern(item, pattern) {
         for (const [key, value] of Object.entries(pattern)) {
-            if (item[key] !== value) {
+            // Nested patterns (e.g. { pattern: {...} }) compare by value
+            if (value && typeof value === 'object') {
+                if (JSON.stringify(item[key]) !== JSON.stringify(value)) {
+                    return false;
+                }
+            } else if (item[key] !== value) {
                 return false;
             }
         }
@@ -151,7 +156,7 @@ class LongTermMemory {
         
         // Fallback: filter from store
         const results = [];
-        for (const item of this.store.values()) {
+        for (const item of this.items.values()) {
             if (item.type === type) {
                 results.push({ ...item });
             }
@@ -163,21 +168,51 @@ class LongTermMemory {
      * Check if item should be promoted from working memory
      */
     shouldPromote(item) {
-        const existing = this.find(item.pattern || item);
+        const existing = this.find(item.pattern ? { pattern: item.pattern } : item);
         
-        if (!existing) return false;
+        if (!existing || existing.promoted) return false;
+        
+        // Count uses within window
+        const windowStart = Date.now() - this.promotionWindow;
+        const recentUses = (existing.uses || []).filter(ts => ts >= windowStart);
         
-        // Check if meets promotion criteria
+        return recentUses.length >= this.promotionThreshold;
+    }
+
+    /**
+     * Record a use of a pattern (stored as an unpromoted candidate on first sight)
+     */
+    recordUse(pattern) {
         const now = Date.now();
-        const windowStart = now - this.promotionWindow;
+        const existing = this.find({ pattern });
         
-        // Count accesses within window
-        if (existing.accessCount >= this.promotionThreshold &&
-            existing.storedAt >= windowStart) {
-            return true;
+        if (!existing) {
+            return this.store({
+                type: 'pattern',
+                pattern,
+                uses: [now],
+                useCount: 1,
+                promoted: false,
+                timestamp: now
+            });
         }
         
-        return false;
+        // Only uses inside the promotion window count
+        const windowStart = now - this.promotionWindow;
+        const uses = [...(existing.uses || []), now].filter(ts => ts >= windowStart);
+        this.update(existing.id, { uses, useCount: uses.length });
+        
+        return existing.id;
+    }
+
+    /**
+     * Mark a pattern as promoted
+     */
+    promote(pattern) {
+        const existing = this.find({ pattern });
+        if (!existing) return false;
+        
+        return this.update(existing.id, { promoted: true, promotedAt: Date.now() });
     }
 
     /**
@@ -187,11 +222,11 @@ class LongTermMemory {
         const now = Date.now();
         const demoted = [];
         
-        for (const [id, item] of this.store.entries()) {
+        for (const [id, item] of this.items.entries()) {
             const age = now - item.lastAccessed;
             
             if (age > this.demotionAge && !item.protected) {
-                this.store.delete(id);
+                this.items.delete(id);
                 this.removeFromIndex(item);
                 demoted.push(item);
             }
@@ -220,7 +255,7 @@ class LongTermMemory {
      * Update item
      */
     update(id, updates) {
-        const item = this.store.get(id);
+        const item = this.items.get(id);
         if (!item) return false;
         
         Object.assign(item, updates);
@@ -234,10 +269,10 @@ class LongTermMemory {
      * Delete item
      */
     delete(id) {
-        const item = this.store.get(id);
+        const item = this.items.get(id);
         if (!item) return false;
         
-        this.store.delete(id);
+        this.items.delete(id);
         this.removeFromIndex(item);
         
         return true;
@@ -320,7 +355,7 @@ class LongTermMemory {
      * Get memory size
      */
     size() {
-        return this.store.size;
+        return this.items.size;
     }
 
     /**
@@ -328,7 +363,7 @@ class LongTermMemory {
      */
     getStatus() {
         return {
-            totalItems: this.store.size,
+            totalItems: this.items.size,
             recipes: this.index.recipes.size,
             preferences: this.index.preferences.size,
             patterns: this.index.patterns.size,
@@ -342,7 +377,7 @@ class LongTermMemory {
      */
     export() {
         return {
-            store: Array.from(this.store.entries()),
+            store: Array.from(this.items.entries()),
             exportedAt: Date.now()
         };
     }
@@ -353,9 +388,9 @@ class LongTermMemory {
     import(data) {
         if (!data || !data.store) return false;
         
-        this.store.clear();
+        this.items.clear();
         for (const [id, item] of data.store) {
-            this.store.set(id, item);
+            this.items.set(id, item);
             this.indexItem(item);
         }
         
@@ -374,7 +409,7 @@ class LongTermMemory {
      * Clear all memory (dangerous!)
      */
     clear() {
-        this.store.clear();
+        this.items.clear();
         this.index = {
             recipes: new Map(),
             preferences: new Map(),
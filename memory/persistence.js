@@ -0,0 +1,99 @@
+// MemoryPersistence - Save/load memory tiers across runs
+// One JSON file per bot: <stateDir>/memory/<botId>.json
+// Writes are atomic (temp file + rename), same as MetaLoop._saveState
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT_VERSION = 1;
+
+class MemoryPersistence {
+    constructor(stateDir, botId = 'alive-bot') {
+        this.stateDir = stateDir;
+        this.botId = botId;
+        this.memoryDir = path.join(stateDir, 'memory');
+        this.filePath = path.join(this.memoryDir, `${this.safeName(botId)}.json`);
+    }
+
+    /**
+     * Load saved tiers into the given memory instances
+     * Returns false if nothing was saved yet or the file is unreadable
+     */
+    load({ stream, working, longTerm }) {
+        if (!fs.existsSync(this.filePath)) return false;
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            // Corrupted file: start fresh rather than fail the run
+            return false;
+        }
+
+        if (!data || data.version !== FORMAT_VERSION) return false;
+
+        if (data.stream) stream.import(data.stream);
+        if (data.working) working.import(data.working);
+        if (data.longTerm) longTerm.import(data.longTerm);
+
+        return true;
+    }
+
+    /**
+     * Save all tiers atomically
+     */
+    save({ stream, working, longTerm }) {
+        const data = {
+            version: FORMAT_VERSION,
+            botId: this.botId,
+            savedAt: new Date().toISOString(),
+            stream: stream.export(),
+            working: working.export(),
+            longTerm: longTerm.export()
+        };
+
+        fs.mkdirSync(this.memoryDir, { recursive: true });
+
+        // Atomic write: write to temp file then rename
+        const tempPath = `${this.filePath}.tmp.${process.pid}.${Date.now()}`;
+
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+            // Windows-safe rename (will overwrite existing file)
+            if (fs.existsSync(this.filePath)) {
+                fs.unlinkSync(this.filePath);
+            }
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            // Cleanup temp file if operation failed
+            if (fs.existsSync(tempPath)) {
+                try {
+                    fs.unlinkSync(tempPath);
+                } catch {}
+            }
+            throw error;
+        }
+
+        return this.filePath;
+    }
+
+    /**
+     * Delete saved tiers for this bot
+     */
+    clear() {
+        if (fs.existsSync(this.filePath)) {
+            fs.unlinkSync(this.filePath);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Helper: Make bot id safe for use as a file name
+     */
+    safeName(botId) {
+        return String(botId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    }
+}
+
+module.exports = MemoryPersistence;
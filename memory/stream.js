@@ -219,6 +219,33 @@ class StreamMemory {
         this.lastActivity = Date.now();
     }
 
+    /**
+     * Export buffer and summary (for persistence)
+     */
+    export() {
+        return {
+            buffer: [...this.buffer],
+            summary: this.summary,
+            windowMode: this.windowMode,
+            lastActivity: this.lastActivity,
+            exportedAt: Date.now()
+        };
+    }
+
+    /**
+     * Import buffer and summary (from persistence)
+     */
+    import(data) {
+        if (!data || !Array.isArray(data.buffer)) return false;
+        
+        this.buffer = data.buffer;
+        this.summary = data.summary || null;
+        this.windowMode = data.windowMode || 'RELAXED';
+        this.lastActivity = data.lastActivity || Date.now();
+        
+        return true;
+    }
+
     /**
      * Generate unique ID
      */
@@ -61,6 +61,14 @@ class WorkingMemory {
         this.lastUpdate = Date.now();
     }
 
+    /**
+     * Remove a key
+     */
+    remove(key) {
+        delete this.state[key];
+        this.lastUpdate = Date.now();
+    }
+
     /**
      * Add assumption
      */
@@ -266,6 +274,35 @@ class WorkingMemory {
     getAssumptions() {
         return [...this.assumptions];
     }
+
+    /**
+     * Export session state (for persistence)
+     */
+    export() {
+        return {
+            state: { ...this.state },
+            assumptions: [...this.assumptions],
+            activeTask: this.activeTask,
+            sessionStart: this.sessionStart,
+            lastUpdate: this.lastUpdate,
+            exportedAt: Date.now()
+        };
+    }
+
+    /**
+     * Import session state (from persistence)
+     */
+    import(data) {
+        if (!data || !data.state) return false;
+        
+        this.state = data.state;
+        this.assumptions = data.assumptions || [];
+        this.activeTask = data.activeTask || null;
+        this.sessionStart = data.sessionStart || Date.now();
+        this.lastUpdate = data.lastUpdate || Date.now();
+        
+        return true;
+    }
 }
 
 module.exports = WorkingMemory;
@@ -7,6 +7,7 @@
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const Languages = require("../core/language");
 
 function ensureDir(p) {
   fs.mkdirSync(p, { recursive: true });
@@ -376,11 +377,13 @@ class MetaLoop {
    * @param {string} run.domain - e.g. "cooking"
    * @param {string} run.taskType - e.g. "compare" | "substitute" | "add_recipe"
    * @param {object} run.assessment - {urgency, stakes, difficulty, precision}
-   * @param {object} run.metrics - {timeMs, stepCount, toolCalls, lookupUsed, lookupCount, resetTriggered}
-   * @param {object} run.outcome - {status: "success"|"partial"|"fail", userCorrectionsCount?: number}
+   * @param {object} run.metrics - {timeMs, stepCount, toolCalls, lookupUsed, lookupCount, resetTriggered, escalated}
+   * @param {object} run.outcome - {status: "success"|"partial"|"fail", userCorrectionsCount?: number, validation?: "passed"|"failed"|null}
    * @param {object} run.inputs - small summary only; do NOT store secrets
    * @param {object} run.outputs - optional small summary; keep tiny
    * @param {object} [run.lookupImpact] - {decisionChanged?: boolean} (if you can compute it; else MetaLoop will infer crudely)
+   * @param {string} [run.mode] - "PRECISION" | "HEURISTIC" the run finished in
+   * @param {number} [run.confidence] - confidence predicted before the run (0-1); used for calibration reports
    */
   recordAndReview(run) {
     const safeRun = this._sanitizeRun(run);
@@ -413,11 +416,16 @@ class MetaLoop {
         lookupUsed: Boolean(metrics.lookupUsed),
         lookupCount: clampInt(metrics.lookupCount ?? 0, 0, 1000),
         resetTriggered: Boolean(metrics.resetTriggered),
+        escalated: Boolean(metrics.escalated),
       },
       outcome: {
         status: outcome.status || "partial",
         userCorrectionsCount: clampInt(outcome.userCorrectionsCount ?? 0, 0, 1000),
+        validation: outcome.validation === "passed" || outcome.validation === "failed" ? outcome.validation : null,
       },
+      mode: run.mode === "PRECISION" || run.mode === "HEURISTIC" ? run.mode : null,
+      language: Languages.shared().languages().includes(run.language) ? run.language : null,
+      confidence: Number.isFinite(run.confidence) ? Math.max(0, Math.min(1, run.confidence)) : null,
       // Inputs/outputs should be summaries only; caller responsibility.
       inputs: run.inputs || {},
       outputs: run.outputs || {},
@@ -565,17 +573,27 @@ class MetaLoop {
   // ========== NORMALIZATION HELPERS (Checkpoint 2) ==========
   
   /**
-   * Normalize text: lowercase, remove punctuation, collapse whitespace
+   * Normalize text: lowercase, fold accents (with the language's spellings,
+   * e.g. German "ä" = "ae"), remove punctuation, collapse whitespace
    */
-  _normalizeText(s) {
+  _normalizeText(s, language = null) {
     if (typeof s !== 'string') return '';
-    return s
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')  // Replace punctuation with space
-      .replace(/\s+/g, ' ')       // Collapse whitespace
+    const languages = Languages.shared();
+    return languages.fold(s, language || languages.detect(s).language)
+      .replace(/[^\p{L}\p{N}_\s]/gu, ' ')  // Replace punctuation with space
+      .replace(/\s+/g, ' ')                  // Collapse whitespace
       .trim();
   }
 
+  /**
+   * Language of a run: the one it was logged with, else detected from its query
+   */
+  _runLanguage(run) {
+    const languages = Languages.shared();
+    if (languages.languages().includes(run.language)) return run.language;
+    return languages.detect(run.inputs?.querySummary || '').language;
+  }
+
   /**
    * Normalize taskType via synonym map
    */
@@ -627,19 +645,13 @@ class MetaLoop {
 
   /**
    * Extract 1-3 "entities" (longest meaningful tokens) from text
+   * Stopwords come from the language pack (English ones always apply)
    */
-  _extractEntitiesFromText(text) {
-    const normalized = this._normalizeText(text);
-    
-    // Simple stopwords list
-    const stopwords = new Set([
-      'a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-      'of', 'with', 'by', 'from', 'is', 'are', 'was', 'were', 'be', 'been',
-      'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'should',
-      'can', 'could', 'may', 'might', 'must', 'this', 'that', 'these', 'those',
-      'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
-      'my', 'your', 'his', 'her', 'its', 'our', 'their', 'please', 'help',
-    ]);
+  _extractEntitiesFromText(text, language = null) {
+    const languages = Languages.shared();
+    const lang = language || languages.detect(text).language;
+    const normalized = this._normalizeText(text, lang);
+    const stopwords = languages.stopwords(lang);
 
     const words = normalized.split(/\s+/).filter(w => w.length >= 4 && !stopwords.has(w));
     
@@ -658,16 +670,23 @@ class MetaLoop {
    */
   _normalizeIntent(run) {
     const querySummary = run.inputs?.querySummary || '';
+    const language = this._runLanguage(run);
     
-    return {
+    const normalized = {
       domain: (run.domain || 'unknown').toLowerCase().trim(),
       taskType: this._normalizeTaskType(run.taskType),
       intent: {
-        queryNorm: this._normalizeText(querySummary),
-        entities: this._extractEntitiesFromText(querySummary),
+        queryNorm: this._normalizeText(querySummary, language),
+        entities: this._extractEntitiesFromText(querySummary, language),
       },
       assessment: this._bucketAssessment(run.assessment || {}),
     };
+    
+    // Non-English runs get their own pattern keys; English keys are unchanged
+    if (language !== Languages.DEFAULT_LANGUAGE) {
+      normalized.language = language;
+    }
+    return normalized;
   }
 
   // ========== END NORMALIZATION ==========
@@ -0,0 +1,171 @@
+// meta/calibration.js
+// Calibrated confidence: learned from outcomes in the MetaLoop's runlog
+// (runlog.jsonl in the state directory, data/ without one).
+// - Groups runs by pattern key, then by assessment bucket within the pattern
+// - Estimates success as "succeeded, validated, without user corrections", shrunk towards a prior
+// - Reports predicted vs observed success for runs that logged a prediction
+// - Read-only: never writes logs or state.
+
+const DIFFICULTY_PRIOR = {
+  low: 0.85,  // easy
+  med: 0.7,   // moderate
+  high: 0.55, // hard, critical
+};
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+function round(n, digits = 3) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+class ConfidenceModel {
+  /**
+   * @param {MetaLoop} meta - source of runs, pattern keys and assessment buckets
+   * @param {object} [opts]
+   * @param {number} [opts.priorWeight] - pseudo-runs backing each prior; default 5
+   * @param {number} [opts.bins] - calibration report bins; default 5
+   */
+  constructor(meta, opts = {}) {
+    this.meta = meta;
+    this.priorWeight = opts.priorWeight ?? 5;
+    this.bins = opts.bins ?? 5;
+  }
+
+  /**
+   * Confidence before any history: from the bucketed difficulty,
+   * lowered for strict precision (less room for error)
+   */
+  prior(assessment = {}) {
+    const bucket = this.meta._bucketAssessment(assessment);
+    const base = DIFFICULTY_PRIOR[bucket.difficulty] ?? DIFFICULTY_PRIOR.med;
+    return bucket.precision === "strict" ? base - 0.05 : base;
+  }
+
+  /**
+   * Success observed in a logged run: success, no failed validation, no user corrections
+   */
+  static observed(run) {
+    return run.outcome?.status === "success" && run.outcome?.validation !== "failed" &&
+      !(run.outcome?.userCorrectionsCount > 0);
+  }
+
+  /**
+   * Pattern key narrowed to one assessment bucket
+   */
+  bucketKey(run, patternKey = this.meta._patternKey(run)) {
+    const b = this.meta._bucketAssessment(run.assessment || {});
+    return `${patternKey}|${b.urgency}/${b.stakes}/${b.difficulty}/${b.precision}`;
+  }
+
+  /**
+   * Estimate confidence for a run that has not been logged yet
+   * @param {object} run - {domain, taskType, assessment, inputs: {querySummary}}
+   * @returns {object} {confidence, source, prior, patternKey, bucketKey, pattern, bucket}
+   */
+  estimate(run) {
+    const patternKey = this.meta._patternKey(run);
+    const bucketKey = this.bucketKey(run, patternKey);
+    const prior = this.prior(run.assessment);
+
+    const pattern = { runs: 0, successes: 0, corrections: 0 };
+    const bucket = { runs: 0, successes: 0, corrections: 0 };
+    for (const r of this.meta._readRecentRuns()) {
+      let group = null;
+      try {
+        const key = this.meta._patternKey(r);
+        if (key !== patternKey) continue;
+        group = this.bucketKey(r, key) === bucketKey ? [pattern, bucket] : [pattern];
+      } catch {
+        continue;
+      }
+      for (const g of group) {
+        g.runs++;
+        if (ConfidenceModel.observed(r)) g.successes++;
+        if (r.outcome?.userCorrectionsCount > 0) g.corrections++;
+      }
+    }
+
+    // Prior → pattern → bucket, each level shrunk towards the one above
+    const k = this.priorWeight;
+    const patternEstimate = (prior * k + pattern.successes) / (k + pattern.runs);
+    const bucketEstimate = (patternEstimate * k + bucket.successes) / (k + bucket.runs);
+
+    return {
+      confidence: round(clamp(bucketEstimate, 0.05, 0.99)),
+      source: bucket.runs > 0 ? "bucket" : pattern.runs > 0 ? "pattern" : "prior",
+      prior: round(prior),
+      patternKey,
+      bucketKey,
+      pattern: this._rates(pattern),
+      bucket: this._rates(bucket),
+    };
+  }
+
+  _rates(group) {
+    return {
+      runs: group.runs,
+      successRate: group.runs ? round(group.successes / group.runs) : null,
+      correctionRate: group.runs ? round(group.corrections / group.runs) : null,
+    };
+  }
+
+  /**
+   * Predicted vs observed success over logged runs that carry a prediction
+   * @returns {object} {runs, scored, brierScore, calibrationError, bins, buckets}
+   */
+  report() {
+    const runs = this.meta._readRecentRuns();
+    const scored = runs.filter((r) => Number.isFinite(r.confidence));
+
+    const bins = Array.from({ length: this.bins }, (_, i) => ({
+      range: [round(i / this.bins), round((i + 1) / this.bins)],
+      runs: 0,
+      predicted: 0,
+      observed: 0,
+    }));
+    const buckets = new Map();
+    let brier = 0;
+
+    for (const r of scored) {
+      const hit = ConfidenceModel.observed(r) ? 1 : 0;
+      brier += (r.confidence - hit) ** 2;
+
+      const bin = bins[Math.min(this.bins - 1, Math.floor(r.confidence * this.bins))];
+      bin.runs++;
+      bin.predicted += r.confidence;
+      bin.observed += hit;
+
+      const key = this.bucketKey(r);
+      const b = buckets.get(key) || { bucketKey: key, runs: 0, predicted: 0, observed: 0 };
+      b.runs++;
+      b.predicted += r.confidence;
+      b.observed += hit;
+      buckets.set(key, b);
+    }
+
+    const mean = (g) => ({
+      ...g,
+      predicted: g.runs ? round(g.predicted / g.runs) : null,
+      observed: g.runs ? round(g.observed / g.runs) : null,
+    });
+
+    // Expected calibration error: |predicted - observed| weighted by bin size
+    const calibrationError = scored.length
+      ? bins.reduce((sum, b) => sum + Math.abs(b.predicted - b.observed), 0) / scored.length
+      : null;
+
+    return {
+      runs: runs.length,
+      scored: scored.length,
+      brierScore: scored.length ? round(brier / scored.length) : null,
+      calibrationError: calibrationError === null ? null : round(calibrationError),
+      bins: bins.map(mean),
+      buckets: [...buckets.values()].map(mean).sort((a, b) => b.runs - a.runs),
+    };
+  }
+}
+
+module.exports = { ConfidenceModel };
@@ -0,0 +1,401 @@
+// meta/policy.js
+// Versioned step-skipping policies with rule provenance.
+// - A policy is a JSON document (schema "alive.policy/v1") with a version,
+//   ordered rules (first match wins) and learned per-step stats
+// - Every rule says where it came from (provenance), so decisions can be explained
+// - Loaded from config/policy.json; the older config/meta-config.json (stepValues)
+//   is converted on the fly so existing learned values keep working
+// - The Executor decides using the policy as input; this module never executes anything
+
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA = "alive.policy/v1";
+const DEFAULT_CONFIG_DIR = path.join(__dirname, "..", "config");
+const DEFAULT_STEP_COST_MS = 100;
+
+const CONDITION_KEYS = [
+  "steps", "taskTypes", "stakes", "urgency", "mode",
+  "maxPriority", "belowValueScore", "budgetTight", "anyOf",
+];
+
+// The rules Executor.shouldSkipBasedOnPolicy used to apply inline
+const BUILTIN_RULES = [
+  {
+    id: "high-stakes-never-skip",
+    description: "High-stakes runs keep every step (safety first)",
+    action: "keep",
+    when: { stakes: ["high"] },
+    provenance: { source: "builtin", reason: "Executor inline policy before v1: high stakes override skips" },
+  },
+  {
+    id: "skip-low-value-under-pressure",
+    description: "Skip low-priority, low-value steps when the budget is tight or the stakes are low",
+    action: "skip",
+    when: {
+      maxPriority: 2,
+      belowValueScore: 0.3,
+      anyOf: [{ budgetTight: true }, { stakes: ["low"] }],
+    },
+    provenance: { source: "builtin", reason: "Executor inline policy before v1: low priority + low value + (tight budget or low stakes)" },
+  },
+];
+
+/**
+ * Invalid policy document
+ */
+class PolicyError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}: ${problems.join("; ")}` : message);
+    this.name = "PolicyError";
+    this.problems = problems;
+  }
+}
+
+const isStringArray = (v) => Array.isArray(v) && v.every((x) => typeof x === "string");
+
+class PolicyEngine {
+  /**
+   * @param {object} policy - validated policy document
+   * @param {object} [opts]
+   * @param {string} [opts.origin] - file the policy was read from (or "builtin")
+   */
+  constructor(policy, opts = {}) {
+    const problems = PolicyEngine.validate(policy);
+    if (problems.length) throw new PolicyError("Invalid policy", problems);
+    this.policy = policy;
+    this.origin = opts.origin || "builtin";
+  }
+
+  /**
+   * Schema check; returns a list of problems (empty when valid)
+   */
+  static validate(doc) {
+    const problems = [];
+    if (!doc || typeof doc !== "object") return ["policy must be an object"];
+
+    if (doc.schema !== SCHEMA) problems.push(`schema must be "${SCHEMA}"`);
+    if (typeof doc.id !== "string" || !doc.id) problems.push("id must be a non-empty string");
+    if (!Number.isInteger(doc.version) || doc.version < 1) problems.push("version must be an integer >= 1");
+    if (!Array.isArray(doc.rules)) problems.push("rules must be an array");
+
+    const ids = new Set();
+    for (const [i, rule] of (Array.isArray(doc.rules) ? doc.rules : []).entries()) {
+      const label = rule && rule.id ? `rule "${rule.id}"` : `rule #${i + 1}`;
+      if (!rule || typeof rule.id !== "string" || !rule.id) {
+        problems.push(`${label}: id must be a non-empty string`);
+      } else if (ids.has(rule.id)) {
+        problems.push(`${label}: duplicate id`);
+      } else {
+        ids.add(rule.id);
+      }
+      if (!rule || !["skip", "keep"].includes(rule.action)) {
+        problems.push(`${label}: action must be "skip" or "keep"`);
+      }
+      if (!rule || !rule.provenance || typeof rule.provenance.source !== "string" ||
+          typeof rule.provenance.reason !== "string") {
+        problems.push(`${label}: provenance needs a source and a reason`);
+      }
+      problems.push(...PolicyEngine._validateCondition(rule && rule.when, label));
+    }
+
+    if (doc.steps !== undefined) {
+      if (!doc.steps || typeof doc.steps !== "object" || Array.isArray(doc.steps)) {
+        problems.push("steps must be an object keyed by step name");
+      } else {
+        for (const [name, stats] of Object.entries(doc.steps)) {
+          if (!Number.isFinite(stats?.priority)) problems.push(`step "${name}": priority must be a number`);
+          if (!Number.isFinite(stats?.valueScore)) problems.push(`step "${name}": valueScore must be a number`);
+          if (stats?.avgCostMs !== undefined && !(stats.avgCostMs > 0)) {
+            problems.push(`step "${name}": avgCostMs must be a positive number`);
+          }
+        }
+      }
+    }
+
+    return problems;
+  }
+
+  static _validateCondition(when, label) {
+    if (when === undefined) return [];
+    if (!when || typeof when !== "object" || Array.isArray(when)) return [`${label}: when must be an object`];
+
+    const problems = [];
+    for (const key of Object.keys(when)) {
+      if (!CONDITION_KEYS.includes(key)) problems.push(`${label}: unknown condition "${key}"`);
+    }
+    for (const key of ["steps", "taskTypes", "stakes", "urgency", "mode"]) {
+      if (when[key] !== undefined && !isStringArray(when[key])) problems.push(`${label}: ${key} must be an array of strings`);
+    }
+    for (const key of ["maxPriority", "belowValueScore"]) {
+      if (when[key] !== undefined && !Number.isFinite(when[key])) problems.push(`${label}: ${key} must be a number`);
+    }
+    if (when.budgetTight !== undefined && typeof when.budgetTight !== "boolean") {
+      problems.push(`${label}: budgetTight must be true or false`);
+    }
+    if (when.anyOf !== undefined) {
+      if (!Array.isArray(when.anyOf) || when.anyOf.length === 0) {
+        problems.push(`${label}: anyOf must be a non-empty array`);
+      } else {
+        when.anyOf.forEach((c) => problems.push(...PolicyEngine._validateCondition(c, label)));
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Policy with the builtin rules and no learned step stats (skips nothing)
+   */
+  static builtin() {
+    return new PolicyEngine({
+      schema: SCHEMA,
+      id: "builtin",
+      version: 1,
+      description: "Builtin rules, no learned step values",
+      rules: BUILTIN_RULES,
+      steps: {},
+    });
+  }
+
+  /**
+   * Convert a legacy meta-config ({ stepValues }) into a v1 policy
+   */
+  static fromLegacyConfig(config, origin = "meta-config.json") {
+    const steps = {};
+    for (const [name, value] of Object.entries(config.stepValues || {})) {
+      steps[name] = {
+        priority: Number.isFinite(value.priority) ? value.priority : 5,
+        valueScore: Number.isFinite(value.valueScore) ? value.valueScore : 1,
+        ...(value.avgCostMs > 0 ? { avgCostMs: value.avgCostMs } : {}),
+        provenance: {
+          source: "meta-config",
+          reason: value.reductionReason || "learned step value",
+          evidence: {
+            totalUses: value.totalUses ?? null,
+            changedOutcome: value.changedOutcome ?? null,
+            consecutiveNonChanges: value.consecutiveNonChanges ?? null,
+          },
+        },
+      };
+    }
+
+    return new PolicyEngine({
+      schema: SCHEMA,
+      id: "meta-config",
+      version: 1,
+      description: "Converted from config/meta-config.json",
+      rules: BUILTIN_RULES,
+      steps,
+    }, { origin });
+  }
+
+  /**
+   * Read a policy file (v1 document, or a legacy meta-config)
+   */
+  static fromFile(filePath) {
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new PolicyError(`Cannot read policy ${filePath} (${error.message})`);
+    }
+    if (doc && doc.stepValues && doc.schema === undefined) {
+      return PolicyEngine.fromLegacyConfig(doc, filePath);
+    }
+    return new PolicyEngine(doc, { origin: filePath });
+  }
+
+  /**
+   * The adopted policy: <dir>/policy.json, else the legacy <dir>/meta-config.json,
+   * else the builtin rules
+   */
+  static load(dir = DEFAULT_CONFIG_DIR) {
+    const policyPath = path.join(dir, "policy.json");
+    if (fs.existsSync(policyPath)) return PolicyEngine.fromFile(policyPath);
+
+    const legacyPath = path.join(dir, "meta-config.json");
+    if (fs.existsSync(legacyPath)) return PolicyEngine.fromFile(legacyPath);
+
+    return PolicyEngine.builtin();
+  }
+
+  /**
+   * Adopt a policy: it must be newer than the adopted one, which is archived
+   * as <dir>/policies/<id>.v<version>.json
+   * @returns {object} {policyPath, adopted: {id, version}, previous: {id, version, archivedPath} | null}
+   */
+  static adopt(engine, dir = DEFAULT_CONFIG_DIR) {
+    const policyPath = path.join(dir, "policy.json");
+    let previous = null;
+
+    if (fs.existsSync(policyPath)) {
+      const current = PolicyEngine.fromFile(policyPath);
+      if (engine.policy.version <= current.policy.version) {
+        throw new PolicyError(
+          `Policy version ${engine.policy.version} is not newer than the adopted version ${current.policy.version}`
+        );
+      }
+      const archiveDir = path.join(dir, "policies");
+      fs.mkdirSync(archiveDir, { recursive: true });
+      const archivedPath = path.join(archiveDir, `${current.policy.id}.v${current.policy.version}.json`);
+      fs.copyFileSync(policyPath, archivedPath);
+      previous = { id: current.policy.id, version: current.policy.version, archivedPath };
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(policyPath, JSON.stringify(engine.policy, null, 2) + "\n", "utf8");
+    return {
+      policyPath,
+      adopted: { id: engine.policy.id, version: engine.policy.version },
+      previous,
+    };
+  }
+
+  /**
+   * Identity of the policy, for traces and reports
+   */
+  summary() {
+    return {
+      id: this.policy.id,
+      version: this.policy.version,
+      origin: this.origin,
+      rules: this.policy.rules.length,
+      steps: Object.keys(this.policy.steps || {}).length,
+    };
+  }
+
+  /**
+   * Decide one step
+   * @param {string} step - task action
+   * @param {object} ctx - {assessment, mode, taskType, budgetMs}
+   * @returns {object} {step, decision: "skip"|"run", rule, because, stats}
+   */
+  evaluate(step, ctx = {}) {
+    const stats = (this.policy.steps || {})[step] || null;
+
+    for (const rule of this.policy.rules) {
+      const because = [];
+      if (!this._matches(rule.when || {}, step, stats, ctx, because)) continue;
+      return {
+        step,
+        decision: rule.action === "skip" ? "skip" : "run",
+        rule: { id: rule.id, action: rule.action, provenance: rule.provenance },
+        because,
+        stats,
+      };
+    }
+
+    return { step, decision: "run", rule: null, because: ["no rule matched"], stats };
+  }
+
+  _matches(when, step, stats, ctx, because) {
+    const assessment = ctx.assessment || {};
+    const listed = (key, value, label) => {
+      if (when[key] === undefined) return true;
+      if (!when[key].includes(value)) return false;
+      because.push(`${label} ${value} in [${when[key].join(", ")}]`);
+      return true;
+    };
+
+    if (!listed("steps", step, "step")) return false;
+    if (!listed("taskTypes", ctx.taskType, "task type")) return false;
+    if (!listed("stakes", assessment.stakes, "stakes")) return false;
+    if (!listed("urgency", assessment.urgency, "urgency")) return false;
+    if (!listed("mode", ctx.mode, "mode")) return false;
+
+    // Conditions on learned values need stats for the step
+    const needsStats = ["maxPriority", "belowValueScore", "budgetTight"].some((k) => when[k] !== undefined);
+    if (needsStats && !stats) return false;
+
+    if (when.maxPriority !== undefined) {
+      if (!(stats.priority <= when.maxPriority)) return false;
+      because.push(`priority ${stats.priority} <= ${when.maxPriority}`);
+    }
+    if (when.belowValueScore !== undefined) {
+      if (!(stats.valueScore < when.belowValueScore)) return false;
+      because.push(`valueScore ${stats.valueScore} < ${when.belowValueScore}`);
+    }
+    if (when.budgetTight !== undefined) {
+      const cost = stats.avgCostMs || DEFAULT_STEP_COST_MS;
+      const tight = Number.isFinite(ctx.budgetMs) && ctx.budgetMs < cost;
+      if (tight !== when.budgetTight) return false;
+      because.push(tight ? `budget ${ctx.budgetMs}ms < cost ${cost}ms` : `budget ${ctx.budgetMs}ms covers cost ${cost}ms`);
+    }
+
+    if (when.anyOf !== undefined) {
+      for (const option of when.anyOf) {
+        const optionBecause = [];
+        if (this._matches(option, step, stats, ctx, optionBecause)) {
+          because.push(...optionBecause);
+          return true;
+        }
+      }
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Decisions for a planned run
+   * @param {Array} steps - [{action, budgetMs}]
+   * @param {object} ctx - {assessment, mode, taskType, query}
+   */
+  explain(steps, ctx = {}) {
+    const decisions = steps.map((s) => ({
+      ...this.evaluate(s.action, { ...ctx, budgetMs: s.budgetMs }),
+      budgetMs: s.budgetMs ?? null,
+    }));
+    return {
+      policy: this.summary(),
+      query: ctx.query ?? null,
+      taskType: ctx.taskType ?? null,
+      mode: ctx.mode ?? null,
+      assessment: ctx.assessment || null,
+      steps: decisions,
+      skipped: decisions.filter((d) => d.decision === "skip").map((d) => d.step),
+    };
+  }
+
+  /**
+   * Effect of this policy over logged runs, compared with another policy
+   * @param {Array} runs - runlog entries
+   * @param {function} stepsFor - async (run) => [{action, budgetMs}] the run's planned steps
+   * @param {PolicyEngine} current - the adopted policy to compare against
+   */
+  async dryRun(runs, stepsFor, current = PolicyEngine.builtin()) {
+    const results = [];
+    const skipsByStep = {};
+
+    for (const run of runs) {
+      const ctx = { assessment: run.assessment || {}, mode: run.mode || "HEURISTIC", taskType: run.taskType };
+      const steps = await stepsFor(run);
+      const candidate = this.explain(steps, ctx);
+      const adopted = current.explain(steps, ctx);
+      candidate.skipped.forEach((s) => { skipsByStep[s] = (skipsByStep[s] || 0) + 1; });
+
+      results.push({
+        ts: run.ts || null,
+        taskType: run.taskType,
+        query: run.inputs?.querySummary ?? null,
+        status: run.outcome?.status || null,
+        skipped: candidate.skipped,
+        currentSkipped: adopted.skipped,
+        changed: candidate.skipped.join() !== adopted.skipped.join(),
+        rules: candidate.steps.filter((d) => d.decision === "skip").map((d) => ({ step: d.step, rule: d.rule.id })),
+      });
+    }
+
+    return {
+      policy: this.summary(),
+      current: current.summary(),
+      runs: results.length,
+      affectedRuns: results.filter((r) => r.skipped.length > 0).length,
+      changedRuns: results.filter((r) => r.changed).length,
+      skipsByStep,
+      results,
+    };
+  }
+}
+
+module.exports = { PolicyEngine, PolicyError, SCHEMA, BUILTIN_RULES };
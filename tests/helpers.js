@@ -0,0 +1,67 @@
+// tests/helpers.js
+// Shared helpers for the test scripts (not a test itself: run-all-tests only runs test-*.js)
+
+// Pass/fail counts of the running script (each test script is its own process)
+const counts = { passed: 0, failed: 0 };
+
+/**
+ * Helper to run a test: passes when fn returns (or resolves to) a truthy value
+ */
+async function runTest(testName, testFn) {
+  try {
+    const result = await testFn();
+    if (result) {
+      console.log(`✅ ${testName}`);
+      counts.passed++;
+    } else {
+      console.log(`❌ ${testName}`);
+      counts.failed++;
+    }
+  } catch (error) {
+    console.log(`❌ ${testName} - Error: ${error.message}`);
+    counts.failed++;
+  }
+}
+
+/**
+ * Print the totals and exit: 0 when every test passed, 1 otherwise
+ */
+function summary() {
+  console.log('═'.repeat(60));
+  console.log(`Tests Passed: ${counts.passed}/${counts.passed + counts.failed}`);
+
+  if (counts.failed === 0) {
+    console.log('\n🎉 ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+/**
+ * Run fn with console.log and stderr writes suppressed (kernel and executor are chatty)
+ * stderr: optional array collecting what was written to stderr
+ */
+async function quiet(fn, stderr = null) {
+  const log = console.log;
+  const write = process.stderr.write;
+  console.log = () => {};
+  process.stderr.write = (chunk) => {
+    if (stderr) stderr.push(String(chunk));
+    return true;
+  };
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    process.stderr.write = write;
+  }
+}
+
+module.exports = {
+  counts,
+  quiet,
+  runTest,
+  summary,
+};
@@ -0,0 +1,164 @@
+// tests/test-assessment-lexicons.js
+// Test per-domain assessment lexicons: merging with core, weights, negation, reasoning
+
+const Lexicons = require('../core/lexicon');
+const { LexiconError } = Lexicons;
+const Assessor = require('../core/assess');
+const ALIVEKernel = require('../core/kernel');
+const DecisionTrace = require('../core/trace');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Assessment Lexicons\n');
+
+const memory = { working: { getActiveTask: () => null } };
+const assessor = new Assessor();
+const assess = (input, domain) => assessor.evaluate({ input, context: {} }, memory, { domain });
+const terms = (matches) => matches.map(m => m.term).join();
+
+/**
+ * Registry with core defaults plus one extra lexicon
+ */
+function withLexicon(lexicon) {
+  const lexicons = Lexicons.withDefaults();
+  lexicons.register(lexicon, { source: lexicon.domain });
+  return lexicons;
+}
+
+(async () => {
+  console.log('TEST 1: Core and cooking lexicons');
+  console.log('═'.repeat(60));
+
+  await runTest('Core defaults loaded from core/lexicons/', () =>
+    Lexicons.withDefaults().domains().join() === 'cooking'
+  );
+  await runTest('Urgent wording selects NOW', async () => (await assess('I need this urgently')).urgency === 'NOW');
+  await runTest('Cooking terms are time-sensitive', async () => (await assess('the water is boiling')).urgency === 'NOW');
+  await runTest('Safety and allergy wording is high stakes', async () =>
+    (await assess('is this safe for a nut allergy')).stakes === 'high'
+  );
+  await runTest('Whole words only', async () => {
+    const a = await assess('I know a fast breakfast');
+    return a.urgency === 'SOON' && terms(a.lexicon.matched) === 'fast';
+  });
+  await runTest('Prefix entries match longer words', async () =>
+    terms((await assess('allergies and intolerances')).lexicon.matched) === 'allerg,intoleran'
+  );
+  console.log();
+
+  console.log('TEST 2: Negation');
+  console.log('═'.repeat(60));
+
+  await runTest('"not urgent" is not urgent', async () => {
+    const a = await assess('not urgent, just curious');
+    return a.urgency === 'LATER' && a.stakes === 'low' && a.lexicon.negated[0].negatedBy === 'not';
+  });
+  await runTest('Cue reaches two words back', async () => (await assess("it isn't really urgent")).urgency === 'LATER');
+  await runTest('Cue does not cross clauses', async () => (await assess('not sure. urgent please')).urgency === 'NOW');
+  await runTest('An un-negated occurrence still counts', async () =>
+    (await assess('not urgent for me but urgent for her')).urgency === 'NOW'
+  );
+  await runTest('Negated stakes fall through to lower levels', async () =>
+    (await assess("it's not important, I'd prefer pasta")).stakes === 'medium'
+  );
+  console.log();
+
+  console.log('TEST 3: Domain lexicons');
+  console.log('═'.repeat(60));
+
+  const lexicons = withLexicon({
+    domain: 'garden',
+    urgency: { NOW: ['frost'], SOON: [{ term: 'wilting', weight: 0.5 }, { term: 'yellow leaves', weight: 0.5 }] },
+    stakes: { high: ['pesticide'], low: [{ term: 'urgent', weight: 1 }] },
+    negations: ['nae']
+  });
+  const garden = new Assessor({ lexicons });
+  const inGarden = (input) => garden.evaluate({ input, context: {} }, memory, { domain: 'garden' });
+
+  await runTest('Domain entries used for its inputs', async () => {
+    const a = await inGarden('frost tonight, pesticide question');
+    return a.urgency === 'NOW' && a.stakes === 'high' && a.lexicon.domain === 'garden';
+  });
+  await runTest('Core entries still apply', async () => (await inGarden('need help soon')).urgency === 'SOON');
+  await runTest('Other domains do not see them', async () => (await garden.evaluate({ input: 'frost', context: {} }, memory)).urgency === 'LATER');
+  await runTest('Cooking wording stays out of other domains', async () =>
+    (await inGarden('the plants are cooking in the sun')).urgency === 'LATER'
+  );
+  await runTest('Weights add up to a level', async () =>
+    (await inGarden('wilting')).urgency === 'LATER' && (await inGarden('wilting with yellow leaves')).urgency === 'SOON'
+  );
+  await runTest('Phrases match consecutive words', async () =>
+    terms((await inGarden('leaves yellow, wilting')).lexicon.matched) === 'wilting'
+  );
+  await runTest('Same term takes the domain entry', () => {
+    const urgent = lexicons.match('urgent', 'garden').matched;
+    return urgent.length === 2 && urgent.find(m => m.dimension === 'urgency').source === 'core' &&
+      urgent.find(m => m.dimension === 'stakes').source === 'garden';
+  });
+  await runTest('Negation cues are merged', async () =>
+    (await inGarden('nae frost')).urgency === 'LATER' && (await inGarden('not frost')).urgency === 'LATER'
+  );
+  console.log();
+
+  console.log('TEST 4: Validation');
+  console.log('═'.repeat(60));
+
+  const rejects = (lexicon, pattern) => {
+    try {
+      new Lexicons().register(lexicon, { source: 'test' });
+      return false;
+    } catch (error) {
+      return error instanceof LexiconError && pattern.test(error.message);
+    }
+  };
+  await runTest('Unknown levels rejected', () => rejects({ urgency: { WHENEVER: ['x'] } }, /level "WHENEVER"/));
+  await runTest('Weights must be positive', () => rejects({ stakes: { high: [{ term: 'x', weight: 0 }] } }, /weight must be/));
+  await runTest('Unknown keys rejected', () => rejects({ difficulty: {} }, /unknown key "difficulty"/));
+  await runTest('Invalid lexicon files fail loading', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-lexicon-'));
+    fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify({ timeSensitive: 'boiling' }));
+    try {
+      new Lexicons().loadDirectory(dir);
+      return false;
+    } catch (error) {
+      return /bad\.json: timeSensitive must be an array/.test(error.message);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+  console.log();
+
+  console.log('TEST 5: Kernel, hardware domain and reasoning');
+  console.log('═'.repeat(60));
+
+  const kernel = new ALIVEKernel();
+  await quiet(() => kernel.loadDomains());
+  const trace = new DecisionTrace('task_lexicon', 'hardware sensor overheating');
+  const run = await quiet(() => kernel.process('hardware sensor overheating', {}, { trace }));
+
+  await runTest('Hardware lexicon loaded from domain.config.js', () => kernel.lexicons.domains().includes('hardware'));
+  await runTest('Routed input assessed with the hardware lexicon', () =>
+    run.assessment.domain === 'hardware' && run.assessment.urgency === 'NOW' &&
+    run.assessment.lexicon.matched[0].source === 'hardware'
+  );
+  await runTest('Reasoning names the matched entries', () =>
+    /Requires immediate attention \(matched "overheat"\)/.test(run.assessment.reasoning)
+  );
+  await runTest('Trace records the matches', () => trace.toJSON().assessment.lexicon.domain === 'hardware');
+  await runTest('Reasoning lists negated entries', async () =>
+    /Negated: "not urgent"/.test((await assess('not urgent')).reasoning)
+  );
+
+  const broken = new ALIVEKernel();
+  broken.domainLoader.getLoadedDomains = () => ['bad'];
+  broken.domainLoader.getDomain = () => ({ config: { lexicon: { urgency: 'NOW' } } });
+  await runTest('Invalid domain lexicon skipped', async () => {
+    await quiet(() => broken.registerDomainLexicons());
+    return !broken.lexicons.domains().includes('bad');
+  });
+  console.log();
+
+  summary();
+})();
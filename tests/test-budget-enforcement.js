@@ -0,0 +1,176 @@
+// tests/test-budget-enforcement.js
+// Test preemptive time ceilings and the emergency-action fallback
+
+const BudgetGovernor = require('../core/budget');
+const { BudgetExceededError } = BudgetGovernor;
+const Executor = require('../core/executor');
+const HookRegistry = require('../core/hooks');
+const DecisionTrace = require('../core/trace');
+const { activate } = require('../core/kernel');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Budget Enforcement\n');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fake domain loader whose agent takes `delays[action]` ms per action
+ */
+function slowDomains(delays) {
+  return {
+    getDomain: () => ({
+      agent: {
+        processTask: async ({ action }) => {
+          await sleep(delays[action] || 0);
+          return { success: true, action };
+        }
+      }
+    })
+  };
+}
+
+function domainTask(action) {
+  return { action, type: 'domain', domain: 'test', domainAction: action, dependencies: [] };
+}
+
+function taskBudget(task, maxTime) {
+  return { task, maxTime, maxIterations: 1, startedAt: null, completedAt: null, exceeded: false };
+}
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-budget-'));
+
+(async () => {
+  console.log('TEST 1: Governor time ceilings');
+  console.log('═'.repeat(60));
+
+  const governor = new BudgetGovernor();
+  const now = Date.now();
+
+  await runTest('Task maxTime applies when cutoff is far', () => {
+    const c = governor.getTimeLimit({ maxTime: 100 }, now + 1000, now);
+    return c.limit === 100 && c.reason === 'max_time';
+  });
+  await runTest('Remaining cutoff applies when nearer', () => {
+    const c = governor.getTimeLimit({ maxTime: 100 }, now + 40, now);
+    return c.limit === 40 && c.reason === 'cutoff_time';
+  });
+  await runTest('enforce() resolves work inside the ceiling', async () =>
+    (await governor.enforce('fast', sleep(5).then(() => 'done'), 200)) === 'done'
+  );
+  await runTest('enforce() rejects with BudgetExceededError past the ceiling', async () => {
+    try {
+      await governor.enforce('slow', sleep(200), 20);
+      return false;
+    } catch (error) {
+      return error instanceof BudgetExceededError && error.task === 'slow' && error.reason === 'max_time';
+    }
+  });
+  console.log();
+
+  console.log('TEST 2: Executor cancels a task past its maxTime');
+  console.log('═'.repeat(60));
+
+  const trace = new DecisionTrace('task_budget_test', 'test');
+  const triage = { priorities: [domainTask('fast'), domainTask('slow'), domainTask('after')] };
+  const budget = {
+    cutoffTime: 5000,
+    tasks: [taskBudget('fast', 500), taskBudget('slow', 30), taskBudget('after', 500)],
+    emergencyAction: governor.selectEmergencyAction(triage, { inputType: 'recipe_search' })
+  };
+
+  const started = Date.now();
+  const result = await quiet(() => Executor.run(triage, budget, { inputType: 'recipe_search' }, {
+    mode: 'HEURISTIC',
+    concurrency: 1, // one task at a time so the cut-off point is deterministic
+    trace,
+    governor,
+    domains: slowDomains({ slow: 300 })
+  }));
+  const took = Date.now() - started;
+
+  await runTest('Run stopped at the ceiling, not when the task finished', () => took < 250);
+  await runTest('Result is marked as cut short', () =>
+    result.cutShort === true && result.cutShortReason === 'max_time' && result.cancelledTask === 'slow'
+  );
+  await runTest('Emergency action ran over the partial results', () =>
+    result.emergency.action === 'return_partial_results' &&
+    result.emergency.emergency === true &&
+    result.emergency.result.length === 1 &&
+    result.emergency.result[0].task === 'fast'
+  );
+  await runTest('Remaining tasks did not start', () =>
+    result.completedTasks.join() === 'fast' && budget.tasks[2].startedAt === null
+  );
+  await runTest('Cancellation recorded in the trace', () => {
+    const decisions = Object.fromEntries(trace.decisions.map(d => [d.task, d]));
+    return decisions.slow.decision === 'cancelled' &&
+      decisions.after.decision === 'skipped' && decisions.after.reason === 'cut_short' &&
+      trace.toJSON().cutShort.emergencyAction === 'return_partial_results';
+  });
+  console.log();
+
+  console.log('TEST 3: Executor honours the overall cutoffTime');
+  console.log('═'.repeat(60));
+
+  const cutoffTriage = { priorities: [domainTask('first'), domainTask('second')] };
+  const cutoffBudget = {
+    cutoffTime: 40,
+    tasks: [taskBudget('first', 1000), taskBudget('second', 1000)],
+    emergencyAction: governor.selectEmergencyAction(cutoffTriage, {})
+  };
+  const cutoff = await quiet(() => Executor.run(cutoffTriage, cutoffBudget, {}, {
+    mode: 'HEURISTIC',
+    concurrency: 1,
+    governor,
+    domains: slowDomains({ first: 300 })
+  }));
+
+  await runTest('Cutoff cancels the running task', () =>
+    cutoff.cutShort && cutoff.cutShortReason === 'cutoff_time' && cutoff.cancelledTask === 'first'
+  );
+  await runTest('No partial results falls back to the deferral message', () =>
+    cutoff.emergency.action === 'acknowledge_timeout' && typeof cutoff.emergency.result === 'string'
+  );
+
+  const fine = await quiet(() => Executor.run(cutoffTriage, {
+    cutoffTime: 5000,
+    tasks: [taskBudget('first', 1000), taskBudget('second', 1000)]
+  }, {}, { mode: 'HEURISTIC', domains: slowDomains({}) }));
+  await runTest('Runs inside budget are not marked', () => !('cutShort' in fine) && fine.completedTasks.length === 2);
+  console.log();
+
+  console.log('TEST 4: activate() reports the cut-short run');
+  console.log('═'.repeat(60));
+
+  // Squeeze every task budget and slow down retrieval
+  const hooks = new HookRegistry();
+  hooks.after('budget', (b) => {
+    b.tasks.forEach(t => { t.maxTime = 20; });
+  });
+  const originalRetrieval = Executor.handleRetrieval;
+  Executor.handleRetrieval = async () => {
+    await sleep(200);
+    return [];
+  };
+
+  let activated;
+  try {
+    activated = await activate({ taskInput: 'compare brownie recipes', statePath: stateDir, hooks, trace: true });
+  } finally {
+    Executor.handleRetrieval = originalRetrieval;
+  }
+
+  await runTest('Run still succeeds with a partial response', () => activated.ok === true);
+  await runTest('meta.cutShort set', () => activated.meta.cutShort === true);
+  await runTest('Input-specific emergency action chosen', () =>
+    activated.trace.cutShort.emergencyAction === 'compare_with_available'
+  );
+  console.log();
+
+  fs.rmSync(stateDir, { recursive: true, force: true });
+
+  summary();
+})();
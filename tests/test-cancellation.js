@@ -0,0 +1,221 @@
+// tests/test-cancellation.js
+// Test AbortSignal cancellation through the pipeline and `alive stop`
+
+const { activate } = require('../core/kernel');
+const Executor = require('../core/executor');
+const BudgetGovernor = require('../core/budget');
+const HardwareAgent = require('../domain/hardware/domain.agent');
+const ExecutionModule = require('../hardware/modules/execution');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Cancellation\n');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Swap Executor.handleRetrieval for the duration of fn
+ */
+async function withRetrieval(handler, fn) {
+  const original = Executor.handleRetrieval;
+  Executor.handleRetrieval = handler;
+  try {
+    return await fn();
+  } finally {
+    Executor.handleRetrieval = original;
+  }
+}
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-cancel-'));
+const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+
+(async () => {
+  console.log('TEST 1: activate() with an AbortSignal');
+  console.log('═'.repeat(60));
+
+  const aborted = await activate({
+    taskInput: 'compare brownie recipes',
+    statePath: stateDir,
+    trace: true,
+    signal: AbortSignal.abort()
+  });
+  await runTest('Pre-aborted run is cancelled before any stage', () =>
+    aborted.ok === false && aborted.cancelled === true && aborted.trace.cancelled.stage === 'stream'
+  );
+  await runTest('Cancellation is distinct from failure', () =>
+    aborted.meta.cancelled === true && aborted.errors[0] === 'Run cancelled'
+  );
+
+  const controller = new AbortController();
+  let handlerSignal = null;
+  const started = Date.now();
+  const midRun = await withRetrieval((task, { signal }) => {
+    handlerSignal = signal;
+    setTimeout(() => controller.abort(), 20);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve([]), 300);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      });
+    });
+  }, () => activate({
+    taskInput: 'compare brownie recipes',
+    statePath: stateDir,
+    trace: true,
+    signal: controller.signal
+  }));
+
+  await runTest('Abort mid-execute cancels without waiting for the handler', () =>
+    midRun.cancelled === true && Date.now() - started < 250
+  );
+  await runTest('Handlers receive an AbortSignal that fires', () =>
+    handlerSignal instanceof AbortSignal && handlerSignal.aborted
+  );
+  await runTest('Trace records the cancelled task and stage', () => {
+    const last = midRun.trace.decisions[midRun.trace.decisions.length - 1];
+    return last.decision === 'cancelled' && last.reason === 'aborted' &&
+      midRun.trace.cancelled.stage === 'execute';
+  });
+  console.log();
+
+  console.log('TEST 2: Budget cancellation aborts the task signal');
+  console.log('═'.repeat(60));
+
+  let domainSignal = null;
+  const domains = {
+    getDomain: () => ({
+      agent: {
+        processTask: async ({ signal }) => {
+          domainSignal = signal;
+          await sleep(200);
+          return { success: true };
+        }
+      }
+    })
+  };
+  const triage = { priorities: [{ action: 'slow', type: 'domain', domain: 'test', domainAction: 'slow', dependencies: [] }] };
+  const budget = {
+    cutoffTime: 5000,
+    tasks: [{ task: 'slow', maxTime: 20, maxIterations: 1 }],
+    emergencyAction: new BudgetGovernor().selectEmergencyAction(triage, {})
+  };
+  const cut = await quiet(() => Executor.run(triage, budget, {}, { mode: 'HEURISTIC', domains }));
+
+  await runTest('Domain agent receives the task signal', () => domainSignal instanceof AbortSignal);
+  await runTest('Signal aborted when the ceiling cancels the task', () =>
+    cut.cutShort && domainSignal.aborted && domainSignal.reason.name === 'BudgetExceededError'
+  );
+  console.log();
+
+  console.log('TEST 3: Hardware domain calls honour the signal');
+  console.log('═'.repeat(60));
+
+  const agent = await quiet(() => new HardwareAgent({ specialty: 'hardware', safetyEnabled: true }, {}));
+  await runTest('Agent rethrows cancellation instead of a failed result', async () => {
+    try {
+      await agent.processTask({ action: 'status', params: {}, signal: AbortSignal.abort() });
+      return false;
+    } catch (error) {
+      return error.name === 'AbortError';
+    }
+  });
+
+  // Minimal HAL: events plus the safety override used by shutdown
+  const hal = new EventEmitter();
+  hal.setUserOverride = () => {};
+  const execution = new ExecutionModule(hal);
+  const request = execution.requestApproval('dev_1', { id: 'sim_1', strategy: { type: 'efficiency' } });
+  execution.approveExecution(request.id);
+  await runTest('Cancelled execution ends in safe shutdown', async () => {
+    try {
+      await execution.execute(request.id, { signal: AbortSignal.abort() });
+      return false;
+    } catch (error) {
+      const run = [...execution.executions.values()][0];
+      return error.name === 'AbortError' && run.status === 'cancelled' &&
+        run.safetyEvents.some(e => e.type === 'emergency_shutdown');
+    }
+  });
+  console.log();
+
+  console.log('TEST 4: `alive stop` cancels a run in progress');
+  console.log('═'.repeat(60));
+
+  // Preload that makes retrieval slow enough to stop from outside
+  const preload = path.join(stateDir, 'slow-retrieval.js');
+  fs.writeFileSync(preload, `
+const Executor = require(${JSON.stringify(path.join(__dirname, '..', 'core', 'executor'))});
+Executor.handleRetrieval = (task, ctx) =>
+  new Promise(resolve => setTimeout(() => resolve([]), 5000));
+`);
+
+  const run = spawn(process.execPath, ['-r', preload, cliPath, 'run', 'compare brownie recipes', '--state', stateDir]);
+  let stdout = '';
+  run.stdout.on('data', chunk => { stdout += chunk; });
+  const exited = new Promise(resolve => run.on('exit', code => resolve(code)));
+
+  // Wait for the run to register itself
+  const statePath = path.join(stateDir, 'alive-state.json');
+  const deadline = Date.now() + 5000;
+  let activeRun = null;
+  while (!activeRun && Date.now() < deadline) {
+    await sleep(50);
+    try {
+      activeRun = JSON.parse(fs.readFileSync(statePath, 'utf8')).activeRun || null;
+    } catch (error) {
+      // state not written yet
+    }
+  }
+  await runTest('Run records itself as active', () => activeRun && activeRun.pid === run.pid);
+  await sleep(200);
+
+  const stop = spawnSync(process.execPath, [cliPath, 'stop', '--state', stateDir], { encoding: 'utf8' });
+  const stopJson = JSON.parse(stop.stdout);
+  const code = await Promise.race([exited, sleep(4000).then(() => 'timeout')]);
+  if (code === 'timeout') run.kill();
+  const runJson = code === 'timeout' ? {} : JSON.parse(stdout);
+
+  await runTest('stop reports the cancelled taskId', () =>
+    stopJson.ok && stopJson.stopped && stopJson.cancelledTaskId === activeRun.taskId
+  );
+  await runTest('Run exits with cancelled status (exit 3)', () =>
+    code === 3 && runJson.ok === false && runJson.cancelled === true && runJson.taskId === activeRun.taskId
+  );
+  await runTest('Run marker cleared and stop state kept', () => {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return !state.activeRun && state.isActive === false;
+  });
+
+  const idle = JSON.parse(spawnSync(process.execPath, [cliPath, 'stop', '--state', stateDir], { encoding: 'utf8' }).stdout);
+  await runTest('stop with nothing running stays idempotent', () => idle.ok && idle.cancelledTaskId === null);
+
+  // A marker left behind by a run that died, whose pid now belongs to another process
+  const bystander = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 10000)']);
+  const writeMarker = (pid) => {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    state.activeRun = { pid, taskId: 'task_crashed', startedAt: new Date().toISOString(), nonce: 'stale' };
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  };
+  writeMarker(bystander.pid);
+  const reused = JSON.parse(spawnSync(process.execPath, [cliPath, 'stop', '--state', stateDir], { encoding: 'utf8' }).stdout);
+  await runTest('stop never signals a process that reused a stale marker\'s pid', () => {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return reused.ok && reused.cancelledTaskId === null && bystander.exitCode === null && bystander.signalCode === null &&
+      !state.activeRun && !state.cancelRequest;
+  });
+  bystander.kill();
+
+  writeMarker(2 ** 22 + 1);
+  const dead = JSON.parse(spawnSync(process.execPath, [cliPath, 'stop', '--state', stateDir], { encoding: 'utf8' }).stdout);
+  await runTest('A marker of a process that exited is cleared', () => dead.ok && dead.cancelledTaskId === null);
+  console.log();
+
+  fs.rmSync(stateDir, { recursive: true, force: true });
+
+  summary();
+})();
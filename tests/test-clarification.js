@@ -0,0 +1,171 @@
+// tests/test-clarification.js
+// Test clarification requests: underspecified inputs, questions, answers, CLI --answer
+
+const Clarifier = require('../core/clarify');
+const ALIVEKernel = require('../core/kernel');
+const { activate } = ALIVEKernel;
+const DecisionTrace = require('../core/trace');
+const WorkingMemory = require('../memory/working');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Clarification Requests\n');
+
+const clarifier = new Clarifier();
+const check = (input, inputType, working = null) => clarifier.check(input, { inputType }, { working });
+
+(async () => {
+  console.log('TEST 1: Detecting underspecified requests');
+  console.log('═'.repeat(60));
+
+  await runTest('Substitution without an ingredient', () => {
+    const c = check('what can I substitute?', 'substitute');
+    return c.reason === 'missing_ingredient' && c.missing.join() === 'ingredient';
+  });
+  await runTest('Ingredient in working memory is enough', () => {
+    const working = new WorkingMemory();
+    working.set('ingredient', 'butter');
+    return check('what can I substitute?', 'substitute', working) === null;
+  });
+  await runTest('Conversion without a target unit', () => {
+    const c = check('convert 2 cups', 'conversion');
+    return c.reason === 'missing_unit' && c.missing.join() === 'targetUnit' &&
+      c.questions[0].options.join() === 'tbsp,tsp,ml,l';
+  });
+  await runTest('Conversion without an amount', () => {
+    const c = check('convert cups to ml', 'conversion');
+    return c.reason === 'missing_amount' && c.missing.join() === 'value' && c.slots.fromUnit === 'cup';
+  });
+  await runTest('Conversion with nothing to go on asks for everything', () =>
+    check('can you convert this?', 'conversion').missing.join() === 'value,fromUnit,targetUnit'
+  );
+  await runTest('A bare quantity asks what to do with it', () => {
+    const c = check('2 cups flour', 'general');
+    return c.reason === 'missing_request' && c.questions[0].options.includes('convert');
+  });
+  await runTest('Complete requests run as before', () =>
+    check('convert 2 cups to ml', 'conversion') === null &&
+    check('substitute for butter', 'substitute') === null &&
+    check('hello', 'general') === null &&
+    check('compare brownie recipes', 'recipe_compare') === null
+  );
+  await runTest('Single letters are units only after an amount', () =>
+    clarifier.conversionSlots('convert a cup').targetUnit === undefined &&
+    clarifier.conversionSlots('2 c a ml').targetUnit === 'ml'
+  );
+  console.log();
+
+  console.log('TEST 2: Resolving answers');
+  console.log('═'.repeat(60));
+
+  await runTest('Target unit answer completes the conversion', () => {
+    const r = clarifier.resolve(check('convert 2 cups', 'conversion'), 'ml');
+    return r.input === 'convert 2 cup to ml' && r.missing.length === 0;
+  });
+  await runTest('Amount answer completes the conversion', () =>
+    clarifier.resolve(check('convert cups to ml', 'conversion'), '3').input === 'convert 3 cup to ml'
+  );
+  await runTest('One answer can fill several slots', () =>
+    clarifier.resolve(check('can you convert this?', 'conversion'), '500 g to oz').input === 'convert 500 g to oz'
+  );
+  await runTest('Ingredient answer names the substitution', () =>
+    clarifier.resolve(check('what can I substitute?', 'substitute'), 'the butter.').input === 'substitute for butter'
+  );
+  await runTest('Action answer, in the answer\'s language', () =>
+    clarifier.resolve(check('2 cups flour', 'general'), 'convertir').input === 'convert 2 cups flour'
+  );
+  await runTest('Unusable answers leave slots missing', () => {
+    const r = clarifier.resolve(check('convert 2 cups', 'conversion'), 'not sure');
+    return r.missing.join() === 'targetUnit' && r.input === 'convert 2 cups';
+  });
+  console.log();
+
+  console.log('TEST 3: Kernel');
+  console.log('═'.repeat(60));
+
+  const kernel = new ALIVEKernel();
+  const trace = new DecisionTrace('task_ask', 'convert 2 cups');
+  const asked = await quiet(() => kernel.process('convert 2 cups', {}, { trace, taskId: 'task_ask' }));
+
+  await runTest('Underspecified input returns questions instead of a result', () =>
+    asked.success && asked.result === null && asked.needsClarification.taskId === 'task_ask' &&
+    asked.needsClarification.questions.length === 1
+  );
+  await runTest('Pending clarification kept in working memory', () =>
+    kernel.pendingClarifications().map(c => c.taskId).join() === 'task_ask' &&
+    kernel.workingMemory.get('clarification:task_ask').input === 'convert 2 cups'
+  );
+  await runTest('Trace records the questions', () =>
+    trace.toJSON().clarification.questions[0] === 'Which unit should 2 cup be converted to?'
+  );
+
+  const answered = await quiet(() => kernel.answerClarification('task_ask', 'ml'));
+  await runTest('Answer runs the completed request', () => {
+    const calc = answered.result.results.find(r => r.task === 'calculate');
+    return answered.success && !answered.needsClarification && calc.result.result === 480 &&
+      answered.answered.resolvedInput === 'convert 2 cup to ml';
+  });
+  await runTest('Answered clarification is no longer pending', () => kernel.pendingClarifications().length === 0);
+  await runTest('Unknown task ids are rejected', async () => {
+    const r = await quiet(() => kernel.answerClarification('task_missing', 'ml'));
+    return !r.success && /No pending clarification/.test(r.error);
+  });
+  await runTest('Incomplete answers ask again under the same task id', async () => {
+    await quiet(() => kernel.process('what can I substitute?', {}, { taskId: 'task_again' }));
+    const r = await quiet(() => kernel.answerClarification('task_again', ''));
+    return r.needsClarification.taskId === 'task_again' && kernel.pendingClarifications().length === 1;
+  });
+  await runTest('Domain-routed inputs are not clarified', async () => {
+    const routed = new ALIVEKernel();
+    await quiet(() => routed.loadDomains());
+    const r = await quiet(() => routed.process('hardware sensor overheating', {}, {}));
+    return r.success && !r.needsClarification;
+  });
+  console.log();
+
+  console.log('TEST 4: Contract and CLI');
+  console.log('═'.repeat(60));
+
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-clarify-'));
+  const state = path.join(root, 'state');
+
+  await runTest('activate() answers with the questions', async () => {
+    const r = await activate({ taskInput: 'what can I substitute?', statePath: state, taskId: 'task_api' });
+    return r.ok && r.needsClarification.reason === 'missing_ingredient' &&
+      r.response === 'Which ingredient do you want to substitute?' && r.meta.needsClarification === true;
+  });
+  await runTest('activate() resumes from persisted working memory', async () => {
+    const r = await activate({ taskInput: 'eggs', statePath: state, taskId: 'task_api', answer: 'task_api' });
+    return r.ok && !r.needsClarification && r.meta.answered.resolvedInput === 'substitute for eggs';
+  });
+
+  const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+  const cli = (args) => {
+    const r = spawnSync(process.execPath, [cliPath, 'run', ...args, '--state', state], { cwd: root, encoding: 'utf8' });
+    return { status: r.status, json: JSON.parse(r.stdout) };
+  };
+
+  const first = cli(['convert 250 g']);
+  await runTest('alive run reports needsClarification (with no confidence)', () =>
+    first.status === 0 && first.json.ok && first.json.needsClarification.taskId === first.json.taskId &&
+    first.json.confidence === 0 &&
+    first.json.needsClarification.questions[0].options.join() === 'kg,oz,lb'
+  );
+  await runTest('alive run --answer continues the same task', () => {
+    const r = cli(['--answer', first.json.taskId, 'oz']);
+    return r.status === 0 && r.json.taskId === first.json.taskId && !r.json.needsClarification &&
+      r.json.answered.resolvedInput === 'convert 250 g to oz' && /8\.8/.test(r.json.response);
+  });
+  await runTest('Answering twice fails', () => {
+    const r = cli(['--answer', first.json.taskId, 'oz']);
+    return r.status === 1 && !r.json.ok && /No pending clarification/.test(r.json.errors[0]);
+  });
+  console.log();
+
+  fs.rmSync(root, { recursive: true, force: true });
+
+  summary();
+})();
@@ -0,0 +1,224 @@
+// tests/test-confidence-calibration.js
+// Test confidence learned from runlog outcomes and the calibration report
+
+const { MetaLoop } = require('../meta/MetaLoop');
+const { ConfidenceModel } = require('../meta/calibration');
+const ALIVEKernel = require('../core/kernel');
+const { activate } = ALIVEKernel;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Confidence Calibration\n');
+
+/**
+ * MetaLoop writing into its own temp root
+ */
+function tempMeta(root) {
+  return new MetaLoop({ repoRoot: root });
+}
+
+/**
+ * Logged run (as MetaLoop would write it)
+ */
+function loggedRun(query, status, { difficulty = 'moderate', corrections = 0, confidence = null, taskType = 'conversion' } = {}) {
+  return {
+    ts: new Date().toISOString(),
+    domain: 'cooking',
+    taskType,
+    assessment: { urgency: 'LATER', stakes: 'low', difficulty, precision: 'strict' },
+    metrics: { timeMs: 5, stepCount: 2 },
+    outcome: { status, userCorrectionsCount: corrections },
+    confidence,
+    inputs: { querySummary: query }
+  };
+}
+
+function writeRunlog(meta, runs) {
+  fs.writeFileSync(meta.runlogPath, runs.map(r => JSON.stringify(r)).join('\n') + '\n');
+}
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-calibration-'));
+
+(async () => {
+  console.log('TEST 1: Prior from the assessment buckets');
+  console.log('═'.repeat(60));
+
+  const emptyRoot = path.join(root, 'empty');
+  const empty = new ConfidenceModel(tempMeta(emptyRoot));
+  const fresh = empty.estimate(loggedRun('convert 2 cups to ml', 'success'));
+
+  await runTest('String difficulties map to a prior', () =>
+    empty.prior({ difficulty: 'easy' }) > empty.prior({ difficulty: 'moderate' }) &&
+    empty.prior({ difficulty: 'moderate' }) > empty.prior({ difficulty: 'hard' })
+  );
+  await runTest('Strict precision lowers the prior', () =>
+    empty.prior({ difficulty: 'easy', precision: 'strict' }) < empty.prior({ difficulty: 'easy' })
+  );
+  await runTest('No history falls back to the prior', () =>
+    fresh.source === 'prior' && fresh.confidence === fresh.prior && fresh.pattern.runs === 0
+  );
+  console.log();
+
+  console.log('TEST 2: Success and correction rates from the runlog');
+  console.log('═'.repeat(60));
+
+  const meta = tempMeta(path.join(root, 'history'));
+  const model = new ConfidenceModel(meta);
+  const query = 'convert 2 cups to ml';
+  writeRunlog(meta, [
+    ...Array.from({ length: 8 }, () => loggedRun(query, 'success')),
+    loggedRun(query, 'success', { corrections: 1 }),
+    loggedRun(query, 'fail'),
+    ...Array.from({ length: 4 }, () => loggedRun('convert 350 f to c', 'fail', { difficulty: 'hard' })),
+    ...Array.from({ length: 4 }, () => loggedRun('compare brownie recipes', 'success', { taskType: 'recipe_compare' }))
+  ]);
+
+  const estimate = model.estimate(loggedRun(query, 'success'));
+  await runTest('Same pattern and assessment bucket is used first', () => estimate.source === 'bucket');
+  await runTest('Bucket rates count corrections as misses', () =>
+    estimate.bucket.runs === 10 && estimate.bucket.successRate === 0.8 && estimate.bucket.correctionRate === 0.1
+  );
+  await runTest('Pattern groups every bucket of the same task', () =>
+    estimate.pattern.runs === 14 &&
+    estimate.bucketKey === `${estimate.patternKey}|low/low/med/strict` &&
+    estimate.patternKey.startsWith('cooking|conversion|')
+  );
+  await runTest('Confidence moves towards the observed rate', () =>
+    estimate.confidence > estimate.prior && estimate.confidence < 0.8
+  );
+
+  const unseen = model.estimate(loggedRun(query, 'success', { difficulty: 'easy' }));
+  await runTest('New bucket in a known pattern uses the pattern', () =>
+    unseen.source === 'pattern' && unseen.bucket.runs === 0
+  );
+  await runTest('Failing pattern history pulls confidence below the prior', () =>
+    unseen.confidence < unseen.prior
+  );
+  await runTest('Other patterns are unaffected', () => {
+    const other = model.estimate(loggedRun('scale my bread', 'success', { taskType: 'scale' }));
+    return other.source === 'prior' && other.confidence === other.prior;
+  });
+  console.log();
+
+  console.log('TEST 3: Calibration report');
+  console.log('═'.repeat(60));
+
+  const reportMeta = tempMeta(path.join(root, 'report'));
+  writeRunlog(reportMeta, [
+    loggedRun(query, 'success', { confidence: 0.9 }),
+    loggedRun(query, 'success', { confidence: 0.9 }),
+    loggedRun(query, 'fail', { confidence: 0.9 }),
+    loggedRun(query, 'fail', { confidence: 0.1 }),
+    loggedRun(query, 'success')
+  ]);
+  const report = new ConfidenceModel(reportMeta).report();
+
+  await runTest('Only runs with a prediction are scored', () => report.runs === 5 && report.scored === 4);
+  await runTest('Bins compare predicted with observed', () => {
+    const top = report.bins[4];
+    return top.runs === 3 && top.predicted === 0.9 && top.observed === 0.667 && report.bins[0].runs === 1;
+  });
+  await runTest('Brier score and calibration error computed', () =>
+    report.brierScore === 0.21 && report.calibrationError === 0.2
+  );
+  await runTest('Per-bucket breakdown', () =>
+    report.buckets.length === 1 && report.buckets[0].runs === 4 && report.buckets[0].observed === 0.5
+  );
+  await runTest('Empty runlog reports nulls', () => {
+    const none = empty.report();
+    return none.scored === 0 && none.brierScore === null && none.calibrationError === null;
+  });
+  console.log();
+
+  console.log('TEST 4: activate() confidence and the calibration command');
+  console.log('═'.repeat(60));
+
+  // The runlog lives in the state directory; playbook drafts under the working directory
+  const runRoot = path.join(root, 'runs');
+  const stateDir = path.join(runRoot, 'state');
+  fs.mkdirSync(runRoot);
+  const cwd = process.cwd();
+  const confidences = [];
+  const run = (options) => quiet(() => activate({ statePath: stateDir, ...options }));
+  let last;
+  process.chdir(runRoot);
+  try {
+    for (let i = 0; i < 3; i++) {
+      last = await run({ taskInput: 'convert 2 cups to ml' });
+      confidences.push(last.confidence);
+    }
+  } finally {
+    process.chdir(cwd);
+  }
+  const logged = () => fs.readFileSync(path.join(stateDir, 'runlog.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+
+  await runTest('First run starts from the prior', () => last.ok && confidences[0] === 0.7);
+  await runTest('Confidence grows with repeated success', () =>
+    confidences[1] > confidences[0] && confidences[2] > confidences[1]
+  );
+  await runTest('meta.calibration explains the estimate', () =>
+    last.meta.calibration.source === 'bucket' && last.meta.calibration.bucket.runs === 2
+  );
+  await runTest('Predictions are written to the state directory\'s runlog', () =>
+    logged().map(r => r.confidence).join() === confidences.join() &&
+    !fs.existsSync(path.join(runRoot, 'data', 'runlog.jsonl'))
+  );
+
+  const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+  const r = spawnSync(process.execPath, [cliPath, 'calibration', '--state', stateDir], { cwd: runRoot, encoding: 'utf8' });
+  const json = JSON.parse(r.stdout);
+  await runTest('alive calibration reports the runlog of --state', () =>
+    r.status === 0 && json.ok === true && json.scored === 3 &&
+    json.runlogPath === path.join(stateDir, 'runlog.jsonl') && Array.isArray(json.bins)
+  );
+  console.log();
+
+  console.log('TEST 5: Logged outcomes');
+  console.log('═'.repeat(60));
+
+  process.chdir(runRoot);
+  try {
+    await run({ taskInput: 'add recipe for pancakes' });
+    await run({ taskInput: 'convert 2 cups', taskId: 'task_unit' });
+    await run({ taskInput: 'ml', taskId: 'task_unit', answer: 'task_unit' });
+  } finally {
+    process.chdir(cwd);
+  }
+  const [, , , invalid, answered] = logged();
+
+  await runTest('Plain runs log success, no corrections and no validation', () => {
+    const { outcome } = logged()[0];
+    return outcome.status === 'success' && outcome.userCorrectionsCount === 0 && outcome.validation === null;
+  });
+  await runTest('Validation that fails even after escalation logs a failure', () =>
+    invalid.taskType === 'recipe_add' && invalid.metrics.escalated &&
+    invalid.outcome.status === 'fail' && invalid.outcome.validation === 'failed'
+  );
+  await runTest('A clarification answer counts as a user correction', () =>
+    logged().length === 5 && answered.outcome.status === 'success' && answered.outcome.userCorrectionsCount === 1
+  );
+  await runTest('Tasks that failed make a run partial', () => {
+    const triage = { priorities: [{ action: 'validate_recipe', type: 'validation' }, { action: 'store_recipe', type: 'storage' }] };
+    const result = {
+      success: true,
+      results: [
+        { task: 'validate_recipe', success: true, result: { valid: true } },
+        { task: 'store_recipe', success: false, error: 'disk full' }
+      ]
+    };
+    const outcome = new ALIVEKernel().runOutcome(triage, result);
+    return outcome.status === 'partial' && outcome.validation === 'passed';
+  });
+  await runTest('Failed validation is never observed as success', () =>
+    !ConfidenceModel.observed({ outcome: { status: 'success', userCorrectionsCount: 0, validation: 'failed' } }) &&
+    ConfidenceModel.observed({ outcome: { status: 'success', userCorrectionsCount: 0, validation: 'passed' } })
+  );
+  console.log();
+
+  fs.rmSync(root, { recursive: true, force: true });
+
+  summary();
+})();
@@ -0,0 +1,162 @@
+// tests/test-conversion-engine.js
+// Test conversions: volume, weight, density, temperature, gas marks, rounding and PRECISION tolerances
+
+const ConversionEngine = require('../core/conversion');
+const Executor = require('../core/executor');
+const Clarifier = require('../core/clarify');
+const ALIVEKernel = require('../core/kernel');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Conversion Engine\n');
+
+const engine = new ConversionEngine();
+
+/**
+ * Rounded (HEURISTIC) and exact (PRECISION) results for a request
+ */
+const convert = (input) => {
+  const conversion = engine.parse(input);
+  return {
+    conversion,
+    rounded: engine.convert(conversion),
+    exact: engine.convert(conversion, { precision: true })
+  };
+};
+
+(async () => {
+  console.log('TEST 1: Volume and weight');
+  console.log('═'.repeat(60));
+
+  await runTest('Volume to volume', () => {
+    const { rounded } = convert('convert 2 cups to ml');
+    return rounded.result === 480 && rounded.unit === 'ml' && rounded.basis === 'definition';
+  });
+  await runTest('Weight to weight uses exact unit definitions', () => {
+    const { rounded, exact } = convert('convert 250 g to oz');
+    return rounded.result === 8.8 && exact.result === 8.8185;
+  });
+  await runTest('US customary volumes', () =>
+    convert('convert 1 cup to fl oz').rounded.result === 8.1 &&
+    convert('convert 1 qt to l').rounded.result === 0.95
+  );
+  await runTest('Same unit converts to itself', () => convert('convert 2 cups to cups').rounded.result === 2);
+  console.log();
+
+  console.log('TEST 2: Volume ↔ weight by density');
+  console.log('═'.repeat(60));
+
+  await runTest('Cups of flour in grams', () => {
+    const { conversion, rounded } = convert('convert 1 1/2 cups flour to grams');
+    return conversion.density.ingredient === 'flour' && rounded.result === 190 && rounded.basis === 'density';
+  });
+  await runTest('Grams of butter in cups', () => convert('convert 250 g butter to cups').rounded.result === 1);
+  await runTest('The most specific ingredient name wins', () =>
+    engine.density('packed light brown sugar').ingredient === 'brown sugar' &&
+    engine.density('unsalted butter').ingredient === 'butter' &&
+    engine.density('smooth peanut butter').ingredient === 'peanut butter' &&
+    engine.density('rolled oats').ingredient === 'oats'
+  );
+  await runTest('No density, no volume ↔ weight conversion', () =>
+    engine.parse('convert 2 cups sand to grams') === null && engine.parse('convert 2 cups to grams') === null
+  );
+  console.log();
+
+  console.log('TEST 3: Temperatures and gas marks');
+  console.log('═'.repeat(60));
+
+  await runTest('Fahrenheit to Celsius, however it is written', () =>
+    ['convert 350°F to C', 'convert 350 F to celsius', '350 degrees fahrenheit in C'].every(input => {
+      const { conversion, rounded } = convert(input);
+      return conversion.type === 'temperature' && conversion.fromUnit === 'F' && rounded.result === 175;
+    })
+  );
+  await runTest('A bare C is Celsius next to another temperature', () =>
+    convert('convert 180C to F').exact.result === 356 && convert('convert -18 c to f').exact.result === -0.4
+  );
+  await runTest('Gas marks to temperatures and back', () =>
+    convert('gas mark 4 to C').rounded.result === 180 &&
+    convert('convert gas mark ½ in fahrenheit').rounded.result === 250 &&
+    convert('convert 200 C to gas mark').rounded.result === 6 &&
+    convert('convert 375 F to gas mark').rounded.result === 5
+  );
+  await runTest('Marks not in the table are rejected', () => convert('gas mark 11 to C').rounded.error === 'unknown_gas_mark');
+  console.log();
+
+  console.log('TEST 4: Rounding and tolerances');
+  console.log('═'.repeat(60));
+
+  await runTest('Rounded to what can be measured', () =>
+    engine.round(1.1, 'cup') === 1 && engine.round(2.4, 'tbsp') === 2.5 && engine.round(7.26, 'g') === 7.3 &&
+    engine.round(254.4, 'g') === 255 && engine.round(1234, 'ml') === 1230 && engine.round(176.7, 'C') === 175 &&
+    engine.round(37.4, 'C') === 37
+  );
+  await runTest('PRECISION keeps the exact value', () => {
+    const { exact } = convert('convert 350 F to C');
+    return exact.result === 176.6667 && exact.rounded === false && exact.tolerance.absolute === 0;
+  });
+  await runTest('Density conversions carry their spread', () => {
+    const { exact } = convert('convert 2 cups flour to grams');
+    return exact.result === 254.4 && exact.tolerance.relative === 0.1 && exact.range.join() === '228.96,279.84';
+  });
+  await runTest('Gas marks are about ±5 °C wide', () => {
+    const { exact } = convert('gas mark 6 to C');
+    return exact.range.join() === '195,205';
+  });
+  await runTest('Nothing to convert', () => engine.convert(null).error === 'no_conversion_data');
+  console.log();
+
+  console.log('TEST 5: Executor, questions and kernel');
+  console.log('═'.repeat(60));
+
+  await runTest('Lookup tables: units, densities and gas marks', () => {
+    const volume = Executor.lookupConversion('volume', 'sugar');
+    const temperature = Executor.lookupConversion('temperature');
+    return volume['1 pt'] === '473.18 ml' && volume['1 cup sugar'] === '200 g' &&
+      temperature['gas mark 4'] === '180 C / 355 F' &&
+      !Object.values(temperature).some(v => typeof v === 'function');
+  });
+  await runTest('Questions offer common units of the same type', () => {
+    const clarifier = new Clarifier();
+    const asked = clarifier.check('convert 350 F', { inputType: 'conversion' });
+    return asked.questions[0].options.join() === 'C,gas mark' &&
+      clarifier.resolve(asked, 'C').input === 'convert 350 F to C' &&
+      Executor.conversionUnits('volume').join() === 'cup,tbsp,tsp,ml,l';
+  });
+
+  const kernel = new ALIVEKernel();
+  await runTest('Exact conversion requests run in PRECISION with tolerances', async () => {
+    const r = await quiet(() => kernel.process('convert exactly 2 cups flour to grams'));
+    const calc = r.result.results.find(x => x.task === 'calculate').result;
+    return r.mode === 'PRECISION' && calc.result === 254.4 && calc.tolerance.absolute === 25.44;
+  });
+  await runTest('HEURISTIC calculations round', async () => {
+    const calc = Executor.calculate(engine.parse('convert 2 cups flour to grams'), 'HEURISTIC');
+    return calc.result === 250 && calc.exact === 254.4 && calc.tolerance === undefined;
+  });
+  await runTest('HEURISTIC calculations agree with the lookup table', () => {
+    const cup = Executor.lookupConversion('volume', 'flour')['1 cup flour'];
+    const calc = (input) => Executor.calculate(engine.parse(input), 'HEURISTIC').result;
+    return cup === '125 g' && calc('convert 1 cup flour to grams') === 125 &&
+      calc('convert 2 cups flour to grams') === 250 && calc('convert 250 g flour to cups') === 2;
+  });
+  await runTest('Calculations read this run\'s parsed conversion, not working memory', async () => {
+    const stale = engine.parse('convert 2 cups flour to grams');
+    const ctx = (parsed) => ({
+      mode: 'HEURISTIC',
+      memory: { working: { get: () => stale } },
+      resultOf: (action) => action === 'parse_conversion' ? parsed : null
+    });
+    const task = { action: 'calculate' };
+    const fresh = await Executor.handleComputation(task, ctx(engine.parse('convert 1 cup sugar to grams')));
+    const unparsed = await Executor.handleComputation(task, ctx({ parsed: false, reason: 'no_conversion_found' }));
+    return fresh.result === 200 && unparsed.error === 'no_conversion_data';
+  });
+  await runTest('Lookup tables follow the current request', async () => {
+    const r = await quiet(() => kernel.process('convert 350 F to C'));
+    const table = r.result.results.find(x => x.task === 'lookup_table').result;
+    return table['gas mark 4'] !== undefined && table['1 cup'] === undefined;
+  });
+  console.log();
+
+  summary();
+})();
@@ -0,0 +1,82 @@
+// tests/test-decision-trace.js
+// Test structured per-run decision trace (`alive run --trace`)
+
+const { activate } = require('../core/kernel');
+const DecisionTrace = require('../core/trace');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Decision Trace\n');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-trace-'));
+const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+
+(async () => {
+  console.log('TEST 1: activate() returns a trace when requested');
+  console.log('═'.repeat(60));
+
+  const result = await activate({
+    taskInput: 'compare brownie recipes',
+    statePath: stateDir,
+    trace: true,
+    taskId: 'task_trace_test'
+  });
+  const trace = result.trace;
+
+  await runTest('Trace present with taskId', () => trace && trace.taskId === 'task_trace_test');
+  await runTest('Assessment includes reasoning', () =>
+    trace.assessment.inputType === 'recipe_compare' && trace.assessment.reasoning.length > 0
+  );
+  await runTest('Reset check recorded', () => trace.resetChecks.length === 1 && trace.resetChecks[0].triggered === false);
+  await runTest('Every scored task recorded, including deferred', () => {
+    const statuses = trace.triage.tasks.map(t => t.status);
+    return trace.triage.tasks.length === 5 &&
+      statuses.filter(s => s === 'priority').length === 3 &&
+      statuses.includes('deferred') &&
+      trace.triage.tasks.every(t => typeof t.score === 'number');
+  });
+  await runTest('Task budgets recorded', () =>
+    trace.budget.tasks.length === 3 && trace.budget.tasks.every(t => t.maxTime > 0)
+  );
+  await runTest('One executor decision per priority task', () =>
+    trace.decisions.length === 3 && trace.decisions.every(d => d.decision === 'executed')
+  );
+
+  const untraced = await activate({ taskInput: 'compare brownie recipes', statePath: stateDir });
+  await runTest('No trace unless requested', () => untraced.trace === null);
+  await runTest('DecisionTrace.save writes a trace or its JSON', () => {
+    const dir = path.join(stateDir, 'saved');
+    const fromJson = DecisionTrace.save(trace, dir);
+    const fromTrace = DecisionTrace.save(new DecisionTrace('task_saved', 'hello'), dir);
+    return fromJson === path.join(dir, 'task_trace_test.json') &&
+      JSON.parse(fs.readFileSync(fromTrace, 'utf8')).input === 'hello';
+  });
+  console.log();
+
+  console.log('TEST 2: CLI emits and saves the trace');
+  console.log('═'.repeat(60));
+
+  const r = spawnSync(process.execPath, [cliPath, 'run', 'substitute for butter', '--save-trace', '--state', stateDir], {
+    encoding: 'utf8'
+  });
+  const json = JSON.parse(r.stdout);
+
+  await runTest('Contract keys still present', () =>
+    ['ok', 'botId', 'taskId', 'input', 'response', 'confidence', 'timingMs', 'statePath', 'errors'].every(k => k in json)
+  );
+  await runTest('trace key matches taskId', () => json.trace && json.trace.taskId === json.taskId);
+  await runTest('Trace written to <state>/traces/<taskId>.json', () =>
+    json.tracePath === path.join(stateDir, 'traces', `${json.taskId}.json`) && fs.existsSync(json.tracePath)
+  );
+
+  const plain = spawnSync(process.execPath, [cliPath, 'run', 'hello', '--state', stateDir], { encoding: 'utf8' });
+  await runTest('No trace key without --trace', () => !('trace' in JSON.parse(plain.stdout)));
+  console.log();
+
+  fs.rmSync(stateDir, { recursive: true, force: true });
+
+  summary();
+})();
@@ -0,0 +1,172 @@
+// tests/test-deferred-queue.js
+// Test the per-bot deferred-task queue: persistence, resuming and the CLI commands
+
+const DeferredQueue = require('../memory/deferred');
+const ALIVEKernel = require('../core/kernel');
+const { activate } = ALIVEKernel;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Deferred Queue\n');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-deferred-'));
+const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+
+function cli(args) {
+  const r = spawnSync(process.execPath, [cliPath, ...args], { cwd: root, encoding: 'utf8' });
+  return { status: r.status, json: JSON.parse(r.stdout) };
+}
+
+(async () => {
+  console.log('TEST 1: Deferred tasks are queued with their assessment');
+  console.log('═'.repeat(60));
+
+  const kernel = new ALIVEKernel();
+  const run = await quiet(() => kernel.process('compare brownie recipes'));
+  const entries = kernel.deferred.list();
+
+  await runTest('Every deferred task is queued', () =>
+    run.success && run.deferred.length === 2 &&
+    entries.map(e => e.task.action).join() === 'identify_variations,detect_bloat'
+  );
+  await runTest('Entries keep the input and the original assessment', () =>
+    entries.every(e => e.input === 'compare brownie recipes' && e.assessment.inputType === 'recipe_compare')
+  );
+  await runTest('Entries carry the tasks they depend on', () => {
+    const bloat = entries.find(e => e.task.action === 'detect_bloat');
+    return bloat.graph.map(t => t.action).join() === 'gather_recipes,detect_bloat';
+  });
+  await runTest('Same input does not queue the same task twice', async () => {
+    await quiet(() => kernel.process('compare brownie recipes'));
+    return kernel.deferred.size() === 2;
+  });
+  await runTest('Nothing queued when triage defers nothing', async () => {
+    const other = await quiet(() => kernel.process('convert 2 cups to ml'));
+    return other.deferred.length === 0 && kernel.deferred.size() === 2;
+  });
+  console.log();
+
+  console.log('TEST 2: Persistence and age');
+  console.log('═'.repeat(60));
+
+  const stateDir = path.join(root, 'state');
+  const queue = new DeferredQueue(stateDir, 'chef/bot');
+  const assessment = { inputType: 'recipe_compare', urgency: 'LATER', stakes: 'medium' };
+  const triage = {
+    priorities: [{ action: 'a', type: 'retrieval', dependencies: [], score: 90 }],
+    deferred: [{ action: 'b', type: 'analysis', dependencies: ['a'], score: 10 }]
+  };
+  queue.enqueue(triage, assessment, 'older input', Date.now() - 60000);
+  queue.enqueue(triage, assessment, 'newer input');
+  const savedPath = queue.save();
+
+  await runTest('Saved per bot under the state directory', () =>
+    savedPath === path.join(stateDir, 'deferred', 'chef_bot.json') && fs.existsSync(savedPath)
+  );
+
+  const reloaded = new DeferredQueue(stateDir, 'chef/bot');
+  await runTest('Entries survive a reload', () => reloaded.load() && reloaded.size() === 2);
+  await runTest('Listed oldest first with their age', () => {
+    const list = reloaded.list();
+    return list[0].input === 'older input' && list[0].ageMs >= 60000 && list[1].ageMs < 60000;
+  });
+  await runTest('Scores are not persisted', () => reloaded.list()[0].task.score === undefined);
+  await runTest('Other bots have their own queue', () => {
+    const other = new DeferredQueue(stateDir, 'other-bot');
+    return !other.load() && other.size() === 0;
+  });
+  await runTest('Failed entries are dropped after maxAttempts', () => {
+    const id = reloaded.list()[0].id;
+    const dropped = [reloaded.fail(id), reloaded.fail(id), reloaded.fail(id)];
+    return dropped.join() === 'false,false,true' && reloaded.size() === 1;
+  });
+  await runTest('Corrupted file loads as an empty queue', () => {
+    fs.writeFileSync(savedPath, '{not json');
+    const corrupt = new DeferredQueue(stateDir, 'chef/bot');
+    return corrupt.load() === false && corrupt.size() === 0;
+  });
+  console.log();
+
+  console.log('TEST 3: Resuming');
+  console.log('═'.repeat(60));
+
+  const resumed = await quiet(() => kernel.resumeDeferred());
+  await runTest('Oldest run resumes with its dependencies', () =>
+    resumed.length === 2 && resumed.every(r => r.success && r.input === 'compare brownie recipes')
+  );
+  await runTest('Resumed results are returned', () =>
+    resumed.every(r => r.result !== null && r.error === null && r.ageMs >= 0)
+  );
+  await runTest('Completed entries leave the queue', () => kernel.deferred.size() === 0);
+  await runTest('Empty queue resumes nothing', async () => (await kernel.resumeDeferred()).length === 0);
+
+  const cancelled = new ALIVEKernel();
+  await quiet(() => cancelled.process('compare brownie recipes'));
+  const controller = new AbortController();
+  controller.abort();
+  await runTest('Cancelled resume leaves entries untouched', async () => {
+    const none = await quiet(() => cancelled.resumeDeferred({ signal: controller.signal }));
+    return none.length === 0 && cancelled.deferred.list().every(e => e.attempts === 0) && cancelled.deferred.size() === 2;
+  });
+  await runTest('Entries deferred after "before" are skipped', async () => {
+    const none = await cancelled.resumeDeferred({ before: Date.now() - 60000 });
+    return none.length === 0 && cancelled.deferred.size() === 2;
+  });
+  console.log();
+
+  console.log('TEST 4: Later runs resume, alive deferred lists and clears');
+  console.log('═'.repeat(60));
+
+  const runState = path.join(root, 'runs');
+  const cwd = process.cwd();
+  let first, second;
+  process.chdir(root);
+  try {
+    first = await quiet(() => activate({ taskInput: 'compare brownie recipes', statePath: runState }));
+    const listed = cli(['deferred', '--state', runState]);
+    await runTest('alive deferred lists entries with assessment and age', () =>
+      listed.status === 0 && listed.json.ok && listed.json.count === 2 &&
+      listed.json.deferred.every(e => e.assessment.inputType === 'recipe_compare' && e.ageMs >= 0 && e.attempts === 0)
+    );
+
+    second = await quiet(() => activate({ taskInput: 'convert 2 cups to ml', statePath: runState }));
+  } finally {
+    process.chdir(cwd);
+  }
+
+  await runTest('First run reports what it deferred', () =>
+    first.ok && first.meta.deferred.length === 2 && first.meta.resumed.length === 0
+  );
+  await runTest('Next run resumes it', () =>
+    second.ok && second.meta.resumed.length === 2 && second.meta.resumed.every(r => r.success)
+  );
+  await runTest('Resumed entries are removed from disk', () => cli(['deferred', '--state', runState]).json.count === 0);
+
+  const clearState = path.join(root, 'clear');
+  const clearQueue = new DeferredQueue(clearState, 'alive-bot');
+  clearQueue.enqueue(triage, assessment, 'one');
+  clearQueue.enqueue(triage, assessment, 'two');
+  clearQueue.save();
+  const oneId = clearQueue.list()[0].id;
+
+  await runTest('alive deferred clear <id> removes one entry', () => {
+    const r = cli(['deferred', 'clear', oneId, '--state', clearState]);
+    return r.status === 0 && r.json.cleared === 1 && r.json.remaining === 1;
+  });
+  await runTest('alive deferred clear removes the rest', () => {
+    const r = cli(['deferred', 'clear', '--state', clearState]);
+    return r.status === 0 && r.json.cleared === 1 && r.json.remaining === 0;
+  });
+  await runTest('Unknown deferred action rejected', () => {
+    const r = cli(['deferred', 'flush', '--state', clearState]);
+    return r.status === 2 && r.json.ok === false && /Unknown deferred action/.test(r.json.errors[0]);
+  });
+  console.log();
+
+  fs.rmSync(root, { recursive: true, force: true });
+
+  summary();
+})();
@@ -0,0 +1,116 @@
+// tests/test-domain-routing.js
+// Test multi-domain routing from the kernel to loaded domain agents
+
+const ALIVEKernel = require('../core/kernel');
+const { activate } = ALIVEKernel;
+const DomainLoader = require('../core/domain-loader');
+const DomainRouter = require('../core/domain-router');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Domain Routing\n');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-routing-'));
+const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+const domainDir = path.join(__dirname, '..', 'domain');
+
+(async () => {
+  console.log('TEST 1: DomainRouter classification');
+  console.log('═'.repeat(60));
+
+  const loader = new DomainLoader({});
+  await quiet(() => loader.loadDomains(domainDir));
+  const router = new DomainRouter(loader);
+
+  const hw = router.route('check hardware device status');
+  await runTest('Keywords route to hardware', () =>
+    hw.domain === 'hardware' && !hw.builtIn && hw.reason === 'keywords'
+  );
+  await runTest('Action resolved from routing table', () =>
+    hw.action === 'status' && hw.matched.includes('device')
+  );
+  const observe = router.route('observe device OBD_1 for 2 minutes');
+  await runTest('Action parameters are read from the input', () =>
+    observe.action === 'observe' && observe.params.deviceId === 'OBD_1' && observe.params.duration === 120000 &&
+    observe.missing.length === 0 &&
+    router.route('connect the robot at http://10.0.0.5:8080').params.baseUrl === 'http://10.0.0.5:8080'
+  );
+  await runTest('Missing required parameters are reported', () =>
+    router.route('watch the sensor').missing.join() === 'deviceId' &&
+    router.route('connect the obd device').missing.join() === 'baseUrl' &&
+    hw.missing.length === 0
+  );
+  await runTest('Actions that need earlier results are not routed', () =>
+    router.route('simulate the device twin').action === 'status' && router.route('deploy to the robot').action === 'status'
+  );
+  await runTest('Whole-word matching only', () => router.route('devicesless gadgetry').domain === 'cooking');
+
+  const cook = router.route('substitute for butter');
+  await runTest('Unclaimed input defaults to cooking', () =>
+    cook.domain === 'cooking' && cook.builtIn && cook.reason === 'default'
+  );
+
+  const forced = router.route('substitute for butter', { specialty: 'hardware' });
+  await runTest('Specialty forces a domain', () => forced.domain === 'hardware' && forced.reason === 'specialty');
+  await runTest('Unknown specialty falls back to keywords', () =>
+    router.route('check sensor', { specialty: 'knitting' }).domain === 'hardware'
+  );
+  console.log();
+
+  console.log('TEST 2: Kernel routes to the domain agent');
+  console.log('═'.repeat(60));
+
+  const kernel = await quiet(async () => {
+    const k = new ALIVEKernel();
+    await k.loadDomains();
+    return k;
+  });
+  const result = await quiet(() => kernel.process('check hardware device status'));
+
+  await runTest('Result reports the domain', () => result.domain === 'hardware');
+  await runTest('Single domain task executed', () =>
+    result.triage.priorities.length === 1 &&
+    result.triage.priorities[0].action === 'hardware_status' &&
+    result.result.completedTasks.includes('hardware_status')
+  );
+
+  const cooking = await quiet(() => kernel.process('compare brownie recipes'));
+  await runTest('Cooking pipeline unchanged', () =>
+    cooking.domain === 'cooking' && cooking.assessment.inputType === 'recipe_compare'
+  );
+
+  const activated = await activate({ taskInput: 'read the temperature sensor', statePath: stateDir, trace: true });
+  await runTest('Route recorded in meta and trace', () =>
+    activated.meta.domain === 'hardware' && activated.trace.route.domain === 'hardware'
+  );
+  const unnamed = await quiet(() => activate({ taskInput: 'observe the obd device', statePath: stateDir }));
+  const unknown = await quiet(() => activate({ taskInput: 'observe device obd_9', statePath: stateDir }));
+  await runTest('Failed domain tasks are reported in errors', () =>
+    unnamed.ok === false && unnamed.errors.join() === 'hardware_observe: Domain hardware task observe needs deviceId' &&
+    unknown.ok === false && unknown.errors.join() === 'hardware_observe: Device obd_9 not found' &&
+    activated.ok && activated.errors.length === 0
+  );
+  console.log();
+
+  console.log('TEST 3: CLI output carries domain');
+  console.log('═'.repeat(60));
+
+  const r = spawnSync(process.execPath, [cliPath, 'run', 'check hardware device status', '--state', stateDir], {
+    encoding: 'utf8'
+  });
+  const json = JSON.parse(r.stdout);
+  await runTest('domain key in contract output', () => r.status === 0 && json.ok && json.domain === 'hardware');
+
+  const plain = spawnSync(process.execPath, [cliPath, 'run', 'substitute for butter', '--state', stateDir], {
+    encoding: 'utf8'
+  });
+  await runTest('Cooking input reports cooking', () => JSON.parse(plain.stdout).domain === 'cooking');
+  console.log();
+
+  fs.rmSync(stateDir, { recursive: true, force: true });
+
+  summary();
+})();
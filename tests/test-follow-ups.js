@@ -0,0 +1,225 @@
+// tests/test-follow-ups.js
+// Test follow-up turns: subjects kept in working memory, references, scaling, diets, persisted bots
+
+const FollowUpResolver = require('../core/followup');
+const { SUBJECT_KEY } = FollowUpResolver;
+const Languages = require('../core/language');
+const ALIVEKernel = require('../core/kernel');
+const DecisionTrace = require('../core/trace');
+const WorkingMemory = require('../memory/working');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Follow-up Turns\n');
+
+const resolver = new FollowUpResolver();
+
+/**
+ * Working memory holding one subject
+ */
+function about(subject) {
+  const working = new WorkingMemory();
+  working.set(SUBJECT_KEY, { ...subject, timestamp: Date.now() });
+  return working;
+}
+
+const conversion = about({
+  type: 'conversion', name: '2 cup',
+  conversion: { value: 2, fromUnit: 'cup', targetUnit: 'ml', type: 'volume', factor: 240 }
+});
+const brownies = about({
+  type: 'recipe', name: 'Fudgy Brownies',
+  recipe: { name: 'Fudgy Brownies', ingredients: ['flour', 'unsalted butter', 'eggs', 'sugar'] },
+  ingredients: ['flour', 'unsalted butter', 'eggs', 'sugar']
+});
+const butter = about({ type: 'substitution', name: 'butter', ingredient: 'butter' });
+const resolved = (input, working) => {
+  const followUp = resolver.resolve(input, working);
+  return followUp ? followUp.input : null;
+};
+
+(async () => {
+  console.log('TEST 1: Reference wording');
+  console.log('═'.repeat(60));
+
+  const languages = Languages.withDefaults();
+  await runTest('Packs carry pronouns, subject phrases and scaling words', () => {
+    const es = languages.references('es');
+    return es.pronouns.has('eso') && es.pronouns.has('it') && es.subjects.includes('esa receta') &&
+      es.scale.some(([term, factor]) => term === 'doble' && factor === 2);
+  });
+  await runTest('Invalid scale factors rejected', () => {
+    try {
+      new Languages().register({ language: 'xx', references: { scale: { double: 'two' } } });
+      return false;
+    } catch (error) {
+      return /references\.scale\.double must be a positive number/.test(error.message);
+    }
+  });
+  console.log();
+
+  console.log('TEST 2: Resolving against the subject');
+  console.log('═'.repeat(60));
+
+  await runTest('"double that" scales the conversion', () => resolved('double that', conversion) === 'convert 4 cup to ml');
+  await runTest('"halve it"', () => resolved('halve it', conversion) === 'convert 1 cup to ml');
+  await runTest('Another unit re-targets the conversion', () =>
+    resolved('in tbsp?', conversion) === 'convert 2 cup to tbsp' &&
+    resolved('convert that to liters', conversion) === 'convert 2 cup to l'
+  );
+  await runTest('Units of another type are not a follow-up', () => resolved('in grams?', conversion) === null);
+  await runTest('"make it vegan" substitutes the first conflicting ingredient', () => {
+    const followUp = resolver.resolve('make it vegan', brownies);
+    const diet = followUp.references.find(r => r.kind === 'diet');
+    return followUp.input === 'substitute for butter in Fudgy Brownies' && diet.conflicts.join() === 'butter,egg';
+  });
+  await runTest('Recipes that already fit keep the reference only', () => {
+    const salad = about({ type: 'recipe', name: 'Green Salad', ingredients: ['lettuce', 'olive oil'] });
+    return resolved('make it vegan', salad) === 'make Green Salad vegan';
+  });
+  await runTest('"double the recipe" scales the recipe', () =>
+    resolved('double the recipe', brownies) === 'scale Fudgy Brownies by 2'
+  );
+  await runTest('"that recipe" is named', () =>
+    resolved('how long do I bake that recipe?', brownies) === 'how long do I bake Fudgy Brownies?'
+  );
+  await runTest('Shopping for it lists its ingredients', () =>
+    resolved('put it on my shopping list', brownies) === 'shopping list for flour, unsalted butter, eggs, sugar'
+  );
+  await runTest('Pronouns name the ingredient', () => resolved('what does it do?', butter) === 'what does butter do?');
+  await runTest('Spanish and German follow-ups', () =>
+    resolved('el doble de eso', conversion) === 'convert 4 cup to ml' &&
+    resolved('Bitte die Hälfte davon', conversion) === 'convert 1 cup to ml' &&
+    resolved('hazla vegana', brownies) === 'substitute for butter in Fudgy Brownies'
+  );
+  await runTest('Requests that stand on their own are left alone', () =>
+    resolved('is it safe to eat raw cookie dough with eggs', brownies) === null &&
+    resolved('convert 3 cups to ml', conversion) === null &&
+    resolved('compare brownie recipes', brownies) === null
+  );
+  await runTest('"the recipe" only refers to a recipe or comparison', () =>
+    resolved('what is the recipe', conversion) === null &&
+    resolved('double the recipe', conversion) === null &&
+    resolved('save this recipe: Brownies - 2 cups sugar', conversion) === null &&
+    resolved('what is the recipe', butter) === null
+  );
+  await runTest('Inputs that name their own object are left alone', () =>
+    resolved('find the recipe for brownies', brownies) === null &&
+    resolved('what is the recipe for pancakes', brownies) === null &&
+    resolved('save this recipe: Brownies - 2 cups sugar', brownies) === null &&
+    resolved('dame la receta de tortilla', brownies) === null
+  );
+  await runTest('Amounts are not named in place of a pronoun', () =>
+    resolved('what does it do', conversion) === null && resolved('what is that?', conversion) === null
+  );
+  await runTest('A diet follow-up about something without ingredients is left unresolved', () => {
+    const followUp = resolver.resolve('make it vegan', butter);
+    return followUp.input === 'make it vegan' && followUp.unresolved.diet === 'vegan' &&
+      resolver.resolve('make it vegan', conversion).unresolved.kind === 'diet' &&
+      resolver.resolve('make it vegan', brownies).unresolved === undefined;
+  });
+  await runTest('No subject, no follow-up', () => resolved('double that', new WorkingMemory()) === null);
+  console.log();
+
+  console.log('TEST 3: Subjects of finished runs');
+  console.log('═'.repeat(60));
+
+  const results = (...entries) => ({ results: entries.map(([task, result]) => ({ task, success: true, result })) });
+  await runTest('Conversion runs keep the parsed amount', () => {
+    const s = resolver.subjectOf('convert 2 cups to ml', { inputType: 'conversion' },
+      results(['parse_conversion', { value: 2, fromUnit: 'cup', targetUnit: 'ml' }]));
+    return s.type === 'conversion' && s.name === '2 cup';
+  });
+  await runTest('Searches keep the best recipe', () => {
+    const s = resolver.subjectOf('find brownies', { inputType: 'recipe_search' },
+      results(['rank_results', [{ name: 'note' }, { name: 'Brownies', ingredients: ['cocoa'] }]]));
+    return s.type === 'recipe' && s.name === 'Brownies';
+  });
+  await runTest('Substitutions keep the ingredient and recommendation', () => {
+    const s = resolver.subjectOf('substitute for butter', { inputType: 'substitute' },
+      results(['rank_by_risk', { recommended: { name: 'olive oil' } }]));
+    return s.ingredient === 'butter' && s.recommended === 'olive oil';
+  });
+  await runTest('General runs keep the previous subject', () => {
+    const working = about({ type: 'substitution', name: 'butter' });
+    resolver.remember(working, 'hello', { inputType: 'general' }, results(['process_general', {}]));
+    return working.get(SUBJECT_KEY).name === 'butter';
+  });
+  console.log();
+
+  console.log('TEST 4: Kernel sessions');
+  console.log('═'.repeat(60));
+
+  const kernel = new ALIVEKernel();
+  kernel.longTermMemory.store({ type: 'recipe', name: 'Fudgy Brownies', ingredients: ['flour', 'butter', 'eggs', 'cocoa'] });
+  await quiet(() => kernel.process('compare brownie recipes'));
+  const compared = kernel.workingMemory.get(SUBJECT_KEY);
+  const trace = new DecisionTrace('task_vegan', 'make it vegan');
+  const vegan = await quiet(() => kernel.process('make it vegan', {}, { trace }));
+
+  await runTest('Comparison becomes the subject', () =>
+    compared.type === 'comparison' && compared.name === 'Fudgy Brownies' && compared.input === 'compare brownie recipes'
+  );
+  await runTest('The substitution it led to is the next subject', () =>
+    kernel.workingMemory.get(SUBJECT_KEY).type === 'substitution'
+  );
+  await runTest('"make it vegan" runs as a substitution', () => {
+    const ranked = vegan.result.results.find(r => r.task === 'rank_by_risk');
+    return vegan.assessment.inputType === 'substitute' && ranked.result.recommended.name === 'olive oil' &&
+      vegan.followUp.original === 'make it vegan';
+  });
+  await runTest('Trace records the rewrite', () => {
+    const t = trace.toJSON();
+    return t.followUp.resolved === 'substitute for butter in Fudgy Brownies' && t.followUp.subject.type === 'comparison';
+  });
+  await runTest('A diet follow-up after a substitution asks which ingredient to replace', async () => {
+    const asked = await quiet(() => kernel.process('make it vegan'));
+    const question = asked.needsClarification;
+    const answered = await quiet(() => kernel.answerClarification(question.taskId, 'butter'));
+    return asked.result === null && question.reason === 'no_ingredients_to_change' &&
+      question.questions[0].question === 'butter has no ingredient list to make vegan. Which ingredient do you want to replace?' &&
+      answered.answered.resolvedInput === 'substitute for butter' && answered.assessment.inputType === 'substitute';
+  });
+  await runTest('A request after a conversion runs as typed', async () => {
+    const session = new ALIVEKernel();
+    await quiet(() => session.process('convert 1 cup flour to grams'));
+    const find = await quiet(() => session.process('find the recipe for brownies'));
+    const save = await quiet(() => session.process('save this recipe: Brownies - 2 cups sugar, 1 cup flour'));
+    return find.followUp === null && save.followUp === null && save.assessment.inputType === 'recipe_add';
+  });
+  await runTest('Follow-ups chain on the latest subject', async () => {
+    await quiet(() => kernel.process('convert 100 g to oz'));
+    const doubled = await quiet(() => kernel.process('double that'));
+    const again = await quiet(() => kernel.process('double that'));
+    return doubled.followUp.input === 'convert 200 g to oz' && again.followUp.input === 'convert 400 g to oz';
+  });
+  console.log();
+
+  console.log('TEST 5: Persisted CLI sessions per bot');
+  console.log('═'.repeat(60));
+
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-followup-'));
+  const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+  const cli = (bot, text) => {
+    const r = spawnSync(process.execPath, [cliPath, 'run', text, '--bot', bot, '--state', path.join(root, 'state')],
+      { cwd: root, encoding: 'utf8' });
+    return { status: r.status, json: JSON.parse(r.stdout) };
+  };
+
+  cli('chef', 'convert 2 cups to ml');
+  const next = cli('chef', 'double that');
+  await runTest('Next run resolves against the same bot\'s result', () =>
+    next.status === 0 && next.json.followUp.resolvedInput === 'convert 4 cup to ml' && /960/.test(next.json.response)
+  );
+  await runTest('Other bots have their own subject', () => {
+    const other = cli('baker', 'double that');
+    return other.status === 0 && other.json.followUp === undefined;
+  });
+  fs.rmSync(root, { recursive: true, force: true });
+  console.log();
+
+  summary();
+})();
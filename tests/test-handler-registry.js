@@ -0,0 +1,175 @@
+// tests/test-handler-registry.js
+// Test executor handler registry (core types, actions, domain handlers, diagnostics)
+
+const HandlerRegistry = require('../core/handlers');
+const Executor = require('../core/executor');
+const ALIVEKernel = require('../core/kernel');
+const { activate } = ALIVEKernel;
+const WorkingMemory = require('../memory/working');
+const LongTermMemory = require('../memory/longterm');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Handler Registry\n');
+
+/**
+ * Task result by action from an activate() response
+ */
+function taskResult(activated, action) {
+  return JSON.parse(activated.response).results.find(r => r.task === action);
+}
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-handlers-'));
+const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+
+(async () => {
+  console.log('TEST 1: Registry lookup');
+  console.log('═'.repeat(60));
+
+  const registry = new HandlerRegistry();
+  const byType = async () => 'type';
+  const byAction = async () => 'action';
+  registry.forType('processing', byType);
+  const unregister = registry.forAction('rank_results', byAction, { source: 'cooking' });
+
+  await runTest('Action handler wins over type handler', () =>
+    registry.resolve({ action: 'rank_results', type: 'processing' }).fn === byAction
+  );
+  await runTest('Type handler used for other actions', () =>
+    registry.resolve({ action: 'rank_by_risk', type: 'processing' }).fn === byType
+  );
+  await runTest('Unknown action and type resolve to null', () => registry.resolve({ action: 'x', type: 'y' }) === null);
+  await runTest('list() reports kind and source', () =>
+    registry.list().some(h => h.kind === 'action' && h.name === 'rank_results' && h.source === 'cooking')
+  );
+  unregister();
+  await runTest('Unregister falls back to the type handler', () =>
+    registry.resolve({ action: 'rank_results', type: 'processing' }).fn === byType
+  );
+  await runTest('Key without action or type is rejected', () => {
+    try {
+      registry.register({}, byType);
+      return false;
+    } catch (error) {
+      return error.message.includes('action or a type');
+    }
+  });
+  console.log();
+
+  console.log('TEST 2: Core handlers cover every triage type');
+  console.log('═'.repeat(60));
+
+  const core = Executor.createHandlers();
+  const types = ['retrieval', 'analysis', 'validation', 'storage', 'computation', 'generation',
+    'presentation', 'processing', 'parsing', 'extraction', 'indexing', 'domain', 'general'];
+  await runTest('All task types registered', () => types.every(type => core.resolve({ action: 'any', type })));
+
+  const converted = await activate({ taskInput: 'convert 2 cups to ml', statePath: stateDir });
+  await runTest('parse_conversion feeds calculate', () =>
+    taskResult(converted, 'parse_conversion').result.factor === 240 &&
+    taskResult(converted, 'calculate').result.result === 480
+  );
+
+  const substituted = await activate({ taskInput: 'substitute for butter', statePath: stateDir });
+  await runTest('rank_by_risk ranks find_substitutes output', () => {
+    const ranked = taskResult(substituted, 'rank_by_risk').result;
+    return ranked.ranked.length === 2 && ranked.recommended.risk === 'low';
+  });
+
+  await runTest('rank_results orders by query overlap', () => {
+    const ranked = Executor.rankResults(
+      [{ name: 'plain cake' }, { name: 'fudgy brownie recipe' }],
+      'fudgy brownie'
+    );
+    return ranked[0].name === 'fudgy brownie recipe' && ranked[0].score === 2;
+  });
+
+  const shopping = await activate({ taskInput: 'shopping list for eggs, flour and milk', statePath: stateDir });
+  await runTest('extract_ingredients feeds generate_list', () =>
+    taskResult(shopping, 'generate_list').result.list.join() === 'eggs,flour,milk'
+  );
+
+  const working = new WorkingMemory();
+  working.set('dataToStore', { type: 'recipe', name: 'Pancakes', ingredients: ['flour', 'milk'] });
+  const addTriage = {
+    priorities: [
+      { action: 'store_recipe', type: 'storage', dependencies: [] },
+      { action: 'index_recipe', type: 'indexing', dependencies: ['store_recipe'] }
+    ]
+  };
+  const added = await quiet(() => Executor.run(addTriage, {
+    cutoffTime: 5000,
+    tasks: addTriage.priorities.map(t => ({ task: t.action, maxTime: 1000, maxIterations: 1 }))
+  }, {}, { mode: 'HEURISTIC', memory: { working, longTerm: new LongTermMemory() } }));
+  await runTest('index_recipe indexes what store_recipe stored', () => {
+    const indexed = added.results.find(r => r.task === 'index_recipe').result;
+    return indexed.indexed === true && indexed.id === added.results[0].result.id;
+  });
+  console.log();
+
+  console.log('TEST 3: Domain handlers');
+  console.log('═'.repeat(60));
+
+  const kernel = new ALIVEKernel();
+  kernel.domainLoader.domains.set('baking', {
+    config: { specialty: 'baking' },
+    agent: {
+      registerHandlers(handlers, options) {
+        handlers.forAction('rank_by_risk', async () => ({ ranked: [], recommended: 'domain' }), options);
+      }
+    }
+  });
+  kernel.registerDomainHandlers();
+
+  await runTest('Domain handler registered with its source', () =>
+    kernel.getStatus().handlers.some(h => h.name === 'rank_by_risk' && h.source === 'baking')
+  );
+  const viaDomain = await quiet(() => kernel.process('substitute for butter'));
+  await runTest('Domain handler overrides the core type handler', () => {
+    const result = viaDomain.result.results.find(r => r.task === 'rank_by_risk');
+    return result.result.recommended === 'domain' && result.handler === 'action:rank_by_risk';
+  });
+  console.log();
+
+  console.log('TEST 4: Unknown-handler diagnostic');
+  console.log('═'.repeat(60));
+
+  const mystery = { priorities: [{ action: 'divine_intent', type: 'mystery', dependencies: [] }] };
+  const diagnosed = await quiet(() => Executor.run(mystery, {
+    cutoffTime: 5000,
+    tasks: [{ task: 'divine_intent', maxTime: 1000, maxIterations: 1 }]
+  }, {}, { mode: 'HEURISTIC', memory: {} }));
+
+  await runTest('Task still runs through the general handler', () =>
+    diagnosed.completedTasks.includes('divine_intent') && diagnosed.results[0].handler === null
+  );
+  await runTest('Diagnostic names the task and type', () =>
+    diagnosed.diagnostics.length === 1 &&
+    diagnosed.diagnostics[0].code === 'unknown_handler' &&
+    diagnosed.diagnostics[0].type === 'mystery'
+  );
+  await runTest('Known handlers produce no diagnostics', () => JSON.parse(converted.response).diagnostics.length === 0);
+
+  // Preload that makes the triager emit a task nothing handles
+  const preload = path.join(stateDir, 'unknown-task.js');
+  fs.writeFileSync(preload, `
+const Triager = require(${JSON.stringify(path.join(__dirname, '..', 'core', 'triage'))});
+Triager.prototype.extractTasks = () => [{ action: 'divine_intent', type: 'mystery' }];
+`);
+  const r = spawnSync(process.execPath, ['-r', preload, cliPath, 'run', 'hello', '--state', stateDir], { encoding: 'utf8' });
+  const json = JSON.parse(r.stdout);
+  await runTest('CLI surfaces diagnostics in the contract output', () =>
+    r.status === 0 && json.diagnostics && json.diagnostics[0].task === 'divine_intent'
+  );
+
+  const plain = JSON.parse(spawnSync(process.execPath, [cliPath, 'run', 'hello', '--state', stateDir], { encoding: 'utf8' }).stdout);
+  await runTest('No diagnostics key when every task has a handler', () => !('diagnostics' in plain));
+  console.log();
+
+  fs.rmSync(stateDir, { recursive: true, force: true });
+
+  summary();
+})();
@@ -0,0 +1,193 @@
+// tests/test-inbox-triage.js
+// Test inbox mode: several requests triaged together, shared retrievals merged
+
+const Triager = require('../core/triage');
+const TaskTemplates = require('../core/task-templates');
+const { TemplateError } = TaskTemplates;
+const ALIVEKernel = require('../core/kernel');
+const { activateInbox } = ALIVEKernel;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Inbox Triage\n');
+
+const assessment = (inputType, extra = {}) => ({
+  inputType, urgency: 'LATER', stakes: 'medium', difficulty: 'moderate', domain: 'cooking', ...extra
+});
+const actions = (tasks) => tasks.map(t => t.action).join();
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-inbox-'));
+
+(async () => {
+  console.log('TEST 1: Global top tasks across requests');
+  console.log('═'.repeat(60));
+
+  const triager = new Triager();
+  const inbox = await triager.prioritizeInbox([
+    { id: 'compare', input: 'compare brownie recipes', assessment: assessment('recipe_compare') },
+    { id: 'urgent', input: 'substitute for eggs now', assessment: assessment('substitute', { urgency: 'NOW', stakes: 'high' }) },
+    { id: 'convert', input: 'convert 2 cups to ml', assessment: assessment('conversion', { urgency: 'SOON' }) }
+  ], { mode: 'HEURISTIC', limit: 5 });
+  const byId = Object.fromEntries(inbox.requests.map(r => [r.id, r]));
+
+  await runTest('Urgency and stakes decide across requests', () =>
+    inbox.priorities[0].requests.join() === 'urgent' &&
+    actions(byId.urgent.priorities) === 'find_substitutes,identify_function,rank_by_risk'
+  );
+  await runTest('Selection stays within the slot limit', () => inbox.limit === 5 && inbox.priorities.length <= 5);
+  await runTest('Selected tasks come with their dependencies', () =>
+    inbox.requests.every(r => r.priorities.every(t =>
+      t.dependencies.every(dep => r.priorities.some(p => p.action === dep))
+    ))
+  );
+  await runTest('Lower priority requests get what is left', () =>
+    actions(byId.convert.priorities) === 'lookup_table,parse_conversion' && byId.compare.priorities.length === 0
+  );
+  await runTest('Deferred tasks reported per request', () =>
+    actions(byId.compare.deferred).split(',').length === 5 && actions(byId.convert.deferred) === 'calculate' &&
+    byId.urgent.deferred.length === 0
+  );
+  await runTest('Per-request triage keeps the single-request shape', () =>
+    inbox.requests.every(r => Array.isArray(r.discarded) && Array.isArray(r.dependencies) && r.template.source === 'core')
+  );
+  console.log();
+
+  console.log('TEST 2: Shared retrieval steps');
+  console.log('═'.repeat(60));
+
+  const merged = await triager.prioritizeInbox([
+    { id: 'a', input: 'compare brownie recipes', assessment: assessment('recipe_compare') },
+    { id: 'b', input: 'compare cookie recipes', assessment: assessment('recipe_compare') }
+  ], { mode: 'HEURISTIC', limit: 3 });
+
+  await runTest('Template-shared retrieval takes one slot for both requests', () =>
+    merged.merged.length === 1 && merged.merged[0].action === 'gather_recipes' && merged.merged[0].requests.join() === 'a,b'
+  );
+  await runTest('Freed slot goes to more work', () =>
+    merged.requests.reduce((n, r) => n + r.priorities.length, 0) === 4
+  );
+
+  const searches = await triager.prioritizeInbox([
+    { id: 'a', input: 'search pasta', assessment: assessment('recipe_search') },
+    { id: 'b', input: 'search soup', assessment: assessment('recipe_search') },
+    { id: 'c', input: 'Search  pasta', assessment: assessment('recipe_search') }
+  ], { mode: 'HEURISTIC' });
+
+  await runTest('Input-specific retrievals merge only for the same input', () =>
+    searches.merged.length === 1 && searches.merged[0].action === 'search_local' && searches.merged[0].requests.join() === 'a,c'
+  );
+  await runTest('Template "shared" must be a boolean', () => {
+    try {
+      new TaskTemplates().register({ inputType: 'x', tasks: [{ action: 'a', type: 'retrieval', shared: 'yes' }] });
+      return false;
+    } catch (error) {
+      return error instanceof TemplateError && /shared of "a"/.test(error.message);
+    }
+  });
+  console.log();
+
+  console.log('TEST 3: Kernel inbox run');
+  console.log('═'.repeat(60));
+
+  const kernel = new ALIVEKernel();
+  const run = await quiet(() => kernel.processInbox([
+    'compare brownie recipes',
+    { id: 'cookies', input: 'compare cookie recipes' },
+    'convert 2 cups to ml'
+  ], {}, { limit: 4 }));
+  const runById = Object.fromEntries(run.requests.map(r => [r.id, r]));
+
+  await runTest('Requests get ids and run their selected tasks', () =>
+    run.success && runById.req_1.status === 'completed' && runById.req_1.result.completedTasks.includes('gather_recipes')
+  );
+  await runTest('Shared retrieval runs once and is reused', () => {
+    const reused = runById.cookies.result.results.find(r => r.task === 'gather_recipes');
+    return reused.reused === 'req_1' && reused.handler === 'reused:req_1' && !runById.req_1.result.results[0].reused;
+  });
+  await runTest('Different conversions each look up their own table', async () => {
+    const conversions = await quiet(() => new ALIVEKernel().processInbox(
+      ['convert 350 F to C', 'convert 2 cups flour to grams'], {}, { limit: 6 }
+    ));
+    const table = (input) => conversions.requests.find(q => q.input === input).result.results
+      .find(x => x.task === 'lookup_table');
+    const oven = table('convert 350 F to C');
+    const flour = table('convert 2 cups flour to grams');
+    return conversions.inbox.merged.length === 0 && !oven.reused && !flour.reused &&
+      oven.result['gas mark 4'] === '180 C / 355 F' && flour.result['1 cup flour'] === '125 g';
+  });
+  await runTest('Deferred tasks are queued per request', () =>
+    run.requests.every(r => r.deferred.length === r.triage.deferred.length) &&
+    kernel.deferred.list().some(e => e.input === 'compare cookie recipes')
+  );
+  await runTest('Requests with no selected task wait in the queue', async () => {
+    const crowded = await quiet(() => new ALIVEKernel().processInbox(
+      ['substitute for eggs now', 'compare brownie recipes'], {}, { limit: 3 }
+    ));
+    const waiting = crowded.requests.find(r => r.input === 'compare brownie recipes');
+    return crowded.success && waiting.status === 'deferred' && waiting.result === null && waiting.deferred.length === 5;
+  });
+  await runTest('Cancelled inbox reports cancellation', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const cancelled = await quiet(() => new ALIVEKernel().processInbox(['hello'], {}, { signal: controller.signal }));
+    return cancelled.success === false && cancelled.cancelled === true;
+  });
+  await runTest('Inbox errors are reported on stderr', async () => {
+    const kernel = new ALIVEKernel();
+    kernel.triager.prioritizeInbox = async () => { throw new Error('triage broke'); };
+    const stderr = [];
+    const failed = await quiet(() => kernel.processInbox(['hello']), stderr);
+    return failed.success === false && failed.error === 'triage broke' && /Inbox error: triage broke\n/.test(stderr.join(''));
+  });
+  console.log();
+
+  console.log('TEST 4: activateInbox() and alive inbox');
+  console.log('═'.repeat(60));
+
+  const invalid = await activateInbox({ inputs: ['ok', ''] });
+  await runTest('Empty requests rejected', () => invalid.ok === false && /non-empty/.test(invalid.errors[0]));
+
+  const cwd = process.cwd();
+  let activated;
+  process.chdir(root);
+  try {
+    activated = await activateInbox({ inputs: ['compare brownie recipes', 'compare cookie recipes'], statePath: path.join(root, 'api') });
+  } finally {
+    process.chdir(cwd);
+  }
+  await runTest('activateInbox reports each request and the merge', () =>
+    activated.ok && activated.requests.length === 2 && activated.requests[1].reused.join() === 'gather_recipes' &&
+    activated.merged[0].action === 'gather_recipes' && activated.meta.limit === 6
+  );
+
+  const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+  const batch = path.join(root, 'batch.txt');
+  fs.writeFileSync(batch, '# pending\ncompare brownie recipes\n\nconvert 2 cups to ml\n');
+  const r = spawnSync(process.execPath, [cliPath, 'inbox', batch, '--state', path.join(root, 'cli'), '--limit', '3'],
+    { cwd: root, encoding: 'utf8' });
+  const json = JSON.parse(r.stdout);
+  await runTest('alive inbox reads one request per line', () =>
+    r.status === 0 && json.ok && json.count === 2 && json.requests.every(q => q.status === 'completed')
+  );
+  await runTest('alive inbox honours --limit', () =>
+    json.priorities.length === 3 && json.requests[0].deferred.length > 0
+  );
+
+  const jsonBatch = path.join(root, 'batch.json');
+  fs.writeFileSync(jsonBatch, JSON.stringify([{ id: 'one', input: 'search pasta' }]));
+  const j = spawnSync(process.execPath, [cliPath, 'inbox', jsonBatch, '--state', path.join(root, 'cli')],
+    { cwd: root, encoding: 'utf8' });
+  await runTest('alive inbox reads a JSON array', () => j.status === 0 && JSON.parse(j.stdout).requests[0].id === 'one');
+
+  const missing = spawnSync(process.execPath, [cliPath, 'inbox', path.join(root, 'nope.txt'), '--state', path.join(root, 'cli')],
+    { cwd: root, encoding: 'utf8' });
+  await runTest('Missing batch file is a boot failure', () => missing.status === 2 && JSON.parse(missing.stdout).ok === false);
+  console.log();
+
+  fs.rmSync(root, { recursive: true, force: true });
+
+  summary();
+})();
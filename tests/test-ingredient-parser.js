@@ -0,0 +1,136 @@
+// tests/test-ingredient-parser.js
+// Test ingredient lines: quantities, fractions, ranges, units, notes, and the handlers using them
+
+const IngredientParser = require('../core/ingredients');
+const Executor = require('../core/executor');
+const ALIVEKernel = require('../core/kernel');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Ingredient Parser\n');
+
+const parser = new IngredientParser();
+
+/**
+ * "quantity|maxQuantity|unit|ingredient|notes" for a line
+ */
+const parsed = (line) => {
+  const item = parser.parse(line);
+  return [item.quantity, item.maxQuantity, item.unit, item.ingredient, item.notes.join(';')].join('|');
+};
+
+(async () => {
+  console.log('TEST 1: Quantities');
+  console.log('═'.repeat(60));
+
+  await runTest('Whole, decimal and comma decimal', () =>
+    parsed('2 eggs') === '2|||eggs|' &&
+    parser.parse('0.5 l milk').quantity === 0.5 &&
+    parser.parse('1,5 kg potatoes').quantity === 1.5
+  );
+  await runTest('Fractions and mixed numbers', () =>
+    parser.parse('3/4 cup sugar').quantity === 0.75 &&
+    parser.parse('1 1/2 cups flour').quantity === 1.5 &&
+    parser.parse('1-1/2 cups flour').quantity === 1.5 &&
+    parser.parse('2 and 1/4 cups flour').quantity === 2.25
+  );
+  await runTest('Unicode fractions, alone or after a whole number', () =>
+    parsed('½ tsp salt') === '0.5||tsp|salt|' &&
+    parsed('1½ cups milk') === '1.5||cup|milk|' &&
+    parser.parse('2 ¾ cups flour').quantity === 2.75 &&
+    parser.parse('1⁄3 cup oil').quantity === 0.333
+  );
+  await runTest('Ranges keep both ends', () =>
+    parsed('2-3 large eggs') === '2|3||eggs|large' &&
+    parsed('2 to 3 cloves garlic, minced') === '2|3|clove|garlic|minced' &&
+    parser.parse('1–2 tbsp honey').maxQuantity === 2
+  );
+  await runTest('Number words', () =>
+    parsed('a pinch of salt') === '1||pinch|salt|' &&
+    parsed('a dozen eggs') === '12|||eggs|' &&
+    parsed('half a cup of cream') === '0.5||cup|cream|' &&
+    parsed('one and a half cups water') === '1.5||cup|water|' &&
+    parsed('an egg') === '1|||egg|'
+  );
+  await runTest('Vague amounts become notes', () => parsed('a few sprigs thyme') === '||sprig|thyme|a few');
+  await runTest('No quantity', () => parsed('salt and pepper to taste') === '|||salt and pepper|to taste');
+  console.log();
+
+  console.log('TEST 2: Units and notes');
+  console.log('═'.repeat(60));
+
+  await runTest('Abbreviations, periods and glued units', () =>
+    parsed('3 Tbsp. cocoa powder') === '3||tbsp|cocoa powder|' &&
+    parsed('200g butter') === '200||g|butter|' &&
+    parsed('2 fl oz rum') === '2||fl oz|rum|' &&
+    parsed('1 qt stock') === '1||qt|stock|'
+  );
+  await runTest('T is a tablespoon, t a teaspoon', () =>
+    parser.parse('1 T sugar').unit === 'tbsp' && parser.parse('1 t vanilla').unit === 'tsp'
+  );
+  await runTest('Single letters need a quantity to be a unit', () =>
+    parsed('c sugar') === '|||c sugar|' && parser.parse('2 c sugar').unit === 'cup'
+  );
+  await runTest('Counts are units too', () =>
+    parsed('1 (14 oz) can diced tomatoes') === '1||can|tomatoes|diced;14 oz' &&
+    parser.parse('2 sticks butter').unit === 'stick'
+  );
+  await runTest('Comma, parentheses and preparation words become notes', () =>
+    parsed('1 1/2 cups flour, sifted') === '1.5||cup|flour|sifted' &&
+    parsed('200g butter (softened), cubed') === '200||g|butter|softened;cubed' &&
+    parsed('1 cup finely chopped walnuts') === '1||cup|walnuts|finely chopped'
+  );
+  await runTest('Bullets, blank lines and bare amounts', () => {
+    const items = parser.parseAll('- 2 cups flour\n\n* 1 tsp salt\n• 3 eggs\n2 tbsp');
+    return items.map(i => i.ingredient).join() === 'flour,salt,eggs' && parser.parse('  ') === null;
+  });
+  await runTest('Records format back to text', () =>
+    IngredientParser.format(parser.parse('2-3 large eggs')) === '2-3 eggs (large)' &&
+    IngredientParser.format(parser.parse('½ tsp salt')) === '0.5 tsp salt'
+  );
+  console.log();
+
+  console.log('TEST 3: Handlers');
+  console.log('═'.repeat(60));
+
+  await runTest('Conversions accept fractions and name the ingredient', () => {
+    const c = Executor.parseConversion('convert 1 1/2 cups flour to tbsp');
+    return c.value === 1.5 && c.fromUnit === 'cup' && c.factor === 16 && c.ingredient === 'flour' &&
+      Executor.parseConversion('½ cup to ml').value === 0.5 &&
+      Executor.parseConversion('convert 2 Tbsp. to tsp').fromUnit === 'tbsp';
+  });
+  await runTest('Conversion tables list every unit of the type', () => {
+    const volume = Executor.lookupConversion('volume');
+    return volume['1 cup'] === '240 ml' && volume['1 l'] === '1000 ml' &&
+      Executor.lookupConversion('weight')['1 lb'] === '453.59 g';
+  });
+  await runTest('Comparisons match ingredients by name', () => {
+    const recipes = [
+      { name: 'Fudgy', ingredients: ['1 cup flour', '1/2 cup butter, melted', '3/4 cup cocoa'] },
+      { name: 'Cakey', ingredients: ['flour', 'butter', 'milk'] }
+    ];
+    const core = Executor.extractCore(recipes);
+    const variations = Executor.identifyVariations(core, recipes);
+    return core.ingredients.join() === 'flour,butter' &&
+      variations.map(v => `${v.recipe}:${v.uniqueIngredients.join()}`).join() === 'Fudgy:cocoa,Cakey:milk';
+  });
+
+  const kernel = new ALIVEKernel();
+  const shopping = await quiet(() => kernel.process('shopping list for 2 cups flour, 3 eggs, 1½ cups flour and a pinch of salt'));
+  const output = (task) => shopping.result.results.find(r => r.task === task).result;
+  await runTest('Shopping lists extract parsed lines', () => {
+    const extracted = output('extract_ingredients');
+    return extracted.ingredients.join() === 'flour,eggs,flour,salt' && extracted.items[2].quantity === 1.5;
+  });
+  await runTest('Shopping lists add up amounts per ingredient', () => {
+    const list = output('generate_list');
+    const flour = list.items.find(i => i.ingredient === 'flour');
+    return list.list.join() === 'flour,eggs,salt' && flour.quantity === 3.5 && flour.unit === 'cup';
+  });
+  await runTest('Conversion runs use the parsed amount', async () => {
+    const r = await quiet(() => kernel.process('convert 1 1/2 cups to ml'));
+    return r.result.results.find(x => x.task === 'calculate').result.result === 360;
+  });
+  console.log();
+
+  summary();
+})();
@@ -0,0 +1,99 @@
+// tests/test-memory-persistence.js
+// Test that memory tiers survive across kernel instances (one per `alive run`)
+
+const ALIVEKernel = require('../core/kernel');
+const MemoryPersistence = require('../memory/persistence');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Memory Tier Persistence\n');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-memory-'));
+
+/**
+ * Simulate one `alive run`: fresh kernel, load, process, save
+ */
+async function simulateRun(input, botId = 'test-bot') {
+  const kernel = new ALIVEKernel({ statePath: stateDir, botId });
+  kernel.loadMemory();
+  const result = await kernel.process(input);
+  kernel.saveMemory();
+  return { kernel, result };
+}
+
+(async () => {
+  // Keep kernel console chatter out of test output
+  const originalLog = console.log;
+  const quiet = async (fn) => {
+    console.log = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.log = originalLog;
+    }
+  };
+
+  console.log('TEST 1: Tiers are written to the state directory');
+  console.log('═'.repeat(60));
+
+  await quiet(() => simulateRun('substitute for butter'));
+  const filePath = path.join(stateDir, 'memory', 'test-bot.json');
+
+  await runTest('Memory file exists under <state>/memory/<botId>.json', () => fs.existsSync(filePath));
+  await runTest('No temp files left behind', () =>
+    fs.readdirSync(path.join(stateDir, 'memory')).every(f => !f.includes('.tmp.'))
+  );
+  console.log();
+
+  console.log('TEST 2: A fresh kernel restores all three tiers');
+  console.log('═'.repeat(60));
+
+  const restored = new ALIVEKernel({ statePath: stateDir, botId: 'test-bot' });
+  const loaded = restored.loadMemory();
+
+  await runTest('loadMemory() reports success', () => loaded === true);
+  await runTest('Stream memory restored', () => restored.streamMemory.size() === 1);
+  await runTest('Working memory restored', () => restored.workingMemory.get('input') === 'substitute for butter');
+  await runTest('Long-term memory restored', () => restored.longTermMemory.size() === 1);
+  console.log();
+
+  console.log('TEST 3: Pattern is promoted on the 3rd run');
+  console.log('═'.repeat(60));
+
+  await quiet(() => simulateRun('substitute for butter'));
+  const afterTwo = new ALIVEKernel({ statePath: stateDir, botId: 'test-bot' });
+  afterTwo.loadMemory();
+  const candidate = afterTwo.longTermMemory.getPatterns()[0];
+
+  await runTest('Not promoted after 2 runs', () => candidate && candidate.promoted === false && candidate.useCount === 2);
+
+  const { kernel: third } = await quiet(() => simulateRun('substitute for butter'));
+  const promoted = third.longTermMemory.getPatterns()[0];
+
+  await runTest('Promoted after 3 runs', () => promoted && promoted.promoted === true && promoted.useCount === 3);
+  console.log();
+
+  console.log('TEST 4: Bots are isolated and corrupt files are ignored');
+  console.log('═'.repeat(60));
+
+  const other = new ALIVEKernel({ statePath: stateDir, botId: 'other-bot' });
+  await runTest('Other bot starts empty', () => other.loadMemory() === false && other.longTermMemory.size() === 0);
+
+  const corruptPath = path.join(stateDir, 'memory', 'corrupt-bot.json');
+  fs.writeFileSync(corruptPath, '{ not json', 'utf8');
+  const corrupt = new MemoryPersistence(stateDir, 'corrupt-bot');
+  await runTest('Corrupt file loads as empty', () => corrupt.load({
+    stream: other.streamMemory,
+    working: other.workingMemory,
+    longTerm: other.longTermMemory
+  }) === false);
+
+  await runTest('Kernel without statePath does not persist', () => new ALIVEKernel().saveMemory() === null);
+  console.log();
+
+  fs.rmSync(stateDir, { recursive: true, force: true });
+
+  summary();
+})();
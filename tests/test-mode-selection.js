@@ -0,0 +1,188 @@
+// tests/test-mode-selection.js
+// Test per-run PRECISION/HEURISTIC selection and escalation after failed validation
+
+const ModeSelector = require('../core/mode');
+const ALIVEKernel = require('../core/kernel');
+const { activate } = ALIVEKernel;
+const Executor = require('../core/executor');
+const DecisionTrace = require('../core/trace');
+const { MetaLoop } = require('../meta/MetaLoop');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Mode Selection\n');
+
+const assessment = (extra = {}) => ({ urgency: 'LATER', stakes: 'medium', difficulty: 'moderate', precision: 'flexible', ...extra });
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-mode-'));
+
+(async () => {
+  console.log('TEST 1: Mode from stakes, precision and specialty');
+  console.log('═'.repeat(60));
+
+  const selector = new ModeSelector();
+
+  await runTest('Flexible, medium-stakes input stays HEURISTIC', () => {
+    const s = selector.select(assessment());
+    return s.mode === 'HEURISTIC' && s.reasons.join() === 'default';
+  });
+  await runTest('High stakes select PRECISION', () => selector.select(assessment({ stakes: 'high' })).mode === 'PRECISION');
+  await runTest('Strict precision selects PRECISION', () =>
+    selector.select(assessment({ precision: 'strict' })).reasons.join() === 'strict_precision'
+  );
+  await runTest('Precise specialties select PRECISION', () => {
+    const s = selector.select(assessment(), { specialty: 'Baking' });
+    return s.mode === 'PRECISION' && s.reasons.join() === 'specialty:baking';
+  });
+  await runTest('Other specialties do not', () => selector.select(assessment(), { specialty: 'grilling' }).mode === 'HEURISTIC');
+  await runTest('Routed domain can require PRECISION', () =>
+    selector.select(assessment(), { domainConfig: { name: 'hardware', mode: 'PRECISION' } }).reasons.join() === 'domain:hardware'
+  );
+  await runTest('Every reason is reported', () =>
+    selector.select(assessment({ stakes: 'high', precision: 'strict' }), { specialty: 'pastry' }).reasons.length === 3
+  );
+  await runTest('Specialty table can be extended', () =>
+    new ModeSelector({ specialtyModes: { grilling: 'PRECISION' } }).select(assessment(), { specialty: 'grilling' }).mode === 'PRECISION'
+  );
+  console.log();
+
+  console.log('TEST 2: Kernel picks the mode per run');
+  console.log('═'.repeat(60));
+
+  const kernel = new ALIVEKernel();
+  const strict = await quiet(() => kernel.process('convert exactly 2 cups to ml'));
+  const loose = await quiet(() => kernel.process('search for pasta recipes'));
+
+  await runTest('Exact conversion runs in PRECISION', () => strict.mode === 'PRECISION' && strict.modeSelection.pinned === false);
+  await runTest('Plain conversions come back rounded', async () => {
+    const flour = await quiet(() => kernel.process('convert 1 cup flour to grams'));
+    const oven = await quiet(() => kernel.process('convert 350 F to C'));
+    const calculated = (run) => run.result.results.find(r => r.task === 'calculate').result;
+    return flour.mode === 'HEURISTIC' && oven.mode === 'HEURISTIC' &&
+      calculated(flour).result === 125 && calculated(flour).rounded &&
+      calculated(oven).result === 175 && calculated(oven).rounded;
+  });
+  await runTest('Next run is chosen afresh', () => loose.mode === 'HEURISTIC' && kernel.mode === 'HEURISTIC');
+  await runTest('Specialty from the run context is used', async () => {
+    const baked = await quiet(() => kernel.process('search for pasta recipes', { specialty: 'baking' }));
+    return baked.mode === 'PRECISION' && baked.modeSelection.reasons.includes('specialty:baking');
+  });
+
+  const pinned = new ALIVEKernel({ mode: 'HEURISTIC' });
+  await runTest('Constructor mode pins every run', async () => {
+    const r = await quiet(() => pinned.process('convert 2 cups to ml'));
+    return r.mode === 'HEURISTIC' && r.modeSelection.pinned && r.modeSelection.reasons.join() === 'pinned';
+  });
+  await runTest('setMode pins, AUTO unpins', async () => {
+    await quiet(() => pinned.setMode('PRECISION'));
+    const a = await quiet(() => pinned.process('search for pasta recipes'));
+    await quiet(() => pinned.setMode('AUTO'));
+    const b = await quiet(() => pinned.process('search for pasta recipes'));
+    return a.mode === 'PRECISION' && b.mode === 'HEURISTIC' && pinned.pinnedMode === null;
+  });
+  await runTest('Invalid modes still rejected', () => {
+    try {
+      pinned.setMode('FAST');
+      return false;
+    } catch (error) {
+      return /Invalid mode/.test(error.message);
+    }
+  });
+  console.log();
+
+  console.log('TEST 3: Escalation after failed heuristic validation');
+  console.log('═'.repeat(60));
+
+  const escalating = new ALIVEKernel();
+  const trace = new DecisionTrace('task_escalate', 'add recipe for pancakes');
+  const escalated = await quiet(() => escalating.process('add recipe for pancakes', {}, { trace }));
+
+  await runTest('Heuristic validation rejects an input with no recipe in it', () =>
+    escalated.escalation && escalated.escalation.task === 'validate_recipe' && escalated.escalation.reason === 'unrecognised_data'
+  );
+  await runTest('Run retried and finished in PRECISION', () =>
+    escalated.success && escalated.mode === 'PRECISION' && escalated.modeSelection.mode === 'HEURISTIC' &&
+    escalated.result.results.find(r => r.task === 'validate_recipe').result.mode === undefined
+  );
+  await runTest('Nothing invalid is stored', () =>
+    escalated.result.results.find(r => r.task === 'store_recipe').result.reason === 'invalid' &&
+    escalating.longTermMemory.getRecipes().length === 0
+  );
+  await runTest('Escalation recorded in the trace', () => {
+    const json = trace.toJSON();
+    return json.escalation.from === 'HEURISTIC' && json.escalation.to === 'PRECISION' && json.mode === 'PRECISION';
+  });
+  await runTest('Escalates at most once', () => escalated.escalation.from === 'HEURISTIC' && escalating.mode === 'PRECISION');
+
+  const valid = new ALIVEKernel();
+  const noEscalation = await quiet(() => valid.process('save this recipe: Brownies - 2 cups sugar, 1 cup flour'));
+  await runTest('A recipe in the input validates and is stored', () => {
+    const [stored] = valid.longTermMemory.getRecipes();
+    return noEscalation.escalation === null && noEscalation.mode === 'HEURISTIC' &&
+      stored.name === 'Brownies' && stored.ingredients.join() === '2 cups sugar,1 cup flour';
+  });
+
+  // A step outside validation (added by a hook) must not run twice on the retry
+  const retried = new ALIVEKernel();
+  let logged = 0;
+  let validations = 0;
+  retried.hooks.register('triage', 'after', (triage) => ({
+    ...triage,
+    priorities: [...triage.priorities, { action: 'log_request', type: 'storage', dependencies: [] }]
+  }));
+  retried.handlers.forAction('log_request', async () => ({ logged: ++logged }), { source: 'test' });
+  retried.handlers.forAction('validate_recipe', async (task, ctx) => {
+    if (++validations === 1) throw new Error('validator offline');
+    return Executor.handleValidation(task, ctx);
+  }, { source: 'test' });
+  const retry = await quiet(() => retried.process('add recipe: Pancakes - 1 cup flour, 2 eggs'));
+  await runTest('The retry re-runs validation and its dependents only', () => {
+    const log = retry.result.results.find(r => r.task === 'log_request');
+    return retry.escalation.reason === 'validator offline' && retry.mode === 'PRECISION' &&
+      validations === 2 && logged === 1 && log.reused && log.result.logged === 1 &&
+      retry.result.results.find(r => r.task === 'store_recipe').result.stored &&
+      retried.longTermMemory.getRecipes().length === 1;
+  });
+
+  const failing = new ALIVEKernel();
+  failing.handlers.forAction('validate_recipe', async () => {
+    throw new Error('validator offline');
+  }, { source: 'test' });
+  const thrown = await quiet(() => failing.process('add recipe for pancakes'));
+  await runTest('Validation errors escalate too', () =>
+    thrown.escalation && thrown.escalation.reason === 'validator offline'
+  );
+  console.log();
+
+  console.log('TEST 4: activate() and the runlog');
+  console.log('═'.repeat(60));
+
+  const cwd = process.cwd();
+  let bakingRun;
+  process.chdir(root);
+  try {
+    bakingRun = await quiet(() => activate({ taskInput: 'search for pasta recipes', specialty: 'baking', statePath: path.join(root, 'state') }));
+  } finally {
+    process.chdir(cwd);
+  }
+  await runTest('activate maps specialty to mode', () =>
+    bakingRun.ok && bakingRun.meta.mode === 'PRECISION' && bakingRun.meta.modeSelection.reasons.includes('specialty:baking') &&
+    bakingRun.meta.escalation === null
+  );
+  await runTest('Runlog records mode and escalation', () => {
+    const logged = JSON.parse(fs.readFileSync(path.join(root, 'state', 'runlog.jsonl'), 'utf8').trim().split('\n').pop());
+    return logged.mode === 'PRECISION' && logged.metrics.escalated === false;
+  });
+  await runTest('Unknown modes are not logged', () => {
+    const meta = new MetaLoop({ repoRoot: path.join(root, 'sanitize') });
+    const run = meta._sanitizeRun({ mode: 'TURBO', metrics: { escalated: 1 } });
+    return run.mode === null && run.metrics.escalated === true;
+  });
+  console.log();
+
+  fs.rmSync(root, { recursive: true, force: true });
+
+  summary();
+})();
@@ -0,0 +1,141 @@
+// tests/test-multilingual.js
+// Test Spanish and German input: detection, classification, lexicons, normalization, pattern keys
+
+const Languages = require('../core/language');
+const { foldText } = Languages;
+const Assessor = require('../core/assess');
+const Lexicons = require('../core/lexicon');
+const { MetaLoop } = require('../meta/MetaLoop');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Multilingual Input\n');
+
+const languages = Languages.withDefaults();
+const assessor = new Assessor();
+const memory = { working: { getActiveTask: () => null } };
+const assess = (input) => assessor.evaluate({ input, context: {} }, memory);
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-lang-'));
+const meta = new MetaLoop({ repoRoot: root });
+const run = (query, taskType = 'conversion') => ({
+  domain: 'cooking', taskType,
+  assessment: { urgency: 'LATER', stakes: 'medium', difficulty: 'moderate', precision: 'strict' },
+  inputs: { querySummary: query }
+});
+
+(async () => {
+  console.log('TEST 1: Language detection');
+  console.log('═'.repeat(60));
+
+  await runTest('Core packs loaded', () => languages.languages().sort().join() === 'de,en,es');
+  await runTest('Spanish detected', () => languages.detect('¿Cómo convierto 2 tazas de harina?').language === 'es');
+  await runTest('German detected', () => languages.detect('Wie viele Tassen Mehl brauche ich?').language === 'de');
+  await runTest('English stays English', () => languages.detect('how do I convert cups to ml').language === 'en');
+  await runTest('No evidence defaults to English', () => {
+    const d = languages.detect('brownies 200g');
+    return d.language === 'en' && Object.values(d.scores).every(s => s === 0);
+  });
+  console.log();
+
+  console.log('TEST 2: Unicode normalization');
+  console.log('═'.repeat(60));
+
+  await runTest('Accents folded, not stripped', () => foldText('Jalapeño CRÈME brûlée') === 'jalapeno creme brulee');
+  await runTest('German spellings treated as equal', () =>
+    languages.fold('Käse süß', 'de') === languages.fold('Kaese suess', 'de')
+  );
+  await runTest('MetaLoop keeps accented words whole', () =>
+    meta._normalizeText('¿Jalapeño o chile?') === 'jalapeno o chile'
+  );
+  await runTest('English normalization unchanged', () =>
+    meta._normalizeText('Compare: Brownie-Recipes, my_list!') === 'compare brownie recipes my_list'
+  );
+  await runTest('Entities skip the language\'s stopwords', () =>
+    meta._extractEntitiesFromText('¿Cómo puedo sustituir los huevos para esta receta?').join() === 'sustituir,huevos,receta'
+  );
+  await runTest('German entities', () =>
+    meta._extractEntitiesFromText('Wie kann ich die Eier in diesem Rezept ersetzen?').join() === 'ersetzen,diesem,rezept'
+  );
+  console.log();
+
+  console.log('TEST 3: Classification and assessment');
+  console.log('═'.repeat(60));
+
+  const cases = [
+    ['convierte 2 tazas a ml', 'conversion'],
+    ['compara dos recetas de brownies', 'recipe_compare'],
+    ['añadir receta de tortilla', 'recipe_add'],
+    ['¿con qué puedo sustituir la mantequilla?', 'substitute'],
+    ['Rezept für Käsekuchen suchen', 'recipe_search'],
+    ['Wie kann ich Eier ersetzen?', 'substitute'],
+    ['Einkaufsliste für das Wochenende', 'shopping'],
+    ['Tassen in Milliliter umrechnen', 'conversion']
+  ];
+  for (const [input, expected] of cases) {
+    await runTest(`"${input}" → ${expected}`, async () => (await assess(input)).inputType === expected);
+  }
+  await runTest('English keywords still apply to mixed input', async () =>
+    (await assess('convert 2 tazas de harina')).inputType === 'conversion'
+  );
+  await runTest('Other languages\' keywords do not leak into English', async () =>
+    (await assess('cookies such as these')).inputType === 'general'
+  );
+  await runTest('Assessment reports the language', async () => (await assess('necesito ayuda')).language === 'es');
+
+  await runTest('Spanish urgency and negation', async () => {
+    const now = await assess('¡Es urgente, se está quemando!');
+    const later = await assess('No es urgente, por curiosidad');
+    return now.urgency === 'NOW' && later.urgency === 'LATER' && later.stakes === 'low' &&
+      later.lexicon.negated[0].negatedBy === 'no';
+  });
+  await runTest('German urgency, stakes and negation', async () => {
+    const a = await assess('Ist das sicher für eine Allergie? Nicht dringend');
+    return a.urgency === 'LATER' && a.stakes === 'high' && /"nicht dringend"/.test(a.reasoning);
+  });
+  await runTest('German time-sensitive cooking terms', async () => (await assess('Die Milch kocht über')).urgency === 'NOW');
+  await runTest('Language lexicons stay in their language', () => {
+    const lexicons = Lexicons.withDefaults();
+    return lexicons.match('sofort', 'cooking', 'de').scores.urgency.NOW === 1 &&
+      lexicons.match('sofort', 'cooking', 'es').scores.urgency.NOW === 0;
+  });
+  console.log();
+
+  console.log('TEST 4: Pattern keys');
+  console.log('═'.repeat(60));
+
+  await runTest('Equivalent Spanish queries share a key', () =>
+    meta._patternKey(run('¿Cómo convierto tazas a ml?')) === meta._patternKey(run('como convierto TAZAS a ml'))
+  );
+  await runTest('Equivalent German queries share a key', () =>
+    meta._patternKey(run('Tassen in Milliliter umrechnen für Käsekuchen')) ===
+      meta._patternKey(run('tassen in milliliter umrechnen fuer kaesekuchen'))
+  );
+  await runTest('Each language keeps its own key', () => {
+    const keys = [run('convert cups to ml'), run('convierte tazas a ml'), run('Tassen in ml umrechnen')].map(r => meta._patternKey(r));
+    return new Set(keys).size === 3;
+  });
+  await runTest('English keys unchanged', () => {
+    const r = run('convert cups to ml');
+    const normalized = meta._normalizeIntent(r);
+    const json = JSON.stringify(normalized, Object.keys(normalized).sort());
+    const hash = crypto.createHash('sha256').update(json).digest('hex').slice(0, 16);
+    return normalized.language === undefined && meta._patternKey(r) === `cooking|conversion|${hash}` &&
+      hash === crypto.createHash('sha256').update(JSON.stringify({
+        assessment: {}, domain: 'cooking', intent: {}, taskType: 'conversion'
+      })).digest('hex').slice(0, 16);
+  });
+  await runTest('Logged language is used and sanitized', () => {
+    const logged = meta._sanitizeRun({ ...run('sin huevos'), language: 'es' });
+    return logged.language === 'es' && meta._sanitizeRun({ language: 'xx' }).language === null &&
+      meta._patternKey({ ...run('hello'), language: 'de' }) === meta._patternKey(run('Wie geht das?'));
+  });
+  console.log();
+
+  fs.rmSync(root, { recursive: true, force: true });
+
+  summary();
+})();
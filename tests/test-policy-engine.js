@@ -0,0 +1,228 @@
+// tests/test-policy-engine.js
+// Test versioned step-skipping policies: schema, provenance, explain, dry run, adoption
+
+const { PolicyEngine, PolicyError, SCHEMA } = require('../meta/policy');
+const Executor = require('../core/executor');
+const ALIVEKernel = require('../core/kernel');
+const DecisionTrace = require('../core/trace');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Policy Engine\n');
+
+/**
+ * Problems a policy document is rejected with ([] when valid)
+ */
+function problems(doc) {
+  try {
+    new PolicyEngine(doc);
+    return [];
+  } catch (error) {
+    return error instanceof PolicyError ? error.problems : [`not a PolicyError: ${error.message}`];
+  }
+}
+
+const policyDoc = (extra = {}) => ({
+  schema: SCHEMA,
+  id: 'trim',
+  version: 2,
+  rules: [{
+    id: 'skip-bloat',
+    action: 'skip',
+    when: { steps: ['detect_bloat'], stakes: ['low', 'medium'] },
+    provenance: { source: 'manual', reason: 'bloat detection rarely changes a comparison' }
+  }],
+  ...extra
+});
+
+const legacy = PolicyEngine.fromLegacyConfig({
+  stepValues: {
+    detect_bloat: { priority: 2, valueScore: 0, consecutiveNonChanges: 3, totalUses: 3, reductionReason: '3 consecutive times did not change outcome' },
+    extract_core: { priority: 5, valueScore: 0.9 }
+  }
+});
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-policy-'));
+
+(async () => {
+  console.log('TEST 1: Schema');
+  console.log('═'.repeat(60));
+
+  await runTest('Valid document accepted', () => problems(policyDoc()).length === 0);
+  await runTest('Schema, id and version required', () => {
+    const p = problems({ rules: [] });
+    return p.some(x => /schema/.test(x)) && p.some(x => /id must/.test(x)) && p.some(x => /version must/.test(x));
+  });
+  await runTest('Rules need provenance', () =>
+    problems(policyDoc({ rules: [{ id: 'r', action: 'skip', when: {} }] })).some(x => /"r": provenance/.test(x))
+  );
+  await runTest('Unknown conditions and actions rejected', () => {
+    const p = problems(policyDoc({ rules: [{ id: 'r', action: 'drop', when: { moonPhase: ['full'] }, provenance: { source: 's', reason: 'r' } }] }));
+    return p.some(x => /action must be/.test(x)) && p.some(x => /unknown condition "moonPhase"/.test(x));
+  });
+  await runTest('Duplicate rule ids rejected', () => {
+    const rule = policyDoc().rules[0];
+    return problems(policyDoc({ rules: [rule, rule] })).some(x => /duplicate id/.test(x));
+  });
+  await runTest('Step stats must be numeric', () =>
+    problems(policyDoc({ steps: { a: { priority: 'low', valueScore: 1 } } })).some(x => /step "a": priority/.test(x))
+  );
+  console.log();
+
+  console.log('TEST 2: Legacy meta-config keeps its behaviour');
+  console.log('═'.repeat(60));
+
+  const low = { stakes: 'low' };
+  await runTest('Low-value step skipped at low stakes, with the rule and provenance', () => {
+    const d = legacy.evaluate('detect_bloat', { assessment: low, budgetMs: 5000 });
+    return d.decision === 'skip' && d.rule.id === 'skip-low-value-under-pressure' &&
+      d.rule.provenance.source === 'builtin' && d.because.includes('stakes low in [low]') &&
+      d.stats.provenance.reason === '3 consecutive times did not change outcome';
+  });
+  await runTest('High stakes keep the step', () => {
+    const d = legacy.evaluate('detect_bloat', { assessment: { stakes: 'high' }, budgetMs: 10 });
+    return d.decision === 'run' && d.rule.id === 'high-stakes-never-skip';
+  });
+  await runTest('Medium stakes skip only under budget pressure', () =>
+    legacy.evaluate('detect_bloat', { assessment: { stakes: 'medium' }, budgetMs: 5000 }).decision === 'run' &&
+    legacy.evaluate('detect_bloat', { assessment: { stakes: 'medium' }, budgetMs: 50 }).because.includes('budget 50ms < cost 100ms')
+  );
+  await runTest('Valuable steps and steps without stats run', () =>
+    legacy.evaluate('extract_core', { assessment: low }).decision === 'run' &&
+    legacy.evaluate('gather_recipes', { assessment: low }).because.join() === 'no rule matched'
+  );
+  await runTest('Missing policy files fall back to the builtin rules', () => {
+    const p = PolicyEngine.load(path.join(root, 'none'));
+    return p.summary().id === 'builtin' && p.evaluate('detect_bloat', { assessment: low }).decision === 'run';
+  });
+  await runTest('Legacy file is converted on load', () => {
+    const dir = path.join(root, 'legacy');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'meta-config.json'), JSON.stringify({ stepValues: { detect_bloat: { priority: 1, valueScore: 0 } } }));
+    const p = PolicyEngine.load(dir);
+    return p.summary().id === 'meta-config' && p.evaluate('detect_bloat', { assessment: low }).decision === 'skip';
+  });
+  console.log();
+
+  console.log('TEST 3: Executor consults the policy');
+  console.log('═'.repeat(60));
+
+  const trace = new DecisionTrace('task_policy', 'compare brownie recipes');
+  const kernel = new ALIVEKernel({ policy: new PolicyEngine(policyDoc({ rules: [{
+    ...policyDoc().rules[0], when: { steps: ['extract_core'] }
+  }] })) });
+  const run = await quiet(() => kernel.process('compare brownie recipes', {}, { trace }));
+  const skipped = run.result.results.find(r => r.task === 'extract_core');
+
+  await runTest('Skipped step names the rule and policy version', () =>
+    skipped.skipped && skipped.policy.rule === 'skip-bloat' && skipped.policy.id === 'trim' && skipped.policy.version === 2
+  );
+  await runTest('Trace records the policy decision', () => {
+    const d = trace.toJSON().decisions.find(x => x.task === 'extract_core');
+    return d.decision === 'skipped' && d.policy.rule === 'skip-bloat';
+  });
+  await runTest('shouldSkipBasedOnPolicy still answers yes/no', () =>
+    Executor.shouldSkipBasedOnPolicy('detect_bloat', { maxTime: 5000 }, low, legacy) === true &&
+    Executor.shouldSkipBasedOnPolicy('detect_bloat', { maxTime: 5000 }, { stakes: 'high' }, legacy) === false
+  );
+  await runTest('Unreadable policy skips nothing', () => {
+    const broken = { evaluate() { throw new Error('boom'); }, policy: {} };
+    const d = Executor.policyDecision('detect_bloat', { maxTime: 5000 }, low, { policy: broken });
+    return d.decision === 'run' && /policy unavailable: boom/.test(d.because[0]);
+  });
+  console.log();
+
+  console.log('TEST 4: Explain and dry run');
+  console.log('═'.repeat(60));
+
+  const explainer = new ALIVEKernel();
+  const explained = await quiet(() => explainer.explainPolicy('compare brownie recipes', {
+    policy: new PolicyEngine(policyDoc({ rules: [{ ...policyDoc().rules[0], when: { steps: ['gather_recipes'] } }] }))
+  }));
+  await runTest('Explain lists every planned step with its decision', () =>
+    explained.taskType === 'recipe_compare' && explained.steps.length === 3 &&
+    explained.steps.every(s => Number.isFinite(s.budgetMs)) && explained.skipped.join() === 'gather_recipes'
+  );
+  await runTest('Explain says why', () =>
+    explained.steps[0].because.join() === 'step gather_recipes in [gather_recipes]' &&
+    explained.steps[0].rule.provenance.reason === 'bloat detection rarely changes a comparison'
+  );
+  await runTest('Explain does not run or record anything', () => explainer.streamMemory.size() === 0 && explainer.loopCount === 0);
+
+  const logged = (taskType, stakes, status = 'success') => ({
+    ts: new Date().toISOString(), domain: 'cooking', taskType, mode: 'HEURISTIC',
+    assessment: { urgency: 'LATER', stakes, difficulty: 'moderate', precision: 'flexible' },
+    outcome: { status }, inputs: { querySummary: taskType }
+  });
+  const candidate = new PolicyEngine(policyDoc({ rules: [{
+    id: 'skip-core', action: 'skip', when: { steps: ['extract_core'], stakes: ['low'] },
+    provenance: { source: 'manual', reason: 'test' }
+  }] }));
+  const report = await quiet(() => explainer.dryRunPolicy(candidate, {
+    current: PolicyEngine.builtin(),
+    runs: [logged('recipe_compare', 'high'), logged('recipe_compare', 'low'), logged('conversion', 'low'), logged('recipe_compare', 'low', 'fail')],
+    last: 3
+  }));
+  await runTest('Dry run covers the last N runs', () => report.runs === 3 && report.results[0].stakes === undefined);
+  await runTest('Dry run reports changed runs and skips per step', () =>
+    report.changedRuns === 2 && report.affectedRuns === 2 && report.skipsByStep.extract_core === 2 &&
+    report.results[0].skipped.join() === 'extract_core' && report.results[0].currentSkipped.length === 0 &&
+    report.results[2].status === 'fail'
+  );
+  await runTest('Dry run compares with the adopted policy', () =>
+    report.current.id === 'builtin' && report.policy.id === 'trim' && report.results[1].changed === false
+  );
+  console.log();
+
+  console.log('TEST 5: Adoption and the policy command');
+  console.log('═'.repeat(60));
+
+  const configDir = path.join(root, 'config');
+  const v2 = path.join(root, 'v2.json');
+  const v3 = path.join(root, 'v3.json');
+  fs.writeFileSync(v2, JSON.stringify(policyDoc()));
+  fs.writeFileSync(v3, JSON.stringify(policyDoc({ version: 3 })));
+  const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+  const cli = (args) => {
+    const r = spawnSync(process.execPath, [cliPath, 'policy', ...args, '--state', path.join(root, 'state'), '--config', configDir],
+      { cwd: root, encoding: 'utf8' });
+    return { status: r.status, json: JSON.parse(r.stdout) };
+  };
+
+  await runTest('alive policy adopt writes the policy', () => {
+    const r = cli(['adopt', v2]);
+    return r.status === 0 && r.json.adopted.version === 2 && r.json.previous === null &&
+      fs.existsSync(path.join(configDir, 'policy.json'));
+  });
+  await runTest('Older or equal versions are refused', () => {
+    const r = cli(['adopt', v2]);
+    return r.status === 2 && /not newer/.test(r.json.errors[0]);
+  });
+  await runTest('Newer version archives the previous one', () => {
+    const r = cli(['adopt', v3]);
+    return r.status === 0 && r.json.previous.version === 2 &&
+      fs.existsSync(path.join(configDir, 'policies', 'trim.v2.json'));
+  });
+  await runTest('alive policy shows the adopted policy', () => {
+    const r = cli([]);
+    return r.status === 0 && r.json.policy.version === 3 && r.json.document.rules[0].provenance.source === 'manual';
+  });
+  await runTest('alive policy explain uses the adopted policy', () => {
+    const r = cli(['explain', 'compare brownie recipes']);
+    return r.status === 0 && r.json.policy.version === 3 && r.json.steps.length === 3;
+  });
+  await runTest('Invalid policy files report every problem', () => {
+    const bad = path.join(root, 'bad.json');
+    fs.writeFileSync(bad, JSON.stringify({ schema: 'v0', rules: 'none' }));
+    const r = cli(['show', '--policy', bad]);
+    return r.status === 2 && r.json.errors.length >= 3;
+  });
+  console.log();
+
+  fs.rmSync(root, { recursive: true, force: true });
+
+  summary();
+})();
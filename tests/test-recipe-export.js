@@ -0,0 +1,238 @@
+// tests/test-recipe-export.js
+// Test recipe export: JSON-LD, Markdown and printable HTML for recipes, scaled variants and comparisons
+
+const RecipeExporter = require('../core/recipe-export');
+const RecipeImporter = require('../core/recipe-import');
+const LongTermMemory = require('../memory/longterm');
+const ALIVEKernel = require('../core/kernel');
+const { activate } = ALIVEKernel;
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Recipe Export\n');
+
+const exporter = new RecipeExporter();
+const brownies = {
+  id: 'recipe_fudgy_brownies',
+  type: 'recipe',
+  name: 'Fudgy Brownies',
+  description: 'Dense & chewy <b>brownies</b>.',
+  servings: 9,
+  yield: '9',
+  pan: '8x8 inch',
+  bakeTime: '25-30 minutes',
+  prepTime: 15,
+  tags: ['dessert', 'chocolate'],
+  author: 'Ann',
+  ingredients: ['1 cup flour', '1/2 cup butter, melted', '2 large eggs', '1/2 tsp baking powder', 'powdered sugar, to dust'],
+  steps: ['Heat the oven to 175C.', 'Mix everything.', 'Bake until set.', 'Dust with sugar (optional garnish).']
+};
+const blondies = {
+  type: 'recipe',
+  name: 'Blondies',
+  ingredients: ['1 cup flour', '1/2 cup butter', '1 cup brown sugar'],
+  steps: ['Mix.', 'Bake.']
+};
+
+(async () => {
+  console.log('TEST 1: Recipes');
+  console.log('═'.repeat(60));
+
+  const plain = exporter.recipe(brownies);
+  await runTest('JSON-LD is a schema.org Recipe', () => {
+    const data = exporter.jsonLd(plain);
+    return data['@context'] === 'https://schema.org' && data['@type'] === 'Recipe' && data.name === 'Fudgy Brownies' &&
+      data.recipeYield === '9' && data.prepTime === 'PT15M' && data.cookTime === 'PT25M' &&
+      data.author.name === 'Ann' && data.keywords === 'dessert, chocolate' &&
+      data.recipeIngredient.length === 5 && data.recipeInstructions[0]['@type'] === 'HowToStep' &&
+      !('totalTime' in JSON.parse(exporter.render(plain, 'jsonld')));
+  });
+  await runTest('Markdown lists metadata, ingredients and numbered steps', () => {
+    const text = exporter.render(plain, 'markdown');
+    return text.startsWith('# Fudgy Brownies\n') && /\nServes: 9\nPan: 8x8 inch\nBake time: 25-30 minutes\n/.test(text) &&
+      /## Ingredients\n- 1 cup flour\n/.test(text) && /## Instructions\n1\. Heat the oven/.test(text);
+  });
+  await runTest('HTML is a self-contained printable page', () => {
+    const html = exporter.render(plain, 'html');
+    return html.startsWith('<!DOCTYPE html>') && /@media print/.test(html) &&
+      !/<link|src=/.test(html) && /<ol>\n {2}<li>Heat the oven/.test(html) &&
+      /<script type="application\/ld\+json">/.test(html) && /Dense &amp; chewy &lt;b&gt;brownies/.test(html);
+  });
+  await runTest('Exports read back as the same recipe', () => {
+    const importer = new RecipeImporter();
+    const longTerm = new LongTermMemory();
+    longTerm.store(brownies);
+    return ['markdown', 'jsonld'].every(format => {
+      const [raw] = importer.parse(exporter.render(plain, format), format);
+      const record = importer.normalize(raw);
+      return importer.fingerprint(record) === importer.fingerprint(brownies) && record.servings === 9 && record.steps.length === 4;
+    });
+  });
+  await runTest('Unknown formats are rejected', () => {
+    try {
+      exporter.render(plain, 'pdf');
+      return false;
+    } catch (error) {
+      return /Unknown export format: pdf/.test(error.message);
+    }
+  });
+  console.log();
+
+  console.log('TEST 2: Scaled variants');
+  console.log('═'.repeat(60));
+
+  const doubled = exporter.recipe(brownies, { scale: 'to 18 servings' });
+  await runTest('Scaled recipes carry the scaled lines and servings', () =>
+    doubled.title === 'Fudgy Brownies ×2' && doubled.recipe.ingredients[0] === '2 cups flour' &&
+    doubled.recipe.servings === 18 && doubled.scaled.basis === 'servings' &&
+    doubled.recipe.bakeTime === '35-42 minutes' && brownies.ingredients[0] === '1 cup flour'
+  );
+  await runTest('A bare number is a factor; pans change the pan', () => {
+    const half = exporter.recipe(brownies, { scale: '1/2' });
+    const pan = exporter.recipe(brownies, { scale: 'to a 9x13 pan' });
+    return half.scaled.factor === 0.5 && half.recipe.servings === 4.5 &&
+      pan.recipe.pan === '9x13' && pan.scaled.basis === 'pan';
+  });
+  await runTest('Scaling notes and bake hints are exported', () => {
+    const text = exporter.render(doubled, 'markdown');
+    const data = exporter.jsonLd(doubled);
+    return /_Scaled ×2 \(9 → 18 servings\)_/.test(text) &&
+      /## Notes\n- baking powder does not scale evenly: start with 3\/4 tsp/.test(text) &&
+      data.recipeYield === '18' && data.cookTime === 'PT35M' && /Scaled ×2/.test(data.description);
+  });
+  await runTest('Recipes that cannot be scaled that way throw', () => {
+    try {
+      exporter.recipe(blondies, { scale: 'to 12 servings' });
+      return false;
+    } catch (error) {
+      return error.message === 'Cannot scale Blondies: the recipe has no servings to scale from';
+    }
+  });
+  console.log();
+
+  console.log('TEST 3: Comparisons');
+  console.log('═'.repeat(60));
+
+  const comparison = exporter.comparison([brownies, blondies]);
+  await runTest('Amounts side by side, common ingredients first', () =>
+    comparison.columns.join() === 'Fudgy Brownies,Blondies' &&
+    comparison.rows.map(r => r.ingredient).slice(0, 2).join() === 'flour,butter' &&
+    comparison.rows[1].amounts.join() === '1/2 cup,1/2 cup' &&
+    comparison.rows.find(r => r.ingredient === 'brown sugar').amounts[0] === null &&
+    comparison.rows.find(r => r.ingredient === 'powdered sugar').amounts[0] === '✓'
+  );
+  await runTest('Singular and plural share a row', () => {
+    const eggs = exporter.comparison([brownies, { ...blondies, ingredients: [...blondies.ingredients, '1 egg'] }]);
+    const rows = eggs.rows.filter(r => /^eggs?$/.test(r.ingredient));
+    return rows.length === 1 && rows[0].amounts.join() === '2,1' && eggs.core.includes('eggs');
+  });
+  await runTest('Markdown table with core, variations and optional steps', () => {
+    const text = exporter.render(comparison, 'markdown');
+    return /\| Ingredient \| Fudgy Brownies \| Blondies \|\n\| --- \| --- \| --- \|\n\| \*\*flour\*\* \| 1 cup \| 1 cup \|/.test(text) &&
+      /\| brown sugar \| — \| 1 cup \|/.test(text) &&
+      /## Common Core\n- Common to all 2 recipes: flour, butter/.test(text) &&
+      /## Optional Steps\n- Fudgy Brownies: Dust with sugar/.test(text);
+  });
+  await runTest('JSON-LD is an ItemList of Recipes; HTML a table', () => {
+    const data = exporter.jsonLd(comparison);
+    const html = exporter.render(comparison, 'html');
+    return data['@type'] === 'ItemList' && data.itemListElement[1].item.name === 'Blondies' &&
+      /<th>Ingredient<\/th><th>Fudgy Brownies<\/th><th>Blondies<\/th>/.test(html) && /<td class="missing">—<\/td>/.test(html);
+  });
+
+  const kernel = new ALIVEKernel();
+  kernel.longTermMemory.store(brownies);
+  kernel.longTermMemory.store(blondies);
+  const compared = await quiet(() => kernel.process('compare brownie recipes'));
+  await runTest('A comparison run exports its results', () => {
+    const document = exporter.fromResults(compared.result);
+    return document.kind === 'comparison' && document.columns.length === 2 && document.core.join() === 'flour,butter';
+  });
+  await runTest('format_comparison presents the comparison document in the run', () => {
+    const formatted = compared.result.results.find(r => r.task === 'format_comparison').result;
+    return formatted.document.kind === 'comparison' && formatted.document.columns.length === 2 &&
+      formatted.formatted === exporter.render(formatted.document, 'markdown') && /\| Ingredient \|/.test(formatted.formatted) &&
+      kernel.deferred.list().map(e => e.task.action).join() === 'identify_variations,detect_bloat';
+  });
+  const scaledRun = await quiet(() => kernel.process('scale the fudgy brownies to 18 servings'));
+  await runTest('A scale run exports the scaled recipe', () => {
+    const document = exporter.fromResults(scaledRun.result);
+    return document.title === 'Fudgy Brownies ×2' && document.recipe.ingredients[0] === '2 cups flour' &&
+      exporter.fromResults({ results: [] }) === null;
+  });
+  console.log();
+
+  console.log('TEST 4: Files and CLI');
+  console.log('═'.repeat(60));
+
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-export-'));
+  await runTest('Documents are written to disk', () => {
+    const written = exporter.write(doubled, 'html', path.join(root, 'nested', 'brownies.html'));
+    return written.format === 'html' && written.bytes === fs.statSync(written.file).size &&
+      RecipeExporter.fileName(doubled, 'html') === 'fudgy-brownies-x2.html' &&
+      RecipeExporter.fileName(comparison, 'jsonld') === 'comparison-fudgy-brownies-vs-blondies.jsonld';
+  });
+
+  const state = path.join(root, 'state');
+  const recipes = path.join(root, 'recipes.md');
+  fs.writeFileSync(recipes, exporter.render(plain, 'markdown') + '\n' + exporter.render(exporter.recipe(blondies), 'markdown'));
+  const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+  const cli = (...args) => {
+    const r = spawnSync(process.execPath, [cliPath, 'recipes', ...args, '--state', state], { cwd: root, encoding: 'utf8' });
+    return { status: r.status, json: JSON.parse(r.stdout) };
+  };
+  cli('import', recipes);
+
+  await runTest('alive recipes export writes a recipe (default: markdown under <state>/exports)', () => {
+    const r = cli('export', 'fudgy', 'brownies');
+    return r.status === 0 && r.json.ok && r.json.kind === 'recipe' && r.json.format === 'markdown' &&
+      r.json.file === path.join(state, 'exports', 'fudgy-brownies.md') && fs.existsSync(r.json.file);
+  });
+  await runTest('--scale, --format and --out', () => {
+    const out = path.join(root, 'out', 'double.html');
+    const r = cli('export', 'recipe_fudgy_brownies', '--scale', '2', '--format', 'html', '--out', out);
+    return r.status === 0 && r.json.file === out && r.json.title === 'Fudgy Brownies ×2' &&
+      /<li>2 cups flour<\/li>/.test(fs.readFileSync(out, 'utf8'));
+  });
+  await runTest('--compare exports a comparison table', () => {
+    const r = cli('export', '--compare', '--format', 'jsonld');
+    const data = JSON.parse(fs.readFileSync(r.json.file, 'utf8'));
+    return r.status === 0 && r.json.kind === 'comparison' && data.numberOfItems === 2;
+  });
+  const cwd = process.cwd();
+  let answered, composed;
+  process.chdir(root);
+  try {
+    answered = await quiet(() => activate({ taskInput: 'compare brownie recipes', statePath: state }));
+    composed = await quiet(() => activate({ taskInput: 'compare brownie recipes', statePath: state, format: 'plain' }));
+  } finally {
+    process.chdir(cwd);
+  }
+  await runTest('A compare answer is the comparison table', () =>
+    answered.ok && /^# Comparison: Fudgy Brownies vs Blondies/.test(answered.response) &&
+    /\| Ingredient \| Fudgy Brownies \| Blondies \|/.test(answered.response) &&
+    /\| brown sugar \| — \| 1 cup \|/.test(answered.response)
+  );
+  await runTest('Formatted compare answers list the amounts side by side', () =>
+    composed.ok && /brown sugar: — \/ 1 cup/.test(composed.response)
+  );
+  await runTest('Export errors exit 1', () => {
+    const missing = cli('export', 'lasagna');
+    const format = cli('export', 'blondies', '--format', 'pdf');
+    const scale = cli('export', 'blondies', '--scale', 'to 12 servings');
+    const compare = cli('export', 'lasagna', '--compare');
+    return [missing, format, scale, compare].every(r => r.status === 1 && !r.json.ok) &&
+      /No stored recipe named "lasagna"/.test(missing.json.errors[0]) &&
+      /Unknown export format/.test(format.json.errors[0]) &&
+      /no servings to scale from/.test(scale.json.errors[0]) &&
+      /at least 2 stored recipes/.test(compare.json.errors[0]);
+  });
+
+  fs.rmSync(root, { recursive: true, force: true });
+  console.log();
+
+  summary();
+})();
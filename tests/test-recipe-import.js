@@ -0,0 +1,267 @@
+// tests/test-recipe-import.js
+// Test recipe import: JSON-LD, Markdown and text files, normalized records, duplicates, CLI
+
+const RecipeImporter = require('../core/recipe-import');
+const RecipeExporter = require('../core/recipe-export');
+const Executor = require('../core/executor');
+const LongTermMemory = require('../memory/longterm');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Recipe Import\n');
+
+const importer = new RecipeImporter();
+
+const jsonLd = {
+  '@context': 'https://schema.org',
+  '@graph': [
+    { '@type': 'WebPage', name: 'Recipes' },
+    {
+      '@type': 'Recipe',
+      name: 'Lemon Drizzle Cake',
+      author: { '@type': 'Person', name: 'Ann' },
+      recipeYield: ['8', '8 slices'],
+      prepTime: 'PT15M',
+      cookTime: 'PT45M',
+      keywords: 'cake, Lemon',
+      recipeCategory: 'Dessert',
+      recipeIngredient: ['225 g butter', '225 g caster sugar', '4 eggs', '1 lemon, zested'],
+      recipeInstructions: [
+        { '@type': 'HowToSection', name: 'Cake', itemListElement: [
+          { '@type': 'HowToStep', text: 'Heat the oven to 180C.' },
+          { '@type': 'HowToStep', text: 'Beat the butter and sugar.' }
+        ] },
+        { '@type': 'HowToStep', text: 'Bake for 45 minutes.' }
+      ]
+    }
+  ]
+};
+
+const markdown = [
+  '# Fudgy Brownies',
+  'Dense and chocolatey.',
+  'Serves: 9',
+  'Pan: 8x8 inch',
+  'Bake time: 25-30 minutes',
+  '',
+  '## Ingredients',
+  '- 1 cup flour',
+  '- 1/2 cup butter, melted',
+  '- 2 large eggs',
+  '### For the topping',
+  '- powdered sugar, to dust',
+  '',
+  '## Instructions',
+  '1. Melt the butter.',
+  '2. Bake until set.',
+  '',
+  '# Blondies',
+  '**Ingredients**',
+  '* 1 cup flour',
+  '* 1 cup brown sugar',
+  '**Method**',
+  '* Mix and bake.'
+].join('\n');
+
+const text = [
+  'Buttermilk Pancakes',
+  'Makes: 12 pancakes',
+  'Ingredients:',
+  '2 cups flour',
+  '2 cups buttermilk',
+  'Instructions:',
+  'Whisk everything together.',
+  '---',
+  'Quick Crepes',
+  '1 cup flour',
+  '2 eggs',
+  'Whisk until smooth, then rest the batter.'
+].join('\n');
+
+(async () => {
+  console.log('TEST 1: Formats');
+  console.log('═'.repeat(60));
+
+  await runTest('JSON-LD recipes inside @graph', () => {
+    const [cake, ...rest] = importer.parseJsonLd(jsonLd);
+    return rest.length === 0 && cake.name === 'Lemon Drizzle Cake' && cake.ingredients.length === 4 &&
+      cake.steps.join('|') === 'Heat the oven to 180C.|Beat the butter and sugar.|Bake for 45 minutes.';
+  });
+  await runTest('Plain JSON records and arrays', () => {
+    const found = importer.parseJsonLd([{ name: 'Toast', ingredients: ['1 slice bread'], steps: 'Toast it.' }, { name: 'Not a recipe' }]);
+    return found.length === 1 && found[0].steps[0] === 'Toast it.';
+  });
+  await runTest('Markdown: a # title per recipe, sections by heading or bold line', () => {
+    const [brownies, blondies] = importer.parseMarkdown(markdown);
+    return brownies.name === 'Fudgy Brownies' && brownies.yield === '9' && brownies.pan === '8x8 inch' &&
+      brownies.ingredients.join('|') === '1 cup flour|1/2 cup butter, melted|2 large eggs|powdered sugar, to dust' &&
+      brownies.steps.join('|') === 'Melt the butter.|Bake until set.' &&
+      brownies.description.join() === 'Dense and chocolatey.' &&
+      blondies.ingredients.length === 2 && blondies.steps[0] === 'Mix and bake.';
+  });
+  await runTest('Text: headed sections, or amounts as ingredients', () => {
+    const [pancakes, crepes] = importer.parseText(text);
+    return pancakes.name === 'Buttermilk Pancakes' && pancakes.yield === '12 pancakes' &&
+      pancakes.ingredients.length === 2 && pancakes.steps.length === 1 &&
+      crepes.ingredients.join('|') === '1 cup flour|2 eggs' && crepes.steps[0].startsWith('Whisk');
+  });
+  await runTest('Format detection by content', () =>
+    RecipeImporter.detectFormat('  {"name": "x"}') === 'jsonld' &&
+    RecipeImporter.detectFormat('# Title\n- 1 egg') === 'markdown' &&
+    RecipeImporter.detectFormat('Title\n1 egg') === 'text'
+  );
+  console.log();
+
+  console.log('TEST 2: Normalized records');
+  console.log('═'.repeat(60));
+
+  await runTest('JSON-LD fields map onto the record', () => {
+    const cake = importer.normalize(importer.parseJsonLd(jsonLd)[0], { file: 'cake.json', format: 'jsonld' });
+    return cake.type === 'recipe' && cake.servings === 8 && cake.yield === '8' && cake.author === 'Ann' &&
+      cake.prepTime === 15 && cake.cookTime === 45 && cake.bakeTime === 45 &&
+      cake.tags.join() === 'cake,lemon,dessert' && cake.source.format === 'jsonld';
+  });
+  await runTest('Markdown metadata keeps servings, pan and bake time', () => {
+    const brownies = importer.normalize(importer.parseMarkdown(markdown)[0]);
+    return brownies.servings === 9 && brownies.pan === '8x8 inch' && brownies.bakeTime === '25-30 minutes' &&
+      brownies.description === 'Dense and chocolatey.';
+  });
+  await runTest('Durations in ISO 8601 or words', () =>
+    RecipeImporter.minutes('PT1H30M') === 90 && RecipeImporter.minutes('25-30 minutes') === 25 &&
+    RecipeImporter.minutes('1 hour') === 60 && RecipeImporter.minutes(null) === null
+  );
+  await runTest('HTML in values is stripped', () =>
+    RecipeImporter.text('<p>Mix <b>well</b>.</p>') === 'Mix well.' && RecipeImporter.text(12) === '12'
+  );
+  await runTest('HTML entities are decoded, named and numeric', () => {
+    const [raw] = importer.parseJsonLd({
+      '@type': 'Recipe', name: 'Pancakes &amp; Syrup', recipeIngredient: ['&#189; cup milk', '1&nbsp;egg'],
+      recipeInstructions: 'Don&#x2019;t overmix &lt;3'
+    });
+    const pancakes = importer.normalize(raw);
+    const html = new RecipeExporter().render(new RecipeExporter().recipe(pancakes), 'html');
+    return pancakes.name === 'Pancakes & Syrup' && pancakes.ingredients.join() === '½ cup milk,1 egg' &&
+      pancakes.steps[0] === 'Don’t overmix <3' && RecipeImporter.text('&bogus; &#0;') === '&bogus; &#0;' &&
+      /<h1>Pancakes &amp; Syrup<\/h1>/.test(html) && !/&amp;amp;/.test(html);
+  });
+  await runTest('Authors given as a list of Persons keep their names', () => {
+    const [raw] = importer.parseJsonLd({
+      '@type': 'Recipe', name: 'Waffles', recipeIngredient: ['1 egg'],
+      author: [{ '@type': 'Person', name: 'Ann' }, { '@type': 'Person', name: 'Bo' }]
+    });
+    return importer.normalize(raw).author === 'Ann, Bo' && RecipeImporter.author(['Cy']) === 'Cy' &&
+      RecipeImporter.author(undefined) === null;
+  });
+  await runTest('Recipes without a name or ingredients are rejected', () => {
+    const fails = (raw) => { try { importer.normalize(raw); return false; } catch (e) { return e.message; } };
+    return fails({ ingredients: ['1 egg'] }) === 'recipe has no name' && fails({ name: 'Air' }) === 'Air: no ingredients';
+  });
+  console.log();
+
+  console.log('TEST 3: Storing and duplicates');
+  console.log('═'.repeat(60));
+
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-import-'));
+  const recipes = path.join(root, 'recipes');
+  fs.mkdirSync(recipes);
+  fs.writeFileSync(path.join(recipes, 'brownies.md'), markdown);
+  fs.writeFileSync(path.join(recipes, 'cake.jsonld'), JSON.stringify(jsonLd));
+  fs.writeFileSync(path.join(recipes, 'pancakes.txt'), text);
+  fs.writeFileSync(path.join(recipes, 'empty.txt'), 'Nothing here\nJust words.');
+  fs.writeFileSync(path.join(recipes, 'broken.json'), '{ not json');
+  fs.writeFileSync(path.join(recipes, 'photo.png'), 'not a recipe');
+
+  const longTerm = new LongTermMemory();
+  const first = importer.importPath(recipes, longTerm);
+  await runTest('A directory imports every supported file', () =>
+    first.files === 5 && first.imported.length === 5 && first.recipes === 5 &&
+    first.imported.map(r => r.name).join('|') === 'Fudgy Brownies|Blondies|Lemon Drizzle Cake|Buttermilk Pancakes|Quick Crepes'
+  );
+  await runTest('Unusable files are skipped with a reason', () =>
+    first.skipped.length === 2 &&
+    first.skipped.some(s => s.file.endsWith('broken.json') && /JSON/.test(s.reason)) &&
+    first.skipped.some(s => s.file.endsWith('empty.txt') && s.reason === 'Nothing here: no ingredients')
+  );
+  await runTest('Imported recipes are indexed with readable ids', () =>
+    longTerm.index.recipes.has('recipe_fudgy_brownies') &&
+    longTerm.get('recipe_lemon_drizzle_cake').source.file.endsWith('cake.jsonld')
+  );
+  await runTest('Importing again finds duplicates', () => {
+    const again = importer.importPath(recipes, longTerm);
+    return again.imported.length === 0 && again.duplicates.length === 5 &&
+      again.duplicates[0].existingId === 'recipe_fudgy_brownies' && longTerm.getRecipes().length === 5;
+  });
+  await runTest('Same ingredients in another order or amount are duplicates', () => {
+    const other = new LongTermMemory();
+    other.store({ type: 'recipe', name: 'fudgy brownies!', ingredients: ['2 eggs', '2 cups flour', '1 cup butter'] });
+    const file = path.join(root, 'brownies.md');
+    fs.writeFileSync(file, markdown.split('\n# Blondies')[0].replace('- powdered sugar, to dust\n', ''));
+    return importer.importPath(file, other).duplicates.length === 1;
+  });
+  await runTest('A changed recipe from the same file is updated', () => {
+    const file = path.join(recipes, 'brownies.md');
+    fs.writeFileSync(file, markdown.replace('- 2 large eggs', '- 2 large eggs\n- 1/3 cup cocoa powder'));
+    const changed = importer.importPath(file, longTerm);
+    return changed.updated.length === 1 && changed.updated[0].id === 'recipe_fudgy_brownies' &&
+      changed.duplicates.length === 1 && longTerm.get('recipe_fudgy_brownies').ingredients.length === 5 &&
+      longTerm.getRecipes().length === 5;
+  });
+  await runTest('Same name from another file gets its own id', () => {
+    const file = path.join(root, 'other.txt');
+    fs.writeFileSync(file, 'Quick Crepes\n1 cup flour\n1 cup milk\nWhisk.');
+    return importer.importPath(file, longTerm).imported[0].id === 'recipe_quick_crepes_2';
+  });
+  await runTest('Missing paths throw', () => {
+    try {
+      importer.importPath(path.join(root, 'missing'), longTerm);
+      return false;
+    } catch (error) {
+      return /No such file or directory/.test(error.message);
+    }
+  });
+  await runTest('Imported recipes can be scaled', () => {
+    const r = Executor.scaleRecipe(Executor.findRecipe('scale brownies to 18 servings', longTerm));
+    return r.scaled && r.factor === 2 && r.lines[0] === '2 cups flour';
+  });
+  console.log();
+
+  console.log('TEST 4: CLI');
+  console.log('═'.repeat(60));
+
+  const state = path.join(root, 'state');
+  const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+  const cli = (...args) => {
+    const r = spawnSync(process.execPath, [cliPath, ...args, '--state', state], { cwd: root, encoding: 'utf8' });
+    return { status: r.status, json: JSON.parse(r.stdout) };
+  };
+
+  await runTest('alive recipes import stores recipes for the bot', () => {
+    const r = cli('recipes', 'import', recipes);
+    return r.status === 0 && r.json.ok && r.json.imported.length === 5 && r.json.skipped.length === 2 &&
+      fs.existsSync(path.join(state, 'memory', 'alive-bot.json'));
+  });
+  await runTest('alive recipes lists them', () => {
+    const r = cli('recipes');
+    const brownies = r.json.recipes.find(x => x.id === 'recipe_fudgy_brownies');
+    return r.status === 0 && r.json.count === 5 && brownies.servings === 9 && brownies.source.format === 'markdown';
+  });
+  await runTest('Import errors exit 1', () => {
+    const missing = cli('recipes', 'import', path.join(root, 'missing'));
+    const usage = cli('recipes', 'import');
+    return missing.status === 1 && !missing.json.ok && /No such file/.test(missing.json.errors[0]) &&
+      usage.status === 1 && /Usage/.test(usage.json.errors[0]);
+  });
+  await runTest('alive run scales an imported recipe', () => {
+    const r = spawnSync(process.execPath, [cliPath, 'run', 'scale the pancakes to 6 servings', '--format', 'plain', '--state', state], { cwd: root, encoding: 'utf8' });
+    const json = JSON.parse(r.stdout);
+    return r.status === 0 && json.ok && /Buttermilk Pancakes scaled ×0\.5/.test(json.response);
+  });
+
+  fs.rmSync(root, { recursive: true, force: true });
+  console.log();
+
+  summary();
+})();
@@ -0,0 +1,192 @@
+// tests/test-recipe-scaling.js
+// Test recipe scaling: requests, factors by servings and pan size, friendly units, non-linear ingredients, bake times
+
+const RecipeScaler = require('../core/scaling');
+const Executor = require('../core/executor');
+const Assessor = require('../core/assess');
+const ResponseComposer = require('../core/compose');
+const LongTermMemory = require('../memory/longterm');
+const ALIVEKernel = require('../core/kernel');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Recipe Scaling\n');
+
+const scaler = new RecipeScaler();
+const brownies = {
+  type: 'recipe',
+  name: 'Fudgy Brownies',
+  servings: 9,
+  pan: '8x8 inch',
+  bakeTime: '25-30 minutes',
+  ingredients: ['1 cup flour', '1/2 cup butter, melted', '2 large eggs', '1/3 cup cocoa powder', '1/2 tsp baking powder', '1/4 tsp salt', 'powdered sugar, to dust']
+};
+const longTerm = new LongTermMemory();
+longTerm.store(brownies);
+longTerm.store({ type: 'recipe', name: 'Weeknight Lasagna', servings: '6 servings', ingredients: ['500 g ground beef', '1 l tomato sauce'] });
+
+/**
+ * Scale a request against the stored recipes the way the pipeline does
+ */
+const scaled = (input, mode) => Executor.scaleRecipe(Executor.findRecipe(input, longTerm), mode);
+
+(async () => {
+  console.log('TEST 1: Requests');
+  console.log('═'.repeat(60));
+
+  await runTest('Scaling requests are their own input type', () => {
+    const assessor = new Assessor();
+    return assessor.classifyInput('scale the brownie recipe to 12 servings') === 'scale' &&
+      assessor.classifyInput('resize my lasagna for 4 people') === 'scale' &&
+      assessor.classifyInput('escalar la receta de brownies para 12 personas') === 'scale' &&
+      assessor.classifyInput('find a brownie recipe') === 'recipe_search';
+  });
+  await runTest('A kitchen scale in a conversion is not a scaling request', () => {
+    const assessor = new Assessor();
+    return assessor.classifyInput('convert 100 g flour to cups with a kitchen scale') === 'conversion' &&
+      assessor.classifyInput('scale the fudgy brownies to 18 servings') === 'scale';
+  });
+  await runTest('Factor, servings and pans are read from the request', () => {
+    const byFactor = scaler.parse('scale Fudgy Brownies by 1 1/2');
+    const bad = scaler.parse('scale brownies');
+    const servings = scaler.parse('scale the brownie recipe from 9 to 12 servings');
+    const pans = scaler.parse('scale brownies from an 8x8 to a 9 x 13 inch pan');
+    return byFactor.name === 'Fudgy Brownies' && byFactor.factor === 1.5 && bad.factor === null &&
+      servings.name === 'brownie' && servings.servings.from === 9 && servings.servings.to === 12 && servings.factor === null &&
+      pans.pans.map(p => p.shape).join() === 'square,rectangle' && pans.pans[1].area === 117;
+  });
+  await runTest('Scaling words, "2x" and round pans', () =>
+    scaler.parse('scale brownies, double it').factor === 2 &&
+    scaler.parse('scale brownies 2x').factor === 2 &&
+    Math.round(scaler.parse('scale cake to a 23 cm round').pans[0].area) === 64
+  );
+  await runTest('Recipes are found by name words', () =>
+    Executor.findRecipe('scale the brownie recipe by 2', longTerm).recipe.name === 'Fudgy Brownies' &&
+    Executor.findRecipe('scale lasagna by 2', longTerm).recipe.name === 'Weeknight Lasagna' &&
+    Executor.findRecipe('scale pancakes by 2', longTerm).found === false
+  );
+  console.log();
+
+  console.log('TEST 2: Scaling');
+  console.log('═'.repeat(60));
+
+  await runTest('Servings ratio', () => {
+    const r = scaled('scale brownies to 18 servings');
+    return r.factor === 2 && r.basis === 'servings' && r.servings.from === 9 &&
+      r.lines.slice(0, 3).join('|') === '2 cups flour|1 cup butter (melted)|4 eggs (large)';
+  });
+  await runTest('Servings written as text in the recipe', () => scaled('scale lasagna for 3 people').factor === 0.5);
+  await runTest('Pan area ratio', () => {
+    const r = scaled('scale brownies from 8x8 to 9x13 pan');
+    const fromRecipe = scaled('scale brownies to a 9x13 pan');
+    return r.basis === 'pan' && r.factor === 1.8281 && fromRecipe.pan.from === '8x8 inch' && fromRecipe.factor === 1.8281;
+  });
+  await runTest('Friendly units after scaling', () => {
+    const r = scaled('scale lasagna by 3');
+    const spoons = scaler.friendly(16, 'tbsp');
+    const thirds = scaler.friendly(2 / 3, 'cup');
+    return r.lines.join('|') === '1.5 kg ground beef|3 l tomato sauce' &&
+      spoons.quantity === 1 && spoons.unit === 'cup' && thirds.quantity === 0.667 && thirds.unit === 'cup' &&
+      scaler.friendly(0.1875, 'cup').unit === 'tbsp' && RecipeScaler.amountText(1.5, 'cup') === '1 1/2 cups';
+  });
+  await runTest('Servings ratios stay exact until the amounts are written', () => {
+    const dressing = { name: 'Dressing', servings: 6, ingredients: ['3 tbsp vinegar', '3 eggs', '14 1/2 tbsp olive oil'] };
+    const third = scaler.factorFor(scaler.parse('scale dressing from 6 to 2 servings'), dressing);
+    return third.factor === 1 / 3 && scaler.scale(dressing, third).lines.join('|') === '1 tbsp vinegar|1 egg|5 tbsp olive oil' &&
+      RecipeScaler.format(scaler.scale(dressing, { factor: 1, basis: 'factor' }).ingredients[2]) === '1 cup olive oil';
+  });
+  await runTest('Large spoon amounts move up to cups, counts stay whole', () => {
+    const spoons = scaler.friendly(14.5, 'tbsp');
+    const eggs = scaler.friendly(3.5, null);
+    return spoons.quantity === 1 && spoons.unit === 'cup' && eggs.quantity === 4 &&
+      scaler.friendly(0.3, null).quantity === 1 && scaler.friendly(1.5, 'stick').quantity === 1.5 &&
+      RecipeScaler.amountText(2, 'clove') === '2 cloves' && RecipeScaler.amountText(2, 'tbsp') === '2 tbsp';
+  });
+  await runTest('Servings must be positive', () => {
+    const zero = scaler.parse('scale brownies to 0 servings');
+    const fromZero = scaler.parse('scale brownies from 0 to 4 servings');
+    return zero.servings === null && fromZero.servings === null &&
+      scaler.factorFor({ factor: null, servings: { from: 0, to: 4 }, pans: [] }, brownies).error === 'no_scale_factor' &&
+      scaler.factorFor({ factor: null, servings: { from: null, to: -2 }, pans: [] }, brownies).error === 'no_scale_factor' &&
+      scaler.factorFor({ factor: -2, servings: null, pans: [] }, brownies).error === 'no_scale_factor' &&
+      scaled('scale brownies to 0 servings').reason === 'no_scale_factor';
+  });
+  await runTest('Lines without a quantity are kept', () => scaled('scale brownies by 2').lines.includes('powdered sugar, to dust'));
+  await runTest('PRECISION keeps exact amounts', () => {
+    const r = scaled('scale brownies to 12 servings', 'PRECISION');
+    const cocoa = r.ingredients.find(i => i.ingredient === 'cocoa powder');
+    const measured = scaled('scale brownies to 12 servings').ingredients[3];
+    return cocoa.quantity === 0.444 && cocoa.unit === 'cup' && measured.quantity === 7 && measured.unit === 'tbsp';
+  });
+  await runTest('Nothing to scale by', () =>
+    scaled('scale brownies').reason === 'no_scale_factor' &&
+    scaled('scale lasagna to a 9x13 pan').reason === 'unknown_pan' &&
+    scaled('scale pancakes by 2').reason === 'recipe_not_found'
+  );
+  console.log();
+
+  console.log('TEST 3: Non-linear ingredients and bake time');
+  console.log('═'.repeat(60));
+
+  await runTest('Leavening, salt and spices are flagged', () => {
+    const r = scaled('scale brownies by 2');
+    return r.nonLinear.map(n => `${n.ingredient}:${n.kind}:${n.suggested}`).join('|') ===
+      'baking powder:leavening:3/4 tsp|salt:salt:1/2 tsp' &&
+      RecipeScaler.nonLinearKind('ground cinnamon') === 'spice' &&
+      RecipeScaler.nonLinearKind('unsalted butter') === null;
+  });
+  await runTest('Scaling down suggests nothing smaller', () => scaled('scale brownies by 0.5').nonLinear.every(n => n.suggested === null));
+  await runTest('More batter in the same pan bakes longer', () => {
+    const r = Executor.bakeTimeHints(Executor.findRecipe('scale brownies by 2', longTerm), scaled('scale brownies by 2'));
+    return r.depthRatio === 2 && r.bakeTime.estimate.join() === '35,42' &&
+      /2× the area of the 8x8 inch pan/.test(r.hints[0]) && /lower the oven/.test(r.hints[1]);
+  });
+  await runTest('A pan sized for the batch bakes about as long', () => {
+    const input = 'scale brownies from 8x8 to 9x13 pan';
+    const r = Executor.bakeTimeHints(Executor.findRecipe(input, longTerm), scaled(input));
+    return r.depthRatio === 1 && r.bakeTime.estimate.join() === '25,30' && /Same batter depth in the 9x13 pan/.test(r.hints[0]);
+  });
+  await runTest('Shallower batter checks early', () => {
+    const input = 'scale brownies by 0.5';
+    const r = Executor.bakeTimeHints(Executor.findRecipe(input, longTerm), scaled(input));
+    return r.bakeTime.estimate.join() === '18,21' && /start checking 7 minutes early/.test(r.hints[0]);
+  });
+  await runTest('No bake time or pan, no hints', () => {
+    const input = 'scale lasagna by 2';
+    const r = Executor.bakeTimeHints(Executor.findRecipe(input, longTerm), scaled(input));
+    return r.baked === false && r.hints.length === 0;
+  });
+  console.log();
+
+  console.log('TEST 4: Kernel and follow-ups');
+  console.log('═'.repeat(60));
+
+  const kernel = new ALIVEKernel();
+  kernel.longTermMemory.store(brownies);
+  const first = await quiet(() => kernel.process('scale the fudgy brownies recipe to 18 servings'));
+  await runTest('The scale template runs all three tasks', () =>
+    first.assessment.inputType === 'scale' &&
+    first.result.results.map(r => r.task).sort().join() === 'adjust_bake_time,find_recipe,scale_quantities'
+  );
+  await runTest('The scaled recipe stays in working memory', () => {
+    const subject = kernel.workingMemory.get('subject');
+    return kernel.workingMemory.get('scaledRecipe').ingredients[0] === '2 cups flour' &&
+      subject.type === 'recipe' && subject.scale === 2 && subject.ingredients[0] === '2 cups flour';
+  });
+  await runTest('Composed response leads with the scale', () => {
+    const text = new ResponseComposer().render({ input: 'scale', executed: first.result }, 'plain');
+    return text.startsWith('Summary:\n  - Fudgy Brownies scaled ×2 (9 → 18 servings)') &&
+      /baking powder does not scale evenly: start with 3\/4 tsp/.test(text);
+  });
+  const doubled = await quiet(() => kernel.process('double that'));
+  await runTest('"double that" doubles the scaled recipe', () =>
+    doubled.followUp.input === 'scale Fudgy Brownies by 4' &&
+    doubled.result.results.find(r => r.task === 'scale_quantities').result.lines[0] === '4 cups flour'
+  );
+  const shopping = await quiet(() => kernel.process('put it on my shopping list'));
+  await runTest('Shopping lists use the scaled amounts', () =>
+    shopping.result.results.find(r => r.task === 'generate_list').result.items[0].quantity === 4
+  );
+  console.log();
+
+  summary();
+})();
@@ -0,0 +1,157 @@
+// tests/test-reset-loop.js
+// Test the bounded reset loop, reset explanations and MetaLoop resetTriggered
+
+const ALIVEKernel = require('../core/kernel');
+const ResetController = require('../core/reset');
+const DecisionTrace = require('../core/trace');
+const { MetaLoop } = require('../meta/MetaLoop');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Reset Loop\n');
+
+/**
+ * Kernel whose reset check always fires
+ */
+function alwaysResetting(options = {}) {
+  const kernel = new ALIVEKernel(options);
+  kernel.resetController.evaluate = () => ({ shouldReset: true, reasons: ['Stagnation detected - no progress in recent iterations'] });
+  return kernel;
+}
+
+/**
+ * Capture the runs MetaLoop is asked to record (nothing is written)
+ */
+const recorded = [];
+MetaLoop.prototype.recordAndReview = function (run) {
+  recorded.push(run);
+  return { recorded: true };
+};
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-reset-'));
+
+(async () => {
+  console.log('TEST 1: ResetController explains a reset');
+  console.log('═'.repeat(60));
+
+  const controller = new ResetController();
+  const kernel = new ALIVEKernel();
+  kernel.workingMemory.addAssumption('butter is salted');
+  kernel.workingMemory.addAssumption('butter is salted');
+  kernel.workingMemory.validateAssumption(0, true);
+
+  const check = await quiet(() => controller.evaluate({}, kernel.workingMemory));
+  const record = controller.explain(check, kernel.workingMemory, 0);
+
+  await runTest('Default depth limit is 2', () => controller.maxResetDepth === 2);
+  await runTest('Depth limit is configurable', () => new ResetController({ maxResetDepth: 0 }).maxResetDepth === 0);
+  await runTest('Explanation keeps the reasons', () =>
+    record.reasons.includes('Contradictory assumptions detected') && record.depth === 0
+  );
+  await runTest('Explanation carries the diagnosis', () =>
+    record.diagnosis.recommendation === 'clear_assumptions' && record.diagnosis.contradictions.length === 1
+  );
+  await runTest('Explanation carries the suggested correction', () =>
+    record.suggestions[0].action === 'Re-validate assumptions' && record.suggestions[0].priority === 'high'
+  );
+  await runTest('Limited once depth reaches the maximum', () =>
+    !record.limited && controller.explain(check, kernel.workingMemory, 2).limited
+  );
+  console.log();
+
+  console.log('TEST 2: A reset is diagnosed before working memory is cleared');
+  console.log('═'.repeat(60));
+
+  recorded.length = 0;
+  const trace = new DecisionTrace('reset_test', 'hello');
+  const processed = await quiet(() => kernel.process('hello', {}, { trace }));
+
+  await runTest('Run succeeds after the reset', () => processed.success === true);
+  await runTest('One reset recorded with its diagnosis', () =>
+    processed.resets.length === 1 &&
+    processed.resets[0].diagnosis.recommendation === 'clear_assumptions' &&
+    !processed.resets[0].limited
+  );
+  await runTest('Working memory was cleared by the reset', () => kernel.workingMemory.getAssumptions().length === 0);
+  await runTest('Trace records the reset and its correction', () => {
+    const json = trace.toJSON();
+    return json.resets.length === 1 &&
+      json.resets[0].recommendation === 'clear_assumptions' &&
+      json.resets[0].suggestions[0].action === 'Re-validate assumptions';
+  });
+  await runTest('MetaLoop sees resetTriggered', () =>
+    recorded.length === 1 && recorded[0].metrics.resetTriggered === true
+  );
+  await runTest('MetaLoop sees the executed step count', () =>
+    recorded[0].metrics.stepCount === processed.result.results.length && recorded[0].metrics.stepCount > 0
+  );
+
+  recorded.length = 0;
+  const calm = await quiet(() => kernel.process('hello'));
+  await runTest('No resets recorded on a coherent run', () => calm.resets.length === 0);
+  await runTest('MetaLoop resetTriggered is false without a reset', () => recorded[0].metrics.resetTriggered === false);
+  console.log();
+
+  console.log('TEST 3: Reset depth is bounded');
+  console.log('═'.repeat(60));
+
+  recorded.length = 0;
+  const looping = alwaysResetting();
+  const bounded = await quiet(() => looping.process('hello'));
+
+  await runTest('Run completes instead of recursing forever', () => bounded.success === true);
+  await runTest('Two resets performed, the third skipped', () =>
+    bounded.resets.map(r => `${r.depth}:${r.limited}`).join() === '0:false,1:false,2:true'
+  );
+  await runTest('Pipeline ran once after the limit', () => recorded.length === 1);
+
+  recorded.length = 0;
+  const noResets = alwaysResetting({ maxResetDepth: 0 });
+  const skipped = await quiet(() => noResets.process('hello'));
+  await runTest('maxResetDepth 0 never resets', () =>
+    skipped.resets.length === 1 && skipped.resets[0].limited && noResets.loopCount === 1
+  );
+  await runTest('Skipped resets do not count as triggered', () => recorded[0].metrics.resetTriggered === false);
+  console.log();
+
+  console.log('TEST 4: Resets surface through activate() and the CLI');
+  console.log('═'.repeat(60));
+
+  const originalEvaluate = ResetController.prototype.evaluate;
+  ResetController.prototype.evaluate = () => ({ shouldReset: true, reasons: ['Contradictory assumptions detected'] });
+  let activated;
+  try {
+    activated = await quiet(() => ALIVEKernel.activate({ taskInput: 'hello', statePath: stateDir, maxResetDepth: 1, trace: true }));
+  } finally {
+    ResetController.prototype.evaluate = originalEvaluate;
+  }
+
+  await runTest('meta.resets lists each reset', () =>
+    activated.ok && activated.meta.resets.length === 2 && activated.meta.resets[1].limited
+  );
+  await runTest('Trace from activate() includes the resets', () => activated.trace.resets.length === 2);
+
+  const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+  const preload = path.join(stateDir, 'always-reset.js');
+  fs.writeFileSync(preload, `
+const ResetController = require(${JSON.stringify(path.join(__dirname, '..', 'core', 'reset'))});
+ResetController.prototype.evaluate = () => ({ shouldReset: true, reasons: ['Stagnation detected'] });
+`);
+  const r = spawnSync(process.execPath, ['-r', preload, cliPath, 'run', 'hello', '--state', stateDir], { encoding: 'utf8' });
+  const json = JSON.parse(r.stdout);
+  await runTest('CLI reports resets in the contract output', () =>
+    r.status === 0 && json.resets.length === 3 &&
+    json.resets[0].recommendation === 'clean_restart' && json.resets[2].limited === true
+  );
+
+  const plain = JSON.parse(spawnSync(process.execPath, [cliPath, 'run', 'hello', '--state', stateDir], { encoding: 'utf8' }).stdout);
+  await runTest('No resets key when nothing reset', () => !('resets' in plain));
+  console.log();
+
+  fs.rmSync(stateDir, { recursive: true, force: true });
+
+  summary();
+})();
@@ -0,0 +1,219 @@
+// tests/test-response-composer.js
+// Test response composition: playbook outlines, fallback layout, formats, notes, --format
+
+const ResponseComposer = require('../core/compose');
+const ALIVEKernel = require('../core/kernel');
+const { activate } = ALIVEKernel;
+const { MetaLoop } = require('../meta/MetaLoop');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Response Composer\n');
+
+const composer = new ResponseComposer();
+
+/**
+ * Executor result from [task, result] pairs (all successful)
+ */
+const executed = (...entries) => ({
+  type: 'test',
+  results: entries.map(([task, result]) => ({ task, success: true, result, elapsed: 1, withinBudget: true })),
+  success: true
+});
+
+const conversion = executed(
+  ['lookup_table', {}],
+  ['parse_conversion', { value: 2, fromUnit: 'cup', targetUnit: 'ml', type: 'volume', factor: 240 }],
+  ['calculate', { result: 480, unit: 'ml' }]
+);
+const comparison = executed(
+  ['gather_recipes', [
+    { name: 'Fudgy Brownies', ingredients: ['flour', 'butter', 'cocoa'] },
+    { name: 'Cakey Brownies', ingredients: ['flour', 'butter', 'milk'] }
+  ]],
+  ['extract_core', { ingredients: ['flour', 'butter'], count: 2 }],
+  ['identify_variations', [{ recipe: 'Fudgy Brownies', uniqueIngredients: ['cocoa'] }]],
+  ['detect_bloat', [{ recipe: 'Cakey Brownies', bloatSteps: ['sift'], severity: 'low' }]]
+);
+const brownies = {
+  playbookId: 'pb_cooking_compare_brownies',
+  patternKey: 'cooking|compare|3c090840a1339477',
+  useCount: 4,
+  responsePrefix: '[Using proven recipe comparison playbook] ',
+  responseOutline: ['Recipe Candidates', 'Key Ingredients Comparison', 'Method Differences', 'Recommended Choice']
+};
+
+(async () => {
+  console.log('TEST 1: Fallback layout');
+  console.log('═'.repeat(60));
+
+  await runTest('No playbook: Summary then Details', () => {
+    const doc = composer.compose({ input: 'convert 2 cups to ml', executed: conversion });
+    return doc.layout === 'fallback' && doc.playbook === null &&
+      doc.sections.map(s => s.title).join() === 'Summary,Details' &&
+      doc.sections[0].items.join() === '2 cup = 480 ml';
+  });
+  await runTest('Summaries per kind of request', () => {
+    const summary = (input, result) => composer.compose({ input, executed: result }).summary;
+    return summary('substitute for butter', executed(['rank_by_risk', { recommended: { name: 'olive oil', ratio: '3:4', risk: 'low' }, ranked: [] }])) ===
+        'Use olive oil (ratio 3:4, low risk)' &&
+      summary('shopping list', executed(['generate_list', { list: ['eggs'], alreadyHave: [], count: 1 }])) === '1 item(s) to buy' &&
+      summary('compare brownies', comparison) === '2 recipe(s) compared' &&
+      summary('hello', executed(['process_general', {}])) === 'Processed: hello';
+  });
+  await runTest('Details list every result with something to show', () => {
+    const details = composer.compose({ input: 'shopping', executed: executed(
+      ['extract_ingredients', { ingredients: ['eggs', 'milk'] }],
+      ['generate_list', { list: ['eggs'], alreadyHave: ['milk'], count: 1 }]
+    ) }).sections[1];
+    return details.items.join('|') === 'eggs|milk|eggs|Already have: milk' &&
+      details.tasks.join() === 'extract_ingredients,generate_list';
+  });
+  await runTest('Missing executor result still composes', () =>
+    composer.compose({ input: 'hello', executed: null }).summary === 'Processed: hello'
+  );
+  console.log();
+
+  console.log('TEST 2: Playbook outlines');
+  console.log('═'.repeat(60));
+
+  const doc = composer.compose({ input: 'compare brownie recipes', executed: comparison, playbook: brownies });
+  const section = (title) => doc.sections.find(s => s.title === title);
+  await runTest('Sections follow the outline', () =>
+    doc.layout === 'playbook' && doc.playbook.id === 'pb_cooking_compare_brownies' &&
+    doc.sections.map(s => s.title).join() === brownies.responseOutline.join()
+  );
+  await runTest('Results fill the sections they are about', () =>
+    section('Recipe Candidates').tasks.join() === 'gather_recipes' &&
+    section('Recipe Candidates').items[0] === 'Fudgy Brownies (flour, butter, cocoa)' &&
+    section('Key Ingredients Comparison').items[0] === 'Common to all 2 recipes: flour, butter' &&
+    section('Method Differences').tasks.join() === 'identify_variations,detect_bloat'
+  );
+  await runTest('A section with nothing to fill shows the summary when it is the answer', () =>
+    section('Recommended Choice').items.join() === '2 recipe(s) compared'
+  );
+  await runTest('Results no section took go to Details', () => {
+    const extra = executed(...comparison.results.map(r => [r.task, r.result]), ['lookup_table', { cup: 240 }]);
+    const details = composer.compose({ input: 'x', executed: extra, playbook: brownies }).sections.find(s => s.title === 'Details');
+    return details.items.join() === 'cup = 240';
+  });
+  await runTest('Unknown section titles stay empty', () => {
+    const odd = composer.compose({ input: 'x', executed: comparison, playbook: { ...brownies, responseOutline: ['Wine Pairing'] } });
+    return odd.sections[0].title === 'Wine Pairing' && odd.sections[0].items.length === 0;
+  });
+  console.log();
+
+  console.log('TEST 3: Formats');
+  console.log('═'.repeat(60));
+
+  await runTest('Markdown leads with the playbook prefix and summary', () => {
+    const text = composer.format(doc, 'markdown');
+    return text.startsWith('[Using proven recipe comparison playbook] **2 recipe(s) compared**\n\n## Recipe Candidates\n- Fudgy Brownies');
+  });
+  await runTest('Plain text has titled sections and indented items', () => {
+    const text = composer.render({ input: 'convert 2 cups to ml', executed: conversion }, 'plain');
+    return text === 'Summary:\n  - 2 cup = 480 ml\n\nDetails:\n  - 2 cup → ml\n  - 480 ml';
+  });
+  await runTest('Empty sections are marked', () =>
+    /## Details\n_Nothing to show_/.test(composer.render({ input: 'hello', executed: executed(['process_general', {}]) }))
+  );
+  await runTest('JSON is the structured document', () => {
+    const parsed = JSON.parse(composer.format(doc, 'json'));
+    return parsed.layout === 'playbook' && parsed.sections.length === 4 && parsed.summary === doc.summary;
+  });
+  await runTest('Unknown formats rejected', () => {
+    try {
+      composer.format(doc, 'html');
+      return false;
+    } catch (error) {
+      return /Unknown format: html \(expected markdown, plain, json\)/.test(error.message);
+    }
+  });
+  console.log();
+
+  console.log('TEST 4: Notes');
+  console.log('═'.repeat(60));
+
+  await runTest('Skipped, failed and cut-short tasks are noted', () => {
+    const partial = {
+      results: [
+        { task: 'parse_conversion', success: true, result: { value: 2, fromUnit: 'cup', targetUnit: 'ml' } },
+        { task: 'lookup_table', success: true, skipped: true, policy: { rule: 'skip_lookup' }, result: null },
+        { task: 'calculate', success: false, error: 'No factor' }
+      ],
+      cutShort: true,
+      cutShortReason: 'deadline',
+      diagnostics: [{ code: 'unknown_handler', message: 'No handler for calculate' }]
+    };
+    const notes = composer.compose({ input: 'convert', executed: partial }).sections.find(s => s.title === 'Notes');
+    return notes.items.join('|') === 'Time budget ran out (deadline): partial result|lookup_table skipped by policy (skip_lookup)|' +
+      'calculate failed: No factor|No handler for calculate';
+  });
+  await runTest('Clean runs have no Notes section', () =>
+    !composer.compose({ input: 'x', executed: conversion }).sections.some(s => s.title === 'Notes')
+  );
+  console.log();
+
+  console.log('TEST 5: Kernel and activate()');
+  console.log('═'.repeat(60));
+
+  // Stand in for a matched playbook (kernel runs are recorded under their own task type)
+  const review = MetaLoop.prototype.recordAndReview;
+  MetaLoop.prototype.recordAndReview = function () {
+    return { playbookMatch: brownies };
+  };
+  try {
+    const kernel = new ALIVEKernel();
+    const result = await quiet(() => kernel.process('compare brownie recipes'));
+    await runTest('process() returns the matched playbook', () => result.playbook.playbookId === brownies.playbookId);
+
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-compose-'));
+    const composed = await activate({ taskInput: 'compare brownie recipes', statePath: root, format: 'markdown' });
+    await runTest('activate({ format }) composes from the outline', () =>
+      composed.ok && composed.response.startsWith(brownies.responsePrefix) &&
+      /## Method Differences/.test(composed.response) &&
+      composed.meta.playbook.id === brownies.playbookId && composed.meta.format === 'markdown'
+    );
+    const raw = await activate({ taskInput: 'convert 2 cups to ml', statePath: root });
+    await runTest('Without a format the response is the raw result', () =>
+      raw.ok && JSON.parse(raw.response).results.length === 3 && raw.meta.format === null
+    );
+    const invalid = await activate({ taskInput: 'hello', statePath: root, format: 'html' });
+    await runTest('activate() rejects unknown formats', () => !invalid.ok && /Unknown format: html/.test(invalid.errors[0]));
+    fs.rmSync(root, { recursive: true, force: true });
+  } finally {
+    MetaLoop.prototype.recordAndReview = review;
+  }
+  console.log();
+
+  console.log('TEST 6: CLI --format');
+  console.log('═'.repeat(60));
+
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-compose-cli-'));
+  const cliPath = path.join(__dirname, '..', 'bin', 'alive.js');
+  const cli = (...args) => {
+    const r = spawnSync(process.execPath, [cliPath, 'run', ...args, '--state', path.join(root, 'state')],
+      { cwd: root, encoding: 'utf8' });
+    return { status: r.status, json: JSON.parse(r.stdout) };
+  };
+
+  await runTest('alive run --format plain', () => {
+    const r = cli('convert 2 cups to ml', '--format', 'plain');
+    return r.status === 0 && r.json.ok && r.json.response.startsWith('Summary:\n  - 2 cup = 480 ml');
+  });
+  await runTest('alive run --format json nests the document in response', () => {
+    const r = cli('convert 2 cups to ml', '--format', 'json');
+    return r.status === 0 && JSON.parse(r.json.response).layout === 'fallback' && r.json.playbook === undefined;
+  });
+  await runTest('Unknown formats fail the run', () => {
+    const r = cli('hello', '--format', 'html');
+    return r.status === 1 && !r.json.ok && /Unknown format: html/.test(r.json.errors[0]) && r.json.response === r.json.errors[0];
+  });
+  fs.rmSync(root, { recursive: true, force: true });
+  console.log();
+
+  summary();
+})();
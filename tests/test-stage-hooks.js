@@ -0,0 +1,111 @@
+// tests/test-stage-hooks.js
+// Test before/after stage hooks around the kernel pipeline
+
+const ALIVEKernel = require('../core/kernel');
+const HookRegistry = require('../core/hooks');
+const { activate } = require('../core/kernel');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Kernel Stage Hooks\n');
+
+(async () => {
+  console.log('TEST 1: Registry validation and ordering');
+  console.log('═'.repeat(60));
+
+  const registry = new HookRegistry();
+
+  await runTest('Invalid stage is rejected', () => {
+    try {
+      registry.before('nope', () => {});
+      return false;
+    } catch (error) {
+      return error.message.includes('Invalid stage');
+    }
+  });
+
+  const order = [];
+  registry.before('assess', () => { order.push('late'); }, { priority: 200 });
+  registry.before('assess', () => { order.push('early'); }, { priority: 10 });
+  registry.before('assess', () => { order.push('default-a'); });
+  registry.before('assess', () => { order.push('default-b'); });
+  await registry.run('assess', 'before', {});
+
+  await runTest('Hooks run by priority, then registration order', () =>
+    JSON.stringify(order) === JSON.stringify(['early', 'default-a', 'default-b', 'late'])
+  );
+
+  const unregister = registry.after('triage', () => {});
+  await runTest('Unregister removes the hook', () => unregister() === true && registry.getHooks('triage', 'after').length === 0);
+  console.log();
+
+  console.log('TEST 2: Hooks enrich context and post-process results');
+  console.log('═'.repeat(60));
+
+  const kernel = new ALIVEKernel();
+  let seenContext = null;
+  kernel.hooks.before('stream', (payload) => ({
+    ...payload,
+    context: { ...payload.context, enrichedBy: 'test' }
+  }));
+  kernel.hooks.before('assess', (entry) => { seenContext = entry.context; });
+  kernel.hooks.after('triage', (triage) => ({
+    ...triage,
+    priorities: triage.priorities.filter(t => t.action !== 'rank_by_risk')
+  }));
+  kernel.hooks.after('execute', (result) => ({ ...result, postProcessed: true }));
+
+  const result = await quiet(() => kernel.process('substitute for butter'));
+
+  await runTest('Before-stream hook enriched context', () => seenContext && seenContext.enrichedBy === 'test');
+  await runTest('After-triage hook changed priorities', () =>
+    result.triage.priorities.every(t => t.action !== 'rank_by_risk')
+  );
+  await runTest('After-execute hook post-processed result', () => result.result.postProcessed === true);
+  console.log();
+
+  console.log('TEST 3: Failures are isolated; vetoes halt the pipeline');
+  console.log('═'.repeat(60));
+
+  const failing = new ALIVEKernel();
+  failing.hooks.before('triage', function brokenHook() { throw new Error('boom'); });
+  const failed = await quiet(() => failing.process('substitute for butter'));
+
+  await runTest('Pipeline still succeeds when a hook throws', () => failed.success === true);
+  await runTest('Failure recorded with stage, phase and hook name', () =>
+    failed.hookFailures.length === 1 &&
+    failed.hookFailures[0].stage === 'triage' &&
+    failed.hookFailures[0].phase === 'before' &&
+    failed.hookFailures[0].hook === 'brokenHook' &&
+    failed.hookFailures[0].error === 'boom'
+  );
+
+  const vetoing = new ALIVEKernel();
+  let executed = false;
+  vetoing.hooks.before('triage', (assessment, ctx) => ctx.veto('not allowed'), { name: 'gate' });
+  vetoing.hooks.before('execute', () => { executed = true; });
+  const vetoed = await quiet(() => vetoing.process('substitute for butter'));
+
+  await runTest('Veto stops the run', () => vetoed.success === false && executed === false);
+  await runTest('Veto details returned', () => vetoed.vetoed && vetoed.vetoed.hook === 'gate' && vetoed.vetoed.reason === 'not allowed');
+  console.log();
+
+  console.log('TEST 4: Hook failures surface in activate() meta');
+  console.log('═'.repeat(60));
+
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-hooks-'));
+  const hooks = new HookRegistry();
+  hooks.after('assess', function flakyHook() { throw new Error('flaky'); });
+  const contract = await activate({ taskInput: 'substitute for butter', statePath: stateDir, hooks });
+
+  await runTest('activate() still ok', () => contract.ok === true);
+  await runTest('meta.hookFailures lists the failure', () =>
+    Array.isArray(contract.meta.hookFailures) && contract.meta.hookFailures[0].hook === 'flakyHook'
+  );
+  fs.rmSync(stateDir, { recursive: true, force: true });
+  console.log();
+
+  summary();
+})();
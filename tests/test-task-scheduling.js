@@ -0,0 +1,155 @@
+// tests/test-task-scheduling.js
+// Test parallel DAG execution of triage tasks and critical-path reporting
+
+const DagScheduler = require('../core/scheduler');
+const Executor = require('../core/executor');
+const DecisionTrace = require('../core/trace');
+const { activate } = require('../core/kernel');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Task Scheduling\n');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function task(action, dependencies = []) {
+  return { action, type: 'domain', domain: 'test', domainAction: action, dependencies };
+}
+
+/**
+ * Scheduler handlers that record start/finish order and peak concurrency
+ */
+function recorder(delays = {}, outcomes = {}) {
+  const log = { started: [], finished: [], blocked: [], inFlight: 0, peak: 0 };
+  log.handlers = {
+    execute: async (t) => {
+      log.started.push(t.action);
+      log.inFlight++;
+      log.peak = Math.max(log.peak, log.inFlight);
+      await sleep(delays[t.action] || 5);
+      log.inFlight--;
+      log.finished.push(t.action);
+      return outcomes[t.action] || 'completed';
+    },
+    onBlocked: (t, missing) => log.blocked.push({ action: t.action, missing })
+  };
+  return log;
+}
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-schedule-'));
+
+(async () => {
+  console.log('TEST 1: DagScheduler ordering and concurrency');
+  console.log('═'.repeat(60));
+
+  const independent = [task('a'), task('b'), task('c'), task('d')];
+  const wide = recorder();
+  await new DagScheduler({ concurrency: 2 }).run(independent, wide.handlers);
+  await runTest('Independent tasks run concurrently up to the limit', () => wide.peak === 2 && wide.finished.length === 4);
+
+  const serial = recorder();
+  await new DagScheduler({ concurrency: 1 }).run(independent, serial.handlers);
+  await runTest('Concurrency 1 runs tasks one at a time in priority order', () =>
+    serial.peak === 1 && serial.started.join() === 'a,b,c,d'
+  );
+
+  // Dependent listed before its dependency (previously skipped as blocked)
+  const ordered = recorder();
+  const { order } = await new DagScheduler({ concurrency: 3 }).run(
+    [task('rank', ['find']), task('find', ['identify']), task('identify')],
+    ordered.handlers
+  );
+  await runTest('Dependents wait for dependencies regardless of priority order', () =>
+    order.join() === 'identify,find,rank' && ordered.blocked.length === 0
+  );
+
+  const failing = recorder({}, { a: 'failed' });
+  await new DagScheduler().run([task('a'), task('b', ['a']), task('c', ['b']), task('d', ['missing'])], failing.handlers);
+  await runTest('Failed and missing dependencies block their dependents', () => {
+    const blocked = Object.fromEntries(failing.blocked.map(b => [b.action, b.missing]));
+    return failing.started.join() === 'a' &&
+      blocked.b.join() === 'a' && blocked.c.join() === 'b' && blocked.d.join() === 'missing';
+  });
+
+  const cyclic = recorder();
+  await new DagScheduler().run([task('x', ['y']), task('y', ['x']), task('z')], cyclic.handlers);
+  await runTest('Circular dependencies are blocked, not hung', () =>
+    cyclic.started.join() === 'z' && cyclic.blocked.length === 2
+  );
+  console.log();
+
+  console.log('TEST 2: Critical path');
+  console.log('═'.repeat(60));
+
+  const scheduler = new DagScheduler();
+  const graph = [task('gather'), task('core', ['gather']), task('variations', ['gather']), task('format', ['core', 'variations'])];
+
+  const weighted = scheduler.criticalPath(graph, { gather: 10, core: 50, variations: 20, format: 5 });
+  await runTest('Longest weighted chain reported', () =>
+    weighted.tasks.join() === 'gather,core,format' && weighted.durationMs === 65
+  );
+
+  const unweighted = scheduler.criticalPath(graph, {});
+  await runTest('Ties go to the longest chain', () => unweighted.tasks.length === 3 && unweighted.durationMs === 0);
+  await runTest('Empty graph has an empty path', () => scheduler.criticalPath([], {}).tasks.length === 0);
+  console.log();
+
+  console.log('TEST 3: Executor runs the graph in parallel');
+  console.log('═'.repeat(60));
+
+  const delays = { left: 80, right: 80, join: 10 };
+  const domains = {
+    getDomain: () => ({
+      agent: {
+        processTask: async ({ action }) => {
+          await sleep(delays[action]);
+          return { success: true, action };
+        }
+      }
+    })
+  };
+  const triage = { priorities: [task('join', ['left', 'right']), task('left'), task('right')] };
+  const budget = {
+    cutoffTime: 5000,
+    tasks: triage.priorities.map(t => ({ task: t.action, maxTime: 1000, maxIterations: 1 }))
+  };
+  const trace = new DecisionTrace('task_schedule_test', 'test');
+
+  const started = Date.now();
+  const result = await quiet(() => Executor.run(triage, budget, {}, { mode: 'HEURISTIC', domains, trace }));
+  const took = Date.now() - started;
+
+  await runTest('Independent branches overlap', () => took < 150 && result.completedTasks.length === 3);
+  await runTest('Dependent ran last', () => result.completedTasks[2] === 'join');
+  await runTest('Results keep priority order', () => result.results.map(r => r.task).join() === 'join,left,right');
+  await runTest('Schedule reports concurrency and critical path', () =>
+    result.schedule.concurrency === 2 &&
+    result.schedule.criticalPath.tasks.length === 2 &&
+    result.schedule.criticalPath.tasks[1] === 'join' &&
+    result.schedule.criticalPath.durationMs >= 80
+  );
+  await runTest('Schedule recorded in the trace', () => trace.toJSON().schedule.order.join() === 'left,right,join');
+  console.log();
+
+  console.log('TEST 4: Kernel pipeline');
+  console.log('═'.repeat(60));
+
+  const substitute = await activate({ taskInput: 'substitute for butter', statePath: stateDir, trace: true });
+  await runTest('Substitution chain executes end to end', () =>
+    substitute.trace.decisions.every(d => d.decision === 'executed') &&
+    substitute.trace.schedule.order.join() === 'identify_function,find_substitutes,rank_by_risk'
+  );
+  await runTest('Critical path follows the dependency chain', () =>
+    substitute.trace.schedule.criticalPath.tasks.join() === 'identify_function,find_substitutes,rank_by_risk'
+  );
+
+  const serialRun = await activate({ taskInput: 'compare brownie recipes', statePath: stateDir, trace: true, concurrency: 1 });
+  await runTest('Concurrency is configurable through activate()', () => serialRun.trace.schedule.concurrency === 1);
+  console.log();
+
+  fs.rmSync(stateDir, { recursive: true, force: true });
+
+  summary();
+})();
@@ -0,0 +1,228 @@
+// tests/test-task-templates.js
+// Test declarative task-graph templates: loading, validation, mode variants, domains
+
+const TaskTemplates = require('../core/task-templates');
+const { TemplateError } = TaskTemplates;
+const Triager = require('../core/triage');
+const ALIVEKernel = require('../core/kernel');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quiet, runTest, summary } = require('./helpers');
+
+console.log('🧪 Testing Task Templates\n');
+
+/**
+ * The TemplateError message a template fails validation with, or null
+ */
+function rejection(template) {
+  try {
+    new TaskTemplates().register(template);
+    return null;
+  } catch (error) {
+    return error instanceof TemplateError ? error.message : `not a TemplateError: ${error.message}`;
+  }
+}
+
+const assessment = (inputType, extra = {}) => ({ inputType, urgency: 'LATER', stakes: 'medium', difficulty: 'moderate', ...extra });
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alive-templates-'));
+
+(async () => {
+  console.log('TEST 1: Core templates');
+  console.log('═'.repeat(60));
+
+  const core = TaskTemplates.withDefaults();
+  const triager = new Triager({ templates: core });
+
+  await runTest('Every cooking input type has a template', () =>
+    ['recipe_add', 'recipe_search', 'recipe_compare', 'substitute', 'conversion', 'shopping', 'general']
+      .every(type => core.resolve(type) && core.resolve(type).source === 'core')
+  );
+  await runTest('Aliases resolve to the same graph', () => core.resolve('compare') === core.resolve('recipe_compare'));
+  await runTest('Dependencies come from the template', async () => {
+    const triage = await triager.prioritize(assessment('conversion'), { mode: 'HEURISTIC' });
+    const calculate = triage.priorities.find(t => t.action === 'calculate');
+    return calculate.dependencies.join() === 'parse_conversion,lookup_table';
+  });
+  await runTest('Triage names the template it used', async () => {
+    const triage = await triager.prioritize(assessment('compare'), { mode: 'HEURISTIC' });
+    return triage.template.inputType === 'recipe_compare' && triage.template.source === 'core' &&
+      triage.deferred.map(t => t.action).join() === 'identify_variations,detect_bloat';
+  });
+  await runTest('Unknown input types fall back to the general template', async () => {
+    const triage = await triager.prioritize(assessment('juggling'), { mode: 'HEURISTIC' });
+    return triage.priorities.map(t => t.action).join() === 'process_general' && triage.template.inputType === 'general';
+  });
+  console.log();
+
+  console.log('TEST 2: Validation at load time');
+  console.log('═'.repeat(60));
+
+  const task = (action, dependencies = []) => ({ action, type: 'analysis', dependencies });
+
+  await runTest('Missing inputType rejected', () => /inputType/.test(rejection({ tasks: [task('a')] })));
+  await runTest('Empty task list rejected', () => /non-empty/.test(rejection({ inputType: 'x', tasks: [] })));
+  await runTest('Task without a type rejected', () =>
+    /action and a type/.test(rejection({ inputType: 'x', tasks: [{ action: 'a' }] }))
+  );
+  await runTest('Duplicate actions rejected', () =>
+    /duplicate task "a"/.test(rejection({ inputType: 'x', tasks: [task('a'), task('a')] }))
+  );
+  await runTest('Unknown dependency rejected', () =>
+    /"a" depends on unknown task\(s\) ghost/.test(rejection({ inputType: 'x', tasks: [task('a', ['ghost'])] }))
+  );
+  await runTest('Circular dependencies rejected', () =>
+    /x: circular dependencies/.test(rejection({ inputType: 'x', tasks: [task('a', ['c']), task('b', ['a']), task('c', ['b'])] }))
+  );
+  await runTest('Non-numeric weight rejected', () =>
+    /weight of "a"/.test(rejection({ inputType: 'x', tasks: [{ ...task('a'), weight: 'high' }] }))
+  );
+  await runTest('Unknown mode rejected', () =>
+    /unknown mode "FAST"/.test(rejection({ inputType: 'x', tasks: [task('a')], modes: { FAST: {} } }))
+  );
+  await runTest('Cycle introduced by a mode variant rejected', () =>
+    /x \(PRECISION\): circular/.test(rejection({
+      inputType: 'x',
+      tasks: [task('a')],
+      modes: { PRECISION: { add: [task('b', ['c']), task('c', ['b'])] } }
+    }))
+  );
+  await runTest('Omitting a task others depend on rejected', () =>
+    /x \(HEURISTIC\): "b" depends on unknown task\(s\) a/.test(rejection({
+      inputType: 'x',
+      tasks: [task('a'), task('b', ['a'])],
+      modes: { HEURISTIC: { omit: ['a'] } }
+    }))
+  );
+  console.log();
+
+  console.log('TEST 3: JSON and JS template files');
+  console.log('═'.repeat(60));
+
+  const good = path.join(tmpDir, 'good');
+  fs.mkdirSync(good);
+  fs.writeFileSync(path.join(good, 'plating.json'), JSON.stringify({
+    inputType: 'plating',
+    tasks: [task('pick_plate'), task('arrange', ['pick_plate'])]
+  }));
+  fs.writeFileSync(path.join(good, 'pairing.js'), `module.exports = [
+  { inputType: 'pairing', tasks: [{ action: 'match_wine', type: 'retrieval' }] },
+  { inputType: 'dessert_pairing', tasks: [{ action: 'match_dessert', type: 'retrieval' }] }
+];
+`);
+  fs.writeFileSync(path.join(good, 'README.md'), 'not a template');
+
+  const loaded = new TaskTemplates();
+  const types = loaded.loadDirectory(good, { source: 'plating-pack' });
+  await runTest('JSON and JS files (incl. arrays) loaded', () =>
+    types.join() === 'pairing,dessert_pairing,plating' && loaded.resolve('plating', 'plating-pack') !== null
+  );
+
+  const bad = path.join(tmpDir, 'bad');
+  fs.mkdirSync(bad);
+  fs.writeFileSync(path.join(bad, 'a_ok.json'), JSON.stringify({ inputType: 'fine', tasks: [task('a')] }));
+  fs.writeFileSync(path.join(bad, 'b_loop.json'), JSON.stringify({ inputType: 'loop', tasks: [task('a', ['a'])] }));
+  const partial = new TaskTemplates();
+  let loadError = null;
+  try {
+    partial.loadDirectory(bad, { source: 'broken' });
+  } catch (error) {
+    loadError = error;
+  }
+  await runTest('Invalid file reported with its name and source', () =>
+    loadError instanceof TemplateError && loadError.source === 'broken' && /^b_loop\.json: loop: circular/.test(loadError.message)
+  );
+  await runTest('Directory loads all or nothing', () => partial.list().length === 0);
+  console.log();
+
+  console.log('TEST 4: Priority weights and mode variants');
+  console.log('═'.repeat(60));
+
+  const custom = TaskTemplates.withDefaults();
+  custom.register({
+    inputType: 'plating',
+    tasks: [
+      { action: 'pick_plate', type: 'analysis' },
+      { action: 'garnish', type: 'generation', weight: 25 },
+      { action: 'arrange', type: 'generation', dependencies: ['pick_plate'] },
+      { action: 'photograph', type: 'presentation' }
+    ],
+    modes: {
+      PRECISION: {
+        add: [{ action: 'measure_portions', type: 'computation', weight: 50 }],
+        omit: ['garnish'],
+        weights: { photograph: -100 }
+      }
+    }
+  });
+  const weighted = new Triager({ templates: custom });
+
+  const heuristic = await weighted.prioritize(assessment('plating'), { mode: 'HEURISTIC' });
+  await runTest('Weight moves a task up the priorities', () => heuristic.priorities[0].action === 'garnish');
+  await runTest('Base graph used for modes without a variant', () =>
+    heuristic.priorities.length + heuristic.deferred.length === 4 && heuristic.template.mode === 'HEURISTIC'
+  );
+
+  const precise = await weighted.prioritize(assessment('plating'), { mode: 'PRECISION' });
+  const preciseActions = [...precise.priorities, ...precise.deferred, ...precise.discarded].map(t => t.action);
+  await runTest('Variant adds and omits tasks', () =>
+    preciseActions.includes('measure_portions') && !preciseActions.includes('garnish') &&
+    precise.priorities[0].action === 'measure_portions'
+  );
+  await runTest('Variant weights override task weights', () =>
+    precise.discarded.some(t => t.action === 'photograph')
+  );
+  console.log();
+
+  console.log('TEST 5: Domain templates');
+  console.log('═'.repeat(60));
+
+  const bakingDir = path.join(tmpDir, 'baking');
+  fs.mkdirSync(path.join(bakingDir, 'templates'), { recursive: true });
+  fs.writeFileSync(path.join(bakingDir, 'templates', 'proof.json'), JSON.stringify({
+    inputType: 'proof',
+    tasks: [
+      { action: 'check_starter', type: 'analysis' },
+      { action: 'schedule_proof', type: 'baking_plan', dependencies: ['check_starter'] }
+    ]
+  }));
+  const brokenDir = path.join(tmpDir, 'broken');
+  fs.mkdirSync(path.join(brokenDir, 'templates'), { recursive: true });
+  fs.writeFileSync(path.join(brokenDir, 'templates', 'bad.json'), JSON.stringify({ inputType: 'bad', tasks: [] }));
+
+  const kernel = new ALIVEKernel();
+  kernel.domainLoader.domains.set('baking', {
+    path: bakingDir,
+    config: { specialty: 'baking', routing: { keywords: ['proof'], defaultAction: 'proof' } },
+    agent: {
+      registerHandlers(handlers, options) {
+        handlers.forType('baking_plan', async () => 'Proof for 2 hours', options);
+      }
+    }
+  });
+  kernel.domainLoader.domains.set('broken', { path: brokenDir, config: {}, agent: {} });
+  kernel.registerDomainHandlers();
+  await quiet(() => kernel.registerDomainTemplates());
+
+  await runTest('Domain templates registered under the domain', () =>
+    kernel.getStatus().templates.some(t => t.inputType === 'proof' && t.domain === 'baking' && t.source === 'baking')
+  );
+  await runTest('Invalid domain templates are skipped', () =>
+    !kernel.getStatus().templates.some(t => t.source === 'broken') && kernel.domainLoader.getDomain('broken')
+  );
+
+  const routed = await quiet(() => kernel.process('proof the sourdough'));
+  await runTest('Routed input runs the domain graph', () =>
+    routed.success && routed.triage.template.domain === 'baking' &&
+    routed.result.completedTasks.join() === 'check_starter,schedule_proof'
+  );
+  await runTest('Domain template tasks carry the route params', () =>
+    routed.triage.priorities.every(t => t.domain === 'baking' && t.params.query === 'proof the sourdough')
+  );
+  console.log();
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  summary();
+})();
@@ -3,10 +3,12 @@
 
 const readline = require('readline');
 const ALIVEKernel = require('../core/kernel');
+const ResponseComposer = require('../core/compose');
 
 class ALIVECLI {
     constructor() {
         this.kernel = new ALIVEKernel();
+        this.composer = new ResponseComposer();
         this.rl = readline.createInterface({
             input: process.stdin,
             output: process.stdout,
@@ -19,9 +21,19 @@ class ALIVECLI {
             'mode': this.setMode.bind(this),
             'memory': this.showMemory.bind(this),
             'debug': this.debugCommand.bind(this),
+            'deferred': this.showDeferred.bind(this),
+            'answer': this.answer.bind(this),
             'quit': this.quit.bind(this),
             'exit': this.quit.bind(this)
         };
+        
+        // Task id of the clarification the last query asked for (see answer)
+        this.pendingClarification = null;
+        
+        // Deferred tasks are resumed after this long without input
+        this.idleMs = 30000;
+        this.idleTimer = null;
+        this.busy = false;
     }
 
     start() {
@@ -44,8 +56,12 @@ class ALIVECLI {
                 return;
             }
             
+            clearTimeout(this.idleTimer);
+            this.busy = true;
             await this.handleInput(trimmed);
+            this.busy = false;
             this.rl.prompt();
+            this.scheduleIdle();
         });
         
         this.rl.on('close', () => {
@@ -71,21 +87,58 @@ class ALIVECLI {
             
             const result = await this.kernel.process(input);
             
-            this.displayResult(result);
+            this.displayResult(result, input);
             
         } catch (error) {
             console.error('❌ Error:', error.message);
         }
     }
 
-    displayResult(result) {
+    /**
+     * Answer the clarification the last query asked for
+     */
+    async answer(args) {
+        if (!this.pendingClarification) {
+            console.log('\\n⚠️  No question waiting for an answer');
+            return;
+        }
+        if (args.length === 0) {
+            console.log('\\n⚠️  Usage: answer <text>');
+            return;
+        }
+        
+        try {
+            const result = await this.kernel.answerClarification(this.pendingClarification, args.join(' '));
+            this.displayResult(result, result.answered ? result.answered.resolvedInput : args.join(' '));
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+        }
+    }
+
+    displayResult(result, input = '') {
         console.log('\\n📊 RESULT:');
         console.log('─'.repeat(60));
         
-        if (result.success) {
+        if (result.followUp) {
+            console.log(`🔗 Follow-up: "${result.followUp.original}" → "${result.followUp.input}"`);
+        }
+        
+        this.pendingClarification = result.needsClarification ? result.needsClarification.taskId : null;
+        if (result.success && result.needsClarification) {
+            console.log('❓ Status: NEEDS CLARIFICATION');
+            result.needsClarification.questions.forEach(q => {
+                const options = q.options.length > 0 ? ` (${q.options.join(', ')})` : '';
+                console.log(`   ${q.question}${options}`);
+            });
+            console.log('   Reply with: answer <text>');
+        } else if (result.success) {
             console.log('✅ Status: SUCCESS');
             console.log(`⏱️  Time: ${result.elapsed}ms`);
             console.log(`🔄 Loop: ${result.loopCount}`);
+            console.log(`🎯 Mode: ${result.mode} (${result.modeSelection.reasons.join(', ')})`);
+            if (result.escalation) {
+                console.log(`⬆️  Escalated to PRECISION: ${result.escalation.task} failed validation`);
+            }
             console.log();
             
             // Show assessment
@@ -130,8 +183,12 @@ class ALIVECLI {
             // Show final result
             if (result.result.results && result.result.results.length > 0) {
                 console.log('💡 FINAL RESULT:');
-                const mainResult = result.result.results[result.result.results.length - 1];
-                console.log(JSON.stringify(mainResult.result, null, 2));
+                const response = this.composer.render({
+                    input: result.followUp ? result.followUp.input : input,
+                    executed: result.result,
+                    playbook: result.playbook
+                }, 'plain');
+                console.log(response.split('\n').map(line => line ? `   ${line}` : line).join('\n'));
             }
             
         } else {
@@ -142,19 +199,62 @@ class ALIVECLI {
         console.log('─'.repeat(60));
     }
 
+    /**
+     * Resume deferred tasks once the user has been idle for idleMs
+     */
+    scheduleIdle() {
+        clearTimeout(this.idleTimer);
+        if (this.kernel.deferred.size() === 0) return;
+        
+        this.idleTimer = setTimeout(async () => {
+            if (this.busy) return;
+            this.busy = true;
+            try {
+                const resumed = await this.kernel.resumeDeferred();
+                if (resumed.length > 0) {
+                    console.log('\n⏳ Resumed deferred tasks while idle:');
+                    resumed.forEach(r => {
+                        console.log(`   ${r.success ? '✓' : '✗'} ${r.action} ("${r.input}")`);
+                    });
+                    this.rl.prompt();
+                }
+            } catch (error) {
+                console.error('❌ Resume failed:', error.message);
+            } finally {
+                this.busy = false;
+            }
+            this.scheduleIdle();
+        }, this.idleMs);
+        this.idleTimer.unref();
+    }
+
+    showDeferred() {
+        const entries = this.kernel.deferred.list();
+        console.log(`\n⏳ Deferred tasks (${entries.length}):`);
+        console.log('─'.repeat(60));
+        entries.forEach(entry => {
+            console.log(`  ${entry.task.action} [${entry.task.type}] - "${entry.input}" (${Math.round(entry.ageMs / 1000)}s ago)`);
+        });
+        console.log('─'.repeat(60));
+    }
+
     showHelp() {
         console.log('\\n📖 ALIVE CLI Commands:');
         console.log('─'.repeat(60));
         console.log('  help              - Show this help');
         console.log('  status            - Show kernel status');
-        console.log('  mode <mode>       - Set mode (PRECISION | HEURISTIC)');
+        console.log('  mode <mode>       - Set mode (PRECISION | HEURISTIC | AUTO = per query)');
         console.log('  memory            - Show memory status');
+        console.log('  deferred          - Show tasks deferred for later');
+        console.log('  answer <text>     - Answer the question the last query asked');
         console.log('  quit / exit       - Exit CLI');
         console.log('\\nOr enter a cooking query:');
         console.log('  "Search for pasta recipes"');
         console.log('  "Compare recipes for chocolate cake"');
         console.log('  "Substitute for butter"');
         console.log('  "Convert 2 cups to ml"');
+        console.log('Follow-ups refer to the last result:');
+        console.log('  "double that", "in tbsp?", "make it vegan"');
         console.log('─'.repeat(60));
     }
 
@@ -174,7 +274,7 @@ class ALIVECLI {
 
     setMode(args) {
         if (args.length === 0) {
-            console.log('\\n⚠️  Usage: mode <PRECISION|HEURISTIC>');
+            console.log('\\n⚠️  Usage: mode <PRECISION|HEURISTIC|AUTO>');
             return;
         }
         
@@ -224,6 +324,7 @@ class ALIVECLI {
     }
 
     quit() {
+        clearTimeout(this.idleTimer);
         console.log('\\nShutting down ALIVE...');
         this.rl.close();
     }